@@ -11,7 +11,8 @@ const CampaignCard = ({
   onEdit, 
   onDelete, 
   onViewAnalytics,
-  onToggleStatus 
+  onToggleStatus,
+  onLaunch
 }) => {
   const theme = useTheme();
   const { 
@@ -113,11 +114,11 @@ const CampaignCard = ({
           <Button 
             mode="outlined" 
             compact
-            onPress={() => onToggleStatus(id)}
+            onPress={() => (status === 'draft' && onLaunch ? onLaunch(id) : onToggleStatus(id))}
             style={tw('mr-2')}
-            icon={status === 'active' ? 'pause' : 'play'}
+            icon={status === 'active' ? 'pause' : status === 'draft' ? 'rocket-launch' : 'play'}
           >
-            {status === 'active' ? 'Pause' : 'Activate'}
+            {status === 'active' ? 'Pause' : status === 'draft' ? 'Launch' : 'Activate'}
           </Button>
           
           {status === 'draft' && (
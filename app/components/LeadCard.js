@@ -6,13 +6,15 @@ import { Card, IconButton, Menu, Chip, useTheme } from 'react-native-paper';
 import { formatDistanceToNow, parseISO } from 'date-fns';
 import { useTailwind } from 'tailwind-rn';
 import { supabase } from '../lib/supabase';
+import { getScorePriority, PRIORITY_LABELS } from '../utils/scoreCalc';
 
 const LeadCard = ({ 
   lead, 
   onEdit, 
   onDelete, 
   onStatusChange,
-  onDetailsPress 
+  onDetailsPress,
+  onFindSimilar
 }) => {
   const tw = useTailwind();
   const theme = useTheme();
@@ -54,6 +56,11 @@ const LeadCard = ({
     onEdit(lead);
   }, [lead, onEdit]);
 
+  const handleFindSimilar = useCallback(() => {
+    closeMenu();
+    onFindSimilar(lead);
+  }, [lead, onFindSimilar]);
+
   const handleStatusChange = useCallback((newStatus) => {
     if (onStatusChange) {
       onStatusChange(lead.id, newStatus);
@@ -65,6 +72,7 @@ const LeadCard = ({
       case 'new': return theme.colors.primary;
       case 'contacted': return theme.colors.info;
       case 'qualified': return theme.colors.success;
+      case 'meeting_booked': return theme.colors.success;
       case 'lost': return theme.colors.error;
       default: return theme.colors.backdrop;
     }
@@ -79,6 +87,11 @@ const LeadCard = ({
     }
   };
 
+  const priority = lead.priority || (typeof lead.score === 'number' ? getScorePriority(lead.score) : null);
+  const scoreBreakdown = Array.isArray(lead.score_breakdown)
+    ? lead.score_breakdown.filter(item => item.weight > 0)
+    : [];
+
   const lastContactedText = lead.last_contacted 
     ? formatDistanceToNow(parseISO(lead.last_contacted), { addSuffix: true })
     : 'Never contacted';
@@ -95,7 +108,7 @@ const LeadCard = ({
             >
               {lead.name}
             </Text>
-            {lead.company && (
+            {Boolean(lead.company) && (
               <Text 
                 style={tw('text-base text-gray-600')} 
                 numberOfLines={1} 
@@ -117,7 +130,12 @@ const LeadCard = ({
               />
             }
           >
-            <Menu.Item onPress={handleEdit} title="Edit" leadingIcon="pencil" />
+            {onEdit && (
+              <Menu.Item onPress={handleEdit} title="Edit" leadingIcon="pencil" />
+            )}
+            {onFindSimilar && (
+              <Menu.Item onPress={handleFindSimilar} title="More like this" leadingIcon="account-search" />
+            )}
             <Menu.Item 
               onPress={handleDelete} 
               title="Delete" 
@@ -128,7 +146,7 @@ const LeadCard = ({
         </View>
 
         <View style={tw('mt-2')}>
-          {lead.email && (
+          {Boolean(lead.email) && (
             <View style={tw('flex-row items-center mt-1')}>
               <IconButton 
                 icon="email" 
@@ -146,7 +164,7 @@ const LeadCard = ({
             </View>
           )}
 
-          {lead.phone && (
+          {Boolean(lead.phone) && (
             <View style={tw('flex-row items-center mt-1')}>
               <IconButton 
                 icon="phone" 
@@ -173,20 +191,20 @@ const LeadCard = ({
             {lead.status}
           </Chip>
           
-          {lead.priority && (
+          {priority && (
             <Chip 
               mode="outlined"
               style={[tw('mr-2 mb-2'), { 
-                backgroundColor: getPriorityColor(lead.priority),
-                borderColor: getPriorityColor(lead.priority)
+                backgroundColor: getPriorityColor(priority),
+                borderColor: getPriorityColor(priority)
               }]}
               textStyle={tw('text-white')}
             >
-              {lead.priority} Priority
+              {PRIORITY_LABELS[priority] || priority} Priority
             </Chip>
           )}
           
-          {lead.score && (
+          {typeof lead.score === 'number' && (
             <Chip 
               mode="outlined"
               style={tw('mr-2 mb-2')}
@@ -197,6 +215,16 @@ const LeadCard = ({
           )}
         </View>
 
+        {scoreBreakdown.length > 0 && (
+          <View style={tw('flex-row justify-between mt-1')}>
+            {scoreBreakdown.map(item => (
+              <Text key={item.factor} style={tw('text-xs text-gray-500')}>
+                {item.label}: {item.value}
+              </Text>
+            ))}
+          </View>
+        )}
+
         <View style={tw('mt-2 flex-row justify-between items-center')}>
           <Text style={tw('text-sm text-gray-500')}>
             {lastContactedText}
@@ -7,14 +7,65 @@ import { tw } from '../lib/tailwind';
 import { supabase } from '../lib/supabase';
 import { useAuth } from '../contexts/AuthContext';
 
-const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
+// suggestedTactic: { tacticId, inputs } attached to the latest reply by the server's reply classifier
+const MessageComposer = ({ conversationId, leadId, suggestedTactic, onMessageSent, onAIGenerate }) => {
   const { user } = useAuth();
   const [message, setMessage] = useState('');
   const [isSending, setIsSending] = useState(false);
   const [aiLoading, setAiLoading] = useState(false);
   const [menuVisible, setMenuVisible] = useState(false);
+  const [recommendedTactic, setRecommendedTactic] = useState(null);
+  // { tacticId, variant, generationId } of the AI draft in the input, credited to its arm when sent
+  const [draftTactic, setDraftTactic] = useState(null);
   const inputRef = useRef(null);
 
+  // Ask the tactic optimizer which tactic has been converting best for this lead's segment
+  useEffect(() => {
+    let isMounted = true;
+
+    const fetchRecommendation = async () => {
+      try {
+        const { data, error } = await supabase.functions.invoke('optimize-tactics', {
+          body: { action: 'recommend', leadId },
+        });
+
+        if (error) throw error;
+        if (isMounted && data?.recommendation) {
+          setRecommendedTactic(data.recommendation);
+        }
+      } catch (error) {
+        console.error('Error fetching tactic recommendation:', error);
+      }
+    };
+
+    if (leadId) {
+      fetchRecommendation();
+    }
+
+    return () => {
+      isMounted = false;
+    };
+  }, [leadId]);
+
+  const recordTacticSend = async (tactic, messageId) => {
+    try {
+      const { error } = await supabase.functions.invoke('optimize-tactics', {
+        body: { action: 'record-send', leadId, ...tactic, messageId },
+      });
+
+      if (error) throw error;
+    } catch (error) {
+      console.error('Error recording tactic send:', error);
+    }
+  };
+
+  const updateMessage = (text) => {
+    setMessage(text);
+    if (!text.trim()) {
+      setDraftTactic(null);
+    }
+  };
+
   const handleSend = async () => {
     if (!message.trim() || isSending) return;
 
@@ -27,7 +78,7 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
             content: message.trim(),
             conversation_id: conversationId,
             sender_id: user.id,
-            is_ai_generated: false,
+            is_ai_generated: Boolean(draftTactic),
           }
         ])
         .select()
@@ -35,8 +86,13 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
 
       if (error) throw error;
 
+      if (draftTactic && leadId) {
+        recordTacticSend(draftTactic, data.id);
+      }
+
       onMessageSent(data);
       setMessage('');
+      setDraftTactic(null);
       Keyboard.dismiss();
     } catch (error) {
       console.error('Error sending message:', error);
@@ -45,16 +101,23 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
     }
   };
 
-  const handleAIGenerate = async () => {
-    if (!message.trim() || aiLoading) return;
+  // A tactic can draft from the lead's details alone; a plain AI response needs something to go on
+  const handleAIGenerate = async (tactic, prompt = message.trim()) => {
+    if ((!prompt && !tactic) || aiLoading) return;
 
     setAiLoading(true);
     setMenuVisible(false);
     
     try {
-      await onAIGenerate(message.trim());
-      setMessage('');
-      Keyboard.dismiss();
+      // onAIGenerate resolves with { text, tacticId, variant, generationId } to review before
+      // sending, or null when the rep cancels
+      const draft = await onAIGenerate(prompt, tactic);
+      if (draft?.text) {
+        const { text, ...generatedWith } = draft;
+        setMessage(text);
+        setDraftTactic(generatedWith);
+        inputRef.current?.focus();
+      }
     } catch (error) {
       console.error('Error generating AI response:', error);
     } finally {
@@ -71,6 +134,7 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
 
     if (actions[action]) {
       setMessage(actions[action]);
+      setDraftTactic(null);
       inputRef.current.focus();
     }
     setMenuVisible(false);
@@ -104,6 +168,25 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
             leadingIcon="robot"
             disabled={aiLoading}
           />
+          {suggestedTactic?.inputs?.objection && (
+            <Menu.Item
+              onPress={() => handleAIGenerate(suggestedTactic, suggestedTactic.inputs.objection)}
+              title="Handle objection"
+              leadingIcon="shield-check"
+              disabled={aiLoading}
+            />
+          )}
+          {recommendedTactic && (
+            <Menu.Item
+              onPress={() => handleAIGenerate({
+                tacticId: recommendedTactic.tacticId,
+                variant: recommendedTactic.variant,
+              })}
+              title={`Use ${recommendedTactic.name} (recommended)`}
+              leadingIcon="star-circle"
+              disabled={aiLoading}
+            />
+          )}
           <Menu.Item
             onPress={() => handleQuickAction('greeting')}
             title="Insert Greeting"
@@ -125,11 +208,11 @@ const MessageComposer = ({ conversationId, onMessageSent, onAIGenerate }) => {
           ref={inputRef}
           style={styles.input}
           value={message}
-          onChangeText={setMessage}
+          onChangeText={updateMessage}
           placeholder="Type a message..."
           placeholderTextColor="#9ca3af"
           multiline
-          maxLength={500}
+          maxLength={5000}
           editable={!isSending && !aiLoading}
           onSubmitEditing={handleSubmit}
           returnKeyType="send"
@@ -1,23 +1,14 @@
 app/constants/aiTactics.js
 
 
+// Bundled fallback for when the server tactic list cannot be fetched.
+// Prompt bodies live in the server registry (server/ai/promptTemplates.js).
 const aiTactics = [
   {
     id: 'cold-email-outline',
     name: 'Cold Email Outline',
     description:
       'Generate a persuasive cold email structure tailored for outbound B2B outreach.',
-    promptTemplate: ({ companyName, industry, valueProp }) => `
-You are an expert SDR. Generate a cold email outline for a company named "${companyName}" targeting the ${industry} industry.
-
-The email should:
-- Start with a personalized hook relevant to the industry
-- Introduce a pain point
-- Offer a clear solution via "${valueProp}"
-- Include a CTA that encourages response
-
-Keep it concise, direct, and written in a professional tone.
-    `.trim(),
     inputFields: ['companyName', 'industry', 'valueProp'],
   },
   {
@@ -25,16 +16,6 @@ Keep it concise, direct, and written in a professional tone.
     name: 'LinkedIn Connection Message',
     description:
       'Craft a short and engaging LinkedIn connection request message.',
-    promptTemplate: ({ recipientRole, commonGround }) => `
-You're crafting a LinkedIn connection message for someone in the role of "${recipientRole}". 
-
-Mention this shared connection or commonality: "${commonGround}".
-
-Make it:
-- Friendly but professional
-- No more than 300 characters
-- Likely to get accepted
-    `.trim(),
     inputFields: ['recipientRole', 'commonGround'],
   },
   {
@@ -42,11 +23,6 @@ Make it:
     name: 'Value Proposition Simplifier',
     description:
       'Simplify a complex value proposition into a 1-sentence pitch a 10-year-old can understand.',
-    promptTemplate: ({ complexValueProp }) => `
-Simplify the following value proposition so a 10-year-old can understand it in one sentence:
-
-"${complexValueProp}"
-    `.trim(),
     inputFields: ['complexValueProp'],
   },
   {
@@ -54,17 +30,6 @@ Simplify the following value proposition so a 10-year-old can understand it in o
     name: 'Follow-Up Message',
     description:
       'Create a friendly follow-up message after no response to the first cold outreach.',
-    promptTemplate: ({ firstMessageSummary, senderName }) => `
-You are writing a friendly follow-up message after the recipient hasn't replied to the first cold email.
-
-The first message was about: "${firstMessageSummary}"
-
-Keep it:
-- Short and polite
-- Show empathy
-- Reiterate the benefit
-- Signed by "${senderName}"
-    `.trim(),
     inputFields: ['firstMessageSummary', 'senderName'],
   },
   {
@@ -72,17 +37,6 @@ Keep it:
     name: 'Objection Handler',
     description:
       'Handle a common objection raised by a lead during the sales process.',
-    promptTemplate: ({ objection, productName }) => `
-As a top SDR, respond to this objection about "${productName}":
-
-"${objection}"
-
-Your response should:
-- Empathize with the concern
-- Provide clarity or social proof
-- Reframe the benefit
-- Be professional and concise
-    `.trim(),
     inputFields: ['objection', 'productName'],
   },
   {
@@ -90,17 +44,6 @@ Your response should:
     name: 'AI Call Summary Generator',
     description:
       'Summarize a sales call transcription with clear takeaways, next steps, and objections.',
-    promptTemplate: ({ transcript }) => `
-You are an AI assistant. Summarize the following sales call transcript.
-
-Format:
-- Key Points:
-- Objections:
-- Next Steps:
-
-Transcript:
-${transcript}
-    `.trim(),
     inputFields: ['transcript'],
   },
 ]
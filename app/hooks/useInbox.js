@@ -0,0 +1,181 @@
+app/hooks/useInbox.js
+
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { supabase } from '../lib/supabase';
+import { useAuth } from '../contexts/AuthContext';
+import useRealtime from './useRealtime';
+
+const REFRESH_DEBOUNCE_MS = 500;
+
+const invokeInbox = async (action, params = {}) => {
+  const { data, error: invokeError } = await supabase.functions.invoke('inbox', {
+    body: { action, ...params },
+  });
+
+  if (invokeError) {
+    throw new Error(invokeError.message || 'Edge function invocation failed');
+  }
+
+  if (!data || data.error) {
+    throw new Error(data?.error || 'No response from inbox service');
+  }
+
+  return data;
+};
+
+// Conversations for the SDR inbox. filters: { intent, campaignId, owner, view, unreadOnly }.
+// New and newly classified messages refresh the list live.
+const useInbox = (filters = {}) => {
+  const { intent, campaignId, owner = 'all', view = 'inbox', unreadOnly = false } = filters;
+  const { user } = useAuth();
+
+  const [conversations, setConversations] = useState([]);
+  const [counts, setCounts] = useState({ total: 0, messages: 0, byIntent: {} });
+  const [teammates, setTeammates] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState(null);
+  const refreshTimerRef = useRef(null);
+
+  const fetchConversations = useCallback(async ({ showLoader = true } = {}) => {
+    if (showLoader) setIsLoading(true);
+    setError(null);
+
+    try {
+      const data = await invokeInbox('list', { intent, campaignId, owner, view, unreadOnly });
+      setConversations(data.conversations || []);
+      setCounts(data.counts || { total: 0, messages: 0, byIntent: {} });
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Inbox fetch error:', err);
+      setError(err.message || 'Failed to load conversations');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [intent, campaignId, owner, view, unreadOnly]);
+
+  const loadMore = useCallback(async () => {
+    if (!nextCursor || isLoadingMore) return;
+
+    setIsLoadingMore(true);
+    try {
+      const data = await invokeInbox('list', { intent, campaignId, owner, view, unreadOnly, before: nextCursor });
+      setConversations(current => {
+        const seen = new Set(current.map(conversation => conversation.id));
+        return [...current, ...(data.conversations || []).filter(conversation => !seen.has(conversation.id))];
+      });
+      setNextCursor(data.nextCursor || null);
+    } catch (err) {
+      console.error('Inbox page fetch error:', err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [intent, campaignId, owner, view, unreadOnly, nextCursor, isLoadingMore]);
+
+  const fetchTeammates = useCallback(async () => {
+    try {
+      const data = await invokeInbox('teammates');
+      setTeammates(Array.isArray(data) ? data : []);
+    } catch (err) {
+      console.error('Teammates fetch error:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    fetchTeammates();
+  }, [fetchTeammates]);
+
+  // The realtime callbacks are bound when the channel connects, so they go through a ref
+  const fetchRef = useRef(fetchConversations);
+  fetchRef.current = fetchConversations;
+
+  const scheduleRefresh = useCallback(() => {
+    clearTimeout(refreshTimerRef.current);
+    refreshTimerRef.current = setTimeout(() => fetchRef.current({ showLoader: false }), REFRESH_DEBOUNCE_MS);
+  }, []);
+
+  useEffect(() => () => clearTimeout(refreshTimerRef.current), []);
+
+  // The inbox trigger rolls every new or classified message up into its conversation row, so the
+  // rep only listens to their own and assigned conversations, never to other tenants' messages
+  const ownFilter = useMemo(() => (user?.id ? { user_id: user.id } : null), [user?.id]);
+  const assignedFilter = useMemo(() => (user?.id ? { assigned_to: user.id } : null), [user?.id]);
+
+  const { isConnected } = useRealtime({
+    table: 'conversations',
+    filter: ownFilter,
+    event: 'INSERT,UPDATE',
+    enabled: Boolean(ownFilter),
+    onInsert: scheduleRefresh,
+    onUpdate: scheduleRefresh,
+  });
+
+  useRealtime({
+    table: 'conversations',
+    filter: assignedFilter,
+    event: 'UPDATE',
+    enabled: Boolean(assignedFilter),
+    onUpdate: scheduleRefresh,
+  });
+
+  const replaceConversation = useCallback((updated) => {
+    setConversations(current => current.map(conversation => (
+      conversation.id === updated.id ? { ...conversation, ...updated } : conversation
+    )));
+  }, []);
+
+  const markRead = useCallback(async (conversationId) => {
+    const conversation = conversations.find(item => item.id === conversationId);
+    if (!conversation || conversation.unread_count === 0) return;
+
+    replaceConversation({ id: conversationId, unread_count: 0 });
+    try {
+      replaceConversation(await invokeInbox('read', { conversationId }));
+      scheduleRefresh();
+    } catch (err) {
+      console.error('Mark read error:', err);
+      replaceConversation({ id: conversationId, unread_count: conversation.unread_count });
+    }
+  }, [conversations, replaceConversation, scheduleRefresh]);
+
+  const markUnread = useCallback(async (conversationId) => {
+    replaceConversation(await invokeInbox('unread', { conversationId }));
+    scheduleRefresh();
+  }, [replaceConversation, scheduleRefresh]);
+
+  // Snoozing (or unsnoozing from the snoozed view) moves the conversation out of the current list
+  const snooze = useCallback(async (conversationId, until) => {
+    await invokeInbox('snooze', { conversationId, until: until ? new Date(until).toISOString() : null });
+    setConversations(current => current.filter(conversation => conversation.id !== conversationId));
+    scheduleRefresh();
+  }, [scheduleRefresh]);
+
+  const assign = useCallback(async (conversationId, assigneeId) => {
+    replaceConversation(await invokeInbox('assign', { conversationId, assigneeId }));
+    scheduleRefresh();
+  }, [replaceConversation, scheduleRefresh]);
+
+  return {
+    conversations,
+    counts,
+    teammates,
+    isLoading,
+    isLoadingMore,
+    hasMore: Boolean(nextCursor),
+    error,
+    isLive: isConnected,
+    refetch: fetchConversations,
+    loadMore,
+    markRead,
+    markUnread,
+    snooze,
+    assign,
+  };
+};
+
+export default useInbox;
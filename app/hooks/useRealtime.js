@@ -355,4 +355,3 @@ const useRealtime = (config = {}) => {
 };
 
 export default useRealtime;
-```
\ No newline at end of file
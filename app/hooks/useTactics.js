@@ -0,0 +1,95 @@
+app/hooks/useTactics.js
+
+import { useState, useEffect, useCallback } from 'react';
+import { supabase } from '../lib/supabase';
+import aiTactics from '../constants/aiTactics';
+
+// Tactics come from the server template registry; the bundled list is only a fallback
+const useTactics = () => {
+  const [tactics, setTactics] = useState(aiTactics);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [isFallback, setIsFallback] = useState(true);
+
+  const fetchTactics = useCallback(async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: invokeError } = await supabase.functions.invoke('ai-tactics', {
+        body: {},
+      });
+
+      if (invokeError) {
+        throw new Error(invokeError.message || 'Edge function invocation failed');
+      }
+
+      if (!data || data.error || !Array.isArray(data.tactics)) {
+        throw new Error(data?.error || 'No tactics returned from server');
+      }
+
+      setTactics(data.tactics);
+      setIsFallback(false);
+    } catch (err) {
+      console.error('Tactics fetch error:', err);
+      setError(err.message || 'Failed to load tactics');
+      setIsFallback(true);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  const previewTactic = useCallback(async (tacticId, inputs = {}, version) => {
+    const { data, error: invokeError } = await supabase.functions.invoke('ai-tactics', {
+      body: { tacticId, inputs, version },
+    });
+
+    if (invokeError) {
+      throw new Error(invokeError.message || 'Edge function invocation failed');
+    }
+
+    if (!data || data.error) {
+      throw new Error(data?.error || 'No preview returned from server');
+    }
+
+    return data;
+  }, []);
+
+  // Generation runs server-side so the model API key never lives on the device
+  const generateFromTactic = useCallback(async (tacticId, inputs = {}, options = {}) => {
+    const { data, error: invokeError } = await supabase.functions.invoke('generate-text', {
+      body: {
+        tacticId,
+        inputs,
+        templateVersion: options.templateVersion,
+        leadId: options.leadId,
+      },
+    });
+
+    if (invokeError) {
+      throw new Error(invokeError.message || 'Edge function invocation failed');
+    }
+
+    if (!data || data.error) {
+      throw new Error(data?.error || 'No text returned from generation service');
+    }
+
+    return data;
+  }, []);
+
+  useEffect(() => {
+    fetchTactics();
+  }, [fetchTactics]);
+
+  return {
+    tactics,
+    isLoading,
+    error,
+    isFallback,
+    refetch: fetchTactics,
+    previewTactic,
+    generateFromTactic,
+  };
+};
+
+export default useTactics;
@@ -26,6 +26,7 @@ import { useRouter } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import { useFocusEffect } from '@react-navigation/native';
 import { supabase } from '../../lib/supabase';
+import calendarService from '../../services/calendarService';
 import { useAuth } from '../../context/AuthContext';
 import { validateEmail, validatePassword } from '../../utils/validation';
 import { logEvent } from '../../utils/analytics';
@@ -34,6 +35,10 @@ import { COLORS, SPACING, TYPOGRAPHY } from '../../constants/theme';
 
 const { width: SCREEN_WIDTH, height: SCREEN_HEIGHT } = Dimensions.get('window');
 
+// Push reminders need this device's token on the server; a failure only means they arrive by email
+const registerForPushReminders = () => calendarService.registerDeviceForPush()
+  .catch(error => console.error('Push registration failed:', error));
+
 const LoginScreen = () => {
   const theme = useTheme();
   const router = useRouter();
@@ -53,6 +58,7 @@ const LoginScreen = () => {
   useFocusEffect(
     useCallback(() => {
       if (user && !authLoading) {
+        registerForPushReminders();
         router.replace('/(tabs)/dashboard');
       }
     }, [user, authLoading, router])
@@ -126,6 +132,8 @@ const LoginScreen = () => {
       // Log successful login
       await logEvent('login_success', { email });
 
+      registerForPushReminders();
+
       // Show success message
       showToast('Welcome back!', 'success');
 
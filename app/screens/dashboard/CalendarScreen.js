@@ -39,6 +39,7 @@ import { SafeAreaView } from 'react-native-safe-area-context';
 import { StatusBar } from 'expo-status-bar';
 import { Ionicons } from '@expo/vector-icons';
 import { tw } from '../../lib/tailwind';
+import { CalendarService } from '../../services/calendarService';
 
 // Configure calendar locale
 LocaleConfig.locales['en'] = {
@@ -87,6 +88,18 @@ const CalendarScreen = () => {
     duration: 60,
   });
   const [validationErrors, setValidationErrors] = useState({});
+  const [outcomeEvents, setOutcomeEvents] = useState([]);
+  const [savingOutcomeId, setSavingOutcomeId] = useState(null);
+
+  // Demos and meetings that have ended but were never marked completed or no-show
+  const fetchOutcomeEvents = useCallback(async () => {
+    try {
+      const pending = await CalendarService.getInstance().getEventsNeedingOutcome();
+      setOutcomeEvents(pending);
+    } catch (err) {
+      console.error('Error fetching events needing an outcome:', err);
+    }
+  }, []);
 
   // Fetch events from Supabase
   const fetchEvents = useCallback(async (showLoader = true) => {
@@ -124,13 +137,15 @@ const CalendarScreen = () => {
   const onRefresh = useCallback(() => {
     setRefreshing(true);
     fetchEvents(false);
-  }, [fetchEvents]);
+    fetchOutcomeEvents();
+  }, [fetchEvents, fetchOutcomeEvents]);
 
   // Focus effect to refresh data when screen is focused
   useFocusEffect(
     useCallback(() => {
       fetchEvents();
-    }, [fetchEvents])
+      fetchOutcomeEvents();
+    }, [fetchEvents, fetchOutcomeEvents])
   );
 
   // Memoized filtered events
@@ -316,6 +331,29 @@ const CalendarScreen = () => {
     );
   };
 
+  // Record whether a past meeting happened; a no-show also emails the prospect new times
+  const recordOutcome = async (event, outcome) => {
+    try {
+      setSavingOutcomeId(event.id);
+      const calendarService = CalendarService.getInstance();
+
+      if (outcome === 'no_show') {
+        await calendarService.markEventNoShow(event.id);
+        showSnackbar('Marked as no-show. A rebooking email is on its way.');
+      } else {
+        await calendarService.markEventCompleted(event.id);
+        showSnackbar('Marked as completed');
+      }
+
+      setOutcomeEvents(prev => prev.filter(item => item.id !== event.id));
+    } catch (err) {
+      console.error('Error recording event outcome:', err);
+      showSnackbar('Failed to update event');
+    } finally {
+      setSavingOutcomeId(null);
+    }
+  };
+
   // Navigate to event details
   const navigateToEventDetails = (event) => {
     navigation.navigate('EventDetails', { eventId: event.id });
@@ -568,6 +606,44 @@ const CalendarScreen = () => {
         {/* Filter Chips */}
         <FilterChips />
 
+        {/* Meetings Needing an Outcome */}
+        {outcomeEvents.length > 0 && (
+          <Surface style={styles.eventsSection}>
+            <Title style={styles.sectionTitle}>
+              Did these happen?
+              <Badge style={styles.eventCount}>{outcomeEvents.length}</Badge>
+            </Title>
+            {outcomeEvents.map((event) => (
+              <Card key={event.id} style={styles.eventCard}>
+                <Card.Content>
+                  <Title style={styles.eventTitle}>{event.title}</Title>
+                  <Paragraph style={styles.eventTime}>
+                    {format(parseISO(event.start_time), 'EEE, MMM d • h:mm a')}
+                  </Paragraph>
+                  <View style={styles.outcomeActions}>
+                    <Button
+                      mode="contained"
+                      onPress={() => recordOutcome(event, 'completed')}
+                      disabled={savingOutcomeId === event.id}
+                      style={styles.outcomeButton}
+                    >
+                      Completed
+                    </Button>
+                    <Button
+                      mode="outlined"
+                      onPress={() => recordOutcome(event, 'no_show')}
+                      disabled={savingOutcomeId === event.id}
+                      style={styles.outcomeButton}
+                    >
+                      No-show
+                    </Button>
+                  </View>
+                </Card.Content>
+              </Card>
+            ))}
+          </Surface>
+        )}
+
         {/* Selected Date Events */}
         <Surface style={styles.eventsSection}>
           <Title style={styles.sectionTitle}>
@@ -756,6 +832,13 @@ const styles = StyleSheet.create({
     marginRight: 8,
     marginBottom: 4,
   },
+  outcomeActions: {
+    flexDirection: 'row',
+    marginTop: 8,
+  },
+  outcomeButton: {
+    marginRight: 8,
+  },
   typeChipText: {
     color: '#fff',
     fontSize: 12,
@@ -0,0 +1,326 @@
+app/screens/dashboard/ConversationScreen.js
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, FlatList, KeyboardAvoidingView, Platform, StyleSheet } from 'react-native';
+import {
+  Surface,
+  Title,
+  Paragraph,
+  Text,
+  IconButton,
+  ActivityIndicator,
+  Portal,
+  Dialog,
+  TextInput,
+  Button,
+  HelperText,
+} from 'react-native-paper';
+import { format, parseISO } from 'date-fns';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import useRealtime from '../../hooks/useRealtime';
+import useTactics from '../../hooks/useTactics';
+import MessageComposer from '../../components/MessageComposer';
+
+const MESSAGE_COLUMNS = 'id, content, direction, sender_id, is_ai_generated, created_at, intent, metadata';
+// "Generate AI Response" without a tactic drafts a follow-up to what the rep typed
+const DEFAULT_TACTIC_ID = 'follow-up-message';
+
+// Server tactics describe inputs as { name, label, required }; the bundled fallback only has names
+const toInputFields = (tactic) => (tactic?.inputFields || []).map(field => (
+  typeof field === 'string' ? { name: field, label: field, required: true } : field
+));
+
+// Thread with one lead: messages in order, new replies live, and a composer whose AI drafts come
+// from the server tactic registry through useTactics
+const ConversationScreen = ({ navigation, route }) => {
+  const { conversationId, leadId } = route?.params || {};
+  const { user } = useAuth();
+  const { tactics, generateFromTactic } = useTactics();
+
+  const [messages, setMessages] = useState([]);
+  const [lead, setLead] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // { tacticId, variant, fields, values, resolve, error, isGenerating } while the rep fills in a tactic
+  const [draftRequest, setDraftRequest] = useState(null);
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      const { data, error: fetchError } = await supabase
+        .from('messages')
+        .select(MESSAGE_COLUMNS)
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+
+      if (fetchError) throw fetchError;
+      setMessages(data || []);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching messages:', err);
+      setError('Failed to load messages. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [conversationId]);
+
+  useEffect(() => {
+    fetchMessages();
+  }, [fetchMessages]);
+
+  useEffect(() => {
+    if (!leadId) return;
+
+    supabase
+      .from('leads')
+      .select('id, name, email, company, industry')
+      .eq('id', leadId)
+      .maybeSingle()
+      .then(({ data }) => setLead(data || null));
+  }, [leadId]);
+
+  const messageFilter = useMemo(() => (conversationId ? { conversation_id: conversationId } : null), [conversationId]);
+
+  useRealtime({
+    table: 'messages',
+    filter: messageFilter,
+    event: 'INSERT,UPDATE',
+    enabled: Boolean(messageFilter),
+    onInsert: fetchMessages,
+    onUpdate: fetchMessages,
+  });
+
+  // The reply classifier stores a tactic on objections; it arrives with the message's classification
+  // update, so the composer offers it as soon as the latest reply has been sorted
+  const suggestedTactic = useMemo(() => {
+    const latestInbound = [...messages].reverse().find(message => message.direction === 'inbound');
+    return latestInbound?.metadata?.suggested_tactic || null;
+  }, [messages]);
+
+  const handleMessageSent = useCallback((message) => {
+    setMessages(current => (current.some(item => item.id === message.id) ? current : [...current, message]));
+  }, []);
+
+  const generateDraft = useCallback(async (request) => {
+    const result = await generateFromTactic(request.tacticId, request.values, {
+      leadId,
+      templateVersion: request.variant,
+    });
+    return {
+      text: result.text,
+      tacticId: result.tacticId,
+      variant: result.templateVersion,
+      generationId: result.generationId,
+    };
+  }, [generateFromTactic, leadId]);
+
+  // Resolves with the draft and the tactic it came from, or null when the rep cancels. Lead details
+  // and the tactic's own inputs are filled in; what the rep typed goes into the first field still empty.
+  const handleAIGenerate = useCallback((prompt, tactic) => {
+    const tacticId = tactic?.tacticId || DEFAULT_TACTIC_ID;
+    const fields = toInputFields(tactics.find(item => item.id === tacticId));
+    const values = {
+      companyName: lead?.company || '',
+      industry: lead?.industry || '',
+      senderName: user?.user_metadata?.full_name || '',
+      ...tactic?.inputs,
+    };
+
+    const emptyField = fields.find(field => !values[field.name]);
+    if (emptyField && prompt && !Object.values(values).includes(prompt)) {
+      values[emptyField.name] = prompt;
+    }
+
+    // A recommended tactic names the prompt variant the optimizer picked; it's drafted with that one
+    const request = { tacticId, variant: tactic?.variant, fields, values };
+    if (fields.every(field => !field.required || values[field.name])) {
+      return generateDraft(request);
+    }
+
+    return new Promise(resolve => setDraftRequest({ ...request, resolve }));
+  }, [tactics, lead, user, generateDraft]);
+
+  const updateDraftValue = (name, value) => {
+    setDraftRequest(current => ({ ...current, values: { ...current.values, [name]: value } }));
+  };
+
+  const submitDraftRequest = async () => {
+    setDraftRequest(current => ({ ...current, isGenerating: true, error: null }));
+    try {
+      const draft = await generateDraft(draftRequest);
+      draftRequest.resolve(draft);
+      setDraftRequest(null);
+    } catch (err) {
+      console.error('Error generating draft:', err);
+      setDraftRequest(current => ({ ...current, isGenerating: false, error: err.message || 'Failed to generate a draft' }));
+    }
+  };
+
+  const cancelDraftRequest = () => {
+    draftRequest?.resolve(null);
+    setDraftRequest(null);
+  };
+
+  const renderMessage = ({ item }) => {
+    const inbound = item.direction === 'inbound';
+
+    return (
+      <View style={[styles.bubble, inbound ? styles.inboundBubble : styles.outboundBubble]}>
+        <Paragraph style={inbound ? styles.inboundText : styles.outboundText}>{item.content}</Paragraph>
+        <Text style={[styles.time, !inbound && styles.outboundTime]}>
+          {item.is_ai_generated ? 'AI draft • ' : ''}
+          {item.created_at ? format(parseISO(item.created_at), 'MMM d, h:mm a') : ''}
+        </Text>
+      </View>
+    );
+  };
+
+  const activeTactic = draftRequest && tactics.find(item => item.id === draftRequest.tacticId);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <Surface style={styles.header}>
+        <IconButton icon="arrow-left" onPress={() => navigation.goBack()} />
+        <View style={styles.headerText}>
+          <Title style={styles.headerTitle} numberOfLines={1}>
+            {lead?.name || lead?.email || 'Conversation'}
+          </Title>
+          {lead?.company ? <Text style={styles.headerSubtitle} numberOfLines={1}>{lead.company}</Text> : null}
+        </View>
+      </Surface>
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.body}
+      >
+        {isLoading ? (
+          <View style={styles.centered}>
+            <ActivityIndicator size="large" />
+          </View>
+        ) : error ? (
+          <View style={styles.centered}>
+            <Paragraph style={styles.errorText}>{error}</Paragraph>
+            <Button mode="outlined" onPress={fetchMessages}>Retry</Button>
+          </View>
+        ) : (
+          <FlatList
+            data={messages}
+            keyExtractor={item => item.id}
+            renderItem={renderMessage}
+            contentContainerStyle={styles.listContent}
+          />
+        )}
+
+        <MessageComposer
+          conversationId={conversationId}
+          leadId={leadId}
+          suggestedTactic={suggestedTactic}
+          onMessageSent={handleMessageSent}
+          onAIGenerate={handleAIGenerate}
+        />
+      </KeyboardAvoidingView>
+
+      <Portal>
+        <Dialog visible={Boolean(draftRequest)} onDismiss={cancelDraftRequest}>
+          <Dialog.Title>{activeTactic?.name || 'Generate draft'}</Dialog.Title>
+          <Dialog.Content>
+            {draftRequest?.fields.map(field => (
+              <TextInput
+                key={field.name}
+                label={field.label}
+                value={draftRequest.values[field.name] || ''}
+                onChangeText={value => updateDraftValue(field.name, value)}
+                multiline={field.type === 'text'}
+                mode="outlined"
+                style={styles.dialogInput}
+              />
+            ))}
+            {draftRequest?.error ? <HelperText type="error">{draftRequest.error}</HelperText> : null}
+          </Dialog.Content>
+          <Dialog.Actions>
+            <Button onPress={cancelDraftRequest}>Cancel</Button>
+            <Button onPress={submitDraftRequest} loading={draftRequest?.isGenerating} disabled={draftRequest?.isGenerating}>
+              Generate
+            </Button>
+          </Dialog.Actions>
+        </Dialog>
+      </Portal>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  header: {
+    elevation: 4,
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingRight: 16,
+    paddingVertical: 4,
+  },
+  headerText: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+  },
+  headerSubtitle: {
+    color: '#666',
+  },
+  body: {
+    flex: 1,
+  },
+  centered: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 24,
+  },
+  errorText: {
+    color: '#c62828',
+    marginBottom: 12,
+    textAlign: 'center',
+  },
+  listContent: {
+    padding: 12,
+  },
+  bubble: {
+    maxWidth: '85%',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginBottom: 8,
+  },
+  inboundBubble: {
+    alignSelf: 'flex-start',
+    backgroundColor: '#fff',
+  },
+  outboundBubble: {
+    alignSelf: 'flex-end',
+    backgroundColor: '#6200EE',
+  },
+  inboundText: {
+    color: '#222',
+  },
+  outboundText: {
+    color: '#fff',
+  },
+  time: {
+    fontSize: 11,
+    color: '#888',
+    marginTop: 2,
+  },
+  outboundTime: {
+    color: '#e0d4ff',
+  },
+  dialogInput: {
+    marginBottom: 8,
+  },
+});
+
+export default ConversationScreen;
@@ -0,0 +1,600 @@
+app/screens/dashboard/InboxScreen.js
+
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { View, ScrollView, FlatList, RefreshControl, StyleSheet } from 'react-native';
+import {
+  Surface,
+  Card,
+  Title,
+  Paragraph,
+  Text,
+  Button,
+  Chip,
+  Badge,
+  Menu,
+  IconButton,
+  Divider,
+  ActivityIndicator,
+  Snackbar,
+} from 'react-native-paper';
+import { format, parseISO, isToday, isYesterday, addHours, addDays, addWeeks, setHours, startOfDay, startOfWeek } from 'date-fns';
+import { useNavigation } from '@react-navigation/native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { Ionicons } from '@expo/vector-icons';
+import { supabase } from '../../lib/supabase';
+import { useAuth } from '../../contexts/AuthContext';
+import useInbox from '../../hooks/useInbox';
+import { REPLY_INTENTS, REPLY_INTENT_LABELS } from '../../utils/replyIntents';
+
+const INTENT_COLORS = {
+  interested: '#2e7d32',
+  objection: '#ef6c00',
+  out_of_office: '#607d8b',
+  unsubscribe: '#c62828',
+  wrong_person: '#6a1b9a',
+  other: '#757575',
+};
+
+// Mornings are 9am local; "next week" is Monday 9am
+const SNOOZE_OPTIONS = [
+  { key: 'hours', label: 'In 3 hours', until: () => addHours(new Date(), 3) },
+  { key: 'tomorrow', label: 'Tomorrow morning', until: () => setHours(startOfDay(addDays(new Date(), 1)), 9) },
+  { key: 'week', label: 'Next week', until: () => setHours(startOfWeek(addWeeks(new Date(), 1), { weekStartsOn: 1 }), 9) },
+];
+
+const formatMessageTime = (value) => {
+  if (!value) return '';
+  const date = parseISO(value);
+  if (isToday(date)) return format(date, 'h:mm a');
+  if (isYesterday(date)) return 'Yesterday';
+  return format(date, 'MMM d');
+};
+
+const InboxScreen = () => {
+  const navigation = useNavigation();
+  const { user } = useAuth();
+
+  const [view, setView] = useState('inbox'); // 'inbox', 'snoozed'
+  const [intent, setIntent] = useState(null);
+  const [campaignId, setCampaignId] = useState(null);
+  const [owner, setOwner] = useState('all'); // 'all', 'me', 'unassigned' or a teammate id
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [campaigns, setCampaigns] = useState([]);
+  const [openMenu, setOpenMenu] = useState(null); // 'campaign', 'owner' or `${conversationId}:actions|snooze|assign`
+  const [refreshing, setRefreshing] = useState(false);
+  const [snackbarMessage, setSnackbarMessage] = useState('');
+
+  const {
+    conversations,
+    counts,
+    teammates,
+    isLoading,
+    isLoadingMore,
+    hasMore,
+    error,
+    isLive,
+    refetch,
+    loadMore,
+    markRead,
+    markUnread,
+    snooze,
+    assign,
+  } = useInbox({ intent, campaignId, owner, view, unreadOnly });
+
+  useEffect(() => {
+    const fetchCampaigns = async () => {
+      const { data, error: fetchError } = await supabase
+        .from('campaigns')
+        .select('id, name')
+        .order('created_at', { ascending: false });
+
+      if (fetchError) {
+        console.error('Error fetching campaigns:', fetchError);
+        return;
+      }
+      setCampaigns(data || []);
+    };
+
+    fetchCampaigns();
+  }, []);
+
+  const teammateNames = useMemo(
+    () => new Map(teammates.map(teammate => [teammate.id, teammate.name])),
+    [teammates]
+  );
+
+  const ownerLabel = owner === 'all' ? 'Everyone'
+    : owner === 'me' ? 'Mine'
+      : owner === 'unassigned' ? 'Unassigned'
+        : teammateNames.get(owner) || 'Teammate';
+
+  const campaignLabel = campaigns.find(campaign => campaign.id === campaignId)?.name || 'All campaigns';
+
+  const handleRefresh = useCallback(async () => {
+    setRefreshing(true);
+    await refetch({ showLoader: false });
+    setRefreshing(false);
+  }, [refetch]);
+
+  const runAction = async (action, successMessage) => {
+    setOpenMenu(null);
+    try {
+      await action();
+      if (successMessage) setSnackbarMessage(successMessage);
+    } catch (err) {
+      console.error('Inbox action error:', err);
+      setSnackbarMessage(err.message || 'Something went wrong');
+    }
+  };
+
+  const openConversation = (conversation) => {
+    markRead(conversation.id);
+    navigation.navigate('Conversation', {
+      conversationId: conversation.id,
+      leadId: conversation.lead_id,
+    });
+  };
+
+  const assigneeName = (conversation) => {
+    if (!conversation.assigned_to) return null;
+    if (conversation.assigned_to === user?.id) return 'You';
+    return teammateNames.get(conversation.assigned_to) || 'Teammate';
+  };
+
+  const renderFilters = () => (
+    <View>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.filterContainer}>
+        <Chip
+          selected={!intent}
+          onPress={() => setIntent(null)}
+          style={[styles.filterChip, !intent && styles.selectedFilterChip]}
+          textStyle={[styles.filterChipText, !intent && styles.selectedFilterChipText]}
+        >
+          All{counts.total > 0 ? ` · ${counts.total}` : ''}
+        </Chip>
+        {REPLY_INTENTS.map(key => (
+          <Chip
+            key={key}
+            selected={intent === key}
+            onPress={() => setIntent(intent === key ? null : key)}
+            style={[styles.filterChip, intent === key && styles.selectedFilterChip]}
+            textStyle={[styles.filterChipText, intent === key && styles.selectedFilterChipText]}
+          >
+            {REPLY_INTENT_LABELS[key]}{counts.byIntent[key] > 0 ? ` · ${counts.byIntent[key]}` : ''}
+          </Chip>
+        ))}
+      </ScrollView>
+
+      <View style={styles.filterRow}>
+        <Menu
+          visible={openMenu === 'campaign'}
+          onDismiss={() => setOpenMenu(null)}
+          anchor={(
+            <Button mode="outlined" compact icon="bullhorn" onPress={() => setOpenMenu('campaign')} style={styles.filterButton}>
+              {campaignLabel}
+            </Button>
+          )}
+        >
+          <Menu.Item title="All campaigns" onPress={() => { setCampaignId(null); setOpenMenu(null); }} />
+          <Divider />
+          {campaigns.map(campaign => (
+            <Menu.Item
+              key={campaign.id}
+              title={campaign.name}
+              onPress={() => { setCampaignId(campaign.id); setOpenMenu(null); }}
+            />
+          ))}
+        </Menu>
+
+        <Menu
+          visible={openMenu === 'owner'}
+          onDismiss={() => setOpenMenu(null)}
+          anchor={(
+            <Button mode="outlined" compact icon="account" onPress={() => setOpenMenu('owner')} style={styles.filterButton}>
+              {ownerLabel}
+            </Button>
+          )}
+        >
+          <Menu.Item title="Everyone" onPress={() => { setOwner('all'); setOpenMenu(null); }} />
+          <Menu.Item title="Mine" onPress={() => { setOwner('me'); setOpenMenu(null); }} />
+          <Menu.Item title="Unassigned" onPress={() => { setOwner('unassigned'); setOpenMenu(null); }} />
+          {teammates.length > 0 && <Divider />}
+          {teammates.map(teammate => (
+            <Menu.Item
+              key={teammate.id}
+              title={`Assigned to ${teammate.name}`}
+              onPress={() => { setOwner(teammate.id); setOpenMenu(null); }}
+            />
+          ))}
+        </Menu>
+
+        <Chip
+          selected={unreadOnly}
+          onPress={() => setUnreadOnly(!unreadOnly)}
+          icon="email-mark-as-unread"
+          style={styles.unreadChip}
+        >
+          Unread
+        </Chip>
+      </View>
+    </View>
+  );
+
+  const renderConversationMenu = (conversation) => {
+    const menuKey = openMenu?.startsWith(`${conversation.id}:`) ? openMenu.split(':')[1] : null;
+
+    return (
+      <Menu
+        visible={Boolean(menuKey)}
+        onDismiss={() => setOpenMenu(null)}
+        anchor={<IconButton icon="dots-vertical" size={20} onPress={() => setOpenMenu(`${conversation.id}:actions`)} />}
+      >
+        {menuKey === 'actions' && (
+          <>
+            {conversation.unread_count > 0 ? (
+              <Menu.Item leadingIcon="email-open" title="Mark as read" onPress={() => runAction(() => markRead(conversation.id))} />
+            ) : (
+              <Menu.Item leadingIcon="email-mark-as-unread" title="Mark as unread" onPress={() => runAction(() => markUnread(conversation.id))} />
+            )}
+            {view === 'snoozed' ? (
+              <Menu.Item
+                leadingIcon="alarm-off"
+                title="Unsnooze"
+                onPress={() => runAction(() => snooze(conversation.id, null), 'Moved back to the inbox')}
+              />
+            ) : (
+              <Menu.Item leadingIcon="alarm-snooze" title="Snooze…" onPress={() => setOpenMenu(`${conversation.id}:snooze`)} />
+            )}
+            <Menu.Item leadingIcon="account-arrow-right" title="Assign…" onPress={() => setOpenMenu(`${conversation.id}:assign`)} />
+          </>
+        )}
+
+        {menuKey === 'snooze' && SNOOZE_OPTIONS.map(option => (
+          <Menu.Item
+            key={option.key}
+            title={option.label}
+            onPress={() => {
+              const until = option.until();
+              runAction(() => snooze(conversation.id, until), `Snoozed until ${format(until, 'EEE, MMM d • h:mm a')}`);
+            }}
+          />
+        ))}
+
+        {menuKey === 'assign' && (
+          <>
+            {conversation.user_id === user?.id ? (
+              <Menu.Item
+                title="Keep it myself"
+                onPress={() => runAction(() => assign(conversation.id, null), 'Unassigned')}
+              />
+            ) : (
+              <Menu.Item
+                title="Hand back to owner"
+                onPress={() => runAction(() => assign(conversation.id, null), 'Handed back')}
+              />
+            )}
+            {teammates.length === 0 && <Menu.Item title="No teammates yet" disabled />}
+            {teammates.map(teammate => (
+              <Menu.Item
+                key={teammate.id}
+                title={teammate.name}
+                onPress={() => runAction(() => assign(conversation.id, teammate.id), `Assigned to ${teammate.name}`)}
+              />
+            ))}
+          </>
+        )}
+      </Menu>
+    );
+  };
+
+  const renderConversation = ({ item: conversation }) => {
+    const unread = conversation.unread_count > 0;
+    const assignee = assigneeName(conversation);
+
+    return (
+      <Card style={[styles.conversationCard, unread && styles.unreadCard]} onPress={() => openConversation(conversation)}>
+        <Card.Content>
+          <View style={styles.conversationHeader}>
+            <View style={styles.conversationInfo}>
+              <Title style={[styles.leadName, unread && styles.unreadText]} numberOfLines={1}>
+                {conversation.lead?.name || conversation.lead?.email || 'Unknown sender'}
+                {conversation.lead?.company ? <Text style={styles.company}>{`  ${conversation.lead.company}`}</Text> : null}
+              </Title>
+              {conversation.subject ? (
+                <Paragraph style={[styles.subject, unread && styles.unreadText]} numberOfLines={1}>
+                  {conversation.subject}
+                </Paragraph>
+              ) : null}
+            </View>
+            <View style={styles.conversationMeta}>
+              <Text style={styles.time}>{formatMessageTime(conversation.last_message_at)}</Text>
+              {unread && <Badge style={styles.unreadBadge}>{conversation.unread_count}</Badge>}
+            </View>
+            {renderConversationMenu(conversation)}
+          </View>
+
+          {conversation.last_message_preview ? (
+            <Paragraph style={styles.preview} numberOfLines={2}>{conversation.last_message_preview}</Paragraph>
+          ) : null}
+
+          <View style={styles.conversationFooter}>
+            {conversation.last_intent && (
+              <Chip
+                compact
+                style={[styles.intentChip, { backgroundColor: INTENT_COLORS[conversation.last_intent] }]}
+                textStyle={styles.intentChipText}
+              >
+                {REPLY_INTENT_LABELS[conversation.last_intent]}
+              </Chip>
+            )}
+            {conversation.campaign?.name && (
+              <Chip compact icon="bullhorn" style={styles.metaChip}>{conversation.campaign.name}</Chip>
+            )}
+            {assignee && (
+              <Chip compact icon="account-arrow-right" style={styles.metaChip}>{assignee}</Chip>
+            )}
+            {view === 'snoozed' && conversation.snoozed_until && (
+              <Chip compact icon="alarm-snooze" style={styles.metaChip}>
+                {format(parseISO(conversation.snoozed_until), 'MMM d, h:mm a')}
+              </Chip>
+            )}
+          </View>
+        </Card.Content>
+      </Card>
+    );
+  };
+
+  const renderEmpty = () => (
+    <Card style={styles.emptyCard}>
+      <Card.Content style={styles.emptyContent}>
+        <Ionicons name={view === 'snoozed' ? 'alarm-outline' : 'mail-open-outline'} size={48} color="#ccc" />
+        <Paragraph style={styles.emptyText}>
+          {error || (view === 'snoozed' ? 'Nothing is snoozed' : 'No conversations match these filters')}
+        </Paragraph>
+        {error && (
+          <Button mode="outlined" onPress={() => refetch()} style={styles.retryButton}>
+            Retry
+          </Button>
+        )}
+      </Card.Content>
+    </Card>
+  );
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <Surface style={styles.header}>
+        <View style={styles.headerContent}>
+          <View style={styles.headerTitleRow}>
+            <Title style={styles.headerTitle}>Inbox</Title>
+            {counts.messages > 0 && <Badge style={styles.headerBadge}>{counts.messages}</Badge>}
+            {isLive && <View style={styles.liveDot} accessibilityLabel="Live updates on" />}
+          </View>
+          <View style={styles.headerActions}>
+            <Chip
+              selected={view === 'inbox'}
+              onPress={() => setView('inbox')}
+              style={[styles.viewChip, view === 'inbox' && styles.selectedFilterChip]}
+              textStyle={[styles.filterChipText, view === 'inbox' && styles.selectedFilterChipText]}
+            >
+              Inbox
+            </Chip>
+            <Chip
+              selected={view === 'snoozed'}
+              onPress={() => setView('snoozed')}
+              style={[styles.viewChip, view === 'snoozed' && styles.selectedFilterChip]}
+              textStyle={[styles.filterChipText, view === 'snoozed' && styles.selectedFilterChipText]}
+            >
+              Snoozed
+            </Chip>
+          </View>
+        </View>
+      </Surface>
+
+      {renderFilters()}
+
+      {isLoading && !refreshing ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" />
+          <Paragraph style={styles.loadingText}>Loading conversations...</Paragraph>
+        </View>
+      ) : (
+        <FlatList
+          data={conversations}
+          keyExtractor={item => item.id}
+          renderItem={renderConversation}
+          ListEmptyComponent={renderEmpty}
+          contentContainerStyle={styles.listContent}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+          onEndReached={() => hasMore && loadMore()}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={isLoadingMore ? <ActivityIndicator style={styles.footerLoader} /> : null}
+        />
+      )}
+
+      <Snackbar
+        visible={Boolean(snackbarMessage)}
+        onDismiss={() => setSnackbarMessage('')}
+        duration={3000}
+      >
+        {snackbarMessage}
+      </Snackbar>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#f5f5f5',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 16,
+    color: '#666',
+  },
+  header: {
+    elevation: 4,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  headerContent: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  headerTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerBadge: {
+    marginLeft: 8,
+    backgroundColor: '#6200EE',
+    color: '#fff',
+  },
+  liveDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    marginLeft: 8,
+    backgroundColor: '#2e7d32',
+  },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  viewChip: {
+    marginLeft: 8,
+    backgroundColor: '#e0e0e0',
+  },
+  filterContainer: {
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 8,
+  },
+  filterChip: {
+    marginRight: 8,
+    backgroundColor: '#e0e0e0',
+  },
+  selectedFilterChip: {
+    backgroundColor: '#6200EE',
+  },
+  filterChipText: {
+    color: '#333',
+  },
+  selectedFilterChipText: {
+    color: '#fff',
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    paddingBottom: 8,
+  },
+  filterButton: {
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  unreadChip: {
+    marginBottom: 4,
+  },
+  listContent: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  conversationCard: {
+    marginBottom: 12,
+    borderRadius: 8,
+  },
+  unreadCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: '#6200EE',
+  },
+  conversationHeader: {
+    flexDirection: 'row',
+    alignItems: 'flex-start',
+  },
+  conversationInfo: {
+    flex: 1,
+  },
+  leadName: {
+    fontSize: 16,
+    marginBottom: 0,
+  },
+  company: {
+    fontSize: 13,
+    color: '#666',
+  },
+  subject: {
+    color: '#333',
+  },
+  unreadText: {
+    fontWeight: 'bold',
+  },
+  conversationMeta: {
+    alignItems: 'flex-end',
+    marginLeft: 8,
+    paddingTop: 4,
+  },
+  time: {
+    fontSize: 12,
+    color: '#666',
+  },
+  unreadBadge: {
+    marginTop: 4,
+    backgroundColor: '#6200EE',
+    color: '#fff',
+  },
+  preview: {
+    color: '#666',
+    marginTop: 4,
+  },
+  conversationFooter: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  intentChip: {
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  intentChipText: {
+    color: '#fff',
+    fontSize: 12,
+  },
+  metaChip: {
+    marginRight: 8,
+    marginBottom: 4,
+    backgroundColor: '#f0f0f0',
+  },
+  emptyCard: {
+    marginTop: 16,
+    elevation: 0,
+    backgroundColor: 'transparent',
+  },
+  emptyContent: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  emptyText: {
+    marginTop: 16,
+    textAlign: 'center',
+    color: '#666',
+  },
+  retryButton: {
+    marginTop: 16,
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+});
+
+export default InboxScreen;
@@ -6,6 +6,7 @@ import { Appbar, List, FAB } from 'react-native-paper';
 import { useFocusEffect } from '@react-navigation/native';
 import { tw } from 'lib/tailwind';
 import supabase from 'lib/supabase';
+import LeadCard from 'components/LeadCard';
 
 const LeadBoardScreen = ({ navigation }) => {
   const [leads, setLeads] = useState([]);
@@ -17,7 +18,7 @@ const LeadBoardScreen = ({ navigation }) => {
     try {
       const { data, error: fetchError } = await supabase
         .from('leads')
-        .select('id, name, company, score, status, created_at')
+        .select('id, name, company, email, phone, score, priority, score_breakdown, status, last_contacted, created_at')
         .order('score', { ascending: false })
         .limit(50);
 
@@ -45,54 +46,24 @@ const LeadBoardScreen = ({ navigation }) => {
     fetchLeads();
   };
 
-  const getStatusColor = (status) => {
-    switch (status.toLowerCase()) {
-      case 'new': return '#10B981';
-      case 'contacted': return '#3B82F6';
-      case 'converted': return '#8B5CF6';
-      default: return '#6B7280';
+  // Removed from the list straight away and put back if the delete fails
+  const handleDelete = async (leadId) => {
+    const previous = leads;
+    setLeads(current => current.filter(lead => lead.id !== leadId));
+
+    const { error: deleteError } = await supabase.from('leads').delete().eq('id', leadId);
+    if (deleteError) {
+      console.error('Error deleting lead:', deleteError);
+      setLeads(previous);
     }
   };
 
   const renderLeadItem = ({ item }) => (
-    <List.Item
-      title={item.name}
-      description={`${item.company} • Score: ${item.score}`}
-      left={props => (
-        <View style={tw`items-center justify-center`}>
-          <View 
-            style={[
-              tw`w-12 h-12 rounded-full items-center justify-center bg-blue-100`, 
-              { backgroundColor: getStatusColor(item.status) + '20' }
-            ]}
-          >
-            <Text style={[tw`font-bold text-lg`, { color: getStatusColor(item.status) }]}>
-              {item.name.charAt(0).toUpperCase()}
-            </Text>
-          </View>
-        </View>
-      )}
-      right={props => (
-        <View style={tw`items-end justify-center pr-2`}>
-          <Text style={tw`text-xs text-gray-500`}>
-            {new Date(item.created_at).toLocaleDateString()}
-          </Text>
-          <View 
-            style={[
-              tw`mt-1 px-2 py-1 rounded-full`, 
-              { backgroundColor: getStatusColor(item.status) + '20' }
-            ]}
-          >
-            <Text style={[tw`text-xs font-medium`, { color: getStatusColor(item.status) }]}>
-              {item.status}
-            </Text>
-          </View>
-        </View>
-      )}
-      style={tw`py-4 border-b border-gray-100`}
-      titleStyle={tw`font-bold text-gray-800`}
-      descriptionStyle={tw`text-gray-500`}
-      onPress={() => navigation.navigate('LeadDetail', { leadId: item.id })}
+    <LeadCard
+      lead={item}
+      onDelete={handleDelete}
+      onDetailsPress={() => navigation.navigate('LeadDetail', { leadId: item.id })}
+      onFindSimilar={lead => navigation.navigate('LeadSearch', { similarTo: { id: lead.id, name: lead.name } })}
     />
   );
 
@@ -157,7 +128,7 @@ const LeadBoardScreen = ({ navigation }) => {
             />
           }
           ListEmptyComponent={renderEmptyState}
-          contentContainerStyle={leads.length === 0 ? tw`flex-1` : tw`pb-20`}
+          contentContainerStyle={leads.length === 0 ? tw`flex-1` : tw`px-4 pt-3 pb-20`}
         />
       )}
 
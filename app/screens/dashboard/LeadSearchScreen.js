@@ -0,0 +1,153 @@
+app/screens/dashboard/LeadSearchScreen.js
+
+import React, { useState, useEffect, useCallback } from 'react';
+import { SafeAreaView, FlatList, ActivityIndicator, Text, View } from 'react-native';
+import { Appbar, Searchbar, Chip, List } from 'react-native-paper';
+import { tw } from 'lib/tailwind';
+import supabase from 'lib/supabase';
+
+const STATUS_FILTERS = ['new', 'contacted', 'qualified', 'converted'];
+const SCORE_FILTERS = [
+  { label: 'Any score', value: null },
+  { label: '40+', value: 40 },
+  { label: '70+', value: 70 },
+];
+
+const LeadSearchScreen = ({ navigation, route }) => {
+  const similarTo = route?.params?.similarTo || null;
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState(null);
+  const [minScore, setMinScore] = useState(null);
+  const [results, setResults] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [hasSearched, setHasSearched] = useState(false);
+
+  const runSearch = useCallback(async () => {
+    if (!similarTo && !query.trim()) return;
+
+    setLoading(true);
+    setError(null);
+
+    try {
+      const { data, error: invokeError } = await supabase.functions.invoke('search-leads', {
+        body: {
+          ...(similarTo ? { leadId: similarTo.id } : { query: query.trim() }),
+          status,
+          minScore,
+        },
+      });
+
+      if (invokeError) throw invokeError;
+      if (data?.error) throw new Error(data.error);
+
+      setResults(data?.leads || []);
+      setHasSearched(true);
+    } catch (err) {
+      console.error('Error searching leads:', err);
+      setError('Search failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [similarTo, query, status, minScore]);
+
+  // "More like this" searches immediately and re-runs whenever a filter changes
+  useEffect(() => {
+    if (similarTo || hasSearched) {
+      runSearch();
+    }
+  }, [similarTo, status, minScore]);
+
+  const renderResult = ({ item }) => (
+    <List.Item
+      title={item.name}
+      description={`${item.company || 'Unknown company'} • Score: ${item.score ?? '–'} • ${item.status}`}
+      right={() => (
+        <View style={tw`items-end justify-center pr-2`}>
+          <Text style={tw`text-xs text-gray-500`}>Match</Text>
+          <Text style={tw`text-base font-bold text-blue-600`}>
+            {Math.round(item.similarity * 100)}%
+          </Text>
+        </View>
+      )}
+      style={tw`py-3 border-b border-gray-100`}
+      titleStyle={tw`font-bold text-gray-800`}
+      descriptionStyle={tw`text-gray-500`}
+      onPress={() => navigation.navigate('LeadDetail', { leadId: item.id })}
+    />
+  );
+
+  const renderEmptyState = () => (
+    <View style={tw`flex-1 items-center justify-center p-8`}>
+      <List.Icon icon={error ? 'alert-circle' : 'magnify'} color={error ? '#EF4444' : '#9CA3AF'} size={48} />
+      <Text style={tw`text-center text-gray-500 mt-4`}>
+        {error || (hasSearched
+          ? 'No matching leads found'
+          : 'Describe who you are looking for, e.g. "fintech CFOs in Berlin who mentioned SOC2"')}
+      </Text>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={tw`flex-1 bg-gray-50`}>
+      <Appbar.Header style={tw`bg-white shadow`}>
+        <Appbar.BackAction onPress={() => navigation.goBack()} />
+        <Appbar.Content
+          title={similarTo ? `Like ${similarTo.name}` : 'Search Leads'}
+          titleStyle={tw`font-bold`}
+        />
+      </Appbar.Header>
+
+      {!similarTo && (
+        <Searchbar
+          placeholder="Search by description..."
+          value={query}
+          onChangeText={setQuery}
+          onSubmitEditing={runSearch}
+          onIconPress={runSearch}
+          returnKeyType="search"
+          style={tw`m-3`}
+        />
+      )}
+
+      <View style={tw`flex-row flex-wrap px-3 pb-2`}>
+        {STATUS_FILTERS.map(option => (
+          <Chip
+            key={option}
+            selected={status === option}
+            onPress={() => setStatus(status === option ? null : option)}
+            style={tw`mr-2 mb-2`}
+          >
+            {option}
+          </Chip>
+        ))}
+        {SCORE_FILTERS.map(option => (
+          <Chip
+            key={option.label}
+            selected={minScore === option.value}
+            onPress={() => setMinScore(option.value)}
+            style={tw`mr-2 mb-2`}
+          >
+            {option.label}
+          </Chip>
+        ))}
+      </View>
+
+      {loading ? (
+        <View style={tw`flex-1 items-center justify-center`}>
+          <ActivityIndicator size="large" color="#3B82F6" />
+        </View>
+      ) : (
+        <FlatList
+          data={results}
+          keyExtractor={(item) => item.id.toString()}
+          renderItem={renderResult}
+          ListEmptyComponent={renderEmptyState}
+          contentContainerStyle={results.length === 0 ? tw`flex-1` : tw`pb-8`}
+        />
+      )}
+    </SafeAreaView>
+  );
+};
+
+export default LeadSearchScreen;
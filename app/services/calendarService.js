@@ -1,17 +1,34 @@
 app/services/calendarService.js
 
 
+import { Platform } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import * as Device from 'expo-device';
+import Constants from 'expo-constants';
 import { supabase } from '../config/supabase';
 import { Logger } from '../utils/logger';
 import { validateInput } from '../utils/validation';
 import { formatDate, parseDate, addDays, isDateInRange } from '../utils/dateHelpers';
-import { generateNotificationId } from '../utils/idGenerator';
+import {
+  parseRecurrencePattern,
+  expandRecurrence,
+  expandSeries,
+  getRecurrenceEnd,
+  splitRecurrence,
+} from '../utils/recurrence';
+import { EVENT_STATUSES, assertTransition, needsOutcome, OUTCOME_EVENT_TYPES } from '../utils/eventLifecycle';
 import { NotificationService } from './notificationService';
 import { SyncService } from './syncService';
 
 const CALENDAR_TABLE = 'calendar_events';
 const REMINDERS_TABLE = 'event_reminders';
 const ATTENDEES_TABLE = 'event_attendees';
+const PUSH_TOKENS_TABLE = 'push_tokens';
+const EDIT_SCOPES = ['this', 'following', 'all'];
+// Delivery channels; 'notification' is push. The server-side dispatcher sends them, so they reach every device.
+const REMINDER_TYPES = ['notification', 'email', 'in_app'];
+// Fields that stay per-occurrence when a series edit is copied onto its overridden occurrences
+const SCHEDULE_FIELDS = ['start_time', 'end_time', 'recurring', 'recurrence_pattern', 'attendees', 'reminders'];
 
 export class CalendarService {
   static instance = null;
@@ -72,6 +89,7 @@ export class CalendarService {
 
       const eventPayload = {
         ...validation.data,
+        ...(eventData.recurring ? this.buildRecurrenceFields(eventData.recurrence_pattern, startTime, endTime) : {}),
         user_id: user.id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString(),
@@ -92,10 +110,6 @@ export class CalendarService {
       await this.processEventAttendees(event.id, eventData.attendees || []);
       await this.processEventReminders(event.id, eventData.reminders || []);
 
-      if (eventData.recurring) {
-        await this.createRecurringEvents(event);
-      }
-
       await this.syncService.scheduleSync('calendar', event.id);
 
       this.logger.info('Calendar event created successfully', { eventId: event.id });
@@ -107,9 +121,11 @@ export class CalendarService {
     }
   }
 
-  async updateEvent(eventId, updateData) {
+  // For recurring series, options.scope is 'this', 'following' or 'all' and options.occurrenceStart is
+  // the original start_time of the occurrence the edit was made from
+  async updateEvent(eventId, updateData, options = {}) {
     try {
-      this.logger.info('Updating calendar event', { eventId, updateData });
+      this.logger.info('Updating calendar event', { eventId, updateData, options });
 
       const validation = validateInput(updateData, {
         title: { required: false, type: 'string', maxLength: 255 },
@@ -120,7 +136,13 @@ export class CalendarService {
         event_type: { required: false, type: 'string', enum: ['meeting', 'call', 'follow_up', 'demo', 'proposal', 'other'] },
         priority: { required: false, type: 'string', enum: ['low', 'medium', 'high'] },
         all_day: { required: false, type: 'boolean' },
-        status: { required: false, type: 'string', enum: ['scheduled', 'completed', 'cancelled', 'postponed'] },
+        status: { required: false, type: 'string', enum: EVENT_STATUSES },
+        completion_notes: { required: false, type: 'string', maxLength: 1000 },
+        completed_at: { required: false, type: 'string' },
+        no_show_at: { required: false, type: 'string' },
+        cancelled_at: { required: false, type: 'string' },
+        rescheduled_to_id: { required: false, type: 'string' },
+        recurrence_pattern: { required: false, type: 'string' },
         attendees: { required: false, type: 'array' },
         reminders: { required: false, type: 'array' }
       });
@@ -154,12 +176,55 @@ export class CalendarService {
         }
       }
 
+      if (updateData.status) {
+        assertTransition(existingEvent.status, updateData.status);
+      }
+
+      const scope = this.resolveEditScope(existingEvent, options);
+
+      // An override row already is "this occurrence"; wider edits apply to its series from that point
+      if (existingEvent.recurrence_parent_id && scope !== 'this') {
+        return await this.updateEvent(existingEvent.recurrence_parent_id, updateData, {
+          scope,
+          occurrenceStart: existingEvent.recurrence_id
+        });
+      }
+
+      if (scope === 'this' && updateData.recurrence_pattern
+        && (existingEvent.recurrence_parent_id || this.isRecurringSeries(existingEvent))) {
+        throw new Error('A single occurrence cannot change the recurrence rule');
+      }
+
       const updatePayload = {
         ...validation.data,
         updated_at: new Date().toISOString(),
         sync_status: 'pending'
       };
 
+      if (this.isRecurringSeries(existingEvent)) {
+        let event;
+        if (scope === 'this') {
+          event = await this.updateOccurrence(existingEvent, options.occurrenceStart, updatePayload);
+        } else if (scope === 'following') {
+          event = await this.updateFollowingOccurrences(existingEvent, options.occurrenceStart, updatePayload);
+        } else {
+          event = await this.updateAllOccurrences(existingEvent, options.occurrenceStart, updatePayload);
+        }
+
+        await this.syncService.scheduleSync('calendar', event.id);
+
+        this.logger.info('Recurring event updated successfully', { eventId, scope, resultId: event.id });
+        return event;
+      }
+
+      if (updatePayload.recurrence_pattern && !existingEvent.recurrence_group_id) {
+        Object.assign(updatePayload, this.buildRecurrenceFields(
+          updatePayload.recurrence_pattern,
+          updatePayload.start_time || existingEvent.start_time,
+          updatePayload.end_time || existingEvent.end_time
+        ));
+      }
+
       const { data: event, error } = await supabase
         .from(CALENDAR_TABLE)
         .update(updatePayload)
@@ -191,9 +256,14 @@ export class CalendarService {
     }
   }
 
-  async deleteEvent(eventId, deleteRecurring = false) {
+  // Accepts { scope, occurrenceStart } like updateEvent; a boolean is the older deleteRecurring flag
+  async deleteEvent(eventId, options = {}) {
     try {
-      this.logger.info('Deleting calendar event', { eventId, deleteRecurring });
+      this.logger.info('Deleting calendar event', { eventId, options });
+
+      const { scope: requestedScope, occurrenceStart } = typeof options === 'boolean'
+        ? { scope: options ? 'all' : undefined }
+        : options;
 
       const { user } = await supabase.auth.getUser();
       if (!user) {
@@ -211,10 +281,42 @@ export class CalendarService {
         throw new Error('Event not found or access denied');
       }
 
+      const scope = this.resolveEditScope(event, { scope: requestedScope, occurrenceStart });
+
+      if (event.recurrence_parent_id && scope !== 'this') {
+        return await this.deleteEvent(event.recurrence_parent_id, { scope, occurrenceStart: event.recurrence_id });
+      }
+
+      if (event.recurrence_parent_id) {
+        // Without the EXDATE the series would show the original occurrence again
+        await this.excludeOccurrence(event.recurrence_parent_id, event.recurrence_id);
+      } else if (this.isRecurringSeries(event) && scope === 'this') {
+        await this.excludeOccurrence(event.id, this.assertOccurrence(event, occurrenceStart));
+
+        this.logger.info('Recurring event occurrence deleted', { eventId, occurrenceStart });
+        return { success: true };
+      } else if (this.isRecurringSeries(event) && scope === 'following') {
+        const splitAt = this.assertOccurrence(event, occurrenceStart);
+        const { before } = splitRecurrence(event.recurrence_pattern, { start: event.start_time, splitAt });
+
+        // Deleting from the first occurrence onwards falls through to deleting the whole series
+        if (before) {
+          await this.endSeriesBefore(event, before, splitAt);
+          await this.deleteOverrides(event.id, { from: splitAt });
+
+          this.logger.info('Recurring event occurrences deleted', { eventId, occurrenceStart });
+          return { success: true };
+        }
+      }
+
+      if (this.isRecurringSeries(event)) {
+        await this.deleteOverrides(event.id);
+      }
+
       await supabase.from(ATTENDEES_TABLE).delete().eq('event_id', eventId);
       await supabase.from(REMINDERS_TABLE).delete().eq('event_id', eventId);
 
-      if (deleteRecurring && event.recurring && event.recurrence_group_id) {
+      if (scope === 'all' && event.recurring && event.recurrence_group_id) {
         await supabase
           .from(CALENDAR_TABLE)
           .delete()
@@ -257,33 +359,17 @@ export class CalendarService {
         `)
         .eq('user_id', user.id);
 
-      if (filters.start_date && filters.end_date) {
+      const inRange = Boolean(filters.start_date && filters.end_date);
+
+      if (inRange) {
         query = query
           .gte('start_time', filters.start_date)
-          .lte('start_time', filters.end_date);
-      }
-
-      if (filters.event_type) {
-        query = query.eq('event_type', filters.event_type);
-      }
-
-      if (filters.status) {
-        query = query.eq('status', filters.status);
+          .lte('start_time', filters.end_date)
+          // Recurring series are expanded into occurrences below rather than matched on their first one
+          .or('recurring.is.null,recurring.eq.false,recurrence_group_id.not.is.null');
       }
 
-      if (filters.priority) {
-        query = query.eq('priority', filters.priority);
-      }
-
-      if (filters.client_id) {
-        query = query.eq('client_id', filters.client_id);
-      }
-
-      if (filters.deal_id) {
-        query = query.eq('deal_id', filters.deal_id);
-      }
-
-      query = query.order('start_time', { ascending: true });
+      query = this.applyEventFilters(query, filters).order('start_time', { ascending: true });
 
       if (filters.limit) {
         query = query.limit(filters.limit);
@@ -295,8 +381,20 @@ export class CalendarService {
         throw new Error(`Failed to fetch events: ${error.message}`);
       }
 
-      this.logger.info('Calendar events fetched successfully', { count: events?.length || 0 });
-      return events || [];
+      let results = events || [];
+
+      if (inRange) {
+        const rangeStart = parseDate(filters.start_date);
+        const occurrences = (await this.getSeriesOccurrences(user.id, filters))
+          .filter(occurrence => parseDate(occurrence.start_time) >= rangeStart);
+
+        results = [...results, ...occurrences]
+          .sort((a, b) => parseDate(a.start_time) - parseDate(b.start_time))
+          .slice(0, filters.limit || undefined);
+      }
+
+      this.logger.info('Calendar events fetched successfully', { count: results.length });
+      return results;
 
     } catch (error) {
       this.logger.error('Failed to fetch calendar events', { error: error.message, filters });
@@ -371,7 +469,7 @@ export class CalendarService {
     }
   }
 
-  async markEventCompleted(eventId, notes = '') {
+  async markEventCompleted(eventId, notes = '', options = {}) {
     try {
       this.logger.info('Marking event as completed', { eventId, notes });
 
@@ -381,7 +479,7 @@ export class CalendarService {
         completed_at: new Date().toISOString()
       };
 
-      return await this.updateEvent(eventId, updateData);
+      return await this.updateEvent(eventId, updateData, options);
 
     } catch (error) {
       this.logger.error('Failed to mark event as completed', { error: error.message, eventId });
@@ -389,6 +487,188 @@ export class CalendarService {
     }
   }
 
+  // Records that the prospect didn't show and has the server email them fresh times to rebook.
+  // The server job retries the email if this call fails, so the status change alone is enough.
+  async markEventNoShow(eventId, notes = '', options = {}) {
+    try {
+      this.logger.info('Marking event as no-show', { eventId, notes });
+
+      const event = await this.updateEvent(eventId, {
+        status: 'no_show',
+        completion_notes: notes,
+        no_show_at: new Date().toISOString()
+      }, options);
+
+      const { error } = await supabase.functions.invoke('event-outcomes', {
+        body: { action: 'rebook', eventId: event.id }
+      });
+
+      if (error) {
+        this.logger.error('Failed to request rebooking email', { error: error.message, eventId: event.id });
+      }
+
+      return event;
+
+    } catch (error) {
+      this.logger.error('Failed to mark event as no-show', { error: error.message, eventId });
+      throw error;
+    }
+  }
+
+  async cancelEvent(eventId, reason = '', options = {}) {
+    try {
+      this.logger.info('Cancelling event', { eventId, reason });
+
+      return await this.updateEvent(eventId, {
+        status: 'cancelled',
+        completion_notes: reason,
+        cancelled_at: new Date().toISOString()
+      }, options);
+
+    } catch (error) {
+      this.logger.error('Failed to cancel event', { error: error.message, eventId });
+      throw error;
+    }
+  }
+
+  // Moves a meeting to a new time as a new event, keeping the old one as 'rescheduled' so
+  // reporting still sees the original slot. Series simply move, like any other time edit.
+  async rescheduleEvent(eventId, { start_time, end_time }, options = {}) {
+    try {
+      this.logger.info('Rescheduling event', { eventId, start_time, end_time, options });
+
+      const { user } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { data: existingEvent, error: fetchError } = await supabase
+        .from(CALENDAR_TABLE)
+        .select('*')
+        .eq('id', eventId)
+        .eq('user_id', user.id)
+        .single();
+
+      if (fetchError || !existingEvent) {
+        throw new Error('Event not found or access denied');
+      }
+
+      if (this.isRecurringSeries(existingEvent)) {
+        return await this.updateEvent(eventId, { start_time, end_time }, options);
+      }
+
+      assertTransition(existingEvent.status, 'rescheduled');
+
+      const startTime = parseDate(start_time);
+      const endTime = end_time
+        ? parseDate(end_time)
+        : new Date(startTime.getTime() + parseDate(existingEvent.end_time).getTime() - parseDate(existingEvent.start_time).getTime());
+
+      if (endTime <= startTime) {
+        throw new Error('End time must be after start time');
+      }
+
+      const {
+        id, created_at, ical_uid, ical_sequence, caldav_name, recurrence_parent_id, recurrence_id,
+        completion_notes, completed_at, no_show_at, cancelled_at, rescheduled_to_id,
+        outcome_prompted_at, rebooking_sent_at, ...fields
+      } = existingEvent;
+
+      const { data: event, error } = await supabase
+        .from(CALENDAR_TABLE)
+        .insert([{
+          ...fields,
+          start_time: startTime.toISOString(),
+          end_time: endTime.toISOString(),
+          status: 'scheduled',
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+          sync_status: 'pending'
+        }])
+        .select('*')
+        .single();
+
+      if (error) {
+        throw new Error(`Failed to reschedule event: ${error.message}`);
+      }
+
+      await this.copyEventAttendees(eventId, event.id);
+
+      // Reminders keep their lead time relative to the new start
+      const { data: reminders } = await supabase
+        .from(REMINDERS_TABLE)
+        .select('reminder_time, reminder_type, message')
+        .eq('event_id', eventId);
+
+      const shift = startTime.getTime() - parseDate(existingEvent.start_time).getTime();
+      await this.processEventReminders(event.id, (reminders || []).map(reminder => ({
+        time: new Date(parseDate(reminder.reminder_time).getTime() + shift).toISOString(),
+        type: reminder.reminder_type,
+        message: reminder.message
+      })));
+
+      await this.updateEvent(eventId, { status: 'rescheduled', rescheduled_to_id: event.id });
+      await this.syncService.scheduleSync('calendar', event.id);
+
+      this.logger.info('Event rescheduled successfully', { eventId, newEventId: event.id });
+      return event;
+
+    } catch (error) {
+      this.logger.error('Failed to reschedule event', { error: error.message, eventId });
+      throw error;
+    }
+  }
+
+  // Demos and meetings that have ended without being marked completed or no-show
+  async getEventsNeedingOutcome(days = 7) {
+    try {
+      const { user } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const now = new Date();
+      const { data: events, error } = await supabase
+        .from(CALENDAR_TABLE)
+        .select('*')
+        .eq('user_id', user.id)
+        .eq('status', 'scheduled')
+        .in('event_type', OUTCOME_EVENT_TYPES)
+        .lte('end_time', now.toISOString())
+        .gte('end_time', addDays(now, -days).toISOString())
+        .order('end_time', { ascending: false });
+
+      if (error) {
+        throw new Error(`Failed to fetch events needing an outcome: ${error.message}`);
+      }
+
+      return (events || []).filter(event => needsOutcome(event, now));
+
+    } catch (error) {
+      this.logger.error('Failed to fetch events needing an outcome', { error: error.message });
+      throw error;
+    }
+  }
+
+  // No-show rates for the rep and any booking pool they own, overall, per rep and per lead source
+  async getNoShowReport(filters = {}) {
+    try {
+      const { data, error } = await supabase.functions.invoke('event-outcomes', {
+        body: { action: 'report', from: filters.from, to: filters.to }
+      });
+
+      if (error) {
+        throw new Error(`Failed to fetch no-show report: ${error.message}`);
+      }
+
+      return data;
+
+    } catch (error) {
+      this.logger.error('Failed to fetch no-show report', { error: error.message, filters });
+      throw error;
+    }
+  }
+
   async createQuickEvent(title, dateTime, duration = 60) {
     try {
       const startTime = parseDate(dateTime);
@@ -440,6 +720,11 @@ export class CalendarService {
 
   async processEventReminders(eventId, reminders) {
     try {
+      const unknownType = (reminders || []).find(reminder => reminder.type && !REMINDER_TYPES.includes(reminder.type));
+      if (unknownType) {
+        throw new Error(`Reminder type must be one of ${REMINDER_TYPES.join(', ')}`);
+      }
+
       await supabase.from(REMINDERS_TABLE).delete().eq('event_id', eventId);
 
       if (reminders && reminders.length > 0) {
@@ -449,6 +734,7 @@ export class CalendarService {
           reminder_type: reminder.type || 'notification',
           message: reminder.message,
           is_sent: false,
+          status: 'pending',
           created_at: new Date().toISOString()
         }));
 
@@ -459,10 +745,6 @@ export class CalendarService {
         if (error) {
           throw new Error(`Failed to process reminders: ${error.message}`);
         }
-
-        for (const reminder of reminders) {
-          await this.scheduleEventReminder(eventId, reminder);
-        }
       }
 
     } catch (error) {
@@ -471,107 +753,420 @@ export class CalendarService {
     }
   }
 
-  async scheduleEventReminder(eventId, reminder) {
+  // Registers this device's Expo push token so server-sent reminders reach it
+  async registerPushToken(token, platform) {
     try {
-      const notificationId = generateNotificationId();
-      const reminderTime = parseDate(reminder.time);
-
-      await this.notificationService.scheduleNotification({
-        id: notificationId,
-        title: 'Event Reminder',
-        body: reminder.message || 'You have an upcoming event',
-        data: {
-          type: 'event_reminder',
-          eventId,
-          reminderType: reminder.type
-        },
-        trigger: {
-          date: reminderTime
-        }
-      });
+      const { user } = await supabase.auth.getUser();
+      if (!user) {
+        throw new Error('User not authenticated');
+      }
+
+      const { error } = await supabase
+        .from(PUSH_TOKENS_TABLE)
+        .upsert([{
+          token,
+          user_id: user.id,
+          platform,
+          last_seen_at: new Date().toISOString()
+        }], { onConflict: 'token' });
+
+      if (error) {
+        throw new Error(`Failed to register push token: ${error.message}`);
+      }
 
     } catch (error) {
-      this.logger.error('Failed to schedule event reminder', { error: error.message, eventId, reminder });
+      this.logger.error('Failed to register push token', { error: error.message });
+      throw error;
     }
   }
 
-  async createRecurringEvents(baseEvent) {
-    try {
-      if (!baseEvent.recurrence_pattern) {
-        return;
+  // Asks for notification permission and registers this device's Expo push token. Returns the
+  // token, or null on simulators and when the rep declines, in which case reminders go by email.
+  async registerDeviceForPush() {
+    if (!Device.isDevice) {
+      return null;
+    }
+
+    const { status: currentStatus } = await Notifications.getPermissionsAsync();
+    const { status } = currentStatus === 'granted' ? { status: currentStatus } : await Notifications.requestPermissionsAsync();
+    if (status !== 'granted') {
+      return null;
+    }
+
+    const projectId = Constants.expoConfig?.extra?.eas?.projectId ?? Constants.easConfig?.projectId;
+    const { data: token } = await Notifications.getExpoPushTokenAsync({ projectId });
+    await this.registerPushToken(token, Platform.OS);
+    return token;
+  }
+
+  applyEventFilters(query, filters) {
+    ['event_type', 'status', 'priority', 'client_id', 'deal_id'].forEach(field => {
+      if (filters[field]) {
+        query = query.eq(field, filters[field]);
       }
+    });
+    return query;
+  }
 
-      const pattern = JSON.parse(baseEvent.recurrence_pattern);
-      const recurrenceGroupId = generateNotificationId();
-      const maxOccurrences = pattern.count || 52;
-      const events = [];
+  // Series created before lazy expansion have materialized instance rows (recurrence_group_id) instead
+  isRecurringSeries(event) {
+    return Boolean(event.recurring && event.recurrence_pattern && !event.recurrence_group_id && !event.recurrence_parent_id);
+  }
 
-      await supabase
+  resolveEditScope(event, { scope, occurrenceStart } = {}) {
+    const resolved = scope || (this.isRecurringSeries(event) && !occurrenceStart ? 'all' : 'this');
+
+    if (!EDIT_SCOPES.includes(resolved)) {
+      throw new Error(`Edit scope must be one of ${EDIT_SCOPES.join(', ')}`);
+    }
+    if (this.isRecurringSeries(event) && resolved !== 'all' && !occurrenceStart) {
+      throw new Error('occurrenceStart is required to change part of a recurring series');
+    }
+
+    return resolved;
+  }
+
+  // New series record the device timezone so weekdays and DST are worked out where the rep lives
+  buildRecurrenceFields(recurrencePattern, startTime, endTime) {
+    if (!recurrencePattern) {
+      throw new Error('Recurring events need a recurrence_pattern');
+    }
+
+    const pattern = parseRecurrencePattern({
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+      ...(typeof recurrencePattern === 'string' ? JSON.parse(recurrencePattern) : recurrencePattern)
+    });
+
+    return {
+      recurring: true,
+      recurrence_pattern: JSON.stringify(pattern),
+      recurrence_end: getRecurrenceEnd(pattern, { start: startTime, end: endTime })
+    };
+  }
+
+  assertOccurrence(series, occurrenceStart) {
+    const start = parseDate(occurrenceStart);
+    const [occurrence] = expandRecurrence(series.recurrence_pattern, {
+      start: series.start_time,
+      from: start,
+      to: new Date(start.getTime() + 1)
+    });
+
+    if (!occurrence || occurrence.getTime() !== start.getTime()) {
+      throw new Error('occurrenceStart is not an occurrence of this event');
+    }
+
+    return start;
+  }
+
+  // Where the edited occurrence ends up; a series (or its following half) moves by the same shift
+  getEditedTimes(occurrenceStart, durationMs, updatePayload) {
+    const start = updatePayload.start_time ? parseDate(updatePayload.start_time) : parseDate(occurrenceStart);
+    const end = updatePayload.end_time ? parseDate(updatePayload.end_time) : new Date(start.getTime() + durationMs);
+
+    if (end <= start) {
+      throw new Error('End time must be after start time');
+    }
+
+    return { start, end, shift: start.getTime() - parseDate(occurrenceStart).getTime() };
+  }
+
+  getSeriesDuration(series) {
+    return parseDate(series.end_time) - parseDate(series.start_time);
+  }
+
+  // The columns a new row split off a series starts from
+  copySeriesRow(series) {
+    const { id, created_at, ical_uid, ical_sequence, caldav_name, recurrence_group_id, ...fields } = series;
+    return {
+      ...fields,
+      created_at: new Date().toISOString(),
+      ical_sequence: 0
+    };
+  }
+
+  getSharedFields(updatePayload) {
+    return Object.fromEntries(Object.entries(updatePayload).filter(([field]) => !SCHEDULE_FIELDS.includes(field)));
+  }
+
+  async copyEventAttendees(fromEventId, toEventId) {
+    const { data: attendees } = await supabase
+      .from(ATTENDEES_TABLE)
+      .select('email, name, status')
+      .eq('event_id', fromEventId);
+
+    await this.processEventAttendees(toEventId, attendees || []);
+  }
+
+  async applyAttendeesAndReminders(eventId, updatePayload, copyFromEventId = null) {
+    if (updatePayload.attendees) {
+      await this.processEventAttendees(eventId, updatePayload.attendees);
+    } else if (copyFromEventId) {
+      await this.copyEventAttendees(copyFromEventId, eventId);
+    }
+
+    if (updatePayload.reminders) {
+      await this.processEventReminders(eventId, updatePayload.reminders);
+    }
+  }
+
+  async getSeriesOccurrences(userId, filters) {
+    const query = supabase
+      .from(CALENDAR_TABLE)
+      .select(`
+        *,
+        attendees:${ATTENDEES_TABLE}(*),
+        reminders:${REMINDERS_TABLE}(*)
+      `)
+      .eq('user_id', userId)
+      .eq('recurring', true)
+      .is('recurrence_group_id', null)
+      .is('recurrence_parent_id', null)
+      .not('recurrence_pattern', 'is', null)
+      .lte('start_time', filters.end_date)
+      .or(`recurrence_end.is.null,recurrence_end.gte.${filters.start_date}`);
+
+    const { data: series, error } = await this.applyEventFilters(query, filters);
+
+    if (error) {
+      throw new Error(`Failed to fetch recurring events: ${error.message}`);
+    }
+
+    if (!series || series.length === 0) {
+      return [];
+    }
+
+    const { data: overrides, error: overridesError } = await supabase
+      .from(CALENDAR_TABLE)
+      .select('recurrence_parent_id, recurrence_id')
+      .in('recurrence_parent_id', series.map(row => row.id));
+
+    if (overridesError) {
+      throw new Error(`Failed to fetch recurring event exceptions: ${overridesError.message}`);
+    }
+
+    const rangeEnd = new Date(parseDate(filters.end_date).getTime() + 1);
+
+    return series.flatMap(row => expandSeries(row, {
+      from: filters.start_date,
+      to: rangeEnd,
+      overrides: (overrides || []).filter(override => override.recurrence_parent_id === row.id)
+    }));
+  }
+
+  // from: only overrides at or after this occurrence; at: only the override of this occurrence
+  async deleteOverrides(seriesId, { from, at } = {}) {
+    let query = supabase
+      .from(CALENDAR_TABLE)
+      .select('id')
+      .eq('recurrence_parent_id', seriesId);
+
+    if (from) query = query.gte('recurrence_id', parseDate(from).toISOString());
+    if (at) query = query.eq('recurrence_id', parseDate(at).toISOString());
+
+    const { data: overrides, error } = await query;
+
+    if (error) {
+      throw new Error(`Failed to fetch recurring event exceptions: ${error.message}`);
+    }
+
+    const ids = (overrides || []).map(override => override.id);
+    if (ids.length === 0) {
+      return;
+    }
+
+    await supabase.from(ATTENDEES_TABLE).delete().in('event_id', ids);
+    await supabase.from(REMINDERS_TABLE).delete().in('event_id', ids);
+    await supabase.from(CALENDAR_TABLE).delete().in('id', ids);
+  }
+
+  async excludeOccurrence(seriesId, occurrenceStart) {
+    const recurrenceId = parseDate(occurrenceStart).toISOString();
+
+    const { data: series, error } = await supabase
+      .from(CALENDAR_TABLE)
+      .select('recurrence_exdates')
+      .eq('id', seriesId)
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to fetch recurring event: ${error.message}`);
+    }
+
+    const exdates = new Set((series.recurrence_exdates || []).map(exdate => parseDate(exdate).toISOString()));
+    exdates.add(recurrenceId);
+
+    await this.deleteOverrides(seriesId, { at: recurrenceId });
+
+    const { error: updateError } = await supabase
+      .from(CALENDAR_TABLE)
+      .update({ recurrence_exdates: [...exdates], updated_at: new Date().toISOString(), sync_status: 'pending' })
+      .eq('id', seriesId);
+
+    if (updateError) {
+      throw new Error(`Failed to exclude occurrence: ${updateError.message}`);
+    }
+  }
+
+  async endSeriesBefore(series, pattern, splitAt) {
+    const { error } = await supabase
+      .from(CALENDAR_TABLE)
+      .update({
+        recurrence_pattern: JSON.stringify(pattern),
+        recurrence_end: getRecurrenceEnd(pattern, { start: series.start_time, end: series.end_time }),
+        recurrence_exdates: (series.recurrence_exdates || []).filter(exdate => parseDate(exdate) < splitAt),
+        updated_at: new Date().toISOString(),
+        sync_status: 'pending'
+      })
+      .eq('id', series.id);
+
+    if (error) {
+      throw new Error(`Failed to end recurring event: ${error.message}`);
+    }
+  }
+
+  // "This event": stores the change as an override row keyed by the occurrence's original start
+  async updateOccurrence(series, occurrenceStart, updatePayload) {
+    const recurrenceId = this.assertOccurrence(series, occurrenceStart);
+    const { attendees, reminders, ...fields } = updatePayload;
+
+    const { data: existingOverride } = await supabase
+      .from(CALENDAR_TABLE)
+      .select('id')
+      .eq('recurrence_parent_id', series.id)
+      .eq('recurrence_id', recurrenceId.toISOString())
+      .maybeSingle();
+
+    let query;
+    if (existingOverride) {
+      query = supabase
         .from(CALENDAR_TABLE)
-        .update({ recurrence_group_id: recurrenceGroupId })
-        .eq('id', baseEvent.id);
+        .update(fields)
+        .eq('id', existingOverride.id);
+    } else {
+      const { start, end } = this.getEditedTimes(recurrenceId, this.getSeriesDuration(series), fields);
+      query = supabase
+        .from(CALENDAR_TABLE)
+        .insert([{
+          ...this.copySeriesRow(series),
+          ...fields,
+          start_time: start.toISOString(),
+          end_time: end.toISOString(),
+          recurring: false,
+          recurrence_pattern: null,
+          recurrence_exdates: [],
+          recurrence_end: null,
+          recurrence_parent_id: series.id,
+          recurrence_id: recurrenceId.toISOString()
+        }]);
+    }
 
-      let currentDate = parseDate(baseEvent.start_time);
-      const duration = parseDate(baseEvent.end_time) - parseDate(baseEvent.start_time);
+    const { data: override, error } = await query.select('*').single();
 
-      for (let i = 1; i < maxOccurrences; i++) {
-        currentDate = this.calculateNextOccurrence(currentDate, pattern);
-        
-        if (pattern.until && currentDate > parseDate(pattern.until)) {
-          break;
-        }
+    if (error) {
+      throw new Error(`Failed to update occurrence: ${error.message}`);
+    }
 
-        const nextEvent = {
-          ...baseEvent,
-          id: undefined,
-          start_time: currentDate.toISOString(),
-          end_time: new Date(currentDate.getTime() + duration).toISOString(),
-          recurrence_group_id: recurrenceGroupId,
-          is_recurring_instance: true,
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        };
+    await this.applyAttendeesAndReminders(override.id, updatePayload, existingOverride ? null : series.id);
+    return override;
+  }
 
-        events.push(nextEvent);
-      }
+  // "This and following": ends the series before this occurrence and starts a new one from it.
+  // Exceptions carry over unless the occurrence times move, since they're keyed by original start;
+  // deleted occurrences move along with the times.
+  async updateFollowingOccurrences(series, occurrenceStart, updatePayload) {
+    const splitAt = this.assertOccurrence(series, occurrenceStart);
+    const { before, after } = splitRecurrence(series.recurrence_pattern, { start: series.start_time, splitAt });
 
-      if (events.length > 0) {
-        const { error } = await supabase
-          .from(CALENDAR_TABLE)
-          .insert(events);
+    if (!before) {
+      return this.updateAllOccurrences(series, occurrenceStart, updatePayload);
+    }
 
-        if (error) {
-          throw new Error(`Failed to create recurring events: ${error.message}`);
-        }
-      }
+    const { attendees, reminders, ...fields } = updatePayload;
+    const { start, end, shift } = this.getEditedTimes(splitAt, this.getSeriesDuration(series), fields);
+    const rescheduled = shift !== 0 || Boolean(fields.recurrence_pattern);
+    const followingExdates = (series.recurrence_exdates || []).filter(exdate => parseDate(exdate) >= splitAt);
+
+    const { data: newSeries, error } = await supabase
+      .from(CALENDAR_TABLE)
+      .insert([{
+        ...this.copySeriesRow(series),
+        ...fields,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        ...this.buildRecurrenceFields(fields.recurrence_pattern || after, start, end),
+        recurrence_exdates: fields.recurrence_pattern
+          ? []
+          : followingExdates.map(exdate => new Date(parseDate(exdate).getTime() + shift).toISOString())
+      }])
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to split recurring event: ${error.message}`);
+    }
 
-    } catch (error) {
-      this.logger.error('Failed to create recurring events', { error: error.message, baseEvent });
-      throw error;
+    // Only once the new series exists, so a failed insert leaves the original untouched
+    await this.endSeriesBefore(series, before, splitAt);
+
+    if (rescheduled) {
+      await this.deleteOverrides(series.id, { from: splitAt });
+    } else {
+      await supabase
+        .from(CALENDAR_TABLE)
+        .update({ ...this.getSharedFields(fields), recurrence_parent_id: newSeries.id })
+        .eq('recurrence_parent_id', series.id)
+        .gte('recurrence_id', splitAt.toISOString());
     }
+
+    await this.applyAttendeesAndReminders(newSeries.id, updatePayload, series.id);
+    return newSeries;
   }
 
-  calculateNextOccurrence(currentDate, pattern) {
-    const nextDate = new Date(currentDate);
+  // "All events": moves the whole series by however much the edited occurrence moved
+  async updateAllOccurrences(series, occurrenceStart, updatePayload) {
+    const { attendees, reminders, ...fields } = updatePayload;
+    const { start: movedTo, end: movedEnd, shift } = this.getEditedTimes(
+      occurrenceStart || series.start_time,
+      this.getSeriesDuration(series),
+      fields
+    );
+    const start = new Date(parseDate(series.start_time).getTime() + shift);
+    const end = new Date(start.getTime() + (movedEnd - movedTo));
+    const rescheduled = shift !== 0 || Boolean(fields.recurrence_pattern);
+    // Deleted occurrences move with the series; a new pattern has different occurrences, so they reset
+    const exdates = fields.recurrence_pattern
+      ? []
+      : (series.recurrence_exdates || []).map(exdate => new Date(parseDate(exdate).getTime() + shift).toISOString());
+
+    const { data: event, error } = await supabase
+      .from(CALENDAR_TABLE)
+      .update({
+        ...fields,
+        start_time: start.toISOString(),
+        end_time: end.toISOString(),
+        ...this.buildRecurrenceFields(fields.recurrence_pattern || series.recurrence_pattern, start, end),
+        ...(rescheduled ? { recurrence_exdates: exdates } : {})
+      })
+      .eq('id', series.id)
+      .select('*')
+      .single();
+
+    if (error) {
+      throw new Error(`Failed to update recurring event: ${error.message}`);
+    }
 
-    switch (pattern.frequency) {
-      case 'daily':
-        nextDate.setDate(nextDate.getDate() + (pattern.interval || 1));
-        break;
-      case 'weekly':
-        nextDate.setDate(nextDate.getDate() + (7 * (pattern.interval || 1)));
-        break;
-      case 'monthly':
-        nextDate.setMonth(nextDate.getMonth() + (pattern.interval || 1));
-        break;
-      case 'yearly':
-        nextDate.setFullYear(nextDate.getFullYear() + (pattern.interval || 1));
-        break;
-      default:
-        nextDate.setDate(nextDate.getDate() + 1);
+    if (rescheduled) {
+      await this.deleteOverrides(series.id);
+    } else if (Object.keys(this.getSharedFields(fields)).length > 0) {
+      await supabase
+        .from(CALENDAR_TABLE)
+        .update(this.getSharedFields(fields))
+        .eq('recurrence_parent_id', series.id);
     }
 
-    return nextDate;
+    await this.applyAttendeesAndReminders(series.id, updatePayload);
+    return event;
   }
 
   async syncExternalCalendar(provider, credentials) {
@@ -599,6 +1194,93 @@ export class CalendarService {
     }
   }
 
+  async exportICS(options = {}) {
+    try {
+      this.logger.info('Exporting calendar as iCalendar', options);
+
+      const { data, error } = await supabase.functions.invoke('sync-calendar', {
+        body: { action: 'export', ...options }
+      });
+
+      if (error) {
+        throw new Error(`Failed to export calendar: ${error.message}`);
+      }
+
+      return data.ics;
+
+    } catch (error) {
+      this.logger.error('Failed to export calendar', { error: error.message });
+      throw error;
+    }
+  }
+
+  async importICS(ics) {
+    try {
+      this.logger.info('Importing iCalendar file', { size: ics?.length || 0 });
+
+      const { data, error } = await supabase.functions.invoke('sync-calendar', {
+        body: { action: 'import', ics }
+      });
+
+      if (error) {
+        throw new Error(`Failed to import calendar: ${error.message}`);
+      }
+
+      this.logger.info('Calendar imported successfully', data);
+      return data;
+
+    } catch (error) {
+      this.logger.error('Failed to import calendar', { error: error.message });
+      throw error;
+    }
+  }
+
+  async getCalendarFeedUrl() {
+    const { data, error } = await supabase.functions.invoke('sync-calendar', {
+      body: { action: 'feed' }
+    });
+
+    if (error) {
+      throw new Error(`Failed to get calendar feed: ${error.message}`);
+    }
+
+    return data.url;
+  }
+
+  // Returns { url, username, password } for adding the calendar to a CalDAV client; the password is
+  // only shown once and any earlier one stops working
+  async createCalDavCredentials() {
+    const { data, error } = await supabase.functions.invoke('sync-calendar', {
+      body: { action: 'caldav' }
+    });
+
+    if (error) {
+      throw new Error(`Failed to create CalDAV credentials: ${error.message}`);
+    }
+
+    return data;
+  }
+
+  async sendInvite(eventId, method = 'REQUEST') {
+    try {
+      this.logger.info('Sending calendar invite', { eventId, method });
+
+      const { data, error } = await supabase.functions.invoke('sync-calendar', {
+        body: { action: 'invite', eventId, method }
+      });
+
+      if (error) {
+        throw new Error(`Failed to send invite: ${error.message}`);
+      }
+
+      return data;
+
+    } catch (error) {
+      this.logger.error('Failed to send calendar invite', { error: error.message, eventId });
+      throw error;
+    }
+  }
+
   async getCalendarAnalytics(startDate, endDate) {
     try {
       const { user } = await supabase.auth.getUser();
@@ -683,7 +1365,9 @@ export class CalendarService {
         .select('*')
         .eq('user_id', user.id)
         .eq('status', 'scheduled')
-        .or(`and(start_time.lt.${endTime},end_time.gt.${startTime})`);
+        .lt('start_time', endTime)
+        .gt('end_time', startTime)
+        .or('recurring.is.null,recurring.eq.false,recurrence_group_id.not.is.null');
 
       if (excludeEventId) {
         query = query.neq('id', excludeEventId);
@@ -695,7 +1379,15 @@ export class CalendarService {
         throw new Error(`Failed to check for conflicts: ${error.message}`);
       }
 
-      return conflicts || [];
+      const occurrences = (await this.getSeriesOccurrences(user.id, {
+        start_date: startTime,
+        end_date: endTime,
+        status: 'scheduled'
+      })).filter(occurrence => occurrence.id !== excludeEventId
+        && parseDate(occurrence.start_time) < parseDate(endTime)
+        && parseDate(occurrence.end_time) > parseDate(startTime));
+
+      return [...(conflicts || []), ...occurrences];
 
     } catch (error) {
       this.logger.error('Failed to get conflicting events', { error: error.message, startTime, endTime });
@@ -744,4 +1436,3 @@ export class CalendarService {
 }
 
 export default CalendarService.getInstance();
-```
\ No newline at end of file
@@ -454,4 +454,3 @@ class HuggingFaceClient {
 }
 
 export default new HuggingFaceClient();
-```
\ No newline at end of file
@@ -1,7 +1,9 @@
 app/services/resendClient.js
 
-```javascript
+import process from 'process';
 import { Resend } from 'resend';
+import { addEmailTracking } from '../../server/email/tracking';
+import { findSuppressedAddresses, normalizeEmailAddress } from '../../server/email/suppressions';
 
 class ResendClient {
   constructor() {
@@ -22,18 +24,42 @@ class ResendClient {
     cc,
     bcc,
     tags = [],
-    headers = {}
+    headers = {},
+    tracking = null,
+    transactional = false
   }) {
     try {
       if (!to || !subject) {
         throw new Error('Missing required fields: to, subject');
       }
 
+      // Prospecting mail fails closed when the list can't be read: mailing a bounced or complaining
+      // address costs sender reputation, a later retry costs nothing. Account and meeting mail
+      // (transactional) goes out regardless.
+      let suppressed;
+      try {
+        suppressed = await findSuppressedAddresses([to, cc, bcc].flat().filter(Boolean));
+      } catch (error) {
+        if (!transactional) {
+          return this.suppressionCheckFailedResult(error);
+        }
+        console.error('Suppression check error:', error);
+        suppressed = new Map();
+      }
+      if (suppressed.size > 0) {
+        return this.suppressedResult(suppressed);
+      }
+
+      // tracking: { messageId, leadId, campaignId?, campaignSendId?, sequenceId?, opens, clicks }
+      const trackedHtml = tracking
+        ? addEmailTracking(html, tracking, { opens: tracking.opens, clicks: tracking.clicks })
+        : html;
+
       const emailData = {
         from: this.fromEmail,
         to: Array.isArray(to) ? to : [to],
         subject,
-        ...(html && { html }),
+        ...(trackedHtml && { html: trackedHtml }),
         ...(text && { text }),
         ...(replyTo && { reply_to: replyTo }),
         ...(cc && { cc: Array.isArray(cc) ? cc : [cc] }),
@@ -43,12 +69,17 @@ class ResendClient {
         ...(Object.keys(headers).length > 0 && { headers })
       };
 
-      const response = await this.resend.emails.send(emailData);
-      
+      // resend@3 resolves with { data, error } rather than throwing on API errors
+      const { data, error } = await this.resend.emails.send(emailData);
+
+      if (error) {
+        return this.sendFailedResult(error);
+      }
+
       return {
         success: true,
-        data: response,
-        messageId: response.id
+        data,
+        messageId: data?.id
       };
     } catch (error) {
       console.error('Resend email error:', error);
@@ -70,7 +101,8 @@ class ResendClient {
       subject,
       html,
       text,
-      tags: ['welcome', 'verification']
+      tags: ['welcome', 'verification'],
+      transactional: true
     });
   }
 
@@ -84,7 +116,8 @@ class ResendClient {
       subject,
       html,
       text,
-      tags: ['password-reset']
+      tags: ['password-reset'],
+      transactional: true
     });
   }
 
@@ -98,7 +131,8 @@ class ResendClient {
       subject,
       html,
       text,
-      tags: ['lead-notification', 'alert']
+      tags: ['lead-notification', 'alert'],
+      transactional: true
     });
   }
 
@@ -112,7 +146,52 @@ class ResendClient {
       subject,
       html,
       text,
-      tags: ['sales-report', 'analytics']
+      tags: ['sales-report', 'analytics'],
+      transactional: true
+    });
+  }
+
+  // ics is a full VCALENDAR with METHOD:REQUEST (or CANCEL), so mail clients render it as an invite
+  async sendCalendarInvite({ to, event, ics, method = 'REQUEST', organizerName, replyTo }) {
+    const isCancellation = method === 'CANCEL';
+    const subject = isCancellation ? `Cancelled: ${event.title}` : `Invitation: ${event.title}`;
+
+    return await this.sendEmail({
+      to,
+      subject,
+      html: this.generateCalendarInviteHTML(event, organizerName, isCancellation),
+      text: this.generateCalendarInviteText(event, organizerName, isCancellation),
+      replyTo,
+      attachments: [{
+        filename: isCancellation ? 'cancel.ics' : 'invite.ics',
+        content: this.encodeBase64(ics),
+        content_type: `text/calendar; charset=utf-8; method=${method}`
+      }],
+      tags: [{ name: 'category', value: 'calendar-invite' }],
+      transactional: true
+    });
+  }
+
+  async sendEventReminder({ to, event, occurrenceStart, message }) {
+    return await this.sendEmail({
+      to,
+      subject: `Reminder: ${event.title}`,
+      html: this.generateEventReminderHTML(event, occurrenceStart, message),
+      text: this.generateEventReminderText(event, occurrenceStart, message),
+      tags: [{ name: 'category', value: 'event-reminder' }],
+      transactional: true
+    });
+  }
+
+  // slots: [{ label, url }] already formatted in the recipient's timezone
+  async sendRebookingEmail({ to, recipientName, repName, event, slots, bookingUrl, replyTo }) {
+    return await this.sendEmail({
+      to,
+      subject: `Sorry we missed you - pick a new time for ${event.title}`,
+      html: this.generateRebookingHTML(recipientName, repName, slots, bookingUrl),
+      text: this.generateRebookingText(recipientName, repName, slots, bookingUrl),
+      replyTo,
+      tags: [{ name: 'category', value: 'no-show-rebooking' }]
     });
   }
 
@@ -121,21 +200,39 @@ class ResendClient {
     const batchSize = 10;
     const batches = [];
 
+    // One suppression lookup for the whole list; suppressed recipients are answered without a send.
+    // If it fails, non-transactional lists get the same retryable error for every recipient.
+    let suppressed;
+    try {
+      suppressed = await findSuppressedAddresses(recipients.map(recipient => recipient.email));
+    } catch (error) {
+      const failed = this.suppressionCheckFailedResult(error);
+      if (!options.transactional) {
+        return recipients.map(() => ({ status: 'fulfilled', value: failed }));
+      }
+      suppressed = new Map();
+    }
+
     for (let i = 0; i < recipients.length; i += batchSize) {
       batches.push(recipients.slice(i, i + batchSize));
     }
 
     for (const batch of batches) {
-      const batchPromises = batch.map(recipient => 
-        this.sendEmail({
+      const batchPromises = batch.map(recipient => {
+        const email = normalizeEmailAddress(recipient.email);
+        if (suppressed.has(email)) {
+          return Promise.resolve(this.suppressedResult(new Map([[email, suppressed.get(email)]])));
+        }
+
+        return this.sendEmail({
           to: recipient.email,
           subject: this.personalizeSubject(subject, recipient),
           html: this.personalizeHTML(html, recipient),
           text: this.personalizeText(text, recipient),
           tags: ['bulk-email', ...(options.tags || [])],
           ...options
-        })
-      );
+        });
+      });
 
       const batchResults = await Promise.allSettled(batchPromises);
       results.push(...batchResults);
@@ -467,6 +564,81 @@ class ResendClient {
     `;
   }
 
+  generateCalendarInviteHTML(event, organizerName, isCancellation) {
+    const when = new Date(event.start_time).toUTCString();
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #111827;">${isCancellation ? 'This meeting has been cancelled' : "You're invited"}</h2>
+        <p style="font-size: 16px; color: #374151;"><strong>${event.title}</strong></p>
+        <p style="color: #6b7280;">${when}${event.location ? ` &middot; ${event.location}` : ''}</p>
+        ${organizerName ? `<p style="color: #6b7280;">Organizer: ${organizerName}</p>` : ''}
+        ${event.description ? `<p style="color: #374151;">${event.description}</p>` : ''}
+        <p style="color: #9ca3af; font-size: 12px;">The attached calendar file adds this to your calendar.</p>
+      </div>
+    `;
+  }
+
+  generateCalendarInviteText(event, organizerName, isCancellation) {
+    return `
+      ${isCancellation ? 'This meeting has been cancelled' : "You're invited"}: ${event.title}
+      When: ${new Date(event.start_time).toUTCString()}
+      ${event.location ? `Where: ${event.location}` : ''}
+      ${organizerName ? `Organizer: ${organizerName}` : ''}
+      ${event.description || ''}
+    `;
+  }
+
+  generateEventReminderHTML(event, occurrenceStart, message) {
+    const when = new Date(occurrenceStart || event.start_time).toUTCString();
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #111827;">Coming up</h2>
+        <p style="font-size: 16px; color: #374151;"><strong>${event.title}</strong></p>
+        <p style="color: #6b7280;">${when}${event.location ? ` &middot; ${event.location}` : ''}</p>
+        ${message ? `<p style="color: #374151;">${message}</p>` : ''}
+      </div>
+    `;
+  }
+
+  generateEventReminderText(event, occurrenceStart, message) {
+    return `
+      Coming up: ${event.title}
+      When: ${new Date(occurrenceStart || event.start_time).toUTCString()}
+      ${event.location ? `Where: ${event.location}` : ''}
+      ${message || ''}
+    `;
+  }
+
+  generateRebookingHTML(recipientName, repName, slots, bookingUrl) {
+    const slotLinks = slots
+      .map(slot => `<a href="${slot.url}" style="display: inline-block; margin: 4px; padding: 8px 12px; border: 1px solid #3b82f6; border-radius: 6px; color: #3b82f6; text-decoration: none;">${slot.label}</a>`)
+      .join('');
+
+    return `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <p style="color: #374151;">Hi ${recipientName || 'there'},</p>
+        <p style="color: #374151;">Looks like we couldn't connect for our meeting. No problem - here are a few times that work for ${repName}:</p>
+        <div>${slotLinks}</div>
+        <p style="color: #6b7280;">None of these fit? <a href="${bookingUrl}">See all available times</a>.</p>
+      </div>
+    `;
+  }
+
+  generateRebookingText(recipientName, repName, slots, bookingUrl) {
+    return `
+      Hi ${recipientName || 'there'},
+
+      Looks like we couldn't connect for our meeting. No problem - here are a few times that work for ${repName}:
+      ${slots.map(slot => `- ${slot.label}: ${slot.url}`).join('\n      ')}
+
+      None of these fit? See all available times: ${bookingUrl}
+    `;
+  }
+
+  encodeBase64(value) {
+    return btoa(unescape(encodeURIComponent(value)));
+  }
+
   personalizeSubject(subject, recipient) {
     return subject.replace(/\{\{name\}\}/g, recipient.name || 'there');
   }
@@ -489,6 +661,38 @@ class ResendClient {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  suppressionCheckFailedResult(error) {
+    console.error('Suppression check error:', error);
+    return {
+      success: false,
+      error: 'Could not check the suppression list; try again later',
+      code: 'SUPPRESSION_CHECK_FAILED',
+      retryable: true
+    };
+  }
+
+  // Rate limits and Resend-side outages clear up on their own; anything else needs a fix first
+  sendFailedResult(error) {
+    console.error('Resend email error:', error);
+    const status = error.statusCode || 0;
+    return {
+      success: false,
+      error: error.message || 'Failed to send email',
+      code: error.name || 'SEND_ERROR',
+      retryable: status === 429 || status >= 500
+    };
+  }
+
+  suppressedResult(suppressed) {
+    const entries = [...suppressed.entries()];
+    return {
+      success: false,
+      error: `Recipient is on the suppression list: ${entries.map(([email, reason]) => `${email} (${reason.replace('_', ' ')})`).join(', ')}`,
+      code: 'RECIPIENT_SUPPRESSED',
+      suppressed: entries.map(([email, reason]) => ({ email, reason }))
+    };
+  }
+
   async getEmailStatus(messageId) {
     try {
       const response = await fetch(`https://api.resend.com/emails/${messageId}`, {
@@ -580,4 +784,3 @@ class ResendClient {
 
 const resendClient = new ResendClient();
 export default resendClient;
-```
\ No newline at end of file
@@ -0,0 +1,49 @@
+app/utils/eventLifecycle.js
+
+// Lifecycle of a calendar event after it's scheduled. Shared by CalendarService and the server-side
+// outcome jobs so both agree on which moves are allowed and which events still need an outcome.
+
+export const EVENT_STATUSES = ['scheduled', 'completed', 'no_show', 'rescheduled', 'cancelled', 'postponed'];
+
+// Only prospect-facing events get an outcome; a call or task simply happens or doesn't
+export const OUTCOME_EVENT_TYPES = ['demo', 'meeting'];
+
+// Statuses that count towards no-show rates: the meeting time came and the prospect did or didn't show
+export const OUTCOME_STATUSES = ['completed', 'no_show'];
+
+const TRANSITIONS = {
+  scheduled: ['completed', 'no_show', 'rescheduled', 'cancelled', 'postponed'],
+  postponed: ['scheduled', 'rescheduled', 'cancelled'],
+  // A wrongly recorded outcome can be corrected; a no-show can still be rebooked
+  completed: ['no_show'],
+  no_show: ['completed', 'rescheduled'],
+  rescheduled: [],
+  cancelled: [],
+};
+
+export const canTransition = (from, to) => {
+  const current = from || 'scheduled';
+  return current === to || (TRANSITIONS[current] || []).includes(to);
+};
+
+export const assertTransition = (from, to) => {
+  if (!EVENT_STATUSES.includes(to)) {
+    throw new Error(`Event status must be one of ${EVENT_STATUSES.join(', ')}`);
+  }
+  if (!canTransition(from, to)) {
+    throw new Error(`Cannot change an event from ${from || 'scheduled'} to ${to}`);
+  }
+};
+
+// Series rows stand for many meetings; only single events and changed occurrences are asked about
+export const needsOutcome = (event, now = new Date()) => OUTCOME_EVENT_TYPES.includes(event.event_type)
+  && (event.status || 'scheduled') === 'scheduled'
+  && !(event.recurring && event.recurrence_pattern)
+  && !event.is_occurrence
+  && new Date(event.end_time) <= now;
+
+// no_show / (completed + no_show); null when nothing has an outcome yet
+export const getNoShowRate = ({ completed = 0, noShows = 0 }) => {
+  const total = completed + noShows;
+  return total > 0 ? noShows / total : null;
+};
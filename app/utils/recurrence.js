@@ -0,0 +1,333 @@
+app/utils/recurrence.js
+
+// RFC 5545 recurrence rules for calendar_events. Shared by CalendarService and the server's
+// iCalendar and booking code, so keep it free of React Native, Supabase and Node-only imports.
+//
+// A series row stores its rule as recurrence_pattern JSON:
+//   { frequency, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, weekStart, timezone }
+// byDay entries are RRULE weekday codes with an optional ordinal: 'MO', '2TU', '-1FR' (last Friday).
+// Occurrences are expanded on demand for whatever range is being shown; nothing is pre-inserted.
+
+import { isValidTimezone, getZonedParts, zonedTimeToUtc } from './timezone';
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+export const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const MAX_RECURRENCE_COUNT = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Stops rules that can never match (BYMONTH=2;BYMONTHDAY=30) from looping forever
+const MAX_PERIODS = 5000;
+const BY_DAY_REGEX = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/;
+
+const toDayNumber = (year, month, day) => Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+
+const fromDayNumber = (dayNumber) => {
+  const date = new Date(dayNumber * DAY_MS);
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const weekdayOf = dayNumber => new Date(dayNumber * DAY_MS).getUTCDay();
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max && value !== 0;
+
+const parseByDay = (entry) => {
+  const match = BY_DAY_REGEX.exec(entry);
+  return { weekday: WEEKDAY_CODES.indexOf(match[2]), nth: match[1] ? Number(match[1]) : null };
+};
+
+export const validateRecurrencePattern = (pattern) => {
+  if (!pattern || !FREQUENCIES.includes(pattern.frequency)) {
+    throw new Error(`Recurrence frequency must be one of ${FREQUENCIES.join(', ')}`);
+  }
+
+  const interval = pattern.interval ?? 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error('Recurrence interval must be a positive whole number');
+  }
+  if (pattern.count != null && !isIntegerIn(pattern.count, 1, MAX_RECURRENCE_COUNT)) {
+    throw new Error(`Recurrence count must be between 1 and ${MAX_RECURRENCE_COUNT}`);
+  }
+  if (pattern.until != null && Number.isNaN(new Date(pattern.until).getTime())) {
+    throw new Error('Recurrence until must be a valid date');
+  }
+  if (pattern.count != null && pattern.until != null) {
+    throw new Error('A recurrence can end after a count or on a date, not both');
+  }
+
+  const byDay = pattern.byDay || [];
+  const invalidDay = byDay.find(entry => !BY_DAY_REGEX.test(entry) || (parseByDay(entry).nth !== null
+    && (!isIntegerIn(parseByDay(entry).nth, -53, 53) || !['monthly', 'yearly'].includes(pattern.frequency))));
+  if (invalidDay) {
+    throw new Error(`Invalid byDay entry: ${invalidDay}`);
+  }
+
+  const byMonthDay = pattern.byMonthDay || [];
+  if (byMonthDay.some(day => !isIntegerIn(day, -31, 31))) {
+    throw new Error('byMonthDay entries must be between -31 and 31, excluding 0');
+  }
+
+  const byMonth = pattern.byMonth || [];
+  if (byMonth.some(month => !isIntegerIn(month, 1, 12))) {
+    throw new Error('byMonth entries must be between 1 and 12');
+  }
+
+  const bySetPos = pattern.bySetPos || [];
+  if (bySetPos.some(position => !isIntegerIn(position, -366, 366))) {
+    throw new Error('bySetPos entries must be between -366 and 366, excluding 0');
+  }
+  if (bySetPos.length > 0 && byDay.length === 0 && byMonthDay.length === 0) {
+    throw new Error('bySetPos needs byDay or byMonthDay to select from');
+  }
+
+  const weekStart = pattern.weekStart || 'MO';
+  if (!WEEKDAY_CODES.includes(weekStart)) {
+    throw new Error(`weekStart must be one of ${WEEKDAY_CODES.join(', ')}`);
+  }
+
+  const timezone = pattern.timezone || 'UTC';
+  if (!isValidTimezone(timezone)) {
+    throw new Error(`Unknown timezone: ${timezone}`);
+  }
+
+  const normalized = { frequency: pattern.frequency, interval, weekStart, timezone };
+  if (pattern.count != null) normalized.count = pattern.count;
+  if (pattern.until != null) normalized.until = new Date(pattern.until).toISOString();
+  if (byDay.length > 0) normalized.byDay = byDay;
+  if (byMonthDay.length > 0) normalized.byMonthDay = byMonthDay;
+  if (byMonth.length > 0) normalized.byMonth = byMonth;
+  if (bySetPos.length > 0) normalized.bySetPos = bySetPos;
+  return normalized;
+};
+
+// recurrence_pattern is stored as a JSON string; accepts either form
+export const parseRecurrencePattern = (value) => {
+  if (!value) return null;
+  return validateRecurrencePattern(typeof value === 'string' ? JSON.parse(value) : value);
+};
+
+// Days of one month matching BYMONTHDAY/BYDAY; ordinals count within the month
+const monthCandidates = (rule, year, month, defaultDay) => {
+  const total = daysInMonth(year, month);
+  const first = toDayNumber(year, month, 1);
+  let days;
+
+  if (rule.byMonthDay) {
+    days = rule.byMonthDay.map(day => (day > 0 ? day : total + day + 1)).filter(day => day >= 1 && day <= total);
+  } else if (rule.byDay) {
+    days = Array.from({ length: total }, (_, index) => index + 1);
+  } else {
+    days = defaultDay <= total ? [defaultDay] : [];
+  }
+
+  if (rule.byDay) {
+    const byDay = rule.byDay.map(parseByDay);
+    days = days.filter(day => byDay.some(({ weekday, nth }) => {
+      if (weekdayOf(first + day - 1) !== weekday) return false;
+      if (nth === null) return true;
+      return nth > 0 ? Math.ceil(day / 7) === nth : Math.ceil((total - day + 1) / 7) === -nth;
+    }));
+  }
+
+  return days.map(day => first + day - 1);
+};
+
+// Yearly BYDAY ordinals without BYMONTH count within the year ("20th Monday of the year")
+const yearWeekdayCandidates = (rule, year) => {
+  const first = toDayNumber(year, 1, 1);
+  const total = toDayNumber(year + 1, 1, 1) - first;
+  const byDay = rule.byDay.map(parseByDay);
+  const days = [];
+
+  for (let offset = 0; offset < total; offset++) {
+    const matches = byDay.some(({ weekday, nth }) => {
+      if (weekdayOf(first + offset) !== weekday) return false;
+      if (nth === null) return true;
+      return nth > 0 ? Math.ceil((offset + 1) / 7) === nth : Math.ceil((total - offset) / 7) === -nth;
+    });
+    if (matches) days.push(first + offset);
+  }
+
+  return days;
+};
+
+const applySetPos = (days, bySetPos) => {
+  if (!bySetPos) return days;
+  const picked = bySetPos
+    .map(position => days[position > 0 ? position - 1 : days.length + position])
+    .filter(day => day !== undefined);
+  return [...new Set(picked)].sort((a, b) => a - b);
+};
+
+// Candidate local days for period `index` (0 = the period containing DTSTART), ascending
+const periodCandidates = (rule, local, index) => {
+  const step = index * rule.interval;
+  const startDay = toDayNumber(local.year, local.month, local.day);
+  const inMonths = day => !rule.byMonth || rule.byMonth.includes(fromDayNumber(day).month);
+  let days = [];
+
+  switch (rule.frequency) {
+    case 'daily': {
+      const day = startDay + step;
+      const { year, month } = fromDayNumber(day);
+      const matchesMonthDay = !rule.byMonthDay || monthCandidates({ byMonthDay: rule.byMonthDay }, year, month).includes(day);
+      const matchesWeekday = !rule.byDay || rule.byDay.map(parseByDay).some(({ weekday }) => weekday === weekdayOf(day));
+      days = matchesMonthDay && matchesWeekday ? [day] : [];
+      break;
+    }
+    case 'weekly': {
+      const weekStart = WEEKDAY_CODES.indexOf(rule.weekStart);
+      const firstOfWeek = startDay - ((weekdayOf(startDay) - weekStart + 7) % 7) + step * 7;
+      const weekdays = rule.byDay ? rule.byDay.map(entry => parseByDay(entry).weekday) : [weekdayOf(startDay)];
+      days = Array.from({ length: 7 }, (_, offset) => firstOfWeek + offset)
+        .filter(day => weekdays.includes(weekdayOf(day)));
+      break;
+    }
+    case 'monthly': {
+      const monthIndex = local.year * 12 + (local.month - 1) + step;
+      const year = Math.floor(monthIndex / 12);
+      const month = (monthIndex % 12) + 1;
+      days = !rule.byMonth || rule.byMonth.includes(month) ? monthCandidates(rule, year, month, local.day) : [];
+      break;
+    }
+    default: {
+      const year = local.year + step;
+      if (rule.byDay && !rule.byMonth && !rule.byMonthDay && rule.byDay.some(entry => parseByDay(entry).nth !== null)) {
+        days = yearWeekdayCandidates(rule, year);
+      } else {
+        const months = rule.byMonth || (rule.byDay || rule.byMonthDay ? [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12] : [local.month]);
+        days = months.flatMap(month => monthCandidates(rule, year, month, local.day));
+      }
+      break;
+    }
+  }
+
+  return applySetPos(days.filter(inMonths).sort((a, b) => a - b), rule.bySetPos);
+};
+
+// Without a COUNT, periods before the range can't affect it, so jump close to `from`
+const firstPeriodFor = (rule, local, from) => {
+  if (rule.count || !from) return 0;
+  const target = getZonedParts(from, rule.timezone);
+  const startDay = toDayNumber(local.year, local.month, local.day);
+  const targetDay = toDayNumber(target.year, target.month, target.day);
+  let periods;
+
+  switch (rule.frequency) {
+    case 'daily':
+      periods = (targetDay - startDay) / rule.interval;
+      break;
+    case 'weekly':
+      periods = (targetDay - startDay) / (7 * rule.interval);
+      break;
+    case 'monthly':
+      periods = ((target.year - local.year) * 12 + (target.month - local.month)) / rule.interval;
+      break;
+    default:
+      periods = (target.year - local.year) / rule.interval;
+      break;
+  }
+
+  return Math.max(0, Math.floor(periods) - 1);
+};
+
+// Occurrence start instants of a series beginning at `start`, inside [from, to). EXDATEs still count
+// toward COUNT, as RFC 5545 requires. Occurrences keep DTSTART's wall-clock time across DST changes.
+export const expandRecurrence = (pattern, { start, from, to, exdates = [], limit = MAX_RECURRENCE_COUNT }) => {
+  const rule = parseRecurrencePattern(pattern);
+  const seriesStart = new Date(start).getTime();
+  const rangeStart = from ? new Date(from).getTime() : seriesStart;
+  const rangeEnd = to ? new Date(to).getTime() : Infinity;
+  const until = rule.until ? new Date(rule.until).getTime() : Infinity;
+  const excluded = new Set(exdates.map(value => new Date(value).getTime()));
+  const local = getZonedParts(start, rule.timezone);
+  const occurrences = [];
+  let produced = 0;
+
+  if (!rule.count && rangeEnd === Infinity && until === Infinity) {
+    throw new Error('An open-ended recurrence needs a `to` date to expand');
+  }
+
+  const firstPeriod = firstPeriodFor(rule, local, from);
+  for (let index = firstPeriod; index < firstPeriod + MAX_PERIODS; index++) {
+    for (const dayNumber of periodCandidates(rule, local, index)) {
+      const instant = zonedTimeToUtc({ ...fromDayNumber(dayNumber), hour: local.hour, minute: local.minute }, rule.timezone);
+      const time = instant.getTime();
+
+      if (time < seriesStart) continue;
+      if (time > until || (rule.count && produced >= rule.count) || time >= rangeEnd) {
+        return occurrences;
+      }
+
+      produced++;
+      if (time >= rangeStart && !excluded.has(time)) {
+        occurrences.push(instant);
+        if (occurrences.length >= limit) return occurrences;
+      }
+    }
+  }
+
+  return occurrences;
+};
+
+// When the last occurrence ends, or null for open-ended series. Stored as recurrence_end so range
+// queries can skip series that finished before the range starts.
+export const getRecurrenceEnd = (pattern, { start, end }) => {
+  const rule = parseRecurrencePattern(pattern);
+  if (!rule.count && !rule.until) return null;
+
+  const occurrences = expandRecurrence(rule, { start });
+  if (occurrences.length === 0) return new Date(end).toISOString();
+
+  const duration = new Date(end).getTime() - new Date(start).getTime();
+  return new Date(occurrences[occurrences.length - 1].getTime() + duration).toISOString();
+};
+
+// Splits a series at `splitAt` for "this and following" edits. `before` is null when nothing
+// occurs before the split; COUNT is shared out so the two halves keep the original total.
+export const splitRecurrence = (pattern, { start, splitAt }) => {
+  const rule = parseRecurrencePattern(pattern);
+  const earlier = expandRecurrence({ ...rule, count: undefined, until: rule.until || splitAt }, {
+    start,
+    to: splitAt,
+  });
+
+  if (earlier.length === 0) {
+    return { before: null, after: rule };
+  }
+
+  if (rule.count && rule.count <= earlier.length) {
+    return { before: rule, after: null };
+  }
+
+  const { count, ...bounded } = rule;
+  const before = { ...bounded, until: earlier[earlier.length - 1].toISOString() };
+  const after = count ? { ...rule, count: count - earlier.length } : rule;
+
+  return { before, after };
+};
+
+// Expands a series row into occurrence rows overlapping [from, to). Occurrences replaced by an
+// override row (matched on recurrence_id) are left out; the override is returned by the range query itself.
+export const expandSeries = (series, { from, to, overrides = [] }) => {
+  const seriesStart = new Date(series.start_time);
+  const duration = new Date(series.end_time).getTime() - seriesStart.getTime();
+  const overridden = new Set(overrides.map(override => new Date(override.recurrence_id).getTime()));
+
+  return expandRecurrence(series.recurrence_pattern, {
+    start: seriesStart,
+    from: new Date(new Date(from).getTime() - duration),
+    to,
+    exdates: series.recurrence_exdates || [],
+  })
+    .filter(instant => !overridden.has(instant.getTime()))
+    .map(instant => ({
+      ...series,
+      series_id: series.id,
+      occurrence_start: instant.toISOString(),
+      start_time: instant.toISOString(),
+      end_time: new Date(instant.getTime() + duration).toISOString(),
+      is_occurrence: true,
+    }));
+};
@@ -0,0 +1,138 @@
+app/utils/replyIntents.js
+
+// Sales intents a prospect reply is sorted into, plus the rule-based signals that decide the
+// unambiguous ones without a model. Shared by the server classifier and the inbox filters.
+
+export const REPLY_INTENTS = ['interested', 'objection', 'out_of_office', 'unsubscribe', 'wrong_person', 'other'];
+
+export const REPLY_INTENT_LABELS = {
+  interested: 'Interested',
+  objection: 'Objection',
+  out_of_office: 'Out of office',
+  unsubscribe: 'Unsubscribe',
+  wrong_person: 'Wrong person',
+  other: 'Other',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+const OUT_OF_OFFICE_SUBJECT = /\b(out of (the )?office|automatic reply|auto[- ]?reply|autoreply|away from (the )?office|on vacation|on leave|abwesenheit|absence)\b/i;
+const OUT_OF_OFFICE_BODY = /\bI(?:'m| am| will be)\s+(?:currently\s+)?(?:out of (?:the )?office|on (?:vacation|holiday|leave|pto|parental leave|annual leave)|away from (?:the office|my desk)|travell?ing with limited)/i;
+
+// Opt-out phrasing only: "unsubscribe" or "remove me" inside a longer reply is usually about
+// something else ("how do your users unsubscribe", "remove me from the cc list")
+const UNSUBSCRIBE_PATTERNS = [
+  /^\s*(?:please\s+)?(?:unsubscribe|stop|remove|opt[- ]?out)(?:\s+me)?(?:,?\s+(?:please|thanks|thank you))?[\s.!]*$/i,
+  /\b(?:please\s+)?unsubscribe me\b/i,
+  /\b(?:please\s+)?(?:remove|take) me (?:off|from) (?:your|this|the) (?:mailing |email |distribution |contact )?(?:list|emails|database)\b/i,
+  /\b(?:please\s+)?opt me out\b/i,
+  /\bI(?:'d| would)? (?:like|want) to (?:unsubscribe|opt[- ]?out)\b/i,
+  /\b(?:please\s+)?stop (?:emailing|contacting|messaging) (?:me|us)\b/i,
+  /\b(?:please\s+)?stop sending (?:me|us) (?:emails|messages|these)\b/i,
+  /\b(?:do not|don'?t) (?:contact|email|message) (?:me|us) (?:again|anymore|any more)\b/i,
+  /^\s*(?:please\s+)?no (?:more|further) emails?(?:,?\s+please)?[\s.!]*$/im,
+];
+
+const WRONG_PERSON_PATTERNS = [
+  /\bwrong (?:person|contact)\b/i,
+  /\bnot the (?:right|best|correct) (?:person|contact)\b/i,
+  /\bno longer (?:with|at|work(?:s|ing)? (?:at|for|here))\b/i,
+  /\b(?:has|have) left the company\b/i,
+  /\bnot (?:in )?my (?:area|department|responsibility)\b/i,
+  /\b(?:is|would be) the (?:right|best|better) person\b/i,
+  /\b(?:you should|you'?ll want to|better to|best to|please) (?:reach out to|contact|speak (?:to|with)|talk to|email) (?!me\b|us\b)/i,
+];
+
+const EMAIL_REGEX = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+// Auto-Submitted: auto-replied is what RFC 3834 responders send; the rest is wording
+export const isOutOfOffice = ({ text = '', subject = '', autoSubmitted = 'no' } = {}) => autoSubmitted === 'auto-replied'
+  || OUT_OF_OFFICE_SUBJECT.test(subject)
+  || OUT_OF_OFFICE_BODY.test(text);
+
+// Out-of-office first: auto-replies routinely say "please contact ..." for urgent matters.
+// quotedOnly: no new text could be cut from the quote, so the text may be our own email and footer
+export const detectIntentByRules = (reply = {}) => {
+  if (isOutOfOffice(reply)) return 'out_of_office';
+  if (!reply.quotedOnly && UNSUBSCRIBE_PATTERNS.some(pattern => pattern.test(reply.text || ''))) return 'unsubscribe';
+  if (WRONG_PERSON_PATTERNS.some(pattern => pattern.test(reply.text || ''))) return 'wrong_person';
+  return null;
+};
+
+const utcDate = (year, month, day) => {
+  const date = new Date(Date.UTC(year, month, day));
+  return date.getUTCMonth() === month && date.getUTCDate() === day ? date : null;
+};
+
+// A date without a year is the next one on or after the reply (with a couple of days' slack)
+const withYear = (month, day, year, receivedAt) => {
+  if (year) return utcDate(year < 100 ? 2000 + year : year, month, day);
+
+  const thisYear = utcDate(receivedAt.getUTCFullYear(), month, day);
+  if (thisYear && thisYear.getTime() >= receivedAt.getTime() - 2 * DAY_MS) return thisYear;
+  return utcDate(receivedAt.getUTCFullYear() + 1, month, day);
+};
+
+const parseLooseDate = (value, receivedAt) => {
+  let match = value.match(/\b(\d{4})-(\d{1,2})-(\d{1,2})\b/);
+  if (match) return utcDate(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+
+  match = value.match(new RegExp(`\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'));
+  if (match) return withYear(MONTHS.indexOf(match[1].toLowerCase()), Number(match[2]), Number(match[3]) || null, receivedAt);
+
+  match = value.match(new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?(?:\\s+of)?\\s+${MONTH_PATTERN}(?:,?\\s+(\\d{4}))?`, 'i'));
+  if (match) return withYear(MONTHS.indexOf(match[2].toLowerCase()), Number(match[1]), Number(match[3]) || null, receivedAt);
+
+  // 10/26 is US month/day; 26.10. is European day.month
+  match = value.match(/\b(\d{1,2})([/.])(\d{1,2})(?:\2(\d{2,4}))?\b/);
+  if (match) {
+    const [month, day] = match[2] === '/' ? [Number(match[1]), Number(match[3])] : [Number(match[3]), Number(match[1])];
+    return withYear(month - 1, day, Number(match[4]) || null, receivedAt);
+  }
+
+  if (/\btomorrow\b/i.test(value)) {
+    return utcDate(receivedAt.getUTCFullYear(), receivedAt.getUTCMonth(), receivedAt.getUTCDate() + 1);
+  }
+
+  // Whole weekday names or abbreviations only: "month", "Sunil" and "monitored" aren't days
+  match = value.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday|sun|mon|tues?|wed|thu(?:rs?)?|fri|sat)\b/i);
+  if (match) {
+    const ahead = (WEEKDAYS.indexOf(match[1].slice(0, 3).toLowerCase()) - receivedAt.getUTCDay() + 7) % 7 || 7;
+    return utcDate(receivedAt.getUTCFullYear(), receivedAt.getUTCMonth(), receivedAt.getUTCDate() + ahead);
+  }
+
+  return null;
+};
+
+// The first day the sender says they're back, as a UTC date; null when the reply doesn't say.
+// "until"/"returning" name the return day; "through" names the last day away.
+export const parseReturnDate = (text = '', receivedAt = new Date()) => {
+  const cues = /\b(back|return(?:ing|s)?|in the office|until|till|through|thru)\b(?:\s+(?:on|in|by|from|to the office on))?\s*:?\s*([^\n]{0,40})/gi;
+  let match;
+
+  while ((match = cues.exec(text)) !== null) {
+    const date = parseLooseDate(match[2], receivedAt);
+    if (date) {
+      return /^(through|thru)$/i.test(match[1]) ? new Date(date.getTime() + DAY_MS) : date;
+    }
+  }
+
+  return null;
+};
+
+// "please reach out to Jane Doe (jane@acme.com)" -> { email, name }; the sender and our own
+// addresses are skipped
+export const extractReferral = (text = '', { exclude = [] } = {}) => {
+  const skip = exclude.map(value => value.toLowerCase());
+  const matches = [...text.matchAll(EMAIL_REGEX)];
+  const found = matches.find(candidate => !skip.some(value => candidate[0].toLowerCase().endsWith(value)));
+  if (!found) return null;
+
+  const before = text.slice(Math.max(0, found.index - 60), found.index);
+  const nameMatch = before.match(/([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+){0,2})\s*(?:at|on|via)?\s*[(<\[:-]?\s*$/);
+
+  return { email: found[0].toLowerCase(), name: nameMatch ? nameMatch[1] : null };
+};
@@ -1 +1,358 @@
-app/utils/scoreCalc.js
\ No newline at end of file
+app/utils/scoreCalc.js
+
+// Pure lead scoring engine. Shared by the app and server/functions/scoreLead.js,
+// so keep it free of React Native, Supabase and Node-only imports.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_SCORING_MODEL = {
+  id: 'default',
+  name: 'Default',
+  version: 1,
+  weights: {
+    fit: 0.4,
+    engagement: 0.4,
+    recency: 0.2,
+    // Off by default; SMB profiles typically weight how fast a lead replies
+    responsiveness: 0,
+  },
+  fit: {
+    companySizeBands: [
+      { min: 1, max: 10, points: 10 },
+      { min: 11, max: 50, points: 25 },
+      { min: 51, max: 200, points: 35 },
+      { min: 201, max: 1000, points: 30 },
+      { min: 1001, max: Infinity, points: 20 },
+    ],
+    targetIndustries: ['software', 'saas', 'fintech', 'technology', 'financial services', 'ecommerce'],
+    industryPoints: 25,
+    seniority: [
+      { keywords: ['ceo', 'cfo', 'cto', 'coo', 'cmo', 'chief', 'founder', 'owner', 'president'], points: 25 },
+      { keywords: ['vp', 'vice president', 'head of', 'director'], points: 20 },
+      { keywords: ['manager', 'lead'], points: 12 },
+    ],
+    defaultSeniorityPoints: 5,
+    emailPoints: 10,
+    phonePoints: 5,
+  },
+  engagement: {
+    eventPoints: {
+      email_open: 2,
+      email_click: 5,
+      reply: 20,
+      meeting_booked: 40,
+    },
+    // Raw points at which engagement reaches ~63% of the maximum
+    saturation: 40,
+  },
+  recency: {
+    halfLifeDays: 14,
+  },
+  responsiveness: {
+    halfLifeHours: 24,
+  },
+};
+
+const clamp = (value, min = 0, max = 100) => Math.min(max, Math.max(min, value));
+
+export const validateScoringWeights = (weights = {}) => {
+  const errors = [];
+
+  Object.keys(DEFAULT_SCORING_MODEL.weights).forEach(key => {
+    const weight = weights[key];
+    if (weight === undefined) return;
+    if (typeof weight !== 'number' || Number.isNaN(weight) || weight < 0) {
+      errors.push(`${key} weight must be a non-negative number`);
+    }
+  });
+
+  Object.keys(weights).forEach(key => {
+    if (!(key in DEFAULT_SCORING_MODEL.weights)) {
+      errors.push(`Unknown scoring factor: ${key}`);
+    }
+  });
+
+  const merged = { ...DEFAULT_SCORING_MODEL.weights, ...weights };
+  const total = Object.values(merged).reduce((sum, weight) => sum + (Number(weight) || 0), 0);
+  if (total <= 0) {
+    errors.push('At least one factor weight must be greater than zero');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+// Merge a stored weight profile (a scoring_models row) over the default rubric
+export const buildScoringModel = (profile = {}) => {
+  const weights = profile.weights || {};
+  const config = profile.config || {};
+  const validation = validateScoringWeights(weights);
+
+  if (!validation.isValid) {
+    throw new Error(`Invalid scoring model: ${validation.errors.join(', ')}`);
+  }
+
+  return {
+    id: profile.id || DEFAULT_SCORING_MODEL.id,
+    name: profile.name || DEFAULT_SCORING_MODEL.name,
+    version: profile.version || DEFAULT_SCORING_MODEL.version,
+    weights: { ...DEFAULT_SCORING_MODEL.weights, ...weights },
+    fit: { ...DEFAULT_SCORING_MODEL.fit, ...config.fit },
+    engagement: {
+      ...DEFAULT_SCORING_MODEL.engagement,
+      ...config.engagement,
+      eventPoints: {
+        ...DEFAULT_SCORING_MODEL.engagement.eventPoints,
+        ...config.engagement?.eventPoints,
+      },
+    },
+    recency: { ...DEFAULT_SCORING_MODEL.recency, ...config.recency },
+    responsiveness: { ...DEFAULT_SCORING_MODEL.responsiveness, ...config.responsiveness },
+  };
+};
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+const normalizeText = (value) => (value || '').toString().trim().toLowerCase();
+
+export const getCompanySize = (lead) => {
+  const size = lead.employee_count ?? lead.company_size ?? lead.headcount;
+  const parsed = parseInt(size, 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+export const summarizeEngagement = (events = []) => {
+  const counts = {};
+  const firstAt = {};
+  let lastEventAt = null;
+
+  events.forEach(event => {
+    const type = event.event_type || event.type;
+    if (!type) return;
+
+    counts[type] = (counts[type] || 0) + 1;
+
+    const occurredAt = toTime(event.occurred_at || event.created_at);
+    if (occurredAt && (!lastEventAt || occurredAt > lastEventAt)) {
+      lastEventAt = occurredAt;
+    }
+    if (occurredAt && (!firstAt[type] || occurredAt < firstAt[type])) {
+      firstAt[type] = occurredAt;
+    }
+  });
+
+  return { counts, firstAt, lastEventAt };
+};
+
+const scoreFit = (lead, config) => {
+  const details = {};
+  let points = 0;
+
+  const companySize = getCompanySize(lead);
+  const band = companySize !== null
+    ? config.companySizeBands.find(b => companySize >= b.min && companySize <= b.max)
+    : null;
+  details.companySize = band ? band.points : 0;
+  points += details.companySize;
+
+  const industry = normalizeText(lead.industry);
+  const industryMatch = industry && config.targetIndustries.some(target => industry.includes(target));
+  details.industry = industryMatch ? config.industryPoints : 0;
+  points += details.industry;
+
+  const title = normalizeText(lead.title || lead.position || lead.job_title);
+  const seniorityTier = title
+    ? config.seniority.find(tier => tier.keywords.some(keyword => title.includes(keyword)))
+    : null;
+  details.seniority = seniorityTier ? seniorityTier.points : (title ? config.defaultSeniorityPoints : 0);
+  points += details.seniority;
+
+  details.contactability = (lead.email ? config.emailPoints : 0) + (lead.phone ? config.phonePoints : 0);
+  points += details.contactability;
+
+  return { value: clamp(points), details };
+};
+
+const scoreEngagement = (summary, config) => {
+  const details = {};
+  let rawPoints = 0;
+
+  Object.entries(config.eventPoints).forEach(([type, eventPoints]) => {
+    const count = summary.counts[type] || 0;
+    details[type] = count;
+    rawPoints += count * eventPoints;
+  });
+
+  // Saturating curve so a flood of opens cannot outweigh a single meeting
+  const value = config.saturation > 0
+    ? 100 * (1 - Math.exp(-rawPoints / config.saturation))
+    : 0;
+
+  return { value: clamp(value), details: { ...details, rawPoints } };
+};
+
+const scoreRecency = (lead, summary, config, now) => {
+  const candidates = [
+    summary.lastEventAt,
+    toTime(lead.last_contacted),
+    toTime(lead.created_at),
+  ].filter(Boolean);
+
+  if (candidates.length === 0) {
+    return { value: 0, details: { daysSinceActivity: null } };
+  }
+
+  const lastActivity = Math.max(...candidates);
+  const daysSinceActivity = Math.max(0, (now.getTime() - lastActivity) / DAY_MS);
+  const value = 100 * Math.pow(0.5, daysSinceActivity / config.halfLifeDays);
+
+  return {
+    value: clamp(value),
+    details: { daysSinceActivity: Math.round(daysSinceActivity * 10) / 10 },
+  };
+};
+
+const scoreResponsiveness = (summary, config) => {
+  const sentAt = summary.firstAt.email_sent;
+  const repliedAt = summary.firstAt.reply;
+
+  if (!sentAt || !repliedAt || repliedAt < sentAt) {
+    return { value: 0, details: { hoursToReply: null } };
+  }
+
+  const hoursToReply = (repliedAt - sentAt) / (60 * 60 * 1000);
+  const value = 100 * Math.pow(0.5, hoursToReply / config.halfLifeHours);
+
+  return {
+    value: clamp(value),
+    details: { hoursToReply: Math.round(hoursToReply * 10) / 10 },
+  };
+};
+
+const FACTOR_LABELS = {
+  fit: 'Firmographic fit',
+  engagement: 'Engagement',
+  recency: 'Recency',
+  responsiveness: 'Reply speed',
+};
+
+export const PRIORITY_LABELS = {
+  high: 'High',
+  medium: 'Medium',
+  low: 'Low',
+};
+
+export const getScorePriority = (score) => {
+  if (score >= 70) return 'high';
+  if (score >= 40) return 'medium';
+  return 'low';
+};
+
+export const calculateLeadScore = (lead, events = [], model = DEFAULT_SCORING_MODEL, now = new Date()) => {
+  if (!lead || typeof lead !== 'object') {
+    throw new Error('Lead is required for scoring');
+  }
+
+  const summary = summarizeEngagement(events);
+  const factors = {
+    fit: scoreFit(lead, model.fit),
+    engagement: scoreEngagement(summary, model.engagement),
+    recency: scoreRecency(lead, summary, model.recency, now),
+    responsiveness: scoreResponsiveness(summary, model.responsiveness || DEFAULT_SCORING_MODEL.responsiveness),
+  };
+
+  const totalWeight = Object.keys(factors)
+    .reduce((sum, key) => sum + (model.weights[key] || 0), 0);
+
+  const breakdown = Object.entries(factors).map(([key, factor]) => {
+    const weight = totalWeight > 0 ? (model.weights[key] || 0) / totalWeight : 0;
+    return {
+      factor: key,
+      label: FACTOR_LABELS[key],
+      value: Math.round(factor.value),
+      weight: Math.round(weight * 100) / 100,
+      contribution: Math.round(factor.value * weight * 10) / 10,
+      details: factor.details,
+    };
+  });
+
+  const score = Math.round(clamp(breakdown.reduce((sum, item) => sum + item.contribution, 0)));
+
+  return {
+    score,
+    priority: getScorePriority(score),
+    breakdown,
+    modelId: model.id,
+    modelVersion: model.version,
+    scoredAt: now.toISOString(),
+  };
+};
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+export const getScoreDistribution = (scores = [], bucketSize = 10) => {
+  const values = scores
+    .filter(score => typeof score === 'number' && !Number.isNaN(score))
+    .sort((a, b) => a - b);
+
+  const histogram = [];
+  for (let min = 0; min < 100; min += bucketSize) {
+    const max = Math.min(100, min + bucketSize);
+    const isLast = max === 100;
+    histogram.push({
+      min,
+      max,
+      count: values.filter(score => score >= min && (isLast ? score <= max : score < max)).length,
+    });
+  }
+
+  const priorities = { high: 0, medium: 0, low: 0 };
+  values.forEach(score => {
+    priorities[getScorePriority(score)] += 1;
+  });
+
+  const mean = values.length > 0
+    ? values.reduce((sum, score) => sum + score, 0) / values.length
+    : null;
+
+  return {
+    count: values.length,
+    mean: mean === null ? null : Math.round(mean * 10) / 10,
+    median: percentile(values, 0.5),
+    p25: percentile(values, 0.25),
+    p75: percentile(values, 0.75),
+    histogram,
+    priorities,
+  };
+};
+
+export const compareScoreDistributions = (before, after) => {
+  const delta = (key) => (before[key] === null || after[key] === null ? null : Math.round((after[key] - before[key]) * 10) / 10);
+
+  return {
+    before,
+    after,
+    meanDelta: delta('mean'),
+    medianDelta: delta('median'),
+    priorityShift: Object.keys(after.priorities).reduce((shift, key) => ({
+      ...shift,
+      [key]: after.priorities[key] - (before.priorities[key] || 0),
+    }), {}),
+    histogramShift: after.histogram.map((bucket, index) => ({
+      min: bucket.min,
+      max: bucket.max,
+      change: bucket.count - (before.histogram[index]?.count || 0),
+    })),
+  };
+};
+
+export default calculateLeadScore;
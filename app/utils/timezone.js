@@ -0,0 +1,71 @@
+app/utils/timezone.js
+
+// IANA timezone helpers built on Intl, so no timezone database has to ship with the app or server.
+// Shared by the app and server/scheduling, so keep it free of React Native, Supabase and Node-only imports.
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+export const isValidTimezone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const formatters = new Map();
+const getFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+    }));
+  }
+  return formatters.get(timeZone);
+};
+
+export const getZonedParts = (date, timeZone) => {
+  const parts = getFormatter(timeZone).formatToParts(new Date(date))
+    .reduce((values, part) => ({ ...values, [part.type]: part.value }), {});
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+  };
+};
+
+// UTC offset of the zone at an instant, in milliseconds (east of UTC is positive)
+export const getOffsetMs = (date, timeZone) => {
+  const parts = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// Local wall-clock time -> instant. Two passes settle the offset across DST transitions.
+export const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = new Date(guess - getOffsetMs(new Date(guess), timeZone));
+  instant = new Date(guess - getOffsetMs(instant, timeZone));
+  return instant;
+};
+
+// Local calendar day `offset` days after `local`, read at noon so DST changes never skip or repeat a day
+export const getLocalDay = (local, offset, timeZone) => {
+  const noon = zonedTimeToUtc({ year: local.year, month: local.month, day: local.day + offset, hour: 12 }, timeZone);
+  return getZonedParts(noon, timeZone);
+};
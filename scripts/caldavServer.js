@@ -0,0 +1,32 @@
+scripts/caldavServer.js
+
+import http from 'http';
+import { handleCalDavRequest } from '../server/functions/caldav';
+
+// Serves the CalDAV endpoint on http://localhost:<CALDAV_PORT>/ so it can be exercised with a
+// CalDAV client library (tsdav, caldav for Python) or a desktop calendar app during development.
+// Uses the same Supabase project as the server functions; get a password from sync-calendar's `caldav` action.
+const PORT = Number(process.env.CALDAV_PORT) || 5232;
+
+const readBody = req => new Promise((resolve, reject) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const server = http.createServer(async (req, res) => {
+  const response = await handleCalDavRequest({
+    method: req.method,
+    path: new URL(req.url, `http://localhost:${PORT}`).pathname,
+    headers: req.headers,
+    body: await readBody(req),
+  });
+
+  res.writeHead(response.status, response.headers);
+  res.end(response.body);
+});
+
+server.listen(PORT, () => {
+  console.log(`CalDAV server listening on http://localhost:${PORT}/`);
+});
@@ -1 +1,302 @@
-server/ai/embedder.js
\ No newline at end of file
+server/ai/embedder.js
+
+import crypto from 'crypto';
+import process from 'process';
+
+const HUGGING_FACE_API_URL = 'https://api-inference.huggingface.co/pipeline/feature-extraction';
+const DEFAULT_REMOTE_MODEL = 'sentence-transformers/all-MiniLM-L6-v2';
+const DEFAULT_DIMENSIONS = 384;
+const DEFAULT_BATCH_SIZE = 32;
+const DEFAULT_CACHE_SIZE = 5000;
+const MAX_RETRIES = 3;
+const RETRY_DELAY = 1000;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export const normalizeVector = (vector) => {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+export const cosineSimilarity = (a, b) => {
+  if (!a || !b || a.length !== b.length) {
+    throw new Error('Vectors must have the same dimensions');
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+// Mean-pool token embeddings when a model returns [tokens][dims] instead of a sentence vector
+const poolEmbedding = (output) => {
+  if (!Array.isArray(output[0])) {
+    return output;
+  }
+
+  const dimensions = output[0].length;
+  const pooled = new Array(dimensions).fill(0);
+  output.forEach(token => {
+    for (let i = 0; i < dimensions; i++) {
+      pooled[i] += token[i] / output.length;
+    }
+  });
+  return pooled;
+};
+
+export class HuggingFaceEmbeddingBackend {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY;
+    this.model = options.model || DEFAULT_REMOTE_MODEL;
+    this.id = `huggingface:${this.model}`;
+  }
+
+  shouldRetry(error) {
+    return error.message.includes('Model is loading') ||
+           error.message.includes('Rate limit') ||
+           error.message.includes('network') ||
+           error.message.includes('timeout');
+  }
+
+  async embed(texts, retryCount = 0) {
+    if (!this.apiKey) {
+      throw new Error('Hugging Face API key not configured: set HUGGINGFACE_API_KEY, or EMBEDDER_BACKEND=local for offline development');
+    }
+
+    try {
+      const response = await fetch(`${HUGGING_FACE_API_URL}/${this.model}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          inputs: texts,
+          options: { wait_for_model: true }
+        })
+      });
+
+      if (response.status === 429) {
+        throw new Error('Rate limit exceeded');
+      }
+
+      if (response.status === 503) {
+        throw new Error('Model is loading');
+      }
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`HTTP ${response.status}: ${errorText}`);
+      }
+
+      const result = await response.json();
+      if (!Array.isArray(result) || result.length !== texts.length) {
+        throw new Error('Unexpected feature-extraction response shape');
+      }
+
+      return result.map(output => normalizeVector(poolEmbedding(output)));
+    } catch (error) {
+      if (retryCount < MAX_RETRIES && this.shouldRetry(error)) {
+        await delay(RETRY_DELAY * Math.pow(2, retryCount));
+        return this.embed(texts, retryCount + 1);
+      }
+      throw error;
+    }
+  }
+}
+
+// Deterministic feature-hashing embedder: no network, same text always yields the same vector.
+// Good enough for tests and offline development; not a substitute for a real model in production.
+export class LocalEmbeddingBackend {
+  constructor(options = {}) {
+    this.dimensions = options.dimensions || DEFAULT_DIMENSIONS;
+    this.id = `local:hash-${this.dimensions}`;
+  }
+
+  tokenize(text) {
+    return text.toLowerCase().match(/[a-z0-9]+/g) || [];
+  }
+
+  addFeature(vector, feature, weight) {
+    const digest = crypto.createHash('md5').update(feature).digest();
+    const index = digest.readUInt32LE(0) % this.dimensions;
+    const sign = digest[4] & 1 ? 1 : -1;
+    vector[index] += sign * weight;
+  }
+
+  embedOne(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const tokens = this.tokenize(text);
+
+    tokens.forEach((token, i) => {
+      this.addFeature(vector, `w:${token}`, 1);
+      if (i > 0) {
+        this.addFeature(vector, `b:${tokens[i - 1]}_${token}`, 0.5);
+      }
+      // Character trigrams give some robustness to plurals and typos
+      const padded = `#${token}#`;
+      for (let j = 0; j < padded.length - 2; j++) {
+        this.addFeature(vector, `c:${padded.substring(j, j + 3)}`, 0.25);
+      }
+    });
+
+    return normalizeVector(vector);
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedOne(text));
+  }
+}
+
+// The hosted model is the default; the hashing backend has to be asked for, so a missing key
+// fails the first embed instead of quietly indexing with vectors nobody would search with
+export const createEmbeddingBackend = (name = process.env.EMBEDDER_BACKEND || 'huggingface', options = {}) => {
+  switch (name) {
+    case 'huggingface':
+      return new HuggingFaceEmbeddingBackend(options);
+    case 'local':
+      return new LocalEmbeddingBackend(options);
+    default:
+      throw new Error(`Unknown embedding backend: ${name}`);
+  }
+};
+
+export const leadToText = (lead = {}) => [
+  lead.name,
+  lead.title || lead.position || lead.job_title,
+  lead.company,
+  lead.industry,
+  lead.location,
+  lead.company_description || lead.description,
+  lead.notes,
+].filter(Boolean).join('. ');
+
+export const companyToText = (company = {}) => [
+  company.name,
+  company.industry,
+  company.location,
+  company.description,
+  Array.isArray(company.technologies) ? company.technologies.join(', ') : company.technologies,
+].filter(Boolean).join('. ');
+
+export const messageToText = (message = {}) => [
+  message.subject,
+  message.content || message.body || message.text,
+].filter(Boolean).join('\n');
+
+export class Embedder {
+  constructor(options = {}) {
+    this.backend = options.backend || createEmbeddingBackend(options.backendName, options);
+    this.batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+    this.maxCacheSize = options.maxCacheSize ?? DEFAULT_CACHE_SIZE;
+    this.cache = new Map();
+  }
+
+  setBackend(backend) {
+    this.backend = backend;
+  }
+
+  getContentHash(text) {
+    return crypto.createHash('sha256').update(`${this.backend.id}\u0000${text}`).digest('hex');
+  }
+
+  getCached(hash) {
+    if (!this.cache.has(hash)) return null;
+    // Re-insert to keep Map order as least-recently-used first
+    const vector = this.cache.get(hash);
+    this.cache.delete(hash);
+    this.cache.set(hash, vector);
+    return vector;
+  }
+
+  setCached(hash, vector) {
+    if (this.maxCacheSize <= 0) return;
+    this.cache.set(hash, vector);
+    while (this.cache.size > this.maxCacheSize) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+  }
+
+  async embedBatch(texts, options = {}) {
+    const { useCache = true } = options;
+
+    if (!Array.isArray(texts)) {
+      throw new Error('embedBatch expects an array of strings');
+    }
+
+    const normalized = texts.map(text => (text || '').toString().trim());
+    const hashes = normalized.map(text => this.getContentHash(text));
+    const vectors = new Array(texts.length).fill(null);
+    const pending = new Map();
+
+    hashes.forEach((hash, index) => {
+      const cached = useCache ? this.getCached(hash) : null;
+      if (cached) {
+        vectors[index] = cached;
+      } else if (pending.has(hash)) {
+        pending.get(hash).indexes.push(index);
+      } else {
+        pending.set(hash, { text: normalized[index], indexes: [index] });
+      }
+    });
+
+    const misses = [...pending.entries()];
+    for (let i = 0; i < misses.length; i += this.batchSize) {
+      const batch = misses.slice(i, i + this.batchSize);
+      const embeddings = await this.backend.embed(batch.map(([, item]) => item.text));
+
+      batch.forEach(([hash, item], j) => {
+        if (useCache) {
+          this.setCached(hash, embeddings[j]);
+        }
+        item.indexes.forEach(index => {
+          vectors[index] = embeddings[j];
+        });
+      });
+    }
+
+    return vectors.map((vector, index) => ({
+      vector,
+      contentHash: hashes[index],
+      model: this.backend.id,
+    }));
+  }
+
+  async embed(text, options = {}) {
+    const [result] = await this.embedBatch([text], options);
+    return result;
+  }
+
+  async embedLead(lead, options = {}) {
+    return this.embed(leadToText(lead), options);
+  }
+
+  async embedCompany(company, options = {}) {
+    return this.embed(companyToText(company), options);
+  }
+
+  async embedMessage(message, options = {}) {
+    return this.embed(messageToText(message), options);
+  }
+
+  clearCache() {
+    this.cache.clear();
+  }
+
+  getCacheStats() {
+    return {
+      size: this.cache.size,
+      maxSize: this.maxCacheSize,
+      backend: this.backend.id,
+    };
+  }
+}
+
+export default new Embedder();
@@ -1 +1,432 @@
-server/ai/promptTemplates.js
\ No newline at end of file
+server/ai/promptTemplates.js
+
+import supabase from '../lib/supabase';
+
+const TEMPLATES_TABLE = 'prompt_templates';
+const PLACEHOLDER_REGEX = /\{\{\s*([a-zA-Z0-9_]+)\s*\}\}/g;
+const FIELD_TYPES = ['string', 'text', 'number', 'enum'];
+
+// Built-in tactics. Rows in prompt_templates with the same id and a higher
+// version take precedence, so new prompts ship without an app release.
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'cold-email-outline',
+    version: 1,
+    name: 'Cold Email Outline',
+    description: 'Generate a persuasive cold email structure tailored for outbound B2B outreach.',
+    inputFields: [
+      { name: 'companyName', label: 'Company name', type: 'string', required: true, maxLength: 120 },
+      { name: 'industry', label: 'Industry', type: 'string', required: true, maxLength: 80 },
+      { name: 'valueProp', label: 'Value proposition', type: 'text', required: true, maxLength: 500 },
+    ],
+    template: `You are an expert SDR. Generate a cold email outline for a company named "{{companyName}}" targeting the {{industry}} industry.
+
+The email should:
+- Start with a personalized hook relevant to the industry
+- Introduce a pain point
+- Offer a clear solution via "{{valueProp}}"
+- Include a CTA that encourages response
+
+Keep it concise, direct, and written in a professional tone.`,
+  },
+  {
+    id: 'linkedin-connection-message',
+    version: 1,
+    name: 'LinkedIn Connection Message',
+    description: 'Craft a short and engaging LinkedIn connection request message.',
+    inputFields: [
+      { name: 'recipientRole', label: 'Recipient role', type: 'string', required: true, maxLength: 120 },
+      { name: 'commonGround', label: 'Shared connection or commonality', type: 'text', required: true, maxLength: 300 },
+    ],
+    template: `You're crafting a LinkedIn connection message for someone in the role of "{{recipientRole}}".
+
+Mention this shared connection or commonality: "{{commonGround}}".
+
+Make it:
+- Friendly but professional
+- No more than 300 characters
+- Likely to get accepted`,
+  },
+  {
+    id: 'value-prop-simplifier',
+    version: 1,
+    name: 'Value Proposition Simplifier',
+    description: 'Simplify a complex value proposition into a 1-sentence pitch a 10-year-old can understand.',
+    inputFields: [
+      { name: 'complexValueProp', label: 'Value proposition', type: 'text', required: true, maxLength: 2000 },
+    ],
+    template: `Simplify the following value proposition so a 10-year-old can understand it in one sentence:
+
+"{{complexValueProp}}"`,
+  },
+  {
+    id: 'follow-up-message',
+    version: 1,
+    name: 'Follow-Up Message',
+    description: 'Create a friendly follow-up message after no response to the first cold outreach.',
+    inputFields: [
+      { name: 'firstMessageSummary', label: 'First message summary', type: 'text', required: true, maxLength: 1000 },
+      { name: 'senderName', label: 'Sender name', type: 'string', required: true, maxLength: 80 },
+    ],
+    template: `You are writing a friendly follow-up message after the recipient hasn't replied to the first cold email.
+
+The first message was about: "{{firstMessageSummary}}"
+
+Keep it:
+- Short and polite
+- Show empathy
+- Reiterate the benefit
+- Signed by "{{senderName}}"`,
+  },
+  {
+    id: 'objection-handler',
+    version: 1,
+    name: 'Objection Handler',
+    description: 'Handle a common objection raised by a lead during the sales process.',
+    inputFields: [
+      { name: 'objection', label: 'Objection', type: 'text', required: true, maxLength: 1000 },
+      { name: 'productName', label: 'Product name', type: 'string', required: true, maxLength: 120 },
+    ],
+    template: `As a top SDR, respond to this objection about "{{productName}}":
+
+"{{objection}}"
+
+Your response should:
+- Empathize with the concern
+- Provide clarity or social proof
+- Reframe the benefit
+- Be professional and concise`,
+  },
+  {
+    id: 'ai-summary-of-call',
+    version: 1,
+    name: 'AI Call Summary Generator',
+    description: 'Summarize a sales call transcription with clear takeaways, next steps, and objections.',
+    inputFields: [
+      { name: 'transcript', label: 'Call transcript', type: 'text', required: true, maxLength: 20000 },
+    ],
+    template: `You are an AI assistant. Summarize the following sales call transcript.
+
+Format:
+- Key Points:
+- Objections:
+- Next Steps:
+
+Transcript:
+{{transcript}}`,
+  },
+];
+
+export const extractPlaceholders = (template) => {
+  const names = new Set();
+  let match;
+  PLACEHOLDER_REGEX.lastIndex = 0;
+  while ((match = PLACEHOLDER_REGEX.exec(template)) !== null) {
+    names.add(match[1]);
+  }
+  return [...names];
+};
+
+// Accepts the legacy ['companyName', ...] shape as well as typed field objects
+const normalizeField = (field) => {
+  const definition = typeof field === 'string' ? { name: field } : { ...field };
+  return {
+    type: 'string',
+    required: true,
+    label: definition.name,
+    ...definition,
+  };
+};
+
+export const validateTemplateDefinition = (definition) => {
+  const errors = [];
+
+  if (!definition.id) errors.push('id is required');
+  if (!definition.name) errors.push('name is required');
+  if (!definition.template) errors.push('template is required');
+  if (!Number.isInteger(definition.version) || definition.version < 1) {
+    errors.push('version must be a positive integer');
+  }
+
+  const fields = (definition.inputFields || []).map(normalizeField);
+  const fieldNames = fields.map(field => field.name);
+
+  fields.forEach(field => {
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`Field ${field.name} has unsupported type ${field.type}`);
+    }
+    if (field.type === 'enum' && (!Array.isArray(field.options) || field.options.length === 0)) {
+      errors.push(`Enum field ${field.name} must define options`);
+    }
+  });
+
+  if (definition.template) {
+    extractPlaceholders(definition.template)
+      .filter(name => !fieldNames.includes(name))
+      .forEach(name => errors.push(`Template uses undeclared variable {{${name}}}`));
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+const validateFieldValue = (field, value) => {
+  switch (field.type) {
+    case 'number':
+      if (typeof value !== 'number' && (typeof value !== 'string' || Number.isNaN(Number(value)))) {
+        return `${field.name} must be a number`;
+      }
+      break;
+    case 'enum':
+      if (!field.options.includes(value)) {
+        return `${field.name} must be one of: ${field.options.join(', ')}`;
+      }
+      break;
+    default:
+      if (typeof value !== 'string') {
+        return `${field.name} must be a string`;
+      }
+      if (field.maxLength && value.length > field.maxLength) {
+        return `${field.name} must be at most ${field.maxLength} characters`;
+      }
+  }
+  return null;
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+export class PromptTemplateRegistry {
+  constructor(templates = BUILT_IN_TEMPLATES) {
+    this.templates = new Map();
+    this.loaded = null;
+    templates.forEach(template => this.register(template));
+  }
+
+  register(definition) {
+    const validation = validateTemplateDefinition(definition);
+    if (!validation.isValid) {
+      throw new Error(`Invalid prompt template ${definition.id || ''}: ${validation.errors.join(', ')}`);
+    }
+
+    const template = {
+      status: 'published',
+      description: '',
+      ...definition,
+      inputFields: (definition.inputFields || []).map(normalizeField),
+    };
+
+    const versions = this.templates.get(template.id) || new Map();
+    versions.set(template.version, template);
+    this.templates.set(template.id, versions);
+    return template;
+  }
+
+  // Latest published version unless a specific version is requested
+  get(id, version) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+
+    if (version !== undefined && version !== null) {
+      const template = versions.get(Number(version));
+      if (!template) {
+        throw new Error(`Prompt template ${id} has no version ${version}`);
+      }
+      return template;
+    }
+
+    const published = [...versions.values()]
+      .filter(template => template.status === 'published')
+      .sort((a, b) => b.version - a.version);
+
+    if (published.length === 0) {
+      throw new Error(`Prompt template ${id} has no published version`);
+    }
+
+    return published[0];
+  }
+
+  getVersions(id) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Prompt template not found: ${id}`);
+    }
+    return [...versions.values()].sort((a, b) => b.version - a.version);
+  }
+
+  list() {
+    return [...this.templates.keys()]
+      .map(id => {
+        try {
+          return this.get(id);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Shape sent to the mobile app: metadata and fields, never the raw prompt
+  listPublic() {
+    return this.list().map(({ id, version, name, description, inputFields }) => ({
+      id,
+      version,
+      name,
+      description,
+      inputFields,
+    }));
+  }
+
+  validateInputs(id, inputs = {}, version) {
+    const template = this.get(id, version);
+    const missing = [];
+    const errors = [];
+
+    template.inputFields.forEach(field => {
+      const value = inputs[field.name];
+      if (isMissing(value)) {
+        if (field.required && field.default === undefined) {
+          missing.push(field.name);
+        }
+        return;
+      }
+
+      const error = validateFieldValue(field, value);
+      if (error) errors.push(error);
+    });
+
+    return {
+      isValid: missing.length === 0 && errors.length === 0,
+      missing,
+      errors,
+    };
+  }
+
+  interpolate(template, inputs, placeholderForMissing) {
+    const defaults = template.inputFields.reduce((values, field) => (
+      field.default !== undefined ? { ...values, [field.name]: field.default } : values
+    ), {});
+    const values = { ...defaults, ...inputs };
+
+    return template.template.replace(PLACEHOLDER_REGEX, (match, name) => {
+      const value = values[name];
+      if (isMissing(value)) {
+        return placeholderForMissing ? placeholderForMissing(name) : '';
+      }
+      return String(value).trim();
+    });
+  }
+
+  render(id, inputs = {}, options = {}) {
+    const template = this.get(id, options.version);
+    const validation = this.validateInputs(id, inputs, template.version);
+
+    if (!validation.isValid) {
+      const problems = [
+        ...(validation.missing.length > 0 ? [`missing variables: ${validation.missing.join(', ')}`] : []),
+        ...validation.errors,
+      ];
+      const error = new Error(`Validation failed: ${problems.join('; ')}`);
+      error.code = 'INVALID_TEMPLATE_INPUT';
+      error.missing = validation.missing;
+      throw error;
+    }
+
+    return {
+      templateId: template.id,
+      version: template.version,
+      prompt: this.interpolate(template, inputs),
+    };
+  }
+
+  // Like render, but never throws on bad input: missing values show as [[name]]
+  preview(id, inputs = {}, options = {}) {
+    const template = this.get(id, options.version);
+    const validation = this.validateInputs(id, inputs, template.version);
+
+    return {
+      templateId: template.id,
+      version: template.version,
+      prompt: this.interpolate(template, inputs, name => `[[${name}]]`),
+      ...validation,
+    };
+  }
+
+  async loadFromDatabase() {
+    const { data, error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .select('id, version, name, description, template, input_fields, status')
+      .in('status', ['published', 'draft']);
+
+    if (error) {
+      throw new Error(`Failed to load prompt templates: ${error.message}`);
+    }
+
+    const loaded = [];
+    (data || []).forEach(row => {
+      try {
+        loaded.push(this.register({
+          id: row.id,
+          version: row.version,
+          name: row.name,
+          description: row.description,
+          template: row.template,
+          inputFields: row.input_fields || [],
+          status: row.status,
+        }));
+      } catch (err) {
+        console.warn(`Skipping invalid prompt template ${row.id}@${row.version}:`, err.message);
+      }
+    });
+
+    return loaded.length;
+  }
+
+  // Loads the stored versions once per process, i.e. once per edge function cold start. A failed
+  // load isn't cached, so the next call tries again.
+  ensureLoaded() {
+    if (!this.loaded) {
+      this.loaded = this.loadFromDatabase().catch(error => {
+        this.loaded = null;
+        throw error;
+      });
+    }
+    return this.loaded;
+  }
+
+  async saveVersion(definition) {
+    const latest = this.templates.has(definition.id) ? this.getVersions(definition.id)[0] : null;
+    const template = {
+      ...latest,
+      ...definition,
+      version: (latest?.version || 0) + 1,
+      status: definition.status || 'draft',
+    };
+
+    const validation = validateTemplateDefinition(template);
+    if (!validation.isValid) {
+      throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+    }
+
+    const { error } = await supabase
+      .from(TEMPLATES_TABLE)
+      .insert([{
+        id: template.id,
+        version: template.version,
+        name: template.name,
+        description: template.description,
+        template: template.template,
+        input_fields: template.inputFields,
+        status: template.status,
+        created_at: new Date().toISOString(),
+      }]);
+
+    if (error) {
+      throw new Error(`Failed to save prompt template: ${error.message}`);
+    }
+
+    return this.register(template);
+  }
+}
+
+export default new PromptTemplateRegistry();
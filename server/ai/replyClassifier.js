@@ -0,0 +1,127 @@
+server/ai/replyClassifier.js
+
+import process from 'process';
+import { REPLY_INTENTS, detectIntentByRules } from '../../app/utils/replyIntents';
+
+const HUGGING_FACE_API_URL = 'https://api-inference.huggingface.co/models';
+const REQUEST_TIMEOUT = 30000;
+const DEFAULT_MODEL = 'facebook/bart-large-mnli';
+// Below this the top label is no better than a guess; the reply is left as 'other' for the rep
+const DEFAULT_MIN_CONFIDENCE = 0.45;
+const MAX_INPUT_LENGTH = 2000;
+
+// Zero-shot NLI models score how well each description follows from the reply
+const INTENT_DESCRIPTIONS = {
+  interested: 'interested in learning more, a demo or a meeting',
+  objection: 'raising an objection about price, timing, need or a competitor',
+  out_of_office: 'an automatic out-of-office reply',
+  unsubscribe: 'asking to stop receiving emails',
+  wrong_person: 'saying they are the wrong person and pointing to someone else',
+  other: 'a neutral message or question',
+};
+
+const createClassificationError = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Server-side counterpart of the app's huggingFaceClient.textClassification, which reads its key
+// from AsyncStorage; this one uses zero-shot labels so no fine-tuned intent model is needed
+export class HuggingFaceClassificationProvider {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY;
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.id = 'huggingface';
+  }
+
+  // Returns { labels, scores } sorted by score, like the inference API's zero-shot pipeline
+  async classify(model, text, candidateLabels) {
+    if (!this.apiKey) {
+      throw createClassificationError('Hugging Face API key not configured', 'NOT_CONFIGURED');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(`${HUGGING_FACE_API_URL}/${model}`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          inputs: text,
+          parameters: { candidate_labels: candidateLabels, hypothesis_template: 'This email reply is {}.' },
+          options: { wait_for_model: true }
+        })
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw createClassificationError(`Model ${model} timed out`, 'TIMEOUT');
+      }
+      throw createClassificationError(`Network error calling ${model}: ${error.message}`, 'UNAVAILABLE');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createClassificationError(`HTTP ${response.status}: ${errorText}`, 'PROVIDER_ERROR', response.status);
+    }
+
+    const result = await response.json();
+    return { labels: result.labels || [], scores: result.scores || [] };
+  }
+}
+
+export class ReplyClassifier {
+  constructor(options = {}) {
+    this.provider = options.provider || new HuggingFaceClassificationProvider(options);
+    this.model = options.model || process.env.REPLY_CLASSIFIER_MODEL || DEFAULT_MODEL;
+    this.minConfidence = options.minConfidence ?? DEFAULT_MIN_CONFIDENCE;
+  }
+
+  // Rules settle out-of-office, unsubscribe and wrong-person replies: they trigger actions, so a
+  // confident pattern beats a model guess. The model sorts the rest; if it's unavailable the reply
+  // is 'other' and still reaches the rep.
+  // Returns { intent, confidence, source: 'rules' | 'model' | 'fallback', model?, scores?, error? }
+  async classify({ text = '', subject = '', autoSubmitted = 'no', quotedOnly = false } = {}) {
+    const ruleIntent = detectIntentByRules({ text, subject, autoSubmitted, quotedOnly });
+    if (ruleIntent) {
+      return { intent: ruleIntent, confidence: 1, source: 'rules' };
+    }
+
+    const input = [subject, text].filter(Boolean).join('\n\n').slice(0, MAX_INPUT_LENGTH);
+    if (!input.trim()) {
+      return { intent: 'other', confidence: 0, source: 'fallback' };
+    }
+
+    try {
+      const descriptions = REPLY_INTENTS.map(intent => INTENT_DESCRIPTIONS[intent]);
+      const { labels, scores } = await this.provider.classify(this.model, input, descriptions);
+      const byIntent = Object.fromEntries(labels.map((label, index) => [
+        REPLY_INTENTS[descriptions.indexOf(label)],
+        scores[index],
+      ]));
+
+      const [intent, confidence] = Object.entries(byIntent).sort((a, b) => b[1] - a[1])[0] || ['other', 0];
+      return {
+        intent: confidence >= this.minConfidence ? intent : 'other',
+        confidence,
+        source: 'model',
+        model: this.model,
+        scores: byIntent,
+      };
+    } catch (error) {
+      console.error('Reply classification failed:', error);
+      return { intent: 'other', confidence: 0, source: 'fallback', error: error.message };
+    }
+  }
+}
+
+export default new ReplyClassifier();
@@ -1 +1,148 @@
-server/ai/tacticOptimizer.js
\ No newline at end of file
+server/ai/tacticOptimizer.js
+
+// Thompson-sampling bandit over (tactic, prompt variant) arms, learned per segment.
+// Pure: stats come in as plain objects so the optimizer can be exercised without a database.
+
+export const GLOBAL_SEGMENT = 'global';
+
+const DEFAULT_OPTIONS = {
+  // A reply is most of the win; a booked meeting earns the rest
+  replyReward: 0.6,
+  meetingReward: 0.4,
+  // Below this many sends a segment borrows the parent segment's posterior as its prior
+  minSegmentSends: 20,
+  priorStrength: 10,
+};
+
+const ROLE_BUCKETS = [
+  { bucket: 'executive', keywords: ['ceo', 'cfo', 'cto', 'coo', 'cmo', 'chief', 'founder', 'owner', 'president'] },
+  { bucket: 'vp-director', keywords: ['vp', 'vice president', 'head of', 'director'] },
+  { bucket: 'manager', keywords: ['manager', 'lead'] },
+];
+
+const slug = (value) => (value || '').toString().trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+export const getRoleBucket = (title) => {
+  const normalized = (title || '').toLowerCase();
+  if (!normalized) return null;
+  const match = ROLE_BUCKETS.find(({ keywords }) => keywords.some(keyword => normalized.includes(keyword)));
+  return match ? match.bucket : 'individual';
+};
+
+// Most specific first, e.g. ['industry:fintech|role:executive', 'industry:fintech', 'role:executive', 'global']
+export const getSegmentKeys = (lead = {}) => {
+  const industry = slug(lead.industry);
+  const role = getRoleBucket(lead.title || lead.position || lead.job_title);
+  const keys = [];
+
+  if (industry && role) keys.push(`industry:${industry}|role:${role}`);
+  if (industry) keys.push(`industry:${industry}`);
+  if (role) keys.push(`role:${role}`);
+  keys.push(GLOBAL_SEGMENT);
+
+  return keys;
+};
+
+export const getArmKey = (tacticId, variant = 1) => `${tacticId}@${variant}`;
+
+// Marsaglia-Tsang gamma sampler; Beta(a, b) = X / (X + Y) with X ~ Gamma(a), Y ~ Gamma(b)
+const sampleGamma = (shape, random) => {
+  if (shape < 1) {
+    return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  }
+
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+
+  for (;;) {
+    let x;
+    let v;
+    do {
+      // Box-Muller standard normal
+      const u1 = random() || Number.MIN_VALUE;
+      const u2 = random();
+      x = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+      v = 1 + c * x;
+    } while (v <= 0);
+
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+export const sampleBeta = (alpha, beta, random = Math.random) => {
+  const x = sampleGamma(alpha, random);
+  const y = sampleGamma(beta, random);
+  return x / (x + y);
+};
+
+export class TacticOptimizer {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.random = options.random || Math.random;
+  }
+
+  getReward(stats = {}) {
+    const { replyReward, meetingReward } = this.options;
+    return (stats.replies || 0) * replyReward + (stats.meetings || 0) * meetingReward;
+  }
+
+  // Posterior for one arm, walking from the global segment down to the most specific one
+  // so sparse segments inherit what broader segments have learned
+  getPosterior(armKey, segmentKeys, statsBySegment) {
+    const { minSegmentSends, priorStrength } = this.options;
+    let alpha = 1;
+    let beta = 1;
+    let evidence = null;
+
+    [...segmentKeys].reverse().forEach(segmentKey => {
+      const stats = statsBySegment[segmentKey]?.[armKey];
+      if (!stats || !stats.sends) return;
+
+      const reward = Math.min(this.getReward(stats), stats.sends);
+      const failures = Math.max(0, stats.sends - reward);
+
+      if (stats.sends >= minSegmentSends || segmentKey === GLOBAL_SEGMENT) {
+        alpha = 1 + reward;
+        beta = 1 + failures;
+      } else {
+        // Shrink the parent posterior to priorStrength pseudo-observations, then add local evidence
+        const parentMean = alpha / (alpha + beta);
+        alpha = 1 + parentMean * priorStrength + reward;
+        beta = 1 + (1 - parentMean) * priorStrength + failures;
+      }
+      evidence = { segmentKey, sends: stats.sends, replies: stats.replies || 0, meetings: stats.meetings || 0 };
+    });
+
+    return { alpha, beta, mean: alpha / (alpha + beta), evidence };
+  }
+
+  // arms: [{ tacticId, variant }]; statsBySegment: { [segmentKey]: { [armKey]: { sends, replies, meetings } } }
+  recommend(arms, segmentKeys, statsBySegment = {}) {
+    if (!Array.isArray(arms) || arms.length === 0) {
+      throw new Error('At least one tactic is required for a recommendation');
+    }
+
+    const ranked = arms.map(arm => {
+      const armKey = getArmKey(arm.tacticId, arm.variant);
+      const posterior = this.getPosterior(armKey, segmentKeys, statsBySegment);
+      return {
+        ...arm,
+        armKey,
+        sampledRate: sampleBeta(posterior.alpha, posterior.beta, this.random),
+        expectedRate: Math.round(posterior.mean * 1000) / 1000,
+        evidence: posterior.evidence,
+      };
+    }).sort((a, b) => b.sampledRate - a.sampledRate);
+
+    return {
+      recommendation: ranked[0],
+      ranked,
+      segmentKey: segmentKeys[0],
+    };
+  }
+}
+
+export default new TacticOptimizer();
@@ -1 +1,199 @@
-server/ai/textGenerator.js
\ No newline at end of file
+server/ai/textGenerator.js
+
+import process from 'process';
+import promptTemplates from './promptTemplates';
+
+const HUGGING_FACE_API_URL = 'https://api-inference.huggingface.co/models';
+const REQUEST_TIMEOUT = 30000;
+const DEFAULT_MODELS = [
+  'mistralai/Mistral-7B-Instruct-v0.2',
+  'HuggingFaceH4/zephyr-7b-beta',
+  'google/flan-t5-large',
+];
+
+// Errors worth moving on to the next model for, rather than failing the request
+const FALLBACK_ERROR_CODES = ['MODEL_LOADING', 'RATE_LIMITED', 'TIMEOUT', 'UNAVAILABLE'];
+
+const createGenerationError = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Rough whitespace/punctuation token estimate, used when the provider does not report usage
+export const estimateTokens = (text = '') => {
+  const pieces = text.match(/[\w']+|[^\s\w]/g) || [];
+  return Math.ceil(pieces.length * 1.3);
+};
+
+export class HuggingFaceTextProvider {
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || process.env.HUGGINGFACE_API_KEY;
+    this.timeout = options.timeout || REQUEST_TIMEOUT;
+    this.id = 'huggingface';
+  }
+
+  async generate(model, prompt, parameters = {}) {
+    if (!this.apiKey) {
+      throw createGenerationError('Hugging Face API key not configured', 'NOT_CONFIGURED');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    let response;
+    try {
+      response = await fetch(`${HUGGING_FACE_API_URL}/${model}`, {
+        method: 'POST',
+        signal: controller.signal,
+        headers: {
+          'Authorization': `Bearer ${this.apiKey}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          inputs: prompt,
+          parameters: {
+            max_new_tokens: parameters.maxNewTokens,
+            temperature: parameters.temperature,
+            top_p: parameters.topP,
+            do_sample: parameters.temperature > 0,
+            return_full_text: false
+          },
+          options: { wait_for_model: false }
+        })
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw createGenerationError(`Model ${model} timed out`, 'TIMEOUT');
+      }
+      throw createGenerationError(`Network error calling ${model}: ${error.message}`, 'UNAVAILABLE');
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (response.status === 503) {
+      throw createGenerationError(`Model ${model} is loading`, 'MODEL_LOADING', 503);
+    }
+
+    if (response.status === 429) {
+      throw createGenerationError(`Rate limit exceeded for ${model}`, 'RATE_LIMITED', 429);
+    }
+
+    if (response.status >= 500) {
+      throw createGenerationError(`Model ${model} unavailable (HTTP ${response.status})`, 'UNAVAILABLE', response.status);
+    }
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw createGenerationError(`HTTP ${response.status}: ${errorText}`, 'PROVIDER_ERROR', response.status);
+    }
+
+    const result = await response.json();
+    const output = Array.isArray(result) ? result[0] : result;
+
+    return {
+      text: output?.generated_text?.trim() || '',
+      finishReason: output?.details?.finish_reason || null,
+      completionTokens: output?.details?.generated_tokens ?? null,
+    };
+  }
+}
+
+export class TextGenerator {
+  constructor(options = {}) {
+    this.provider = options.provider || new HuggingFaceTextProvider(options);
+    this.models = options.models
+      || (process.env.TEXT_GENERATION_MODELS ? process.env.TEXT_GENERATION_MODELS.split(',').map(m => m.trim()) : DEFAULT_MODELS);
+    this.templates = options.templates || promptTemplates;
+  }
+
+  async generateFromPrompt(prompt, options = {}) {
+    const {
+      models = this.models,
+      maxNewTokens = 300,
+      temperature = 0.7,
+      topP = 0.95,
+    } = options;
+
+    if (!prompt || !prompt.trim()) {
+      throw createGenerationError('Prompt is required', 'INVALID_INPUT', 400);
+    }
+
+    const attempts = [];
+
+    for (const model of models) {
+      const startedAt = Date.now();
+      try {
+        const result = await this.provider.generate(model, prompt, { maxNewTokens, temperature, topP });
+
+        if (!result.text) {
+          throw createGenerationError(`Model ${model} returned an empty completion`, 'UNAVAILABLE');
+        }
+
+        const promptTokens = estimateTokens(prompt);
+        const completionTokens = result.completionTokens ?? estimateTokens(result.text);
+        attempts.push({ model, status: 'success', durationMs: Date.now() - startedAt });
+
+        return {
+          text: result.text,
+          model,
+          provider: this.provider.id,
+          finishReason: result.finishReason,
+          usage: {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens,
+          },
+          fallbackUsed: attempts.length > 1,
+          attempts,
+        };
+      } catch (error) {
+        attempts.push({
+          model,
+          status: 'failed',
+          code: error.code || 'PROVIDER_ERROR',
+          error: error.message,
+          durationMs: Date.now() - startedAt,
+        });
+
+        if (!FALLBACK_ERROR_CODES.includes(error.code)) {
+          error.attempts = attempts;
+          throw error;
+        }
+
+        console.warn(`Text generation fell back from ${model}:`, error.message);
+      }
+    }
+
+    const error = createGenerationError('All text generation models are unavailable', 'ALL_MODELS_FAILED', 503);
+    error.attempts = attempts;
+    throw error;
+  }
+
+  async generateFromTactic(tacticId, inputs = {}, options = {}) {
+    // A registry passed in through options may be in-memory only
+    if (this.templates.ensureLoaded) {
+      await this.templates.ensureLoaded();
+    }
+
+    let rendered;
+    try {
+      rendered = this.templates.render(tacticId, inputs, { version: options.templateVersion });
+    } catch (error) {
+      error.code = error.code || 'INVALID_INPUT';
+      error.status = 400;
+      throw error;
+    }
+
+    const result = await this.generateFromPrompt(rendered.prompt, options);
+
+    return {
+      ...result,
+      tacticId: rendered.templateId,
+      templateVersion: rendered.version,
+    };
+  }
+}
+
+export default new TextGenerator();
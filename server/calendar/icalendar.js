@@ -0,0 +1,517 @@
+server/calendar/icalendar.js
+
+// RFC 5545 serializer and parser for calendar_events. Pure: takes and returns plain objects.
+
+import { isValidTimezone, getZonedParts, zonedTimeToUtc, getOffsetMs } from '../../app/utils/timezone';
+import { parseRecurrencePattern } from '../../app/utils/recurrence';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//Glam Raisers//VopeX Sales//EN';
+const UID_DOMAIN = 'vopex.app';
+
+const FREQUENCIES = {
+  daily: 'DAILY',
+  weekly: 'WEEKLY',
+  monthly: 'MONTHLY',
+  yearly: 'YEARLY',
+};
+
+const PARTSTATS = {
+  pending: 'NEEDS-ACTION',
+  accepted: 'ACCEPTED',
+  declined: 'DECLINED',
+  tentative: 'TENTATIVE',
+};
+
+const EVENT_STATUSES = {
+  scheduled: 'CONFIRMED',
+  completed: 'CONFIRMED',
+  no_show: 'CONFIRMED',
+  postponed: 'TENTATIVE',
+  // The meeting lives on in the event it was moved to; this slot is freed
+  rescheduled: 'CANCELLED',
+  cancelled: 'CANCELLED',
+};
+
+const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const encoder = new TextEncoder();
+
+export const escapeText = (value = '') => value.toString()
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+export const unescapeText = (value = '') => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// Folds at 75 octets without splitting a multi-byte character
+export const foldLine = (line) => {
+  if (encoder.encode(line).length <= MAX_LINE_OCTETS) return line;
+
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+};
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+export const formatDateTime = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}T`
+    + `${pad(date.getUTCHours())}${pad(date.getUTCMinutes())}${pad(date.getUTCSeconds())}Z`;
+};
+
+export const formatDate = (value) => {
+  const date = new Date(value);
+  return `${date.getUTCFullYear()}${pad(date.getUTCMonth() + 1)}${pad(date.getUTCDate())}`;
+};
+
+// Wall-clock time for a TZID-qualified DATE-TIME
+export const formatLocalDateTime = (value, timeZone) => {
+  const local = getZonedParts(value, timeZone);
+  return `${local.year}${pad(local.month)}${pad(local.day)}T${pad(local.hour)}${pad(local.minute)}${pad(local.second)}`;
+};
+
+// Stable across exports so calendar clients update the same event instead of duplicating it
+export const getEventUid = (event) => event.ical_uid || `${event.id}@${UID_DOMAIN}`;
+
+// Our own UIDs map straight back to an event id on import
+export const parseEventIdFromUid = (uid = '') => {
+  const match = uid.match(new RegExp(`^([0-9a-f-]{36})@${UID_DOMAIN.replace('.', '\\.')}$`, 'i'));
+  return match ? match[1] : null;
+};
+
+// recurrence_pattern JSON (see app/utils/recurrence.js) -> RRULE value
+export const patternToRRule = (pattern) => {
+  if (!pattern) return null;
+  const parsed = parseRecurrencePattern(pattern);
+  const freq = FREQUENCIES[parsed.frequency];
+
+  const parts = [`FREQ=${freq}`];
+  if (parsed.interval > 1) parts.push(`INTERVAL=${parsed.interval}`);
+  if (parsed.count) parts.push(`COUNT=${parsed.count}`);
+  if (parsed.until) parts.push(`UNTIL=${formatDateTime(parsed.until)}`);
+  if (parsed.byMonth) parts.push(`BYMONTH=${parsed.byMonth.join(',')}`);
+  if (parsed.byMonthDay) parts.push(`BYMONTHDAY=${parsed.byMonthDay.join(',')}`);
+  if (parsed.byDay) parts.push(`BYDAY=${parsed.byDay.join(',')}`);
+  if (parsed.bySetPos) parts.push(`BYSETPOS=${parsed.bySetPos.join(',')}`);
+  if (parsed.weekStart !== 'MO') parts.push(`WKST=${parsed.weekStart}`);
+  return parts.join(';');
+};
+
+const parseNumberList = value => value.split(',').map(Number);
+
+// RRULE value -> recurrence_pattern JSON. The rule is expanded in DTSTART's timezone, so pass its TZID.
+export const rruleToPattern = (rrule, timezone = 'UTC') => {
+  if (!rrule) return null;
+
+  const fields = rrule.split(';').reduce((values, part) => {
+    const [key, value] = part.split('=');
+    return key && value ? { ...values, [key.toUpperCase()]: value } : values;
+  }, {});
+
+  const frequency = Object.keys(FREQUENCIES).find(key => FREQUENCIES[key] === fields.FREQ);
+  if (!frequency) return null;
+
+  const pattern = { frequency, interval: fields.INTERVAL ? Number(fields.INTERVAL) : 1, timezone };
+  if (fields.COUNT) pattern.count = Number(fields.COUNT);
+  if (fields.UNTIL) pattern.until = parseDateValue(fields.UNTIL, { TZID: timezone }).toISOString();
+  if (fields.BYMONTH) pattern.byMonth = parseNumberList(fields.BYMONTH);
+  if (fields.BYMONTHDAY) pattern.byMonthDay = parseNumberList(fields.BYMONTHDAY);
+  if (fields.BYDAY) pattern.byDay = fields.BYDAY.toUpperCase().split(',').map(entry => entry.replace(/^\+/, ''));
+  if (fields.BYSETPOS) pattern.bySetPos = parseNumberList(fields.BYSETPOS);
+  if (fields.WKST) pattern.weekStart = fields.WKST.toUpperCase();
+
+  // Rules we can't expand (BYHOUR, BYWEEKNO, ...) are dropped rather than guessed at
+  try {
+    return parseRecurrencePattern(pattern);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Recurring series are written in their own zone; everything else is UTC and needs no VTIMEZONE
+const getSeriesTimezone = (event) => {
+  if (event.all_day || !event.recurring || !event.recurrence_pattern) return null;
+  const { timezone } = parseRecurrencePattern(event.recurrence_pattern);
+  return timezone !== 'UTC' ? timezone : null;
+};
+
+const formatOffset = (offsetMs) => {
+  const minutes = Math.abs(offsetMs) / MINUTE_MS;
+  return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+// The instants in `year` where the zone's offset changes, to the minute: a day-by-day scan,
+// then a binary search inside the day it changed
+const findOffsetTransitions = (timeZone, year) => {
+  const transitions = [];
+  const yearStart = Date.UTC(year, 0, 1);
+  let previous = getOffsetMs(new Date(yearStart), timeZone);
+
+  for (let dayEnd = yearStart + DAY_MS; dayEnd <= Date.UTC(year + 1, 0, 1); dayEnd += DAY_MS) {
+    const offset = getOffsetMs(new Date(dayEnd), timeZone);
+    if (offset === previous) continue;
+
+    let low = dayEnd - DAY_MS;
+    let high = dayEnd;
+    while (high - low > MINUTE_MS) {
+      const middle = Math.floor((low + high) / 2 / MINUTE_MS) * MINUTE_MS;
+      if (getOffsetMs(new Date(middle), timeZone) === previous) low = middle;
+      else high = middle;
+    }
+
+    transitions.push({ at: new Date(high), from: previous, to: offset });
+    previous = offset;
+  }
+
+  return transitions;
+};
+
+// RFC 5545 §3.6.5: every TZID needs a VTIMEZONE. Intl has no rule data, so the rules are read
+// back from the transitions of the year before the series starts (the components have to begin
+// before the first occurrence) as "nth weekday of the month", which is how DST is defined almost
+// everywhere it exists.
+export const buildVTimezone = (timeZone, fromYear) => {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = findOffsetTransitions(timeZone, fromYear - 1);
+
+  if (transitions.length === 0) {
+    const offset = formatOffset(getOffsetMs(new Date(Date.UTC(fromYear, 0, 1)), timeZone));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${offset}`, `TZOFFSETTO:${offset}`, 'END:STANDARD');
+  }
+
+  transitions.slice(0, 2).forEach(({ at, from, to }) => {
+    // The rule is in wall-clock time before the change
+    const local = new Date(at.getTime() + from);
+    const day = local.getUTCDate();
+    const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+    const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+    const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+
+    lines.push(
+      `BEGIN:${kind}`,
+      `DTSTART:${formatDateTime(local).slice(0, -1)}`,
+      `TZOFFSETFROM:${formatOffset(from)}`,
+      `TZOFFSETTO:${formatOffset(to)}`,
+      `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${DAY_CODES[local.getUTCDay()]}`,
+      `END:${kind}`,
+    );
+  });
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+};
+
+const formatAddress = (person, role) => {
+  const params = [];
+  if (person.name) params.push(`CN="${person.name.replace(/"/g, "'")}"`);
+  if (role) params.push(role);
+  return `${params.length > 0 ? `;${params.join(';')}` : ''}:mailto:${person.email}`;
+};
+
+// event: a calendar_events row; attendees: event_attendees rows; reminders: event_reminders rows;
+// organizer: { email, name }. Overrides of one occurrence pass the series as `parent` so they share its UID.
+export const eventToVEvent = (event, { attendees = [], reminders = [], organizer, sequence, parent } = {}) => {
+  const lines = ['BEGIN:VEVENT'];
+  const pattern = event.recurring && event.recurrence_pattern ? parseRecurrencePattern(event.recurrence_pattern) : null;
+
+  lines.push(`UID:${getEventUid(parent || event)}`);
+  lines.push(`DTSTAMP:${formatDateTime(event.updated_at || event.created_at || new Date())}`);
+
+  if (event.all_day) {
+    lines.push(`DTSTART;VALUE=DATE:${formatDate(event.start_time)}`);
+    lines.push(`DTEND;VALUE=DATE:${formatDate(event.end_time)}`);
+  } else if (getSeriesTimezone(event)) {
+    // Series keep their zone so clients expand BYDAY and DST the same way we do; buildCalendar
+    // adds the matching VTIMEZONE
+    lines.push(`DTSTART;TZID=${pattern.timezone}:${formatLocalDateTime(event.start_time, pattern.timezone)}`);
+    lines.push(`DTEND;TZID=${pattern.timezone}:${formatLocalDateTime(event.end_time, pattern.timezone)}`);
+  } else {
+    lines.push(`DTSTART:${formatDateTime(event.start_time)}`);
+    lines.push(`DTEND:${formatDateTime(event.end_time)}`);
+  }
+
+  if (parent && event.recurrence_id) {
+    lines.push(`RECURRENCE-ID:${formatDateTime(event.recurrence_id)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeText(event.title || '')}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  lines.push(`STATUS:${EVENT_STATUSES[event.status] || 'CONFIRMED'}`);
+  lines.push(`SEQUENCE:${sequence ?? event.ical_sequence ?? 0}`);
+
+  if (pattern) {
+    lines.push(`RRULE:${patternToRRule(pattern)}`);
+    (event.recurrence_exdates || []).forEach(exdate => lines.push(`EXDATE:${formatDateTime(exdate)}`));
+  }
+
+  if (organizer?.email) {
+    lines.push(`ORGANIZER${formatAddress(organizer)}`);
+  }
+
+  attendees.forEach(attendee => {
+    lines.push(`ATTENDEE${formatAddress(attendee, [
+      'ROLE=REQ-PARTICIPANT',
+      `PARTSTAT=${PARTSTATS[attendee.status] || 'NEEDS-ACTION'}`,
+      'RSVP=TRUE',
+    ].join(';'))}`);
+  });
+
+  reminders.forEach(reminder => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(reminder.message || event.title || 'Reminder')}`,
+      `TRIGGER:${formatDuration(new Date(reminder.reminder_time).getTime() - new Date(event.start_time).getTime())}`,
+      'END:VALARM',
+    );
+  });
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+// entries: [{ event, attendees, organizer }]; method is set for email invites (REQUEST/CANCEL), omitted for feeds
+export const buildCalendar = (entries, { method, name } = {}) => {
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODUCT_ID}`, 'CALSCALE:GREGORIAN'];
+  if (method) lines.push(`METHOD:${method}`);
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+
+  // One VTIMEZONE per zone, starting before the earliest series that uses it
+  const zoneYears = new Map();
+  entries.forEach(({ event }) => {
+    const timeZone = getSeriesTimezone(event);
+    if (!timeZone) return;
+    const year = new Date(event.start_time).getUTCFullYear();
+    zoneYears.set(timeZone, Math.min(year, zoneYears.get(timeZone) ?? year));
+  });
+  zoneYears.forEach((year, timeZone) => lines.push(...buildVTimezone(timeZone, year)));
+
+  entries.forEach(entry => lines.push(...eventToVEvent(entry.event, entry)));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+const unfold = text => text.replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter(Boolean);
+
+// "DTSTART;TZID=Europe/Berlin:20250101T090000" -> { name, params, value }
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let colonAt = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colonAt = i;
+      break;
+    }
+  }
+  if (colonAt === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colonAt).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = rawParams.reduce((values, param) => {
+    const [key, ...rest] = param.split('=');
+    return { ...values, [key.toUpperCase()]: rest.join('=').replace(/^"|"$/g, '') };
+  }, {});
+
+  return { name: name.toUpperCase(), params, value: line.slice(colonAt + 1) };
+};
+
+// Handles UTC ("...Z"), TZID-qualified local times and all-day dates; floating times are read as UTC
+export const parseDateValue = (value, params = {}) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+  if (!match) {
+    throw new Error(`Invalid iCalendar date: ${value}`);
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  if (!utc && params.TZID && isValidTimezone(params.TZID)) {
+    const instant = zonedTimeToUtc({
+      year: Number(year), month: Number(month), day: Number(day), hour: Number(hour), minute: Number(minute),
+    }, params.TZID);
+    return new Date(instant.getTime() + Number(second) * 1000);
+  }
+
+  return new Date(Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second)));
+};
+
+// "PT1H30M", "P1D" -> milliseconds
+export const parseDuration = (value) => {
+  const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) throw new Error(`Invalid iCalendar duration: ${value}`);
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+  return sign === '-' ? -ms : ms;
+};
+
+// milliseconds -> "-PT15M"; alarms use durations relative to DTSTART so they follow every occurrence
+export const formatDuration = (ms) => {
+  const sign = ms < 0 ? '-' : '';
+  let seconds = Math.round(Math.abs(ms) / 1000);
+  const days = Math.floor(seconds / 86400);
+  seconds -= days * 86400;
+  const hours = Math.floor(seconds / 3600);
+  seconds -= hours * 3600;
+  const minutes = Math.floor(seconds / 60);
+  seconds -= minutes * 60;
+
+  const time = `${hours ? `${hours}H` : ''}${minutes ? `${minutes}M` : ''}${seconds ? `${seconds}S` : ''}`;
+  if (!days && !time) return 'PT0S';
+  return `${sign}P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+};
+
+const parseAddress = ({ params, value }) => ({
+  email: value.replace(/^mailto:/i, '').trim().toLowerCase(),
+  name: params.CN || null,
+  status: Object.keys(PARTSTATS).find(key => PARTSTATS[key] === (params.PARTSTAT || '').toUpperCase()) || 'pending',
+});
+
+// Returns { method, events: [{ uid, title, description, location, start, end, allDay, rrule,
+// timezone, recurrencePattern, exdates, recurrenceId, status, sequence, organizer, attendees,
+// alarms: [{ at, description }] }] }
+export const parseICalendar = (text) => {
+  if (!text || !/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file');
+  }
+
+  const events = [];
+  let method = null;
+  let current = null;
+  let alarm = null;
+  let depth = 0;
+
+  unfold(text).forEach(rawLine => {
+    const line = parseContentLine(rawLine);
+    if (!line) return;
+
+    if (line.name === 'BEGIN') {
+      if (line.value.toUpperCase() === 'VEVENT') {
+        current = { attendees: [], exdates: [], alarms: [] };
+      } else if (current) {
+        depth++;
+        if (depth === 1 && line.value.toUpperCase() === 'VALARM') alarm = {};
+      }
+      return;
+    }
+
+    if (line.name === 'END') {
+      if (line.value.toUpperCase() === 'VEVENT' && current) {
+        events.push(current);
+        current = null;
+      } else if (current && depth > 0) {
+        if (depth === 1 && alarm) {
+          if (alarm.trigger) current.alarms.push(alarm);
+          alarm = null;
+        }
+        depth--;
+      }
+      return;
+    }
+
+    if (!current) {
+      if (line.name === 'METHOD') method = line.value.toUpperCase();
+      return;
+    }
+    // VALARMs keep their trigger and text; other nested components are skipped
+    if (depth > 0) {
+      if (alarm && depth === 1 && line.name === 'TRIGGER') {
+        alarm.trigger = line.params.VALUE === 'DATE-TIME'
+          ? { at: parseDateValue(line.value, line.params) }
+          : { offset: parseDuration(line.value), related: line.params.RELATED === 'END' ? 'end' : 'start' };
+      }
+      if (alarm && depth === 1 && line.name === 'DESCRIPTION') alarm.description = unescapeText(line.value);
+      return;
+    }
+
+    switch (line.name) {
+      case 'UID':
+        current.uid = line.value;
+        break;
+      case 'SUMMARY':
+        current.title = unescapeText(line.value);
+        break;
+      case 'DESCRIPTION':
+        current.description = unescapeText(line.value);
+        break;
+      case 'LOCATION':
+        current.location = unescapeText(line.value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(line.value, line.params);
+        current.allDay = line.params.VALUE === 'DATE' || /^\d{8}$/.test(line.value);
+        if (isValidTimezone(line.params.TZID)) current.timezone = line.params.TZID;
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(line.value, line.params);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(line.value);
+        break;
+      case 'RRULE':
+        current.rrule = line.value;
+        break;
+      case 'EXDATE':
+        line.value.split(',').forEach(value => current.exdates.push(parseDateValue(value, line.params)));
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(line.value, line.params);
+        break;
+      case 'STATUS':
+        current.status = line.value.toUpperCase() === 'CANCELLED' ? 'cancelled' : 'scheduled';
+        break;
+      case 'SEQUENCE':
+        current.sequence = Number(line.value) || 0;
+        break;
+      case 'ORGANIZER':
+        current.organizer = parseAddress(line);
+        break;
+      case 'ATTENDEE':
+        current.attendees.push(parseAddress(line));
+        break;
+      default:
+        break;
+    }
+  });
+
+  return {
+    method,
+    events: events
+      .filter(event => event.uid && event.start)
+      .map(({ duration, alarms, ...event }) => {
+        const end = event.end || new Date(event.start.getTime() + (duration ?? (event.allDay ? 24 * 60 * 60 * 1000 : 0)));
+        return {
+          ...event,
+          end,
+          // RRULE can appear before DTSTART, so its zone is only known once the component is read
+          recurrencePattern: event.rrule ? rruleToPattern(event.rrule, event.timezone) : null,
+          alarms: alarms.map(({ trigger, description }) => ({
+            at: trigger.at || new Date((trigger.related === 'end' ? end : event.start).getTime() + trigger.offset),
+            description: description || null,
+          })),
+        };
+      }),
+  };
+};
@@ -0,0 +1,151 @@
+server/calendar/webdavXml.js
+
+// Just enough namespace-aware XML for WebDAV/CalDAV request bodies and multistatus responses.
+// Pure: no DOM, so it runs the same under Node and Deno.
+
+export const NS = {
+  DAV: 'DAV:',
+  CALDAV: 'urn:ietf:params:xml:ns:caldav',
+  CALENDARSERVER: 'http://calendarserver.org/ns/',
+};
+
+const PREFIXES = {
+  [NS.DAV]: 'd',
+  [NS.CALDAV]: 'c',
+  [NS.CALENDARSERVER]: 'cs',
+};
+
+const STATUS_TEXT = {
+  200: 'OK',
+  403: 'Forbidden',
+  404: 'Not Found',
+};
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+export const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const decodeEntities = value => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+const TOKEN_REGEX = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][\s\S]*?>|<(\/?)([^\s/>]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+const ATTRIBUTE_REGEX = /([^\s=]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+const createXmlError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Returns the document element as { ns, name, attributes, children, text }
+export const parseXml = (text) => {
+  const root = { children: [] };
+  const stack = [{ node: root, namespaces: {} }];
+  let match;
+
+  TOKEN_REGEX.lastIndex = 0;
+  while ((match = TOKEN_REGEX.exec(text))) {
+    const [, cdata, closing, qualifiedName, rawAttributes, selfClosing, content] = match;
+    const top = stack[stack.length - 1];
+
+    if (cdata !== undefined || content !== undefined) {
+      top.node.text = (top.node.text || '') + (cdata ?? decodeEntities(content));
+      continue;
+    }
+    // Comments, processing instructions and DOCTYPE
+    if (!qualifiedName) continue;
+
+    if (closing) {
+      if (stack.length === 1) throw createXmlError('Unbalanced XML');
+      stack.pop();
+      continue;
+    }
+
+    const namespaces = { ...top.namespaces };
+    const attributes = {};
+    let attribute;
+    ATTRIBUTE_REGEX.lastIndex = 0;
+    while ((attribute = ATTRIBUTE_REGEX.exec(rawAttributes || ''))) {
+      const [, name, doubleQuoted, singleQuoted] = attribute;
+      const value = decodeEntities(doubleQuoted ?? singleQuoted);
+      if (name === 'xmlns') namespaces[''] = value;
+      else if (name.startsWith('xmlns:')) namespaces[name.slice(6)] = value;
+      else attributes[name.includes(':') ? name.split(':')[1] : name] = value;
+    }
+
+    const [prefix, localName] = qualifiedName.includes(':') ? qualifiedName.split(':') : ['', qualifiedName];
+    const node = { ns: namespaces[prefix] || '', name: localName, attributes, children: [], text: '' };
+    top.node.children.push(node);
+    if (!selfClosing) stack.push({ node, namespaces });
+  }
+
+  if (!root.children[0]) {
+    throw createXmlError('Request body is not XML');
+  }
+  return root.children[0];
+};
+
+export const findChild = (node, ns, name) => node?.children.find(child => child.ns === ns && child.name === name) || null;
+
+export const findDescendant = (node, ns, name) => {
+  if (!node) return null;
+  for (const child of node.children) {
+    if (child.ns === ns && child.name === name) return child;
+    const nested = findDescendant(child, ns, name);
+    if (nested) return nested;
+  }
+  return null;
+};
+
+// inner is already-serialized XML; pass '' for an empty element
+export const xmlElement = (ns, name, inner = '') => {
+  const prefix = PREFIXES[ns];
+  const tag = prefix ? `${prefix}:${name}` : name;
+  const declaration = prefix ? '' : ` xmlns="${escapeXml(ns)}"`;
+  return inner === '' ? `<${tag}${declaration}/>` : `<${tag}${declaration}>${inner}</${tag}>`;
+};
+
+export const hrefElement = href => xmlElement(NS.DAV, 'href', escapeXml(href));
+
+const statusLine = status => `HTTP/1.1 ${status} ${STATUS_TEXT[status] || ''}`.trim();
+
+const XML_HEADER = '<?xml version="1.0" encoding="utf-8"?>\n';
+const NAMESPACE_DECLARATIONS = Object.entries(PREFIXES)
+  .map(([ns, prefix]) => `xmlns:${prefix}="${ns}"`)
+  .join(' ');
+
+// responses: [{ href, status }] for bare statuses (sync-collection deletions), or
+// [{ href, propstats: [{ status, props: [{ ns, name, value }] }] }]
+export const buildMultistatus = (responses, { syncToken } = {}) => {
+  const body = responses.map(response => {
+    const parts = [hrefElement(response.href)];
+
+    if (response.status) {
+      parts.push(xmlElement(NS.DAV, 'status', statusLine(response.status)));
+    }
+
+    (response.propstats || [])
+      .filter(propstat => propstat.props.length > 0)
+      .forEach(propstat => {
+        const props = propstat.props.map(prop => xmlElement(prop.ns, prop.name, prop.value || '')).join('');
+        parts.push(xmlElement(NS.DAV, 'propstat',
+          xmlElement(NS.DAV, 'prop', props) + xmlElement(NS.DAV, 'status', statusLine(propstat.status))));
+      });
+
+    return xmlElement(NS.DAV, 'response', parts.join(''));
+  }).join('');
+
+  const token = syncToken ? xmlElement(NS.DAV, 'sync-token', escapeXml(syncToken)) : '';
+  return `${XML_HEADER}<d:multistatus ${NAMESPACE_DECLARATIONS}>${body}${token}</d:multistatus>`;
+};
+
+// Precondition failures, e.g. buildErrorBody(NS.DAV, 'valid-sync-token')
+export const buildErrorBody = (ns, name) => `${XML_HEADER}<d:error ${NAMESPACE_DECLARATIONS}>${xmlElement(ns, name)}</d:error>`;
@@ -0,0 +1,212 @@
+server/email/mime.js
+
+// Just enough RFC 5322/2045 MIME to read an inbound reply: headers, the text and HTML bodies,
+// and which attachments came with it. Pure, so it runs the same under Node and Deno.
+
+const encoder = new TextEncoder();
+
+const decodeBytes = (bytes, charset = 'utf-8') => {
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch (error) {
+    // Unknown or unsupported charset; UTF-8 is right far more often than not
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+};
+
+const base64ToBytes = (value) => {
+  const binary = atob(value.replace(/[^A-Za-z0-9+/=]/g, ''));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// Soft line breaks join; =XX is a byte; everything else is already text and goes back to UTF-8
+const quotedPrintableToBytes = (value, { underscoreIsSpace = false } = {}) => {
+  const bytes = [];
+  const text = value.replace(/=\r?\n/g, '');
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+    if (char === '=' && /^[0-9A-Fa-f]{2}$/.test(text.slice(index + 1, index + 3))) {
+      bytes.push(parseInt(text.slice(index + 1, index + 3), 16));
+      index += 2;
+    } else if (char === '_' && underscoreIsSpace) {
+      bytes.push(0x20);
+    } else {
+      bytes.push(...encoder.encode(char));
+    }
+  }
+
+  return Uint8Array.from(bytes);
+};
+
+// RFC 2047: =?charset?B|Q?text?=; whitespace between two encoded words is dropped
+export const decodeHeaderValue = (value = '') => value
+  .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+  .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+    try {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? base64ToBytes(text)
+        : quotedPrintableToBytes(text, { underscoreIsSpace: true });
+      return decodeBytes(bytes, charset);
+    } catch (error) {
+      return word;
+    }
+  });
+
+// Header names are lower-cased; repeated headers (Received, References) keep every value
+export const parseHeaders = (block) => {
+  const headers = {};
+
+  block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/).forEach(line => {
+    const colon = line.indexOf(':');
+    if (colon <= 0) return;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] = headers[name] || []).push(line.slice(colon + 1).trim());
+  });
+
+  return headers;
+};
+
+export const getHeader = (headers, name) => (headers[name.toLowerCase()] || [])[0] || null;
+
+// "text/plain; charset=\"utf-8\"" -> { value: 'text/plain', params: { charset: 'utf-8' } }
+export const parseHeaderParams = (value = '') => {
+  const [first, ...rest] = value.match(/(?:[^;"]+|"(?:[^"\\]|\\.)*")+/g) || [''];
+  const params = {};
+
+  rest.forEach(part => {
+    const equals = part.indexOf('=');
+    if (equals <= 0) return;
+    const name = part.slice(0, equals).trim().toLowerCase().replace(/\*$/, '');
+    let paramValue = part.slice(equals + 1).trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1');
+    // RFC 2231: filename*=utf-8''na%C3%AFve.pdf
+    const extended = paramValue.match(/^([^']*)'[^']*'(.*)$/);
+    if (part.slice(0, equals).trim().endsWith('*') && extended) {
+      try {
+        paramValue = decodeURIComponent(extended[2]);
+      } catch (error) {
+        paramValue = extended[2];
+      }
+    }
+    params[name] = paramValue;
+  });
+
+  return { value: first.trim().toLowerCase(), params };
+};
+
+const splitAddresses = (value) => {
+  const parts = [];
+  let current = '';
+  let quoted = false;
+  let angle = false;
+
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '<') angle = true;
+    if (!quoted && char === '>') angle = false;
+    if (!quoted && !angle && char === ',') {
+      parts.push(current);
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts.map(part => part.trim()).filter(Boolean);
+};
+
+// "Jane Doe" <jane@acme.com>, bob@acme.com -> [{ name, email }]; group syntax is flattened
+export const parseAddressList = (value = '') => splitAddresses(decodeHeaderValue(value).replace(/^[^"<>@,]*:|;\s*$/g, ''))
+  .map(part => {
+    const angle = part.match(/^(.*)<([^>]*)>\s*$/);
+    const email = (angle ? angle[2] : part).trim().replace(/^mailto:/i, '').toLowerCase();
+    const name = angle ? angle[1].trim().replace(/^"(.*)"$/, '$1').replace(/\\(.)/g, '$1').trim() : '';
+    return { name: name || null, email };
+  })
+  .filter(address => address.email.includes('@'));
+
+export const parseAddress = value => parseAddressList(value)[0] || null;
+
+// Message-ID, In-Reply-To and References; ids are compared with their angle brackets
+export const parseMessageIds = (value = '') => {
+  const bracketed = value.match(/<[^<>\s]+>/g);
+  if (bracketed) return bracketed;
+  return value.split(/[\s,]+/).filter(id => id.includes('@')).map(id => `<${id}>`);
+};
+
+const decodeBody = (body, headers) => {
+  const { params } = parseHeaderParams(getHeader(headers, 'content-type') || 'text/plain');
+  const encoding = (getHeader(headers, 'content-transfer-encoding') || '7bit').toLowerCase();
+
+  if (encoding === 'base64') {
+    return decodeBytes(base64ToBytes(body), params.charset);
+  }
+  if (encoding === 'quoted-printable') {
+    return decodeBytes(quotedPrintableToBytes(body), params.charset);
+  }
+  return body;
+};
+
+const splitMultipart = (body, boundary) => {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  body.split(/\r?\n/).forEach(line => {
+    if (line.startsWith(delimiter)) {
+      if (current !== null) parts.push(current.join('\n'));
+      current = line.slice(delimiter.length).startsWith('--') ? null : [];
+      return;
+    }
+    if (current !== null) current.push(line);
+  });
+
+  return parts;
+};
+
+const splitEntity = (raw) => {
+  const match = raw.match(/\r?\n\r?\n/);
+  if (!match) return { headerBlock: raw, body: '' };
+  return { headerBlock: raw.slice(0, match.index), body: raw.slice(match.index + match[0].length) };
+};
+
+// Walks the MIME tree; the first text/plain and text/html that aren't attachments are the message
+const collectParts = (raw, result, depth = 0) => {
+  const { headerBlock, body } = splitEntity(raw);
+  const headers = parseHeaders(headerBlock);
+  const { value: contentType, params } = parseHeaderParams(getHeader(headers, 'content-type') || 'text/plain');
+  const disposition = parseHeaderParams(getHeader(headers, 'content-disposition') || '');
+  const filename = disposition.params.filename || params.name;
+
+  if (contentType.startsWith('multipart/') && params.boundary && depth < 10) {
+    splitMultipart(body, params.boundary).forEach(part => collectParts(part, result, depth + 1));
+    return;
+  }
+
+  const isAttachment = disposition.value === 'attachment' || Boolean(filename) || contentType === 'message/rfc822';
+  if (!isAttachment && contentType === 'text/plain' && result.text === null) {
+    result.text = decodeBody(body, headers);
+  } else if (!isAttachment && contentType === 'text/html' && result.html === null) {
+    result.html = decodeBody(body, headers);
+  } else if (isAttachment) {
+    result.attachments.push({
+      filename: filename ? decodeHeaderValue(filename) : null,
+      contentType,
+      size: body.length,
+    });
+  }
+};
+
+// Returns { headers, text, html, attachments } for a raw RFC 5322 message
+export const parseMimeMessage = (raw) => {
+  if (!raw || typeof raw !== 'string') {
+    throw new Error('Raw message is empty');
+  }
+
+  const { headerBlock } = splitEntity(raw);
+  const result = { headers: parseHeaders(headerBlock), text: null, html: null, attachments: [] };
+  collectParts(raw, result);
+  return result;
+};
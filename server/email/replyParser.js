@@ -0,0 +1,112 @@
+server/email/replyParser.js
+
+// Cuts an inbound reply down to what the prospect actually wrote: the quoted thread and the
+// signature go. Pure. Errs towards keeping text; a reply that would come out empty is kept whole.
+
+const ENTITIES = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Where mail clients start the quoted thread below the reply
+const QUOTE_HEADER_PATTERNS = [
+  /^On\s.+\swrote:\s*$/i,
+  /^-{2,}\s*Original Message\s*-{2,}/i,
+  /^-{2,}\s*Forwarded message\s*-{2,}/i,
+  /^Le\s.+\sa écrit\s*:\s*$/i,
+  /^Am\s.+\sschrieb\s.*:\s*$/i,
+  /^El\s.+\sescribió:\s*$/i,
+  /^Op\s.+\sschreef\s.*:\s*$/i,
+];
+
+// Outlook quotes with a From:/Sent: block, sometimes after a line of underscores
+const OUTLOOK_HEADER = /^\*?From:\*?\s/i;
+const OUTLOOK_FIELDS = /^\*?(Sent|Date|To|Subject):\*?\s/i;
+const OUTLOOK_SEPARATOR = /^_{10,}\s*$/;
+
+const SIGNATURE_PATTERNS = [
+  /^--\s?$/,
+  /^Sent from my \w+/i,
+  /^Sent from (Mail|Yahoo Mail|Outlook|Gmail)\b/i,
+  /^Get Outlook for \w+/i,
+];
+
+// Clients cut at the HTML level put the quote in these containers
+const HTML_QUOTE_MARKERS = [
+  /<div[^>]+class="?[^">]*gmail_quote/i,
+  /<blockquote[\s>]/i,
+  /<div[^>]+id="?(appendonsend|divRplyFwdMsg)/i,
+  /<div[^>]+class="?[^">]*yahoo_quoted/i,
+];
+
+const decodeEntities = value => value.replace(/&(#x[0-9a-f]+|#\d+|[a-z0-9]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    return String.fromCodePoint(code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : Number(code.slice(1)));
+  }
+  return ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+export const htmlToText = (html = '') => decodeEntities(html
+  .replace(/<(style|script|head)[\s\S]*?<\/\1>/gi, '')
+  .replace(/<br\s*\/?>/gi, '\n')
+  .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+  .replace(/<[^>]+>/g, ''))
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+const stripHtmlQuote = (html) => {
+  const cut = HTML_QUOTE_MARKERS
+    .map(pattern => html.search(pattern))
+    .filter(index => index >= 0);
+  return cut.length > 0 ? html.slice(0, Math.min(...cut)) : html;
+};
+
+const isQuoteHeader = (lines, index) => {
+  const line = lines[index].trim();
+  if (QUOTE_HEADER_PATTERNS.some(pattern => pattern.test(line))) return true;
+
+  // Gmail wraps long "On <date>, <name> <email> wrote:" lines
+  if (/^On\s/i.test(line) && index + 1 < lines.length) {
+    if (/^On\s.+\swrote:\s*$/i.test(`${line} ${lines[index + 1].trim()}`)) return true;
+  }
+
+  if (OUTLOOK_SEPARATOR.test(line)) {
+    return OUTLOOK_HEADER.test((lines[index + 1] || '').trim());
+  }
+
+  if (OUTLOOK_HEADER.test(line)) {
+    return lines.slice(index + 1, index + 4).some(next => OUTLOOK_FIELDS.test(next.trim()));
+  }
+
+  return false;
+};
+
+export const stripQuotedText = (text = '') => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const kept = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    if (isQuoteHeader(lines, index)) break;
+    if (lines[index].trimStart().startsWith('>')) continue;
+    kept.push(lines[index]);
+  }
+
+  return kept.join('\n');
+};
+
+export const stripSignature = (text = '') => {
+  const lines = text.split('\n');
+  const cut = lines.findIndex(line => SIGNATURE_PATTERNS.some(pattern => pattern.test(line.trimEnd())));
+  return (cut >= 0 ? lines.slice(0, cut) : lines).join('\n');
+};
+
+// Returns { text, full, quotedOnly }: the new content of the reply and the whole body it was cut
+// from. quotedOnly means nothing new could be separated, so text is the full body, quote included.
+export const extractReply = ({ text, html } = {}) => {
+  const full = (text && text.trim()) ? text.replace(/\r\n?/g, '\n').trim() : htmlToText(html || '');
+  const source = (text && text.trim()) ? text : htmlToText(stripHtmlQuote(html || ''));
+
+  const reply = stripSignature(stripQuotedText(source))
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+  return { text: reply || full, full, quotedOnly: !reply };
+};
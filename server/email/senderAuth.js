@@ -0,0 +1,65 @@
+server/email/senderAuth.js
+
+// Whether the receiving provider vouched for the From address. A From header is free text, so a
+// reply matched only by its sender must come with an SPF, DKIM or DMARC pass for that domain.
+
+import { getHeader } from './mime';
+
+const domainOf = (address = '') => address.slice(address.lastIndexOf('@') + 1).toLowerCase();
+
+// Relaxed alignment, as in DMARC: mail.acme.com may sign for acme.com and the other way round
+const isAligned = (domain, fromDomain) => Boolean(domain) && (
+  domain === fromDomain || fromDomain.endsWith(`.${domain}`) || domain.endsWith(`.${fromDomain}`)
+);
+
+// RFC 8601: "mx.example.net; spf=pass smtp.mailfrom=x@acme.com; dkim=pass header.d=acme.com; dmarc=pass"
+const parseAuthenticationResults = (value, fromDomain) => {
+  const results = value.split(';').slice(1).map(part => part.trim().toLowerCase());
+  let verdict = 'none';
+
+  for (const result of results) {
+    const [, method, outcome] = result.match(/^(spf|dkim|dmarc)\s*=\s*(\w+)/) || [];
+    if (!method) continue;
+
+    if (outcome !== 'pass') {
+      if (method === 'dmarc' && outcome === 'fail') return 'fail';
+      continue;
+    }
+
+    const domain = method === 'dmarc' ? domainOf(result.match(/header\.from=(\S+)/)?.[1] || fromDomain)
+      : method === 'dkim' ? (result.match(/header\.d=([^\s;]+)/)?.[1] || '')
+        : domainOf(result.match(/smtp\.mailfrom=(\S+)/)?.[1] || '');
+    if (isAligned(domain, fromDomain)) verdict = 'pass';
+  }
+
+  return verdict;
+};
+
+// Returns 'pass', 'fail' or 'none' (the provider reported nothing we can check)
+export const getSenderAuthentication = (headers, fields, fromEmail) => {
+  const fromDomain = domainOf(fromEmail);
+
+  // Only the topmost header was added by our provider; anything below came with the message
+  const authenticationResults = getHeader(headers, 'authentication-results')
+    || getHeader(headers, 'arc-authentication-results');
+  if (authenticationResults) {
+    return parseAuthenticationResults(authenticationResults, fromDomain);
+  }
+
+  // SendGrid Inbound Parse: dkim="{@acme.com : pass}", SPF="pass"
+  if (fields.dkim || fields.SPF) {
+    const dkimPass = [...String(fields.dkim || '').matchAll(/@([^\s:]+)\s*:\s*pass/gi)]
+      .some(match => isAligned(match[1].toLowerCase(), fromDomain));
+    return dkimPass || /^pass/i.test(fields.SPF || '') ? 'pass' : 'fail';
+  }
+
+  // Mailgun routes and Postmark
+  const mailgunDkim = getHeader(headers, 'x-mailgun-dkim-check-result');
+  const mailgunSpf = getHeader(headers, 'x-mailgun-spf');
+  const receivedSpf = getHeader(headers, 'received-spf');
+  if (mailgunDkim || mailgunSpf || receivedSpf) {
+    return [mailgunDkim, mailgunSpf, receivedSpf].some(value => /^pass/i.test(value || '')) ? 'pass' : 'fail';
+  }
+
+  return 'none';
+};
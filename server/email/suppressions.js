@@ -0,0 +1,82 @@
+server/email/suppressions.js
+
+import supabase from '../lib/supabase';
+
+const SUPPRESSIONS_TABLE = 'email_suppressions';
+const ADDRESS_REGEX = /<([^<>\s]+@[^<>\s]+)>\s*$/;
+
+export const SUPPRESSION_REASONS = ['hard_bounce', 'complaint', 'manual'];
+
+// "Jane <Jane@Acme.com>" and "jane@acme.com" are the same suppressed address
+export const normalizeEmailAddress = (value = '') => {
+  const match = String(value).match(ADDRESS_REGEX);
+  return (match ? match[1] : String(value)).trim().toLowerCase();
+};
+
+// Returns Map<email, reason> for the addresses that must not be mailed. The list is global: a
+// hard bounce or complaint against one rep's send blocks every rep, since it's our sending reputation.
+export const findSuppressedAddresses = async (addresses = []) => {
+  const emails = [...new Set(addresses.filter(Boolean).map(normalizeEmailAddress))];
+  if (emails.length === 0) {
+    return new Map();
+  }
+
+  const { data, error } = await supabase
+    .from(SUPPRESSIONS_TABLE)
+    .select('email, reason')
+    .in('email', emails);
+
+  if (error) {
+    throw new Error(`Failed to check suppression list: ${error.message}`);
+  }
+
+  return new Map((data || []).map(row => [row.email, row.reason]));
+};
+
+// A complaint outranks a bounce; re-suppressing an address keeps its first suppressed_at
+export const addSuppression = async (address, { reason, source = 'resend_webhook', providerMessageId = null, details = null }) => {
+  if (!SUPPRESSION_REASONS.includes(reason)) {
+    throw new Error(`Unknown suppression reason: ${reason}`);
+  }
+
+  const email = normalizeEmailAddress(address);
+  const { data: existing } = await supabase
+    .from(SUPPRESSIONS_TABLE)
+    .select('email, reason')
+    .eq('email', email)
+    .maybeSingle();
+
+  if (existing && (existing.reason === reason || existing.reason === 'complaint')) {
+    return existing;
+  }
+
+  const { data, error } = await supabase
+    .from(SUPPRESSIONS_TABLE)
+    .upsert({
+      email,
+      reason,
+      source,
+      provider_message_id: providerMessageId,
+      details,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'email' })
+    .select('email, reason')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to suppress ${email}: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const removeSuppression = async (address) => {
+  const { error } = await supabase
+    .from(SUPPRESSIONS_TABLE)
+    .delete()
+    .eq('email', normalizeEmailAddress(address));
+
+  if (error) {
+    throw new Error(`Failed to remove suppression: ${error.message}`);
+  }
+};
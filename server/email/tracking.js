@@ -0,0 +1,129 @@
+server/email/tracking.js
+
+// First-party open and click tracking: a signed token per message (and per link for clicks) that
+// the email-tracking endpoint verifies, so it can't be used as an open redirect or to forge events.
+
+import crypto from 'crypto';
+import process from 'process';
+
+const SIGNATURE_LENGTH = 22;
+const PIXEL_STYLE = 'display:block;width:1px;height:1px;border:0;opacity:0;';
+// Only web links are rewritten; mailto:, tel:, anchors and links marked data-no-track are left alone
+const TRACKABLE_HREF_REGEX = /^https?:\/\//i;
+
+// Security gateways and link scanners open every URL in a message before the recipient does
+const BOT_USER_AGENT_REGEX = /bot\b|crawler|spider|slurp|preview|headless|phantomjs|python-requests|python-urllib|curl\/|wget|go-http-client|java\/|okhttp|libwww|httpclient|axios|node-fetch|proofpoint|mimecast|barracuda|safelinks|urldefense|symantec|messagelabs|forcepoint|trend ?micro|sophos|fireeye|zscaler|cisco|ironport|bitdefender|microsoft office existence discovery|ms-office/i;
+// Gmail and Yahoo fetch images through their own proxy when the recipient opens the message
+const MAIL_PROXY_REGEX = /GoogleImageProxy|YahooMailProxy/i;
+// No human opens and clicks a message within seconds of it being sent
+const MIN_HUMAN_SECONDS = {
+  open: 2,
+  click: 5,
+};
+
+export const getTrackingBaseUrl = () => process.env.EMAIL_TRACKING_URL || null;
+
+const getSecret = () => {
+  const secret = process.env.EMAIL_TRACKING_SECRET;
+  if (!secret) {
+    throw new Error('EMAIL_TRACKING_SECRET is not configured');
+  }
+  return secret;
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+// btoa/atob rather than Buffer so the endpoint runs the same under Node and Deno
+const toBase64Url = value => btoa(String.fromCharCode(...encoder.encode(value))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = value => decoder.decode(Uint8Array.from(atob(value.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0)));
+
+const sign = value => crypto.createHmac('sha256', getSecret()).update(value).digest('base64url').slice(0, SIGNATURE_LENGTH);
+
+// payload: { m: Message-ID, l: leadId, c?: campaignId, s?: campaignSendId, q?: sequenceId, t: sent epoch seconds, u?: url }
+export const createTrackingToken = (payload) => {
+  const body = toBase64Url(JSON.stringify(payload));
+  return `${body}.${sign(body)}`;
+};
+
+export const verifyTrackingToken = (token = '') => {
+  const [body, signature] = String(token).split('.');
+  if (!body || !/^[A-Za-z0-9_-]+$/.test(signature || '') || signature.length !== SIGNATURE_LENGTH) {
+    return null;
+  }
+
+  if (!crypto.timingSafeEqual(encoder.encode(sign(body)), encoder.encode(signature))) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fromBase64Url(body));
+  } catch (error) {
+    return null;
+  }
+};
+
+// Anonymized for per-message burst detection; the raw address is never stored
+export const hashIp = ip => (ip ? crypto.createHmac('sha256', getSecret()).update(ip).digest('hex').slice(0, 32) : null);
+
+const decodeHref = href => href.replace(/&amp;/gi, '&').trim();
+
+const escapeAttribute = value => value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+
+// context: { messageId, leadId, campaignId?, campaignSendId?, sequenceId? } -> token payload
+const toPayload = (context, sentAt) => {
+  const payload = { m: context.messageId.replace(/^<|>$/g, ''), l: context.leadId, t: Math.floor(sentAt.getTime() / 1000) };
+  if (context.campaignId) payload.c = context.campaignId;
+  if (context.campaignSendId) payload.s = context.campaignSendId;
+  if (context.sequenceId) payload.q = context.sequenceId;
+  return payload;
+};
+
+export const rewriteLinks = (html, baseUrl, payload) => html.replace(/<a\b([^>]*?)\bhref\s*=\s*(["'])(.*?)\2([^>]*)>/gis, (tag, before, quote, href, after) => {
+  const url = decodeHref(href);
+  if (!TRACKABLE_HREF_REGEX.test(url) || url.startsWith(baseUrl) || /\bdata-no-track\b/i.test(`${before} ${after}`)) {
+    return tag;
+  }
+
+  const trackedUrl = `${baseUrl}?e=click&t=${createTrackingToken({ ...payload, u: url })}`;
+  return `<a${before}href="${escapeAttribute(trackedUrl)}"${after}>`;
+});
+
+export const insertOpenPixel = (html, baseUrl, payload) => {
+  const pixel = `<img src="${escapeAttribute(`${baseUrl}?e=open&t=${createTrackingToken(payload)}`)}" width="1" height="1" alt="" style="${PIXEL_STYLE}">`;
+  return /<\/body>/i.test(html) ? html.replace(/<\/body>/i, `${pixel}</body>`) : `${html}${pixel}`;
+};
+
+// Returns html with tracked links and/or an open pixel; unchanged when tracking isn't configured
+export const addEmailTracking = (html, context, { opens = false, clicks = false, sentAt = new Date() } = {}) => {
+  const baseUrl = getTrackingBaseUrl();
+  if (!html || !baseUrl || (!opens && !clicks) || !context?.messageId || !context?.leadId) {
+    return html;
+  }
+
+  const payload = toPayload(context, sentAt);
+  let tracked = clicks ? rewriteLinks(html, baseUrl, payload) : html;
+  if (opens) tracked = insertOpenPixel(tracked, baseUrl, payload);
+  return tracked;
+};
+
+// Returns { isBot, reason }. Mail-provider image proxies count as real opens.
+export const classifyTrackingRequest = ({ type, userAgent = '', method = 'GET', sentAt, now = new Date() }) => {
+  if (method === 'HEAD') {
+    return { isBot: true, reason: 'head_request' };
+  }
+  if (!userAgent) {
+    return { isBot: true, reason: 'no_user_agent' };
+  }
+  if (type === 'open' && MAIL_PROXY_REGEX.test(userAgent)) {
+    return { isBot: false, reason: null };
+  }
+  if (BOT_USER_AGENT_REGEX.test(userAgent)) {
+    return { isBot: true, reason: 'user_agent' };
+  }
+  if (sentAt && (now.getTime() - sentAt.getTime()) / 1000 < MIN_HUMAN_SECONDS[type]) {
+    return { isBot: true, reason: 'too_fast' };
+  }
+  return { isBot: false, reason: null };
+};
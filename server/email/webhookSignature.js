@@ -0,0 +1,35 @@
+server/email/webhookSignature.js
+
+// Resend signs webhooks the Svix way: HMAC-SHA256 over "<svix-id>.<svix-timestamp>.<raw body>"
+// with the base64 part of the whsec_ secret, sent as space-separated "v1,<base64>" signatures.
+
+import crypto from 'crypto';
+
+const DEFAULT_TOLERANCE_SECONDS = 5 * 60;
+const encoder = new TextEncoder();
+
+const decodeSecret = secret => Uint8Array.from(atob(secret.replace(/^whsec_/, '')), char => char.charCodeAt(0));
+
+// headers: { id, timestamp, signature } from svix-id, svix-timestamp, svix-signature
+export const verifyWebhookSignature = ({ id, timestamp, signature, body, secret, now = new Date(), toleranceSeconds = DEFAULT_TOLERANCE_SECONDS }) => {
+  if (!id || !timestamp || !signature || !secret) {
+    return false;
+  }
+
+  // Old timestamps are replays
+  const sentAt = Number(timestamp);
+  if (!Number.isFinite(sentAt) || Math.abs(now.getTime() / 1000 - sentAt) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = encoder.encode(
+    crypto.createHmac('sha256', decodeSecret(secret)).update(`${id}.${timestamp}.${body}`).digest('base64')
+  );
+
+  return signature.split(' ').some((entry) => {
+    const [version, value] = entry.split(',');
+    if (version !== 'v1' || !value) return false;
+    const candidate = encoder.encode(value);
+    return candidate.length === expected.length && crypto.timingSafeEqual(candidate, expected);
+  });
+};
@@ -1 +1,214 @@
-server/functions/bookMeeting.js
\ No newline at end of file
+server/functions/bookMeeting.js
+
+import supabase from '../lib/supabase';
+import {
+  DEFAULT_BOOKING_SETTINGS,
+  validateBookingSettings,
+  computeFreeSlots,
+} from '../scheduling/availability';
+import { expandSeries } from '../../app/utils/recurrence';
+
+const CALENDAR_TABLE = 'calendar_events';
+const SETTINGS_TABLE = 'booking_settings';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const MAX_AVAILABILITY_DAYS = 60;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const createBookingError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+export const getBookingSettings = async (userId) => {
+  const { data, error } = await supabase
+    .from(SETTINGS_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch booking settings: ${error.message}`);
+  }
+
+  if (!data) {
+    return { ...DEFAULT_BOOKING_SETTINGS };
+  }
+
+  return validateBookingSettings({
+    timezone: data.timezone || DEFAULT_BOOKING_SETTINGS.timezone,
+    workingHours: data.working_hours || DEFAULT_BOOKING_SETTINGS.workingHours,
+    bufferBeforeMinutes: data.buffer_before_minutes ?? DEFAULT_BOOKING_SETTINGS.bufferBeforeMinutes,
+    bufferAfterMinutes: data.buffer_after_minutes ?? DEFAULT_BOOKING_SETTINGS.bufferAfterMinutes,
+    slotIntervalMinutes: data.slot_interval_minutes || DEFAULT_BOOKING_SETTINGS.slotIntervalMinutes,
+    minNoticeMinutes: data.min_notice_minutes ?? DEFAULT_BOOKING_SETTINGS.minNoticeMinutes,
+    durations: data.durations || DEFAULT_BOOKING_SETTINGS.durations,
+  });
+};
+
+// Recurring series are stored once and expanded here, so standing meetings block their slots too
+const fetchRecurringBusy = async (userId, paddedFrom, paddedTo) => {
+  const { data: series, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, start_time, end_time, recurrence_pattern, recurrence_exdates')
+    .eq('user_id', userId)
+    .eq('status', 'scheduled')
+    .eq('recurring', true)
+    .is('recurrence_group_id', null)
+    .is('recurrence_parent_id', null)
+    .lt('start_time', paddedTo)
+    .or(`recurrence_end.is.null,recurrence_end.gt.${paddedFrom}`);
+
+  if (error) {
+    throw new Error(`Failed to fetch recurring events: ${error.message}`);
+  }
+  if (!series || series.length === 0) return [];
+
+  const { data: overrides, error: overridesError } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('recurrence_parent_id, recurrence_id')
+    .in('recurrence_parent_id', series.map(row => row.id));
+
+  if (overridesError) {
+    throw new Error(`Failed to fetch recurring event exceptions: ${overridesError.message}`);
+  }
+
+  return series.flatMap(row => expandSeries(row, {
+    from: paddedFrom,
+    to: paddedTo,
+    overrides: (overrides || []).filter(override => override.recurrence_parent_id === row.id),
+  }));
+};
+
+// Buffers reach outside the requested range, so fetch a little wider than asked
+const fetchBusyIntervals = async (userId, from, to, settings) => {
+  const paddedFrom = new Date(from.getTime() - settings.bufferBeforeMinutes * MINUTE_MS).toISOString();
+  const paddedTo = new Date(to.getTime() + settings.bufferAfterMinutes * MINUTE_MS).toISOString();
+
+  // Overrides of single occurrences are ordinary rows and come back from this query
+  const { data, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, start_time, end_time')
+    .eq('user_id', userId)
+    .eq('status', 'scheduled')
+    .lt('start_time', paddedTo)
+    .gt('end_time', paddedFrom)
+    .or('recurring.is.null,recurring.eq.false,recurrence_group_id.not.is.null');
+
+  if (error) {
+    throw new Error(`Failed to fetch calendar events: ${error.message}`);
+  }
+
+  const occurrences = await fetchRecurringBusy(userId, paddedFrom, paddedTo);
+
+  return [...(data || []), ...occurrences].map(event => ({ start: event.start_time, end: event.end_time }));
+};
+
+const assertDuration = (durationMinutes, settings) => {
+  if (!settings.durations.includes(durationMinutes)) {
+    throw createBookingError(
+      `Meeting length must be one of ${settings.durations.join(', ')} minutes`,
+      'INVALID_DURATION',
+    );
+  }
+};
+
+export const getAvailability = async (userId, { from, to, durationMinutes = 30 } = {}) => {
+  if (!userId) {
+    throw new Error('Missing required field: userId');
+  }
+
+  const settings = await getBookingSettings(userId);
+  assertDuration(durationMinutes, settings);
+
+  const rangeStart = from ? new Date(from) : new Date();
+  const rangeEnd = to ? new Date(to) : new Date(rangeStart.getTime() + 14 * DAY_MS);
+
+  if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime())) {
+    throw createBookingError('from and to must be valid dates', 'INVALID_RANGE');
+  }
+  if (rangeEnd.getTime() - rangeStart.getTime() > MAX_AVAILABILITY_DAYS * DAY_MS) {
+    throw createBookingError(`Availability can be requested at most ${MAX_AVAILABILITY_DAYS} days at a time`, 'INVALID_RANGE');
+  }
+
+  const busy = await fetchBusyIntervals(userId, rangeStart, rangeEnd, settings);
+  const slots = computeFreeSlots({ from: rangeStart, to: rangeEnd, durationMinutes, busy, settings });
+
+  return { timezone: settings.timezone, durationMinutes, slots };
+};
+
+// A slot is bookable when it sits on the rep's slot grid inside working hours, clear of other events
+export const checkSlot = async (userId, startTime, durationMinutes) => {
+  const settings = await getBookingSettings(userId);
+  assertDuration(durationMinutes, settings);
+
+  const start = new Date(startTime);
+  if (Number.isNaN(start.getTime())) {
+    throw createBookingError('startTime must be a valid date', 'INVALID_SLOT');
+  }
+  const end = new Date(start.getTime() + durationMinutes * MINUTE_MS);
+
+  const busy = await fetchBusyIntervals(userId, start, end, settings);
+  const slots = computeFreeSlots({ from: start, to: end, durationMinutes, busy, settings });
+
+  return { available: slots.some(slot => slot.start === start.toISOString()), settings, start, end };
+};
+
+// The slot is re-checked here for working hours and notice, then again inside book_meeting under a
+// per-rep lock, so two prospects racing for the same slot can never both get it
+export const bookMeeting = async (userId, {
+  startTime,
+  durationMinutes = 30,
+  attendees = [],
+  title,
+  description,
+  location,
+  leadId,
+} = {}) => {
+  if (!userId || !startTime) {
+    throw new Error('Missing required fields: userId, startTime');
+  }
+
+  if (!Array.isArray(attendees) || attendees.length === 0) {
+    throw createBookingError('At least one attendee is required', 'INVALID_ATTENDEES');
+  }
+
+  const invalidAttendee = attendees.find(attendee => !attendee.email || !EMAIL_REGEX.test(attendee.email));
+  if (invalidAttendee) {
+    throw createBookingError(`Invalid attendee email: ${invalidAttendee.email || '(missing)'}`, 'INVALID_ATTENDEES');
+  }
+
+  const { available, settings, start, end } = await checkSlot(userId, startTime, durationMinutes);
+  if (!available) {
+    throw createBookingError('That time is no longer available', 'SLOT_UNAVAILABLE', 409);
+  }
+
+  const { data: event, error } = await supabase.rpc('book_meeting', {
+    p_user_id: userId,
+    p_start: start.toISOString(),
+    p_end: end.toISOString(),
+    p_buffer_before: settings.bufferBeforeMinutes,
+    p_buffer_after: settings.bufferAfterMinutes,
+    p_title: title || `Meeting with ${attendees[0].name || attendees[0].email}`,
+    p_description: description || null,
+    p_location: location || null,
+    p_lead_id: leadId || null,
+    p_attendees: attendees.map(attendee => ({
+      email: attendee.email.trim().toLowerCase(),
+      name: attendee.name || null,
+    })),
+  });
+
+  if (error) {
+    if (error.message?.includes('SLOT_UNAVAILABLE')) {
+      throw createBookingError('That time is no longer available', 'SLOT_UNAVAILABLE', 409);
+    }
+    throw new Error(`Failed to book meeting: ${error.message}`);
+  }
+
+  return event;
+};
+
+export default bookMeeting;
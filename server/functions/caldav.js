@@ -0,0 +1,525 @@
+server/functions/caldav.js
+
+import crypto from 'crypto';
+import supabase from '../lib/supabase';
+import { exportCalendar, exportCalendarResources, saveCalendarResource } from './calendarIcs';
+import { parseDateValue } from '../calendar/icalendar';
+import { expandSeries } from '../../app/utils/recurrence';
+import {
+  NS,
+  parseXml,
+  findChild,
+  findDescendant,
+  xmlElement,
+  hrefElement,
+  escapeXml,
+  buildMultistatus,
+  buildErrorBody,
+} from '../calendar/webdavXml';
+
+const TOKENS_TABLE = 'caldav_tokens';
+const CHANGES_TABLE = 'calendar_changes';
+const CALENDAR_TABLE = 'calendar_events';
+const PROFILES_TABLE = 'profiles';
+const CALENDAR_NAME = 'sales';
+const CALENDAR_DISPLAY_NAME = 'VopeX Sales';
+const SYNC_TOKEN_PREFIX = 'https://vopex.app/ns/sync/';
+const XML_CONTENT_TYPE = 'application/xml; charset=utf-8';
+const ICS_CONTENT_TYPE = 'text/calendar; charset=utf-8';
+const ALLOWED_METHODS = 'OPTIONS, GET, HEAD, PUT, DELETE, PROPFIND, PROPPATCH, REPORT';
+const DAV_CAPABILITIES = '1, 3, calendar-access';
+const TOKEN_TOUCH_INTERVAL_MS = 60 * 60 * 1000;
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Strong ETag over the exact bytes we serve, so attendee and reminder edits change it too
+const getEtag = ics => `"${crypto.createHash('sha1').update(ics).digest('hex')}"`;
+
+const formatSyncToken = changeId => `${SYNC_TOKEN_PREFIX}${changeId}`;
+
+const parseSyncToken = (token) => {
+  if (!token.startsWith(SYNC_TOKEN_PREFIX)) return null;
+  const changeId = Number(token.slice(SYNC_TOKEN_PREFIX.length));
+  return Number.isInteger(changeId) && changeId >= 0 ? changeId : null;
+};
+
+const respond = (status, body = '', headers = {}) => ({ status, headers, body });
+
+const xmlResponse = (status, body) => respond(status, body, { 'Content-Type': XML_CONTENT_TYPE });
+
+const prop = (ns, name, value = '') => ({ ns, name, value });
+
+// Calendar apps can't hold a Supabase session, so each rep gets an app password for Basic auth.
+// Only its hash is stored; creating a new one revokes the previous password.
+export const createCalDavToken = async (userId) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  const password = crypto.randomBytes(24).toString('hex');
+  const { error } = await supabase
+    .from(TOKENS_TABLE)
+    .upsert([{
+      user_id: userId,
+      token_hash: hashToken(password),
+      created_at: new Date().toISOString(),
+      last_used_at: null,
+    }], { onConflict: 'user_id' });
+
+  if (error) {
+    throw new Error(`Failed to create CalDAV password: ${error.message}`);
+  }
+
+  const profile = await getProfile(userId);
+  return { username: profile?.email || userId, password };
+};
+
+// The username is only shown in the client; the password alone identifies the rep
+const authenticate = async (authorization) => {
+  const match = /^Basic\s+(\S+)$/i.exec(authorization || '');
+  if (!match) return null;
+
+  let password;
+  try {
+    password = atob(match[1]).split(':').slice(1).join(':');
+  } catch (error) {
+    return null;
+  }
+  if (!password) return null;
+
+  const { data: token } = await supabase
+    .from(TOKENS_TABLE)
+    .select('user_id, last_used_at')
+    .eq('token_hash', hashToken(password))
+    .maybeSingle();
+
+  if (!token) return null;
+
+  if (!token.last_used_at || Date.now() - new Date(token.last_used_at).getTime() > TOKEN_TOUCH_INTERVAL_MS) {
+    await supabase
+      .from(TOKENS_TABLE)
+      .update({ last_used_at: new Date().toISOString() })
+      .eq('user_id', token.user_id);
+  }
+
+  return token.user_id;
+};
+
+const getProfile = async (userId) => {
+  const { data } = await supabase
+    .from(PROFILES_TABLE)
+    .select('full_name, email')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return data;
+};
+
+const getLatestChangeId = async (userId) => {
+  const { data, error } = await supabase
+    .from(CHANGES_TABLE)
+    .select('id')
+    .eq('user_id', userId)
+    .order('id', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to read calendar changes: ${error.message}`);
+  }
+  return Number(data?.id || 0);
+};
+
+// Paths are relative to basePath: /principals/<userId>/, /calendars/<userId>/ (the calendar home),
+// /calendars/<userId>/sales/ (the one calendar) and /calendars/<userId>/sales/<name>.ics
+const parsePath = (path, basePath) => {
+  const relative = path.startsWith(basePath) ? path.slice(basePath.length) : path;
+  let segments;
+  try {
+    segments = relative.split('?')[0].split('/').filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    return null;
+  }
+
+  const [first, userId, calendar, name, ...rest] = segments;
+  if (segments.length === 0) return { type: 'root' };
+  if (first === '.well-known' && userId === 'caldav' && segments.length === 2) return { type: 'well-known' };
+  if (first === 'principals' && userId && segments.length === 2) return { type: 'principal', userId };
+  if (first !== 'calendars' || !userId || rest.length > 0) return null;
+  if (!calendar) return { type: 'home', userId };
+  if (calendar !== CALENDAR_NAME) return null;
+  return name ? { type: 'event', userId, name } : { type: 'calendar', userId };
+};
+
+const createHrefs = (basePath, userId) => ({
+  root: `${basePath}/`,
+  principal: `${basePath}/principals/${userId}/`,
+  home: `${basePath}/calendars/${userId}/`,
+  calendar: `${basePath}/calendars/${userId}/${CALENDAR_NAME}/`,
+  event: name => `${basePath}/calendars/${userId}/${CALENDAR_NAME}/${encodeURIComponent(name)}`,
+});
+
+const privilegeSet = privileges => privileges
+  .map(name => xmlElement(NS.DAV, 'privilege', xmlElement(NS.DAV, name)))
+  .join('');
+
+const REPORTS = [[NS.CALDAV, 'calendar-multiget'], [NS.CALDAV, 'calendar-query'], [NS.DAV, 'sync-collection']];
+
+const supportedReportSet = () => REPORTS
+  .map(([ns, name]) => xmlElement(NS.DAV, 'supported-report', xmlElement(NS.DAV, 'report', xmlElement(ns, name))))
+  .join('');
+
+const principalProps = (hrefs, profile) => [
+  prop(NS.DAV, 'resourcetype', xmlElement(NS.DAV, 'principal')),
+  prop(NS.DAV, 'displayname', escapeXml(profile?.full_name || profile?.email || 'VopeX rep')),
+  prop(NS.DAV, 'current-user-principal', hrefElement(hrefs.principal)),
+  prop(NS.DAV, 'principal-URL', hrefElement(hrefs.principal)),
+  prop(NS.CALDAV, 'calendar-home-set', hrefElement(hrefs.home)),
+  prop(NS.CALDAV, 'calendar-user-address-set', [
+    profile?.email ? hrefElement(`mailto:${profile.email}`) : '',
+    hrefElement(hrefs.principal),
+  ].join('')),
+];
+
+const homeProps = hrefs => [
+  prop(NS.DAV, 'resourcetype', xmlElement(NS.DAV, 'collection')),
+  prop(NS.DAV, 'displayname', 'Calendars'),
+  prop(NS.DAV, 'current-user-principal', hrefElement(hrefs.principal)),
+  prop(NS.DAV, 'owner', hrefElement(hrefs.principal)),
+  prop(NS.DAV, 'current-user-privilege-set', privilegeSet(['read'])),
+];
+
+const calendarProps = (hrefs, syncToken) => [
+  prop(NS.DAV, 'resourcetype', xmlElement(NS.DAV, 'collection') + xmlElement(NS.CALDAV, 'calendar')),
+  prop(NS.DAV, 'displayname', CALENDAR_DISPLAY_NAME),
+  prop(NS.CALDAV, 'calendar-description', 'Meetings and follow-ups from VopeX'),
+  prop(NS.CALDAV, 'supported-calendar-component-set', '<c:comp name="VEVENT"/>'),
+  prop(NS.DAV, 'current-user-principal', hrefElement(hrefs.principal)),
+  prop(NS.DAV, 'owner', hrefElement(hrefs.principal)),
+  prop(NS.DAV, 'current-user-privilege-set', privilegeSet(['read', 'write', 'write-content', 'bind', 'unbind'])),
+  prop(NS.DAV, 'supported-report-set', supportedReportSet()),
+  prop(NS.DAV, 'sync-token', escapeXml(syncToken)),
+  // Older Apple clients poll getctag instead of running sync-collection
+  prop(NS.CALENDARSERVER, 'getctag', escapeXml(syncToken)),
+];
+
+const eventProps = resource => [
+  prop(NS.DAV, 'resourcetype'),
+  prop(NS.DAV, 'getetag', escapeXml(getEtag(resource.ics))),
+  prop(NS.DAV, 'getcontenttype', `${ICS_CONTENT_TYPE}; component=VEVENT`),
+  prop(NS.CALDAV, 'calendar-data', escapeXml(resource.ics)),
+];
+
+// { type: 'allprop' | 'propname' | 'prop', props: [{ ns, name }] }; an empty body means allprop
+const parsePropRequest = (root) => {
+  if (!root || findChild(root, NS.DAV, 'allprop')) return { type: 'allprop', props: [] };
+  if (findChild(root, NS.DAV, 'propname')) return { type: 'propname', props: [] };
+
+  const requested = findChild(root, NS.DAV, 'prop');
+  if (!requested) return { type: 'allprop', props: [] };
+  return { type: 'prop', props: requested.children.map(({ ns, name }) => ({ ns, name })) };
+};
+
+const isCalendarData = item => item.ns === NS.CALDAV && item.name === 'calendar-data';
+
+// calendar-data is left out of allprop, as RFC 4791 asks, since it's the whole event body
+const buildPropstats = (props, request) => {
+  if (request.type === 'propname') {
+    return [{ status: 200, props: props.map(({ ns, name }) => prop(ns, name)) }];
+  }
+  if (request.type === 'allprop') {
+    return [{ status: 200, props: props.filter(item => !isCalendarData(item)) }];
+  }
+
+  const found = [];
+  const missing = [];
+  request.props.forEach(({ ns, name }) => {
+    const match = props.find(item => item.ns === ns && item.name === name);
+    if (match) found.push(match);
+    else missing.push(prop(ns, name));
+  });
+  return [{ status: 200, props: found }, { status: 404, props: missing }];
+};
+
+const toResponse = (href, props, request) => ({ href, propstats: buildPropstats(props, request) });
+
+const parseBody = body => (body && body.trim() ? parseXml(body) : null);
+
+const propfind = async (target, { userId, hrefs, depth, body }) => {
+  const request = parsePropRequest(parseBody(body));
+  const includeChildren = depth !== '0';
+  const responses = [];
+
+  switch (target.type) {
+    case 'root':
+      responses.push(toResponse(hrefs.root, [
+        prop(NS.DAV, 'resourcetype', xmlElement(NS.DAV, 'collection')),
+        prop(NS.DAV, 'current-user-principal', hrefElement(hrefs.principal)),
+      ], request));
+      break;
+    case 'principal':
+      responses.push(toResponse(hrefs.principal, principalProps(hrefs, await getProfile(userId)), request));
+      break;
+    case 'home':
+      responses.push(toResponse(hrefs.home, homeProps(hrefs), request));
+      if (includeChildren) {
+        const syncToken = formatSyncToken(await getLatestChangeId(userId));
+        responses.push(toResponse(hrefs.calendar, calendarProps(hrefs, syncToken), request));
+      }
+      break;
+    case 'calendar': {
+      const syncToken = formatSyncToken(await getLatestChangeId(userId));
+      responses.push(toResponse(hrefs.calendar, calendarProps(hrefs, syncToken), request));
+      if (includeChildren) {
+        const resources = await exportCalendarResources(userId);
+        resources.forEach(resource => responses.push(toResponse(hrefs.event(resource.name), eventProps(resource), request)));
+      }
+      break;
+    }
+    case 'event': {
+      const [resource] = await exportCalendarResources(userId, { names: [target.name] });
+      if (!resource) return respond(404);
+      responses.push(toResponse(hrefs.event(resource.name), eventProps(resource), request));
+      break;
+    }
+    default:
+      return respond(404);
+  }
+
+  return xmlResponse(207, buildMultistatus(responses));
+};
+
+// Nothing about the collections is client-editable, so every property is refused
+const proppatch = (href, body) => {
+  const root = parseBody(body);
+  const props = [];
+  (root?.children || []).forEach(instruction => {
+    (findChild(instruction, NS.DAV, 'prop')?.children || []).forEach(({ ns, name }) => props.push(prop(ns, name)));
+  });
+  return xmlResponse(207, buildMultistatus([{ href, propstats: [{ status: 403, props }] }]));
+};
+
+const hrefToName = (href, hrefs) => {
+  let path = href.trim();
+  try {
+    path = decodeURIComponent(new URL(path, 'http://localhost').pathname);
+  } catch (error) {
+    return null;
+  }
+
+  const calendarPath = decodeURIComponent(hrefs.calendar);
+  if (!path.startsWith(calendarPath)) return null;
+  const name = path.slice(calendarPath.length);
+  return name && !name.includes('/') ? name : null;
+};
+
+const calendarMultiget = async (userId, root, hrefs) => {
+  const request = parsePropRequest(root);
+  const requested = root.children
+    .filter(child => child.ns === NS.DAV && child.name === 'href')
+    .map(child => ({ href: child.text.trim(), name: hrefToName(child.text, hrefs) }));
+
+  const names = requested.map(item => item.name).filter(Boolean);
+  const resources = names.length > 0 ? await exportCalendarResources(userId, { names }) : [];
+  const byName = new Map(resources.map(resource => [resource.name, resource]));
+
+  return xmlResponse(207, buildMultistatus(requested.map(({ href, name }) => {
+    const resource = byName.get(name);
+    return resource ? toResponse(href, eventProps(resource), request) : { href, status: 404 };
+  })));
+};
+
+const parseTimeRangeValue = (value) => {
+  if (!value) return undefined;
+  try {
+    return parseDateValue(value);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+};
+
+// Only VEVENT time-range filters are understood; anything else in the filter matches every event.
+// Series are kept when an occurrence falls in the range; overrides moved into it from outside aren't considered.
+const calendarQuery = async (userId, root, hrefs) => {
+  const request = parsePropRequest(root);
+  const timeRange = findDescendant(findChild(root, NS.CALDAV, 'filter'), NS.CALDAV, 'time-range');
+  const from = parseTimeRangeValue(timeRange?.attributes.start);
+  const to = parseTimeRangeValue(timeRange?.attributes.end);
+
+  const resources = (await exportCalendarResources(userId, { from, to }))
+    .filter(({ event }) => !to || !event.recurring || !event.recurrence_pattern
+      || expandSeries(event, { from: from || event.start_time, to }).length > 0);
+
+  return xmlResponse(207, buildMultistatus(resources.map(resource => toResponse(hrefs.event(resource.name), eventProps(resource), request))));
+};
+
+// RFC 6578: without a token everything is returned; with one, only resources changed since, and
+// deleted ones as bare 404s. Tokens are ids from calendar_changes, which the database triggers fill.
+const syncCollection = async (userId, root, hrefs) => {
+  const request = parsePropRequest(root);
+  const token = findChild(root, NS.DAV, 'sync-token')?.text.trim();
+  const latest = await getLatestChangeId(userId);
+
+  if (!token) {
+    const resources = await exportCalendarResources(userId);
+    return xmlResponse(207, buildMultistatus(
+      resources.map(resource => toResponse(hrefs.event(resource.name), eventProps(resource), request)),
+      { syncToken: formatSyncToken(latest) },
+    ));
+  }
+
+  const since = parseSyncToken(token);
+  if (since === null || since > latest) {
+    return xmlResponse(403, buildErrorBody(NS.DAV, 'valid-sync-token'));
+  }
+
+  const { data: changes, error } = await supabase
+    .from(CHANGES_TABLE)
+    .select('resource_name, change_type')
+    .eq('user_id', userId)
+    .gt('id', since)
+    .lte('id', latest)
+    .order('id', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to read calendar changes: ${error.message}`);
+  }
+
+  const lastChange = new Map(changes.map(change => [change.resource_name, change.change_type]));
+  const upserted = [...lastChange].filter(([, type]) => type === 'upsert').map(([name]) => name);
+  const resources = upserted.length > 0 ? await exportCalendarResources(userId, { names: upserted }) : [];
+  const found = new Set(resources.map(resource => resource.name));
+
+  return xmlResponse(207, buildMultistatus([
+    ...resources.map(resource => toResponse(hrefs.event(resource.name), eventProps(resource), request)),
+    ...[...lastChange.keys()].filter(name => !found.has(name)).map(name => ({ href: hrefs.event(name), status: 404 })),
+  ], { syncToken: formatSyncToken(latest) }));
+};
+
+const report = async (target, { userId, hrefs, body }) => {
+  if (target.type !== 'calendar') {
+    return xmlResponse(403, buildErrorBody(NS.DAV, 'supported-report'));
+  }
+
+  const root = parseBody(body);
+  if (root?.ns === NS.CALDAV && root.name === 'calendar-multiget') return calendarMultiget(userId, root, hrefs);
+  if (root?.ns === NS.CALDAV && root.name === 'calendar-query') return calendarQuery(userId, root, hrefs);
+  if (root?.ns === NS.DAV && root.name === 'sync-collection') return syncCollection(userId, root, hrefs);
+  return xmlResponse(403, buildErrorBody(NS.DAV, 'supported-report'));
+};
+
+const matchesEtag = (header, etag) => header.trim() === '*'
+  || header.split(',').map(value => value.trim().replace(/^W\//, '')).includes(etag);
+
+// If-Match / If-None-Match guard against overwriting edits made elsewhere since the client last synced
+const checkPreconditions = (headers, current) => {
+  const etag = current ? getEtag(current.ics) : null;
+  if (headers['if-match'] && (!current || !matchesEtag(headers['if-match'], etag))) return false;
+  if (headers['if-none-match'] && current && matchesEtag(headers['if-none-match'], etag)) return false;
+  return true;
+};
+
+const getResource = async (userId, name, { headOnly }) => {
+  const [resource] = await exportCalendarResources(userId, { names: [name] });
+  if (!resource) return respond(404);
+
+  return respond(200, headOnly ? '' : resource.ics, {
+    'Content-Type': ICS_CONTENT_TYPE,
+    ETag: getEtag(resource.ics),
+  });
+};
+
+// No ETag on success: what we store is re-serialized, so clients must fetch it back (RFC 4791 section 5.3.4)
+const putResource = async (userId, name, { headers, body }) => {
+  if (!/^text\/calendar/i.test(headers['content-type'] || 'text/calendar')) {
+    return xmlResponse(415, buildErrorBody(NS.CALDAV, 'supported-calendar-data'));
+  }
+
+  const [current] = await exportCalendarResources(userId, { names: [name] });
+  if (!checkPreconditions(headers, current)) return respond(412);
+
+  const { created } = await saveCalendarResource(userId, body, { eventId: current?.eventId || null, name });
+  return respond(created ? 201 : 204);
+};
+
+const deleteResource = async (userId, name, { headers }) => {
+  const [current] = await exportCalendarResources(userId, { names: [name] });
+  if (!current) return respond(404);
+  if (!checkPreconditions(headers, current)) return respond(412);
+
+  // Overrides, attendees and reminders go with the row through their foreign keys
+  const { error } = await supabase
+    .from(CALENDAR_TABLE)
+    .delete()
+    .eq('id', current.eventId)
+    .eq('user_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to delete event: ${error.message}`);
+  }
+  return respond(204);
+};
+
+const dispatch = async (request, { basePath }) => {
+  const method = request.method.toUpperCase();
+  const target = parsePath(request.path, basePath);
+
+  if (method === 'OPTIONS') {
+    return respond(200, '', { DAV: DAV_CAPABILITIES, Allow: ALLOWED_METHODS });
+  }
+  if (!target) return respond(404);
+  if (target.type === 'well-known') {
+    return respond(301, '', { Location: `${basePath}/` });
+  }
+
+  const userId = await authenticate(request.headers.authorization);
+  if (!userId) {
+    return respond(401, 'Authentication required', { 'WWW-Authenticate': 'Basic realm="VopeX Calendar"' });
+  }
+  // Other reps' calendars are indistinguishable from ones that don't exist
+  if (target.userId && target.userId !== userId) return respond(404);
+
+  const hrefs = createHrefs(basePath, userId);
+  const context = { userId, hrefs, depth: request.headers.depth || 'infinity', body: request.body, headers: request.headers };
+
+  switch (method) {
+    case 'PROPFIND':
+      return propfind(target, context);
+    case 'PROPPATCH':
+      return proppatch(request.path, request.body);
+    case 'REPORT':
+      return report(target, context);
+    case 'GET':
+    case 'HEAD':
+      if (target.type === 'calendar') {
+        return respond(200, method === 'HEAD' ? '' : await exportCalendar(userId), { 'Content-Type': ICS_CONTENT_TYPE });
+      }
+      if (target.type !== 'event') return respond(405, '', { Allow: 'OPTIONS, PROPFIND, REPORT' });
+      return getResource(userId, target.name, { headOnly: method === 'HEAD' });
+    case 'PUT':
+      if (target.type !== 'event') return respond(405, '', { Allow: 'OPTIONS, PROPFIND, REPORT' });
+      return putResource(userId, target.name, context);
+    case 'DELETE':
+      if (target.type !== 'event') return respond(403);
+      return deleteResource(userId, target.name, context);
+    default:
+      return respond(405, '', { Allow: ALLOWED_METHODS });
+  }
+};
+
+// Transport-agnostic entry point shared by the edge function and the local dev server.
+// request: { method, path, headers (lower-cased names), body }; returns { status, headers, body }.
+export const handleCalDavRequest = async (request, { basePath = '' } = {}) => {
+  try {
+    return await dispatch(request, { basePath: basePath.replace(/\/$/, '') });
+  } catch (error) {
+    if (error.code && error.status) {
+      return xmlResponse(error.status, buildErrorBody(NS.CALDAV, error.code));
+    }
+    if (!error.status) console.error('CalDAV request failed:', error);
+    return respond(error.status || 500, error.message || 'Request failed', { 'Content-Type': 'text/plain; charset=utf-8' });
+  }
+};
+
+export default handleCalDavRequest;
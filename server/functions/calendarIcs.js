@@ -0,0 +1,597 @@
+server/functions/calendarIcs.js
+
+import crypto from 'crypto';
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import { buildCalendar, parseICalendar, parseEventIdFromUid, getEventUid } from '../calendar/icalendar';
+import { getRecurrenceEnd } from '../../app/utils/recurrence';
+
+const CALENDAR_TABLE = 'calendar_events';
+const ATTENDEES_TABLE = 'event_attendees';
+const REMINDERS_TABLE = 'event_reminders';
+const PROFILES_TABLE = 'profiles';
+const FEEDS_TABLE = 'calendar_feeds';
+const MAX_IMPORT_BYTES = 2 * 1024 * 1024;
+const INVITE_METHODS = ['REQUEST', 'CANCEL'];
+const LEGACY_INSTANCE_FILTER = 'is_recurring_instance.is.null,is_recurring_instance.eq.false';
+const ID_RESOURCE_NAME_REGEX = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.ics$/i;
+
+// CalDAV preconditions (RFC 4791 section 5.3.2) travel as `code` so the endpoint can name them in the error body
+const createCalendarError = (message, code, status) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const getOrganizer = async (userId) => {
+  const { data: profile } = await supabase
+    .from(PROFILES_TABLE)
+    .select('full_name, email')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return profile?.email ? { email: profile.email, name: profile.full_name || null } : null;
+};
+
+const fetchAttendees = async (eventIds) => {
+  if (eventIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from(ATTENDEES_TABLE)
+    .select('event_id, email, name, status')
+    .in('event_id', eventIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch attendees: ${error.message}`);
+  }
+
+  return (data || []).reduce((byEvent, attendee) => {
+    byEvent[attendee.event_id] = byEvent[attendee.event_id] || [];
+    byEvent[attendee.event_id].push(attendee);
+    return byEvent;
+  }, {});
+};
+
+const fetchReminders = async (eventIds) => {
+  if (eventIds.length === 0) return {};
+
+  const { data, error } = await supabase
+    .from(REMINDERS_TABLE)
+    .select('event_id, reminder_time, reminder_type, message')
+    .in('event_id', eventIds)
+    .order('reminder_time', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch reminders: ${error.message}`);
+  }
+
+  return (data || []).reduce((byEvent, reminder) => {
+    byEvent[reminder.event_id] = byEvent[reminder.event_id] || [];
+    byEvent[reminder.event_id].push(reminder);
+    return byEvent;
+  }, {});
+};
+
+const fetchEventsById = async (userId, ids) => {
+  if (ids.length === 0) return [];
+
+  const { data, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .in('id', ids);
+
+  if (error) {
+    throw new Error(`Failed to fetch recurring series: ${error.message}`);
+  }
+  return data || [];
+};
+
+// Legacy materialized instances are left out; the series' RRULE on the base event covers them.
+// Series that started before `from` are kept whole, and overrides are exported under their series' UID.
+export const exportCalendar = async (userId, { from, to, eventIds } = {}) => {
+  let query = supabase
+    .from(CALENDAR_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .or(LEGACY_INSTANCE_FILTER)
+    .order('start_time', { ascending: true });
+
+  if (eventIds) query = query.in('id', eventIds);
+  if (from) {
+    const fromIso = new Date(from).toISOString();
+    query = query.or(`end_time.gte.${fromIso},and(recurring.eq.true,or(recurrence_end.is.null,recurrence_end.gte.${fromIso}))`);
+  }
+  if (to) query = query.lt('start_time', new Date(to).toISOString());
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to fetch events for export: ${error.message}`);
+  }
+
+  const events = data || [];
+  const byId = new Map(events.map(event => [event.id, event]));
+  const missingParentIds = [...new Set(events
+    .filter(event => event.recurrence_parent_id && !byId.has(event.recurrence_parent_id))
+    .map(event => event.recurrence_parent_id))];
+  (await fetchEventsById(userId, missingParentIds)).forEach(parent => {
+    byId.set(parent.id, parent);
+    events.push(parent);
+  });
+
+  return buildCalendar(await toCalendarEntries(userId, events, byId), { name: 'VopeX Sales' });
+};
+
+const toCalendarEntries = async (userId, events, byId) => {
+  const eventIds = events.map(event => event.id);
+  const [attendeesByEvent, remindersByEvent, organizer] = await Promise.all([
+    fetchAttendees(eventIds),
+    fetchReminders(eventIds),
+    getOrganizer(userId),
+  ]);
+
+  return events.map(event => ({
+    event,
+    attendees: attendeesByEvent[event.id] || [],
+    reminders: remindersByEvent[event.id] || [],
+    organizer,
+    parent: event.recurrence_parent_id ? byId.get(event.recurrence_parent_id) : undefined,
+  }));
+};
+
+// CalDAV resource names: whatever the client chose when it created the event, else the row id
+export const getResourceName = event => event.caldav_name || `${event.id}.ics`;
+
+const resolveResourceNames = async (userId, names) => {
+  const ids = names.map(name => ID_RESOURCE_NAME_REGEX.exec(name)?.[1]).filter(Boolean);
+
+  const [byName, byId] = await Promise.all([
+    supabase
+      .from(CALENDAR_TABLE)
+      .select('id')
+      .eq('user_id', userId)
+      .is('recurrence_parent_id', null)
+      .in('caldav_name', names),
+    ids.length > 0
+      ? supabase
+        .from(CALENDAR_TABLE)
+        .select('id')
+        .eq('user_id', userId)
+        .is('recurrence_parent_id', null)
+        .is('caldav_name', null)
+        .in('id', ids)
+      : { data: [] },
+  ]);
+
+  const error = byName.error || byId.error;
+  if (error) {
+    throw new Error(`Failed to look up calendar resources: ${error.message}`);
+  }
+  return [...byName.data, ...byId.data].map(row => row.id);
+};
+
+// One resource per event or series: the master VEVENT plus its overrides, each as its own VCALENDAR.
+// Returns [{ eventId, event, name, ics }] ordered by start time.
+export const exportCalendarResources = async (userId, { names, from, to } = {}) => {
+  let query = supabase
+    .from(CALENDAR_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .is('recurrence_parent_id', null)
+    .or(LEGACY_INSTANCE_FILTER)
+    .order('start_time', { ascending: true });
+
+  if (names) {
+    const ids = await resolveResourceNames(userId, names);
+    if (ids.length === 0) return [];
+    query = query.in('id', ids);
+  }
+  if (from) {
+    const fromIso = new Date(from).toISOString();
+    query = query.or(`end_time.gte.${fromIso},and(recurring.eq.true,or(recurrence_end.is.null,recurrence_end.gte.${fromIso}))`);
+  }
+  if (to) query = query.lt('start_time', new Date(to).toISOString());
+
+  const { data: masters, error } = await query;
+  if (error) {
+    throw new Error(`Failed to fetch calendar resources: ${error.message}`);
+  }
+  if (masters.length === 0) return [];
+
+  const { data: overrides, error: overridesError } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('*')
+    .in('recurrence_parent_id', masters.map(master => master.id))
+    .order('recurrence_id', { ascending: true });
+
+  if (overridesError) {
+    throw new Error(`Failed to fetch occurrence overrides: ${overridesError.message}`);
+  }
+
+  const byId = new Map(masters.map(master => [master.id, master]));
+  const entries = await toCalendarEntries(userId, [...masters, ...overrides], byId);
+
+  return masters.map(master => ({
+    eventId: master.id,
+    event: master,
+    name: getResourceName(master),
+    ics: buildCalendar(entries.filter(entry => (entry.event.recurrence_parent_id || entry.event.id) === master.id)),
+  }));
+};
+
+// Subscription feeds can't send a Supabase session, so each rep gets a long random token instead
+export const getOrCreateFeedToken = async (userId) => {
+  const { data: existing, error } = await supabase
+    .from(FEEDS_TABLE)
+    .select('token')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch calendar feed: ${error.message}`);
+  }
+
+  if (existing) {
+    return existing.token;
+  }
+
+  const token = crypto.randomBytes(24).toString('hex');
+  const { error: insertError } = await supabase
+    .from(FEEDS_TABLE)
+    .insert([{ user_id: userId, token, created_at: new Date().toISOString() }]);
+
+  if (insertError) {
+    throw new Error(`Failed to create calendar feed: ${insertError.message}`);
+  }
+
+  return token;
+};
+
+export const exportFeed = async (token) => {
+  const { data: feed, error } = await supabase
+    .from(FEEDS_TABLE)
+    .select('user_id')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (error || !feed) {
+    const notFound = new Error('Calendar feed not found');
+    notFound.status = 404;
+    throw notFound;
+  }
+
+  return exportCalendar(feed.user_id);
+};
+
+const toEventRow = (userId, parsed) => ({
+  user_id: userId,
+  ical_uid: parsed.uid,
+  ical_sequence: parsed.sequence || 0,
+  title: (parsed.title || 'Untitled event').slice(0, 255),
+  description: parsed.description ? parsed.description.slice(0, 1000) : null,
+  location: parsed.location ? parsed.location.slice(0, 255) : null,
+  start_time: parsed.start.toISOString(),
+  end_time: parsed.end.toISOString(),
+  all_day: Boolean(parsed.allDay),
+  event_type: parsed.attendees.length > 0 ? 'meeting' : 'other',
+  status: parsed.status || 'scheduled',
+  recurring: Boolean(parsed.recurrencePattern),
+  recurrence_pattern: parsed.recurrencePattern ? JSON.stringify(parsed.recurrencePattern) : null,
+  recurrence_exdates: parsed.recurrencePattern ? parsed.exdates.map(exdate => exdate.toISOString()) : [],
+  recurrence_end: parsed.recurrencePattern
+    ? getRecurrenceEnd(parsed.recurrencePattern, { start: parsed.start, end: parsed.end })
+    : null,
+  organizer_email: parsed.organizer?.email || null,
+  organizer_name: parsed.organizer?.name || null,
+  sync_status: 'synced',
+  updated_at: new Date().toISOString(),
+});
+
+const replaceAttendees = async (eventId, attendees) => {
+  await supabase.from(ATTENDEES_TABLE).delete().eq('event_id', eventId);
+
+  if (attendees.length === 0) return;
+
+  const { error } = await supabase
+    .from(ATTENDEES_TABLE)
+    .insert(attendees.map(attendee => ({
+      event_id: eventId,
+      email: attendee.email,
+      name: attendee.name,
+      status: attendee.status,
+      created_at: new Date().toISOString(),
+    })));
+
+  if (error) {
+    throw new Error(`Failed to import attendees: ${error.message}`);
+  }
+};
+
+// Alarms that already fired are stored as sent so the reminder job doesn't replay them
+const replaceReminders = async (eventId, alarms) => {
+  await supabase.from(REMINDERS_TABLE).delete().eq('event_id', eventId);
+
+  if (alarms.length === 0) return;
+
+  const now = new Date();
+  const { error } = await supabase
+    .from(REMINDERS_TABLE)
+    .insert(alarms.map(alarm => ({
+      event_id: eventId,
+      reminder_time: alarm.at.toISOString(),
+      reminder_type: 'notification',
+      message: alarm.description,
+      is_sent: alarm.at <= now,
+      created_at: now.toISOString(),
+    })));
+
+  if (error) {
+    throw new Error(`Failed to import reminders: ${error.message}`);
+  }
+};
+
+const findExistingEvent = async (userId, uid) => {
+  const ownId = parseEventIdFromUid(uid);
+  let query = supabase
+    .from(CALENDAR_TABLE)
+    .select('id, ical_sequence, recurrence_exdates')
+    .eq('user_id', userId);
+
+  query = ownId ? query.eq('id', ownId) : query.eq('ical_uid', uid);
+
+  const { data, error } = await query.maybeSingle();
+  if (error) {
+    throw new Error(`Failed to look up imported event: ${error.message}`);
+  }
+  return data;
+};
+
+const findOverride = async (seriesId, recurrenceId) => {
+  const { data, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, ical_sequence')
+    .eq('recurrence_parent_id', seriesId)
+    .eq('recurrence_id', recurrenceId.toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up occurrence override: ${error.message}`);
+  }
+  return data;
+};
+
+const saveEventRow = async (existingId, row) => {
+  if (existingId) {
+    const { error } = await supabase
+      .from(CALENDAR_TABLE)
+      .update(row)
+      .eq('id', existingId);
+
+    if (error) {
+      throw new Error(`Failed to update imported event: ${error.message}`);
+    }
+    return existingId;
+  }
+
+  const { data: created, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .insert([{ ...row, created_at: new Date().toISOString() }])
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create imported event: ${error.message}`);
+  }
+  return created.id;
+};
+
+const isStale = (existing, parsed) => existing && (existing.ical_sequence || 0) > (parsed.sequence || 0);
+
+// A VEVENT with RECURRENCE-ID changes (or cancels) one occurrence of a series imported earlier in the file.
+// CalDAV PUTs pass the series they just saved and replace overrides regardless of SEQUENCE.
+const importOverride = async (userId, parsed, summary, { series: knownSeries, ignoreSequence = false } = {}) => {
+  const series = knownSeries || await findExistingEvent(userId, parsed.uid);
+  if (!series) {
+    summary.skipped++;
+    return;
+  }
+
+  const existing = await findOverride(series.id, parsed.recurrenceId);
+  if (!ignoreSequence && isStale(existing, parsed)) {
+    summary.skipped++;
+    return;
+  }
+
+  if (parsed.status === 'cancelled') {
+    const exdates = new Set(series.recurrence_exdates || []);
+    exdates.add(parsed.recurrenceId.toISOString());
+    series.recurrence_exdates = [...exdates];
+    await supabase.from(CALENDAR_TABLE).update({ recurrence_exdates: series.recurrence_exdates }).eq('id', series.id);
+    if (existing) await supabase.from(CALENDAR_TABLE).delete().eq('id', existing.id);
+    summary.updated++;
+    return;
+  }
+
+  const eventId = await saveEventRow(existing?.id, {
+    ...toEventRow(userId, parsed),
+    ical_uid: null,
+    recurring: false,
+    recurrence_pattern: null,
+    recurrence_parent_id: series.id,
+    recurrence_id: parsed.recurrenceId.toISOString(),
+  });
+  summary[existing ? 'updated' : 'created']++;
+  await replaceAttendees(eventId, parsed.attendees);
+  await replaceReminders(eventId, parsed.alarms);
+};
+
+// Re-importing the same file is safe: events are matched by UID (and RECURRENCE-ID for overrides)
+// and only newer SEQUENCEs overwrite
+export const importCalendar = async (userId, icsText) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+  if (!icsText || icsText.length > MAX_IMPORT_BYTES) {
+    throw new Error('Calendar file is empty or larger than 2 MB');
+  }
+
+  const { events } = parseICalendar(icsText);
+  const summary = { created: 0, updated: 0, skipped: 0 };
+
+  // Series first, so their overrides can find them regardless of order in the file
+  const ordered = [...events].sort((a, b) => Number(Boolean(a.recurrenceId)) - Number(Boolean(b.recurrenceId)));
+
+  for (const parsed of ordered) {
+    if (parsed.recurrenceId) {
+      await importOverride(userId, parsed, summary);
+      continue;
+    }
+
+    const existing = await findExistingEvent(userId, parsed.uid);
+    if (isStale(existing, parsed)) {
+      summary.skipped++;
+      continue;
+    }
+
+    const row = toEventRow(userId, parsed);
+    // Our own exported UIDs are derived from the row id, so they're never stored back
+    if (existing && parseEventIdFromUid(parsed.uid)) delete row.ical_uid;
+
+    const eventId = await saveEventRow(existing?.id, row);
+    summary[existing ? 'updated' : 'created']++;
+    await replaceAttendees(eventId, parsed.attendees);
+    await replaceReminders(eventId, parsed.alarms);
+  }
+
+  return summary;
+};
+
+// CalDAV PUT: the body is the whole resource, so the series row, its attendees, reminders and
+// overrides are all replaced by what the client sent. Pass eventId when overwriting an existing
+// resource; new resources keep the client's name so later requests can address them by it.
+export const saveCalendarResource = async (userId, icsText, { eventId = null, name } = {}) => {
+  if (!icsText || icsText.length > MAX_IMPORT_BYTES) {
+    throw createCalendarError('Calendar resource is empty or larger than 2 MB', 'max-resource-size', 403);
+  }
+
+  let events;
+  try {
+    ({ events } = parseICalendar(icsText));
+  } catch (error) {
+    throw createCalendarError(error.message, 'valid-calendar-data', 403);
+  }
+
+  const masters = events.filter(event => !event.recurrenceId);
+  if (masters.length !== 1 || events.some(event => event.uid !== masters[0].uid)) {
+    throw createCalendarError(
+      'Calendar resource must hold one event and its overrides, all with the same UID',
+      'valid-calendar-object-resource',
+      403,
+    );
+  }
+
+  const [master] = masters;
+  const existing = await findExistingEvent(userId, master.uid);
+  if (existing && existing.id !== eventId) {
+    throw createCalendarError('Another calendar resource already uses this UID', 'no-uid-conflict', 403);
+  }
+
+  const row = toEventRow(userId, master);
+  if (parseEventIdFromUid(master.uid)) delete row.ical_uid;
+  if (!eventId) row.caldav_name = name;
+
+  const id = await saveEventRow(eventId, row);
+  await replaceAttendees(id, master.attendees);
+  await replaceReminders(id, master.alarms);
+
+  const overrides = events.filter(event => event.recurrenceId);
+  const kept = new Set(overrides.map(event => event.recurrenceId.toISOString()));
+  const { data: stored } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, recurrence_id')
+    .eq('recurrence_parent_id', id);
+
+  const removed = (stored || [])
+    .filter(override => !kept.has(new Date(override.recurrence_id).toISOString()))
+    .map(override => override.id);
+  if (removed.length > 0) {
+    await supabase.from(CALENDAR_TABLE).delete().in('id', removed);
+  }
+
+  const series = { id, recurrence_exdates: row.recurrence_exdates };
+  const summary = { created: 0, updated: 0, skipped: 0 };
+  for (const parsed of overrides) {
+    await importOverride(userId, parsed, summary, { series, ignoreSequence: true });
+  }
+
+  return { eventId: id, created: !eventId };
+};
+
+export const importCalendarFromUrl = async (userId, url) => {
+  // webcal:// is just a hint to open a calendar app; the feed itself is served over https
+  const feedUrl = (url || '').replace(/^webcal:/i, 'https:');
+  if (!/^https?:\/\//i.test(feedUrl)) {
+    throw new Error('Calendar URL must be http(s) or webcal');
+  }
+
+  const response = await fetch(feedUrl, { headers: { Accept: 'text/calendar' } });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch calendar: HTTP ${response.status}`);
+  }
+
+  return importCalendar(userId, await response.text());
+};
+
+// Sends the event to every attendee as an RFC 5546 REQUEST (or CANCEL) with the .ics attached
+export const sendEventInvite = async (userId, eventId, { method = 'REQUEST' } = {}) => {
+  if (!INVITE_METHODS.includes(method)) {
+    throw new Error(`Invite method must be one of ${INVITE_METHODS.join(', ')}`);
+  }
+
+  const { data: event, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('*')
+    .eq('id', eventId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !event) {
+    throw new Error('Event not found or access denied');
+  }
+
+  const attendees = (await fetchAttendees([event.id]))[event.id] || [];
+  if (attendees.length === 0) {
+    throw new Error('Event has no attendees to invite');
+  }
+
+  // Each re-send bumps SEQUENCE so clients replace their copy instead of ignoring it
+  const sequence = (event.ical_sequence || 0) + 1;
+  const organizer = await getOrganizer(userId);
+  const ics = buildCalendar([{ event, attendees, organizer, sequence }], { method });
+
+  const results = [];
+  for (const attendee of attendees) {
+    results.push({
+      email: attendee.email,
+      ...(await resendClient.sendCalendarInvite({
+        to: attendee.email,
+        event,
+        ics,
+        method,
+        organizerName: organizer?.name,
+        replyTo: organizer?.email,
+      })),
+    });
+  }
+
+  await supabase
+    .from(CALENDAR_TABLE)
+    .update({ ical_sequence: sequence })
+    .eq('id', event.id);
+
+  return { uid: getEventUid(event), sequence, results };
+};
+
+export default exportCalendar;
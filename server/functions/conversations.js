@@ -0,0 +1,124 @@
+server/functions/conversations.js
+
+import crypto from 'crypto';
+import process from 'process';
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import { htmlToText } from '../email/replyParser';
+
+const CONVERSATIONS_TABLE = 'conversations';
+const MESSAGES_TABLE = 'messages';
+
+// Replies reach us at reply+<token>@INBOUND_EMAIL_DOMAIN, which the inbound webhook threads on
+export const getReplyAddress = (replyToken) => {
+  const domain = process.env.INBOUND_EMAIL_DOMAIN;
+  return domain && replyToken ? `reply+${replyToken}@${domain}` : null;
+};
+
+export const parseReplyToken = (address = '') => {
+  const match = address.toLowerCase().match(/^reply\+([a-z0-9]{8,64})@/);
+  return match ? match[1] : null;
+};
+
+const createReplyToken = () => crypto.randomBytes(12).toString('hex');
+
+// Message-IDs use our own domain so In-Reply-To on a reply can be traced back to the message we sent
+export const createMessageId = () => {
+  const domain = process.env.INBOUND_EMAIL_DOMAIN || resendClient.fromEmail.split('@')[1] || 'vopex.app';
+  return `<${crypto.randomUUID()}@${domain}>`;
+};
+
+// One running email conversation per rep and lead; older rows without a reply token get one here
+export const getOrCreateLeadConversation = async (userId, leadId, { subject } = {}) => {
+  if (!userId || !leadId) {
+    throw new Error('Missing required fields: userId, leadId');
+  }
+
+  const { data: existing, error } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .eq('lead_id', leadId)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch conversation: ${error.message}`);
+  }
+
+  if (existing?.reply_token) {
+    return existing;
+  }
+
+  const query = existing
+    ? supabase.from(CONVERSATIONS_TABLE).update({ reply_token: createReplyToken() }).eq('id', existing.id)
+    : supabase.from(CONVERSATIONS_TABLE).insert([{
+      user_id: userId,
+      lead_id: leadId,
+      subject: subject || null,
+      reply_token: createReplyToken(),
+      created_at: new Date().toISOString(),
+    }]);
+
+  const { data: conversation, error: saveError } = await query.select('*').single();
+
+  if (saveError) {
+    throw new Error(`Failed to create conversation: ${saveError.message}`);
+  }
+
+  return conversation;
+};
+
+// What an outgoing email to a lead needs so the reply threads back: { conversation, messageId, replyTo, headers }
+export const prepareOutboundEmail = async (userId, leadId, { subject } = {}) => {
+  const conversation = await getOrCreateLeadConversation(userId, leadId, { subject });
+  const messageId = createMessageId();
+
+  return {
+    conversation,
+    messageId,
+    replyTo: getReplyAddress(conversation.reply_token),
+    headers: { 'Message-ID': messageId },
+  };
+};
+
+export const touchConversation = async (conversationId, at = new Date().toISOString(), changes = {}) => {
+  const { error } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .update({ last_message_at: at, ...changes })
+    .eq('id', conversationId);
+
+  if (error) {
+    console.error('Failed to update conversation:', error);
+  }
+};
+
+// Sent emails are kept in the thread too, so the inbox shows what the prospect is replying to.
+// campaignId files the conversation under the campaign that last wrote to the lead.
+export const recordOutboundEmail = async (conversation, { userId, subject, text, html, messageId, providerMessageId, campaignId, isAiGenerated = false }) => {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from(MESSAGES_TABLE)
+    .insert([{
+      conversation_id: conversation.id,
+      sender_id: userId,
+      lead_id: conversation.lead_id,
+      direction: 'outbound',
+      channel: 'email',
+      subject,
+      content: text || htmlToText(html || ''),
+      email_message_id: messageId,
+      provider_message_id: providerMessageId || null,
+      is_ai_generated: isAiGenerated,
+      created_at: now,
+    }]);
+
+  if (error) {
+    console.error('Failed to record sent email:', error);
+    return;
+  }
+
+  await touchConversation(conversation.id, now, campaignId ? { campaign_id: campaignId } : {});
+};
@@ -0,0 +1,338 @@
+server/functions/dispatchReminders.js
+
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import { expandRecurrence } from '../../app/utils/recurrence';
+
+const REMINDERS_TABLE = 'event_reminders';
+const DELIVERIES_TABLE = 'reminder_deliveries';
+const CALENDAR_TABLE = 'calendar_events';
+const PUSH_TOKENS_TABLE = 'push_tokens';
+const NOTIFICATIONS_TABLE = 'notifications';
+const PROFILES_TABLE = 'profiles';
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+const DISPATCH_BATCH_SIZE = 100;
+const MAX_ATTEMPTS = 3;
+const SKIPPED_EVENT_STATUSES = ['cancelled', 'completed', 'no_show', 'rescheduled'];
+
+// reminder_type doubles as the delivery channel; 'notification' is what the app has always stored for push
+const CHANNEL_BY_TYPE = {
+  notification: 'push',
+  push: 'push',
+  email: 'email',
+  in_app: 'in_app',
+};
+
+// Claims a reminder by flipping pending -> sending; one another worker already claimed is skipped
+const claimReminder = async (reminderId) => {
+  const { data, error } = await supabase
+    .from(REMINDERS_TABLE)
+    .update({ status: 'sending' })
+    .eq('id', reminderId)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim reminder: ${error.message}`);
+  }
+
+  return Array.isArray(data) && data.length > 0;
+};
+
+const nextOccurrence = (event, after) => {
+  const [instant] = expandRecurrence(event.recurrence_pattern, {
+    start: event.start_time,
+    from: after,
+    exdates: event.recurrence_exdates || [],
+    limit: 1,
+  });
+  return instant || null;
+};
+
+// A series keeps one reminder row; it points at the first occurrence starting at or after reminder_time
+const resolveOccurrence = (reminder, event) => {
+  if (!event.recurring || !event.recurrence_pattern) {
+    return new Date(event.start_time);
+  }
+  return nextOccurrence(event, reminder.reminder_time);
+};
+
+// A changed occurrence of a series is its own row; the series reminder follows it unless it has reminders of its own
+const findOverride = async (seriesId, occurrenceStart) => {
+  const { data, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select(`id, title, location, start_time, status, reminders:${REMINDERS_TABLE}(id)`)
+    .eq('recurrence_parent_id', seriesId)
+    .eq('recurrence_id', occurrenceStart.toISOString())
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to look up occurrence override: ${error.message}`);
+  }
+  return data;
+};
+
+const formatLead = (ms) => {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 48) return `${hours} hour${hours === 1 ? '' : 's'}`;
+  const days = Math.round(hours / 24);
+  return `${days} days`;
+};
+
+const buildContent = (reminder, event, occurrenceStart, now) => ({
+  title: `Upcoming: ${event.title}`,
+  body: reminder.message
+    || `${event.title} starts in ${formatLead(occurrenceStart.getTime() - now.getTime())}${event.location ? ` at ${event.location}` : ''}`,
+  data: {
+    type: 'event_reminder',
+    eventId: event.id,
+    reminderId: reminder.id,
+    occurrenceStart: occurrenceStart.toISOString(),
+  },
+});
+
+// Expo answers per token; tokens of uninstalled apps come back DeviceNotRegistered and are dropped
+const sendPush = async (userId, content) => {
+  const { data: tokens, error } = await supabase
+    .from(PUSH_TOKENS_TABLE)
+    .select('token')
+    .eq('user_id', userId);
+
+  if (error) {
+    return { success: false, error: `Failed to fetch push tokens: ${error.message}` };
+  }
+  if (!tokens || tokens.length === 0) {
+    return { success: false, noDevices: true, error: 'No push devices registered' };
+  }
+
+  const response = await fetch(EXPO_PUSH_URL, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+    body: JSON.stringify(tokens.map(({ token }) => ({ to: token, sound: 'default', ...content }))),
+  });
+
+  if (!response.ok) {
+    return { success: false, error: `Push service returned HTTP ${response.status}` };
+  }
+
+  const { data: tickets = [] } = await response.json();
+  const unregistered = tokens
+    .filter((token, index) => tickets[index]?.details?.error === 'DeviceNotRegistered')
+    .map(({ token }) => token);
+
+  if (unregistered.length > 0) {
+    await supabase.from(PUSH_TOKENS_TABLE).delete().in('token', unregistered);
+  }
+
+  const accepted = tickets.filter(ticket => ticket.status === 'ok');
+  if (accepted.length > 0) {
+    return { success: true, messageId: accepted.map(ticket => ticket.id).join(',') };
+  }
+
+  return {
+    success: false,
+    noDevices: unregistered.length === tokens.length,
+    error: tickets.find(ticket => ticket.message)?.message || 'No device accepted the notification',
+  };
+};
+
+const sendEmailReminder = async (userId, reminder, event, occurrenceStart) => {
+  const { data: profile } = await supabase
+    .from(PROFILES_TABLE)
+    .select('email')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (!profile?.email) {
+    return { success: false, error: 'No email address on the profile' };
+  }
+
+  return resendClient.sendEventReminder({
+    to: profile.email,
+    event,
+    occurrenceStart,
+    message: reminder.message,
+  });
+};
+
+// In-app reminders are rows in notifications; the app picks them up through its realtime subscription
+const sendInApp = async (userId, content) => {
+  const { data, error } = await supabase
+    .from(NOTIFICATIONS_TABLE)
+    .insert([{
+      user_id: userId,
+      type: content.data.type,
+      title: content.title,
+      body: content.body,
+      data: content.data,
+      created_at: new Date().toISOString(),
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    return { success: false, error: `Failed to create notification: ${error.message}` };
+  }
+  return { success: true, messageId: data.id };
+};
+
+// Push falls back to email once no device is left, so a rep who uninstalled the app still hears about the meeting
+const deliver = async (channel, reminder, event, occurrenceStart, now) => {
+  const content = buildContent(reminder, event, occurrenceStart, now);
+
+  if (channel === 'push') {
+    const result = await sendPush(event.user_id, content);
+    if (!result.success && result.noDevices) {
+      return { channel: 'email', ...(await sendEmailReminder(event.user_id, reminder, event, occurrenceStart)) };
+    }
+    return { channel, ...result };
+  }
+  if (channel === 'email') {
+    return { channel, ...(await sendEmailReminder(event.user_id, reminder, event, occurrenceStart)) };
+  }
+  return { channel, ...(await sendInApp(event.user_id, content)) };
+};
+
+const recordDelivery = async (reminder, event, occurrenceStart, outcome) => {
+  const { error } = await supabase
+    .from(DELIVERIES_TABLE)
+    .insert([{
+      reminder_id: reminder.id,
+      event_id: event.id,
+      user_id: event.user_id,
+      channel: outcome.channel,
+      occurrence_start: occurrenceStart.toISOString(),
+      status: outcome.status,
+      provider_message_id: outcome.messageId || null,
+      error: outcome.error || null,
+      created_at: new Date().toISOString(),
+    }]);
+
+  if (error) {
+    console.error('Failed to record reminder delivery:', error);
+  }
+};
+
+// Series reminders are re-armed for the next occurrence with the same lead time
+const completeReminder = async (reminder, event, occurrenceStart, updates) => {
+  const next = event.recurring && event.recurrence_pattern && occurrenceStart
+    ? nextOccurrence(event, new Date(occurrenceStart.getTime() + 1))
+    : null;
+
+  const leadMs = occurrenceStart ? occurrenceStart.getTime() - new Date(reminder.reminder_time).getTime() : 0;
+  const rearm = next
+    ? { status: 'pending', is_sent: false, attempts: 0, reminder_time: new Date(next.getTime() - leadMs).toISOString() }
+    : {};
+
+  const { error } = await supabase
+    .from(REMINDERS_TABLE)
+    .update({ ...updates, ...rearm })
+    .eq('id', reminder.id);
+
+  if (error) {
+    console.error('Failed to update reminder:', error);
+  }
+};
+
+// Transient failures go back in the queue for the next run, up to MAX_ATTEMPTS
+const retryOrFail = async (reminder, event, occurrenceStart, attempts, lastError) => {
+  if (attempts < MAX_ATTEMPTS) {
+    const { error } = await supabase
+      .from(REMINDERS_TABLE)
+      .update({ status: 'pending', attempts, last_error: lastError })
+      .eq('id', reminder.id);
+
+    if (error) {
+      console.error('Failed to requeue reminder:', error);
+    }
+    return 'retrying';
+  }
+
+  await completeReminder(reminder, event || {}, occurrenceStart, { status: 'failed', attempts, last_error: lastError });
+  return 'failed';
+};
+
+// Returns the summary bucket the claimed reminder ends up in
+const processReminder = async (reminder, now) => {
+  const { event } = reminder;
+  const channel = CHANNEL_BY_TYPE[reminder.reminder_type];
+  const occurrenceStart = event ? resolveOccurrence(reminder, event) : null;
+  const override = occurrenceStart && event.recurring ? await findOverride(event.id, occurrenceStart) : null;
+  const occurrence = override ? { ...event, ...override, id: event.id } : event;
+  const startsAt = override ? new Date(override.start_time) : occurrenceStart;
+
+  // A late run, a reschedule into the past or a finished series leaves nothing worth reminding about
+  const skipReason = !event ? 'Event no longer exists'
+    : !channel ? `Unknown reminder channel: ${reminder.reminder_type}`
+      : !occurrenceStart ? 'Series has no further occurrences'
+        : SKIPPED_EVENT_STATUSES.includes(occurrence.status) ? `Event is ${occurrence.status}`
+          : override?.reminders.length > 0 ? 'Occurrence has its own reminders'
+            : startsAt <= now ? 'Event already started'
+              : null;
+
+  if (skipReason) {
+    if (event && occurrenceStart) {
+      await recordDelivery(reminder, event, occurrenceStart, { channel: channel || reminder.reminder_type, status: 'skipped', error: skipReason });
+    }
+    await completeReminder(reminder, event || {}, occurrenceStart, { status: 'skipped', last_error: skipReason });
+    return 'skipped';
+  }
+
+  const result = await deliver(channel, reminder, occurrence, startsAt, now);
+  const attempts = (reminder.attempts || 0) + 1;
+
+  if (result.success) {
+    await recordDelivery(reminder, event, occurrenceStart, { ...result, status: 'sent' });
+    await completeReminder(reminder, event, occurrenceStart, {
+      status: 'sent',
+      is_sent: true,
+      sent_at: new Date().toISOString(),
+      attempts,
+      last_error: null,
+    });
+    return 'sent';
+  }
+
+  await recordDelivery(reminder, event, occurrenceStart, { ...result, status: 'failed' });
+  return retryOrFail(reminder, event, occurrenceStart, attempts, result.error);
+};
+
+export const dispatchDueReminders = async (options = {}) => {
+  const { now = new Date(), limit = DISPATCH_BATCH_SIZE } = options;
+
+  const { data: reminders, error } = await supabase
+    .from(REMINDERS_TABLE)
+    .select(`
+      id, event_id, reminder_time, reminder_type, message, attempts,
+      event:${CALENDAR_TABLE}(id, user_id, title, location, start_time, end_time, status, recurring, recurrence_pattern, recurrence_exdates)
+    `)
+    .eq('status', 'pending')
+    .lte('reminder_time', now.toISOString())
+    .order('reminder_time', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch due reminders: ${error.message}`);
+  }
+
+  const summary = { sent: 0, failed: 0, retrying: 0, skipped: 0 };
+
+  for (const reminder of reminders || []) {
+    if (!await claimReminder(reminder.id)) continue;
+
+    try {
+      summary[await processReminder(reminder, now)]++;
+    } catch (processError) {
+      // A thrown fetch or query must not strand the claimed row in 'sending', where nothing picks it up
+      console.error(`Failed to dispatch reminder ${reminder.id}:`, processError);
+      const occurrenceStart = reminder.event ? resolveOccurrence(reminder, reminder.event) : null;
+      summary[await retryOrFail(reminder, reminder.event, occurrenceStart, (reminder.attempts || 0) + 1, processError.message)]++;
+    }
+  }
+
+  return summary;
+};
+
+export default dispatchDueReminders;
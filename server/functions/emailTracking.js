@@ -0,0 +1,138 @@
+server/functions/emailTracking.js
+
+import supabase from '../lib/supabase';
+import { verifyTrackingToken, classifyTrackingRequest, hashIp } from '../email/tracking';
+
+const EVENTS_TABLE = 'email_events';
+const CAMPAIGNS_TABLE = 'campaigns';
+const SENDS_TABLE = 'campaign_sends';
+// Scanners follow every link in a message at once; people click one at a time
+const CLICK_BURST_SECONDS = 2;
+const TOP_LINKS_LIMIT = 10;
+
+const detectClickBurst = async (messageId, url, ipHash, now) => {
+  const { data, error } = await supabase
+    .from(EVENTS_TABLE)
+    .select('url')
+    .eq('email_message_id', messageId)
+    .eq('event_type', 'click')
+    .eq('ip_hash', ipHash)
+    .gte('occurred_at', new Date(now.getTime() - CLICK_BURST_SECONDS * 1000).toISOString())
+    .limit(5);
+
+  if (error) {
+    console.error('Failed to check click burst:', error);
+    return false;
+  }
+
+  return (data || []).some(event => event.url !== url);
+};
+
+// Verifies the token and records the open or click; bot traffic is stored but never counted.
+// Returns { type, url?, isBot, counted } or null for an invalid token.
+export const recordTrackingEvent = async ({ type, token, userAgent = '', ip = null, method = 'GET', now = new Date() }) => {
+  const payload = verifyTrackingToken(token);
+  if (!payload || !['open', 'click'].includes(type) || (type === 'click' && !payload.u)) {
+    return null;
+  }
+
+  const messageId = `<${payload.m}>`;
+  const url = type === 'click' ? payload.u : null;
+  const ipHash = hashIp(ip);
+  let { isBot, reason } = classifyTrackingRequest({
+    type,
+    userAgent,
+    method,
+    sentAt: payload.t ? new Date(payload.t * 1000) : null,
+    now,
+  });
+
+  if (!isBot && type === 'click' && ipHash && await detectClickBurst(messageId, url, ipHash, now)) {
+    isBot = true;
+    reason = 'click_burst';
+  }
+
+  // HEAD prefetches only ever come from scanners; not worth a row
+  if (method === 'HEAD') {
+    return { type, url, isBot, counted: false };
+  }
+
+  const { data: counted, error } = await supabase.rpc('record_email_event', {
+    p_event_type: type,
+    p_email_message_id: messageId,
+    p_lead_id: payload.l || null,
+    p_campaign_id: payload.c || null,
+    p_campaign_send_id: payload.s || null,
+    p_sequence_id: payload.q || null,
+    p_url: url,
+    p_user_agent: userAgent ? userAgent.slice(0, 500) : null,
+    p_ip_hash: ipHash,
+    p_is_bot: isBot,
+    p_bot_reason: reason,
+  });
+
+  if (error) {
+    console.error('Failed to record email event:', error);
+  }
+
+  return { type, url, isBot, counted: Boolean(counted) };
+};
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+// Campaign rollup: unique opens and clicks per send, with bot traffic reported separately
+export const getCampaignAnalytics = async (userId, campaignId) => {
+  const { data: campaign, error } = await supabase
+    .from(CAMPAIGNS_TABLE)
+    .select('id, name, track_opens, track_clicks, impressions, clicks')
+    .eq('id', campaignId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error || !campaign) {
+    throw new Error('Campaign not found or access denied');
+  }
+
+  const [{ data: sends, error: sendsError }, { data: events, error: eventsError }] = await Promise.all([
+    supabase.from(SENDS_TABLE).select('status, opened_at, clicked_at, open_count, click_count').eq('campaign_id', campaignId),
+    supabase.from(EVENTS_TABLE).select('event_type, url, is_bot, bot_reason').eq('campaign_id', campaignId),
+  ]);
+
+  if (sendsError || eventsError) {
+    throw new Error(`Failed to fetch campaign analytics: ${(sendsError || eventsError).message}`);
+  }
+
+  const sent = (sends || []).filter(send => send.status === 'sent');
+  const uniqueOpens = sent.filter(send => send.opened_at).length;
+  const uniqueClicks = sent.filter(send => send.clicked_at).length;
+
+  const linkCounts = new Map();
+  const botReasons = {};
+  (events || []).forEach(event => {
+    if (event.is_bot) {
+      botReasons[event.bot_reason || 'unknown'] = (botReasons[event.bot_reason || 'unknown'] || 0) + 1;
+    } else if (event.event_type === 'click' && event.url) {
+      linkCounts.set(event.url, (linkCounts.get(event.url) || 0) + 1);
+    }
+  });
+
+  return {
+    campaignId,
+    name: campaign.name,
+    tracking: { opens: campaign.track_opens, clicks: campaign.track_clicks },
+    sent: sent.length,
+    opens: sent.reduce((sum, send) => sum + (send.open_count || 0), 0),
+    uniqueOpens,
+    clicks: sent.reduce((sum, send) => sum + (send.click_count || 0), 0),
+    uniqueClicks,
+    openRate: rate(uniqueOpens, sent.length),
+    clickRate: rate(uniqueClicks, sent.length),
+    clickToOpenRate: rate(uniqueClicks, uniqueOpens),
+    botEvents: Object.values(botReasons).reduce((sum, count) => sum + count, 0),
+    botReasons,
+    topLinks: [...linkCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_LINKS_LIMIT)
+      .map(([url, count]) => ({ url, clicks: count })),
+  };
+};
@@ -0,0 +1,188 @@
+server/functions/emailWebhooks.js
+
+import process from 'process';
+import supabase from '../lib/supabase';
+import { verifyWebhookSignature } from '../email/webhookSignature';
+import { addSuppression, normalizeEmailAddress } from '../email/suppressions';
+import { exitSequencesForLead } from './sendFollowUp';
+
+const WEBHOOK_EVENTS_TABLE = 'email_webhook_events';
+const MESSAGES_TABLE = 'messages';
+const SENDS_TABLE = 'campaign_sends';
+const LEADS_TABLE = 'leads';
+const EVENTS_TABLE = 'lead_events';
+const UNIQUE_VIOLATION = '23505';
+
+const DELIVERY_STATUSES = {
+  'email.sent': 'sent',
+  'email.delivery_delayed': 'delayed',
+  'email.delivered': 'delivered',
+  'email.bounced': 'bounced',
+  'email.complained': 'complained',
+};
+
+// Webhooks arrive out of order; a late "delayed" must not overwrite "delivered" or "bounced"
+const STATUS_RANK = { sent: 0, delayed: 1, delivered: 2, bounced: 3, complained: 4 };
+
+const createWebhookError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Soft bounces (mailbox full, greylisting) can succeed later; only permanent ones are suppressed
+const isHardBounce = bounce => /^(permanent|hard)/i.test(bounce?.type || '');
+
+const updateDeliveryStatus = async (table, providerMessageId, deliveryStatus, error) => {
+  const { data: rows, error: fetchError } = await supabase
+    .from(table)
+    .select('id, lead_id, delivery_status')
+    .eq('provider_message_id', providerMessageId);
+
+  if (fetchError) {
+    throw new Error(`Failed to fetch ${table} for delivery update: ${fetchError.message}`);
+  }
+
+  const updatable = (rows || []).filter(row => (STATUS_RANK[row.delivery_status] ?? -1) <= STATUS_RANK[deliveryStatus]);
+  if (updatable.length > 0) {
+    const { error: updateError } = await supabase
+      .from(table)
+      .update({ delivery_status: deliveryStatus, delivery_error: error, delivery_updated_at: new Date().toISOString() })
+      .in('id', updatable.map(row => row.id));
+
+    if (updateError) {
+      throw new Error(`Failed to update ${table} delivery status: ${updateError.message}`);
+    }
+  }
+
+  return (rows || []).map(row => row.lead_id).filter(Boolean);
+};
+
+// Bounced and complaining addresses stop every lead that uses them, not just the one we sent to
+const stopLeadsForAddress = async (email, deliveryStatus, leadIds, occurredAt) => {
+  const { data: leads } = await supabase
+    .from(LEADS_TABLE)
+    .select('id')
+    .ilike('email', email.replace(/[\\%_]/g, '\\$&'));
+
+  const ids = [...new Set([...leadIds, ...(leads || []).map(lead => lead.id)])];
+
+  for (const leadId of ids) {
+    if (deliveryStatus === 'complained') {
+      await supabase.from(LEADS_TABLE).update({ unsubscribed_at: occurredAt }).eq('id', leadId).is('unsubscribed_at', null);
+    }
+
+    await supabase.from(EVENTS_TABLE).insert([{
+      lead_id: leadId,
+      event_type: deliveryStatus === 'complained' ? 'email_complaint' : 'email_bounce',
+      metadata: { email },
+      occurred_at: occurredAt,
+    }]);
+
+    await exitSequencesForLead(leadId, deliveryStatus)
+      .catch(error => console.error('Failed to exit sequences after delivery failure:', error));
+  }
+
+  return ids.length;
+};
+
+const processEvent = async (event, providerMessageId) => {
+  const { type, data = {} } = event;
+  const deliveryStatus = DELIVERY_STATUSES[type];
+  if (!deliveryStatus || !providerMessageId) {
+    return { status: 'ignored', type };
+  }
+
+  const occurredAt = event.created_at || new Date().toISOString();
+  const bounce = data.bounce || null;
+  const deliveryError = deliveryStatus === 'bounced'
+    ? [bounce?.type, bounce?.subType, bounce?.message].filter(Boolean).join(': ') || 'Bounced'
+    : null;
+
+  const leadIds = [
+    ...await updateDeliveryStatus(MESSAGES_TABLE, providerMessageId, deliveryStatus, deliveryError),
+    ...await updateDeliveryStatus(SENDS_TABLE, providerMessageId, deliveryStatus, deliveryError),
+  ];
+
+  const suppress = deliveryStatus === 'complained' || (deliveryStatus === 'bounced' && isHardBounce(bounce));
+  if (!suppress) {
+    return { status: 'processed', type, deliveryStatus, suppressed: [] };
+  }
+
+  const reason = deliveryStatus === 'complained' ? 'complaint' : 'hard_bounce';
+  const recipients = [...new Set([].concat(data.to || []).map(normalizeEmailAddress))];
+
+  for (const email of recipients) {
+    await addSuppression(email, {
+      reason,
+      providerMessageId,
+      details: { type, bounce, occurred_at: occurredAt },
+    });
+    await stopLeadsForAddress(email, deliveryStatus, leadIds, occurredAt);
+  }
+
+  return { status: 'processed', type, deliveryStatus, suppressed: recipients };
+};
+
+// rawBody must be the exact bytes Resend signed. headers: a Headers instance or plain object.
+// Returns { status: 'processed' | 'duplicate' | 'ignored', type, deliveryStatus?, suppressed? }
+export const handleResendWebhook = async (rawBody, headers) => {
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+  const secret = process.env.RESEND_WEBHOOK_SECRET;
+
+  if (!secret) {
+    throw createWebhookError('RESEND_WEBHOOK_SECRET is not configured', 'NOT_CONFIGURED', 500);
+  }
+
+  const svixId = header('svix-id');
+  const verified = verifyWebhookSignature({
+    id: svixId,
+    timestamp: header('svix-timestamp'),
+    signature: header('svix-signature'),
+    body: rawBody,
+    secret,
+  });
+
+  if (!verified) {
+    throw createWebhookError('Invalid webhook signature', 'INVALID_SIGNATURE', 401);
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody);
+  } catch (error) {
+    throw createWebhookError('Webhook body is not JSON', 'INVALID_PAYLOAD');
+  }
+
+  const { type, data = {} } = event;
+  const providerMessageId = data.email_id || null;
+
+  // Resend retries until it gets a 2xx; the svix-id makes each delivery count once
+  const { error: logError } = await supabase
+    .from(WEBHOOK_EVENTS_TABLE)
+    .insert([{
+      svix_id: svixId,
+      type,
+      provider_message_id: providerMessageId,
+      payload: event,
+      received_at: new Date().toISOString(),
+    }]);
+
+  if (logError?.code === UNIQUE_VIOLATION) {
+    return { status: 'duplicate', type };
+  }
+  if (logError) {
+    throw new Error(`Failed to log webhook event: ${logError.message}`);
+  }
+
+  try {
+    return await processEvent(event, providerMessageId);
+  } catch (error) {
+    // Forget the delivery so Resend's retry is processed instead of reported as a duplicate
+    await supabase.from(WEBHOOK_EVENTS_TABLE).delete().eq('svix_id', svixId);
+    throw error;
+  }
+};
+
+export default handleResendWebhook;
@@ -0,0 +1,332 @@
+server/functions/eventOutcomes.js
+
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import { getAvailability, getBookingSettings } from './bookMeeting';
+import { getOrCreateSchedulingLink } from './schedulingLink';
+import { isValidTimezone } from '../../app/utils/timezone';
+import { OUTCOME_EVENT_TYPES, OUTCOME_STATUSES, needsOutcome, getNoShowRate } from '../../app/utils/eventLifecycle';
+
+const CALENDAR_TABLE = 'calendar_events';
+const ATTENDEES_TABLE = 'event_attendees';
+const NOTIFICATIONS_TABLE = 'notifications';
+const PROFILES_TABLE = 'profiles';
+const LEADS_TABLE = 'leads';
+const EVENTS_TABLE = 'lead_events';
+const POOLS_TABLE = 'booking_pools';
+const MEMBERS_TABLE = 'booking_pool_members';
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Grace period before asking, so a meeting that ran a few minutes over isn't flagged mid-call
+const OUTCOME_PROMPT_DELAY_MS = 15 * MINUTE_MS;
+// Older meetings are left alone; neither a prompt nor a rebooking email makes sense a week later
+const OUTCOME_LOOKBACK_MS = 7 * DAY_MS;
+const REBOOKING_SLOT_COUNT = 5;
+const REBOOKING_SLOTS_PER_DAY = 2;
+const DEFAULT_REPORT_DAYS = 90;
+const BATCH_SIZE = 50;
+
+// Spread the offered times over several days rather than the next five slots of tomorrow morning
+const pickSlots = (slots) => {
+  const perDay = {};
+  const picked = [];
+
+  for (const slot of slots) {
+    const day = slot.start.slice(0, 10);
+    if ((perDay[day] || 0) >= REBOOKING_SLOTS_PER_DAY) continue;
+    perDay[day] = (perDay[day] || 0) + 1;
+    picked.push(slot);
+    if (picked.length === REBOOKING_SLOT_COUNT) break;
+  }
+
+  return picked;
+};
+
+const formatSlot = (start, timeZone) => new Intl.DateTimeFormat('en-US', {
+  timeZone,
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit',
+  timeZoneName: 'short',
+}).format(new Date(start));
+
+const getRebookingSlots = async (userId, event) => {
+  const settings = await getBookingSettings(userId);
+  const originalMinutes = Math.round((new Date(event.end_time) - new Date(event.start_time)) / MINUTE_MS);
+  const durationMinutes = settings.durations.includes(originalMinutes) ? originalMinutes : settings.durations[0];
+
+  const { slots } = await getAvailability(userId, { durationMinutes });
+  return { slots: pickSlots(slots), durationMinutes, timezone: settings.timezone };
+};
+
+const getLeadTimezone = async (leadId) => {
+  if (!leadId) return null;
+
+  const { data: lead } = await supabase
+    .from(LEADS_TABLE)
+    .select('timezone')
+    .eq('id', leadId)
+    .maybeSingle();
+
+  return lead?.timezone && isValidTimezone(lead.timezone) ? lead.timezone : null;
+};
+
+const recordLeadNoShow = async (event) => {
+  if (!event.lead_id) return;
+
+  await supabase.from(EVENTS_TABLE).insert([{
+    lead_id: event.lead_id,
+    event_type: 'meeting_no_show',
+    metadata: { calendar_event_id: event.id },
+    occurred_at: new Date().toISOString(),
+  }]);
+};
+
+const sendRebookingEmails = async (userId, event, recipients, rep) => {
+  const { slots, durationMinutes, timezone } = await getRebookingSlots(userId, event);
+  const timeZone = (await getLeadTimezone(event.lead_id)) || timezone;
+  const { url } = await getOrCreateSchedulingLink(userId);
+  const bookingUrl = `${url}&rebook=${encodeURIComponent(event.id)}&duration=${durationMinutes}`;
+
+  const results = [];
+  for (const recipient of recipients) {
+    const result = await resendClient.sendRebookingEmail({
+      to: recipient.email,
+      recipientName: recipient.name,
+      repName: rep?.full_name || 'your host',
+      event,
+      slots: slots.map(slot => ({
+        label: formatSlot(slot.start, timeZone),
+        url: `${bookingUrl}&start=${encodeURIComponent(slot.start)}`,
+      })),
+      bookingUrl,
+      replyTo: rep?.email,
+    });
+    results.push({ email: recipient.email, success: result.success, error: result.error });
+  }
+
+  return { slots, results };
+};
+
+// Claims the no-show by stamping rebooking_sent_at, so the app's immediate call and the cron job
+// never both send. The stamp is cleared again when no email could be sent, letting the job retry;
+// the lead's no-show is only logged once the outcome is final.
+export const processNoShow = async (userId, eventId) => {
+  if (!userId || !eventId) {
+    throw new Error('Missing required fields: userId, eventId');
+  }
+
+  const { data: claimed, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .update({ rebooking_sent_at: new Date().toISOString() })
+    .eq('id', eventId)
+    .eq('user_id', userId)
+    .eq('status', 'no_show')
+    .is('rebooking_sent_at', null)
+    .select('*');
+
+  if (error) {
+    throw new Error(`Failed to claim no-show: ${error.message}`);
+  }
+
+  const event = claimed?.[0];
+  if (!event) {
+    return { sent: false, reason: 'Event is not an unhandled no-show' };
+  }
+
+  const [{ data: attendees }, { data: rep }] = await Promise.all([
+    supabase.from(ATTENDEES_TABLE).select('email, name').eq('event_id', event.id),
+    supabase.from(PROFILES_TABLE).select('full_name, email').eq('id', userId).maybeSingle(),
+  ]);
+
+  const recipients = (attendees || []).filter(attendee => attendee.email && attendee.email !== rep?.email);
+  if (recipients.length === 0) {
+    await recordLeadNoShow(event);
+    return { sent: false, reason: 'No attendees to rebook' };
+  }
+
+  let results;
+  let slots;
+  try {
+    ({ slots, results } = await sendRebookingEmails(userId, event, recipients, rep));
+  } catch (sendError) {
+    results = [];
+    console.error('Failed to prepare rebooking email:', sendError);
+  }
+
+  const sent = results.some(result => result.success);
+  if (!sent) {
+    await supabase
+      .from(CALENDAR_TABLE)
+      .update({ rebooking_sent_at: null })
+      .eq('id', event.id);
+    return { sent, results };
+  }
+
+  await recordLeadNoShow(event);
+  return { sent, slots: slots.length, results };
+};
+
+// Demos and meetings whose time has passed without an outcome get one in-app nudge each
+const promptMissingOutcomes = async (now) => {
+  const { data: events, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, user_id, title, event_type, status, end_time, recurring, recurrence_pattern')
+    .eq('status', 'scheduled')
+    .in('event_type', OUTCOME_EVENT_TYPES)
+    .or('recurring.is.null,recurring.eq.false')
+    .is('outcome_prompted_at', null)
+    .lte('end_time', new Date(now.getTime() - OUTCOME_PROMPT_DELAY_MS).toISOString())
+    .gte('end_time', new Date(now.getTime() - OUTCOME_LOOKBACK_MS).toISOString())
+    .order('end_time', { ascending: true })
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch events awaiting an outcome: ${error.message}`);
+  }
+
+  const due = (events || []).filter(event => needsOutcome(event, now));
+  if (due.length === 0) return 0;
+
+  const { error: insertError } = await supabase
+    .from(NOTIFICATIONS_TABLE)
+    .insert(due.map(event => ({
+      user_id: event.user_id,
+      type: 'event_outcome_needed',
+      title: 'How did it go?',
+      body: `Did "${event.title}" happen? Mark it completed or as a no-show.`,
+      data: { type: 'event_outcome_needed', eventId: event.id },
+      created_at: now.toISOString(),
+    })));
+
+  if (insertError) {
+    throw new Error(`Failed to create outcome prompts: ${insertError.message}`);
+  }
+
+  await supabase
+    .from(CALENDAR_TABLE)
+    .update({ outcome_prompted_at: now.toISOString() })
+    .in('id', due.map(event => event.id));
+
+  return due.length;
+};
+
+// Catches no-shows whose immediate rebooking call never ran or failed
+const retryPendingNoShows = async (now) => {
+  const { data: events, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id, user_id')
+    .eq('status', 'no_show')
+    .is('rebooking_sent_at', null)
+    .gte('no_show_at', new Date(now.getTime() - OUTCOME_LOOKBACK_MS).toISOString())
+    .limit(BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch pending no-shows: ${error.message}`);
+  }
+
+  let sent = 0;
+  for (const event of events || []) {
+    try {
+      const result = await processNoShow(event.user_id, event.id);
+      if (result.sent) sent++;
+    } catch (noShowError) {
+      console.error('Failed to send rebooking email:', noShowError);
+    }
+  }
+  return sent;
+};
+
+export const processEventOutcomes = async (options = {}) => {
+  const { now = new Date() } = options;
+
+  const prompted = await promptMissingOutcomes(now);
+  const rebookingsSent = await retryPendingNoShows(now);
+
+  return { prompted, rebookingsSent };
+};
+
+// The caller plus every rep who accepted a place in a booking pool they own
+const getReportingReps = async (userId) => {
+  const { data: pools, error } = await supabase
+    .from(POOLS_TABLE)
+    .select(`id, members:${MEMBERS_TABLE}(user_id, status)`)
+    .eq('owner_id', userId);
+
+  if (error) {
+    throw new Error(`Failed to fetch team: ${error.message}`);
+  }
+
+  const members = (pools || []).flatMap(pool => (pool.members || [])
+    .filter(member => member.status === 'accepted')
+    .map(member => member.user_id));
+  return [...new Set([userId, ...members])];
+};
+
+const tally = (rows, keyOf) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row);
+    const group = groups.get(key) || { completed: 0, noShows: 0 };
+    if (row.status === 'no_show') group.noShows++;
+    else group.completed++;
+    groups.set(key, group);
+  });
+  return groups;
+};
+
+// No-show rate = no_show / (completed + no_show) over demos and meetings that started in the range
+export const getNoShowReport = async (userId, { from, to } = {}) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  const rangeEnd = to ? new Date(to) : new Date();
+  const rangeStart = from ? new Date(from) : new Date(rangeEnd.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+  if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime()) || rangeStart >= rangeEnd) {
+    throw new Error('from and to must be valid dates with from before to');
+  }
+
+  const reps = await getReportingReps(userId);
+
+  const { data: events, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select(`user_id, status, lead:${LEADS_TABLE}(source)`)
+    .in('user_id', reps)
+    .in('event_type', OUTCOME_EVENT_TYPES)
+    .in('status', OUTCOME_STATUSES)
+    .gte('start_time', rangeStart.toISOString())
+    .lt('start_time', rangeEnd.toISOString());
+
+  if (error) {
+    throw new Error(`Failed to fetch meeting outcomes: ${error.message}`);
+  }
+
+  const { data: profiles } = await supabase
+    .from(PROFILES_TABLE)
+    .select('id, full_name, email')
+    .in('id', reps);
+  const nameById = new Map((profiles || []).map(profile => [profile.id, profile.full_name || profile.email]));
+
+  const rows = events || [];
+  const byRep = tally(rows, row => row.user_id);
+  const toEntry = counts => ({ ...counts, noShowRate: getNoShowRate(counts) });
+
+  return {
+    from: rangeStart.toISOString(),
+    to: rangeEnd.toISOString(),
+    overall: toEntry([...tally(rows, () => 'all').values()][0] || { completed: 0, noShows: 0 }),
+    byRep: reps.map(repId => ({
+      userId: repId,
+      name: nameById.get(repId) || null,
+      ...toEntry(byRep.get(repId) || { completed: 0, noShows: 0 }),
+    })),
+    bySource: [...tally(rows, row => row.lead?.source || 'unknown')]
+      .map(([source, counts]) => ({ source, ...toEntry(counts) }))
+      .sort((a, b) => (b.completed + b.noShows) - (a.completed + a.noShows)),
+  };
+};
+
+export default processEventOutcomes;
@@ -1 +1,70 @@
-server/functions/generateText.js
\ No newline at end of file
+server/functions/generateText.js
+
+import supabase from '../lib/supabase';
+import textGenerator from '../ai/textGenerator';
+
+const GENERATIONS_TABLE = 'ai_generations';
+
+const recordGeneration = async (userId, payload) => {
+  const { data, error } = await supabase
+    .from(GENERATIONS_TABLE)
+    .insert([{
+      user_id: userId,
+      ...payload,
+      created_at: new Date().toISOString(),
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    // Logging must never cost the rep their generated text
+    console.error('Failed to record AI generation:', error);
+    return null;
+  }
+
+  return data.id;
+};
+
+export const generateText = async (userId, { tacticId, inputs = {}, templateVersion, leadId, options = {} } = {}) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  if (!tacticId) {
+    throw new Error('Missing required field: tacticId');
+  }
+
+  try {
+    const result = await textGenerator.generateFromTactic(tacticId, inputs, {
+      templateVersion,
+      maxNewTokens: options.maxNewTokens,
+      temperature: options.temperature,
+    });
+
+    const generationId = await recordGeneration(userId, {
+      lead_id: leadId || null,
+      tactic_id: result.tacticId,
+      template_version: result.templateVersion,
+      model: result.model,
+      status: 'success',
+      prompt_tokens: result.usage.promptTokens,
+      completion_tokens: result.usage.completionTokens,
+      fallback_used: result.fallbackUsed,
+    });
+
+    return { generationId, ...result };
+  } catch (error) {
+    if (error.attempts) {
+      await recordGeneration(userId, {
+        lead_id: leadId || null,
+        tactic_id: tacticId,
+        template_version: templateVersion || null,
+        status: 'failed',
+        error_code: error.code,
+      });
+    }
+    throw error;
+  }
+};
+
+export default generateText;
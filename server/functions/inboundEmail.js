@@ -0,0 +1,325 @@
+server/functions/inboundEmail.js
+
+import supabase from '../lib/supabase';
+import {
+  parseMimeMessage,
+  parseHeaders,
+  getHeader,
+  parseAddress,
+  parseAddressList,
+  parseMessageIds,
+  decodeHeaderValue,
+} from '../email/mime';
+import { extractReply } from '../email/replyParser';
+import { getSenderAuthentication } from '../email/senderAuth';
+import { parseReplyToken, getOrCreateLeadConversation, touchConversation } from './conversations';
+import { handleInboundReply } from './replyActions';
+
+const CONVERSATIONS_TABLE = 'conversations';
+const MESSAGES_TABLE = 'messages';
+const INBOUND_TABLE = 'inbound_emails';
+const LEADS_TABLE = 'leads';
+const MAX_CONTENT_LENGTH = 20000;
+// Bounces and other machine mail aren't replies; out-of-office auto-replies are, and stay in
+const SYSTEM_SENDER_REGEX = /^(mailer-daemon|postmaster|no-?reply|do-?not-?reply)@/i;
+
+const createInboundError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toHeaderMap = (value) => {
+  if (!value) return {};
+  if (typeof value === 'string') return parseHeaders(value);
+
+  const headers = {};
+  const add = (name, headerValue) => {
+    if (!name || headerValue == null) return;
+    const key = name.toLowerCase();
+    (headers[key] = headers[key] || []).push(String(headerValue));
+  };
+
+  if (Array.isArray(value)) {
+    // Postmark: [{ Name, Value }]; Mailgun: [[name, value]]
+    value.forEach(entry => (Array.isArray(entry) ? add(entry[0], entry[1]) : add(entry.Name || entry.name, entry.Value ?? entry.value)));
+  } else {
+    Object.entries(value).forEach(([name, headerValue]) => [].concat(headerValue).forEach(item => add(name, item)));
+  }
+
+  return headers;
+};
+
+const addressField = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) {
+    return value.flatMap(item => (typeof item === 'string' ? parseAddressList(item) : parseAddressList(item.Email || item.email || '')));
+  }
+  return parseAddressList(String(value));
+};
+
+const normalizeParsed = ({ headers, text, html, attachments }, fields) => {
+  const header = name => getHeader(headers, name);
+  const from = parseAddress(header('from') || '') || addressField(fields.from || fields.From || fields.FromFull || fields.sender)[0] || null;
+
+  let envelope = [];
+  if (typeof fields.envelope === 'string') {
+    try {
+      envelope = [].concat(JSON.parse(fields.envelope).to || []);
+    } catch (error) {
+      envelope = [];
+    }
+  }
+
+  // Everywhere a reply+<token> address can show up, the envelope recipient included
+  const recipients = [
+    ...parseAddressList(header('to') || ''),
+    ...parseAddressList(header('cc') || ''),
+    ...(headers['delivered-to'] || []).flatMap(value => parseAddressList(value)),
+    ...parseAddressList(header('x-original-to') || ''),
+    ...addressField(fields.to || fields.To || fields.ToFull),
+    ...addressField(fields.cc || fields.Cc || fields.CcFull),
+    ...addressField(fields.recipient || fields.OriginalRecipient),
+    ...addressField(envelope),
+  ];
+
+  const messageId = parseMessageIds(header('message-id') || fields.message_id || fields.messageId || fields['Message-Id'] || '')[0] || null;
+
+  return {
+    from,
+    recipients: [...new Map(recipients.map(address => [address.email, address])).values()],
+    subject: decodeHeaderValue(header('subject') || fields.subject || fields.Subject || ''),
+    messageId,
+    inReplyTo: parseMessageIds(header('in-reply-to') || fields.in_reply_to || fields['In-Reply-To'] || ''),
+    references: parseMessageIds(header('references') || fields.references || fields.References || ''),
+    autoSubmitted: (header('auto-submitted') || 'no').toLowerCase(),
+    senderAuth: from ? getSenderAuthentication(headers, fields, from.email) : 'none',
+    text,
+    html,
+    attachments: attachments || [],
+  };
+};
+
+// Accepts a raw RFC 5322 message or the JSON/form fields of the common inbound providers
+// (Resend, Postmark, SendGrid Inbound Parse, Mailgun routes) and returns one shape
+export const normalizeInboundEmail = (payload) => {
+  if (typeof payload === 'string') {
+    return normalizeParsed(parseMimeMessage(payload), {});
+  }
+
+  const body = payload?.type === 'email.received' && payload.data ? payload.data : (payload || {});
+  const raw = body.raw || body.email || body['body-mime'];
+  if (typeof raw === 'string' && /^[\w-]+:/m.test(raw)) {
+    return normalizeParsed(parseMimeMessage(raw), body);
+  }
+
+  let headers = toHeaderMap(body.headers || body.Headers);
+  if (body['message-headers']) {
+    try {
+      headers = { ...headers, ...toHeaderMap(JSON.parse(body['message-headers'])) };
+    } catch (error) {
+      // Mailgun always sends valid JSON here; ignore anything else
+    }
+  }
+
+  return normalizeParsed({
+    headers,
+    text: body.text || body.TextBody || body['body-plain'] || null,
+    html: body.html || body.HtmlBody || body['body-html'] || null,
+    attachments: (body.attachments || body.Attachments || []).map(attachment => ({
+      filename: attachment.filename || attachment.Name || null,
+      contentType: attachment.content_type || attachment.ContentType || null,
+      size: attachment.size || attachment.ContentLength || null,
+    })),
+  }, body);
+};
+
+const findConversationById = async (column, value) => {
+  const { data, error } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .select('*')
+    .eq(column, value)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch conversation: ${error.message}`);
+  }
+  return data;
+};
+
+// Reply token first (it survives clients that drop headers), then the message ids we sent,
+// then the sender's address when it's authenticated and exactly one rep has that lead.
+// Returns { conversation, matchedBy } or { conversation: null, reason }.
+const findConversation = async (email) => {
+  for (const recipient of email.recipients) {
+    const token = parseReplyToken(recipient.email);
+    if (!token) continue;
+    const conversation = await findConversationById('reply_token', token);
+    if (conversation) return { conversation, matchedBy: 'reply_token' };
+  }
+
+  const threadIds = [...new Set([...email.inReplyTo, ...email.references.slice().reverse()])];
+  if (threadIds.length > 0) {
+    const { data: messages, error } = await supabase
+      .from(MESSAGES_TABLE)
+      .select('conversation_id, created_at')
+      .in('email_message_id', threadIds)
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) {
+      throw new Error(`Failed to look up replied-to message: ${error.message}`);
+    }
+    if (messages?.length > 0) {
+      const conversation = await findConversationById('id', messages[0].conversation_id);
+      if (conversation) return { conversation, matchedBy: 'headers' };
+    }
+  }
+
+  // Anyone can put a prospect's address in From; without the provider vouching for it the reply
+  // could be forged, and it would go on to unsubscribe the lead or create referral leads
+  if (email.senderAuth !== 'pass') {
+    return { conversation: null, reason: 'unverified_sender' };
+  }
+
+  return findConversationBySender(email.from.email);
+};
+
+const findConversationBySender = async (fromEmail) => {
+  const { data: leads, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('id, user_id')
+    // Case-insensitive exact match; escape ilike wildcards, since underscores are common in addresses
+    .ilike('email', fromEmail.replace(/[\\%_]/g, '\\$&'))
+    .limit(10);
+
+  if (error) {
+    throw new Error(`Failed to look up lead: ${error.message}`);
+  }
+  if (!leads || leads.length === 0) {
+    return { conversation: null, reason: 'unknown_sender' };
+  }
+
+  // Several reps have this prospect; filing the reply with any one of them would be a guess
+  // that can leak it to the wrong rep
+  if (new Set(leads.map(lead => lead.user_id)).size > 1) {
+    return { conversation: null, reason: 'ambiguous_sender' };
+  }
+
+  const { data: conversations } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .select('*')
+    .in('lead_id', leads.map(lead => lead.id))
+    .order('last_message_at', { ascending: false, nullsFirst: false })
+    .limit(1);
+
+  if (conversations?.length > 0) {
+    return { conversation: conversations[0], matchedBy: 'sender' };
+  }
+
+  const conversation = await getOrCreateLeadConversation(leads[0].user_id, leads[0].id);
+  return { conversation, matchedBy: 'sender' };
+};
+
+const logInbound = async (email, { status, conversationId = null, messageRowId = null, matchedBy = null, error = null }) => {
+  const { error: insertError } = await supabase
+    .from(INBOUND_TABLE)
+    .insert([{
+      email_message_id: email.messageId,
+      from_email: email.from?.email || null,
+      to_emails: email.recipients.map(recipient => recipient.email),
+      subject: email.subject || null,
+      status,
+      conversation_id: conversationId,
+      message_record_id: messageRowId,
+      matched_by: matchedBy,
+      error,
+      received_at: new Date().toISOString(),
+    }]);
+
+  if (insertError) {
+    console.error('Failed to log inbound email:', insertError);
+  }
+};
+
+// Threads an inbound email into its conversation as a message from the lead, then classifies it.
+// Returns { status: 'matched' | 'duplicate' | 'unmatched' | 'ignored', conversationId?, messageId?, intent?, reason? }
+export const ingestInboundEmail = async (payload) => {
+  const email = normalizeInboundEmail(payload);
+
+  if (!email.from) {
+    throw createInboundError('Inbound email has no sender', 'INVALID_EMAIL');
+  }
+
+  if (SYSTEM_SENDER_REGEX.test(email.from.email) || email.autoSubmitted === 'auto-generated') {
+    await logInbound(email, { status: 'ignored' });
+    return { status: 'ignored' };
+  }
+
+  const match = await findConversation(email);
+  if (!match.conversation) {
+    await logInbound(email, { status: 'unmatched', error: match.reason });
+    return { status: 'unmatched', reason: match.reason };
+  }
+
+  const { conversation, matchedBy } = match;
+
+  // Providers retry webhooks; the same Message-ID is only stored once per conversation
+  if (email.messageId) {
+    const { data: existing } = await supabase
+      .from(MESSAGES_TABLE)
+      .select('id')
+      .eq('conversation_id', conversation.id)
+      .eq('email_message_id', email.messageId)
+      .maybeSingle();
+
+    if (existing) {
+      await logInbound(email, { status: 'duplicate', conversationId: conversation.id, messageRowId: existing.id, matchedBy });
+      return { status: 'duplicate', conversationId: conversation.id, messageId: existing.id };
+    }
+  }
+
+  const reply = extractReply({ text: email.text, html: email.html });
+
+  const { data: message, error } = await supabase
+    .from(MESSAGES_TABLE)
+    .insert([{
+      conversation_id: conversation.id,
+      sender_id: null,
+      lead_id: conversation.lead_id,
+      direction: 'inbound',
+      channel: 'email',
+      subject: email.subject || null,
+      from_email: email.from.email,
+      content: reply.text.slice(0, MAX_CONTENT_LENGTH),
+      full_content: reply.full.slice(0, MAX_CONTENT_LENGTH),
+      email_message_id: email.messageId,
+      in_reply_to: email.inReplyTo[0] || null,
+      is_ai_generated: false,
+      metadata: {
+        from_name: email.from.name,
+        auto_submitted: email.autoSubmitted,
+        quoted_only: reply.quotedOnly,
+        sender_auth: email.senderAuth,
+        attachments: email.attachments,
+        matched_by: matchedBy,
+      },
+      created_at: new Date().toISOString(),
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    await logInbound(email, { status: 'failed', conversationId: conversation.id, matchedBy, error: error.message });
+    throw new Error(`Failed to store reply: ${error.message}`);
+  }
+
+  await touchConversation(conversation.id, message.created_at);
+  const { intent } = await handleInboundReply(message, conversation, { autoSubmitted: email.autoSubmitted });
+  await logInbound(email, { status: 'matched', conversationId: conversation.id, messageRowId: message.id, matchedBy });
+
+  return { status: 'matched', conversationId: conversation.id, messageId: message.id, intent };
+};
+
+export default ingestInboundEmail;
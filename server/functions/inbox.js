@@ -0,0 +1,254 @@
+server/functions/inbox.js
+
+import supabase from '../lib/supabase';
+import { REPLY_INTENTS } from '../../app/utils/replyIntents';
+
+const CONVERSATIONS_TABLE = 'conversations';
+const POOLS_TABLE = 'booking_pools';
+const MEMBERS_TABLE = 'booking_pool_members';
+const PROFILES_TABLE = 'profiles';
+const NOTIFICATIONS_TABLE = 'notifications';
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+const MAX_SNOOZE_DAYS = 90;
+const CONVERSATION_COLUMNS = `*, lead:leads(id, name, email, company), campaign:campaigns(id, name)`;
+
+const createInboxError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Teammates are the reps you share a booking pool with, as owner or accepted member
+export const listTeammates = async (userId) => {
+  const [{ data: owned, error: ownedError }, { data: joined, error: joinedError }] = await Promise.all([
+    supabase.from(POOLS_TABLE).select('id, owner_id').eq('owner_id', userId),
+    supabase.from(MEMBERS_TABLE).select('pool_id').eq('user_id', userId).eq('status', 'accepted'),
+  ]);
+
+  if (ownedError || joinedError) {
+    throw new Error(`Failed to fetch teams: ${(ownedError || joinedError).message}`);
+  }
+
+  const poolIds = [...new Set([...(owned || []).map(pool => pool.id), ...(joined || []).map(row => row.pool_id)])];
+  if (poolIds.length === 0) {
+    return [];
+  }
+
+  const [{ data: pools }, { data: members, error }] = await Promise.all([
+    supabase.from(POOLS_TABLE).select('owner_id').in('id', poolIds),
+    supabase.from(MEMBERS_TABLE).select('user_id').in('pool_id', poolIds).eq('status', 'accepted'),
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch teammates: ${error.message}`);
+  }
+
+  const teammateIds = [...new Set([
+    ...(pools || []).map(pool => pool.owner_id),
+    ...(members || []).map(member => member.user_id),
+  ])].filter(id => id !== userId);
+
+  if (teammateIds.length === 0) {
+    return [];
+  }
+
+  const { data: profiles } = await supabase
+    .from(PROFILES_TABLE)
+    .select('id, full_name, email')
+    .in('id', teammateIds);
+
+  const byId = new Map((profiles || []).map(profile => [profile.id, profile]));
+  return teammateIds
+    .map(id => ({ id, name: byId.get(id)?.full_name || byId.get(id)?.email || 'Teammate', email: byId.get(id)?.email || null }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// owner: 'all' (yours or assigned to you), 'me' (assigned to you, or yours and unassigned),
+// 'unassigned', or a teammate's user id (your conversations assigned to them)
+const applyOwnerFilter = (query, userId, owner = 'all') => {
+  if (owner === 'me') {
+    return query.or(`assigned_to.eq.${userId},and(user_id.eq.${userId},assigned_to.is.null)`);
+  }
+  if (owner === 'unassigned') {
+    return query.eq('user_id', userId).is('assigned_to', null);
+  }
+  if (owner && owner !== 'all') {
+    return query.eq('user_id', userId).eq('assigned_to', owner);
+  }
+  return query.or(`user_id.eq.${userId},assigned_to.eq.${userId}`);
+};
+
+const applyViewFilter = (query, view, now) => {
+  const nowIso = now.toISOString();
+  return view === 'snoozed'
+    ? query.gt('snoozed_until', nowIso)
+    : query.or(`snoozed_until.is.null,snoozed_until.lte.${nowIso}`);
+};
+
+// Unread conversations per intent for the current owner/campaign filters, so the intent chips can
+// show a count without the intent filter applied
+const getUnreadCounts = async (userId, { owner, campaignId, view, now }) => {
+  let query = supabase
+    .from(CONVERSATIONS_TABLE)
+    .select('last_intent, unread_count')
+    .gt('unread_count', 0);
+
+  query = applyViewFilter(applyOwnerFilter(query, userId, owner), view, now);
+  if (campaignId) query = query.eq('campaign_id', campaignId);
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to count unread conversations: ${error.message}`);
+  }
+
+  const byIntent = Object.fromEntries(REPLY_INTENTS.map(intent => [intent, 0]));
+  (data || []).forEach(row => {
+    const intent = row.last_intent || 'other';
+    byIntent[intent] = (byIntent[intent] || 0) + 1;
+  });
+
+  return { total: (data || []).length, messages: (data || []).reduce((sum, row) => sum + row.unread_count, 0), byIntent };
+};
+
+// Returns { conversations, counts, nextCursor }; pages by last_message_at via `before`
+export const listConversations = async (userId, options = {}) => {
+  const { intent, campaignId, owner = 'all', view = 'inbox', unreadOnly = false, before, limit = DEFAULT_PAGE_SIZE } = options;
+  const now = new Date();
+
+  if (intent && !REPLY_INTENTS.includes(intent)) {
+    throw createInboxError(`Unknown intent: ${intent}`, 'INVALID_FILTER');
+  }
+
+  const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  let query = supabase
+    .from(CONVERSATIONS_TABLE)
+    .select(CONVERSATION_COLUMNS)
+    .not('last_message_at', 'is', null)
+    .order('last_message_at', { ascending: false })
+    .limit(pageSize);
+
+  query = applyViewFilter(applyOwnerFilter(query, userId, owner), view, now);
+  if (intent) query = query.eq('last_intent', intent);
+  if (campaignId) query = query.eq('campaign_id', campaignId);
+  if (unreadOnly) query = query.gt('unread_count', 0);
+  if (before) query = query.lt('last_message_at', new Date(before).toISOString());
+
+  const [{ data, error }, counts] = await Promise.all([
+    query,
+    getUnreadCounts(userId, { owner, campaignId, view, now }),
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch conversations: ${error.message}`);
+  }
+
+  const conversations = data || [];
+  return {
+    conversations,
+    counts,
+    nextCursor: conversations.length === pageSize ? conversations[conversations.length - 1].last_message_at : null,
+  };
+};
+
+// The owner and the current assignee can work a conversation; nobody else sees it
+const fetchAccessibleConversation = async (userId, conversationId) => {
+  const { data, error } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .select('*')
+    .eq('id', conversationId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch conversation: ${error.message}`);
+  }
+  if (!data || (data.user_id !== userId && data.assigned_to !== userId)) {
+    throw createInboxError('Conversation not found', 'NOT_FOUND', 404);
+  }
+
+  return data;
+};
+
+const updateConversation = async (conversationId, changes) => {
+  const { data, error } = await supabase
+    .from(CONVERSATIONS_TABLE)
+    .update(changes)
+    .eq('id', conversationId)
+    .select(CONVERSATION_COLUMNS)
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to update conversation: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const markConversationRead = async (userId, conversationId) => {
+  await fetchAccessibleConversation(userId, conversationId);
+  return updateConversation(conversationId, { unread_count: 0, last_read_at: new Date().toISOString() });
+};
+
+export const markConversationUnread = async (userId, conversationId) => {
+  const conversation = await fetchAccessibleConversation(userId, conversationId);
+  return updateConversation(conversationId, { unread_count: Math.max(conversation.unread_count, 1) });
+};
+
+// until: a future time, or null to unsnooze. A new reply from the lead unsnoozes it anyway.
+export const snoozeConversation = async (userId, conversationId, until) => {
+  await fetchAccessibleConversation(userId, conversationId);
+
+  if (until == null) {
+    return updateConversation(conversationId, { snoozed_until: null });
+  }
+
+  const snoozedUntil = new Date(until);
+  if (Number.isNaN(snoozedUntil.getTime()) || snoozedUntil <= new Date()) {
+    throw createInboxError('Snooze time must be in the future', 'INVALID_SNOOZE');
+  }
+  if (snoozedUntil.getTime() - Date.now() > MAX_SNOOZE_DAYS * 24 * 60 * 60 * 1000) {
+    throw createInboxError(`Conversations can be snoozed for at most ${MAX_SNOOZE_DAYS} days`, 'INVALID_SNOOZE');
+  }
+
+  return updateConversation(conversationId, { snoozed_until: snoozedUntil.toISOString() });
+};
+
+// assigneeId: a teammate of the owner, the owner, or null to hand it back
+export const assignConversation = async (userId, conversationId, assigneeId) => {
+  const conversation = await fetchAccessibleConversation(userId, conversationId);
+  const ownerId = conversation.user_id;
+
+  if (assigneeId && assigneeId !== ownerId) {
+    const teammates = await listTeammates(ownerId);
+    if (!teammates.some(teammate => teammate.id === assigneeId)) {
+      throw createInboxError('Conversations can only be assigned to teammates', 'INVALID_ASSIGNEE', 403);
+    }
+  }
+
+  const assignedTo = assigneeId && assigneeId !== ownerId ? assigneeId : null;
+  const updated = await updateConversation(conversationId, {
+    assigned_to: assignedTo,
+    assigned_at: assignedTo ? new Date().toISOString() : null,
+  });
+
+  if (assignedTo && assignedTo !== userId) {
+    const { error } = await supabase
+      .from(NOTIFICATIONS_TABLE)
+      .insert([{
+        user_id: assignedTo,
+        type: 'conversation_assigned',
+        title: 'A conversation was assigned to you',
+        body: updated.lead?.name ? `${updated.lead.name}${updated.lead.company ? ` (${updated.lead.company})` : ''}` : updated.subject,
+        data: { type: 'conversation_assigned', conversationId, assignedBy: userId },
+        created_at: new Date().toISOString(),
+      }]);
+
+    if (error) {
+      console.error('Failed to notify assignee:', error);
+    }
+  }
+
+  return updated;
+};
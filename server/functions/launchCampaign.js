@@ -1 +1,337 @@
-server/functions/launchCampaign.js
\ No newline at end of file
+server/functions/launchCampaign.js
+
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import { prepareOutboundEmail, recordOutboundEmail } from './conversations';
+import {
+  DEFAULT_SEND_WINDOW,
+  validateSendWindow,
+  resolveLeadTimezone,
+  isWithinSendWindow,
+  getNextSendTime,
+  scheduleInSendWindows,
+} from '../scheduling/sendWindow';
+
+const CAMPAIGNS_TABLE = 'campaigns';
+const SENDS_TABLE = 'campaign_sends';
+const LEADS_TABLE = 'leads';
+const LAUNCHABLE_STATUSES = ['draft', 'active'];
+const DEFAULT_DAILY_LIMIT = 200;
+const DEFAULT_SEND_INTERVAL_SECONDS = 90;
+const LEAD_COLUMNS = 'id, name, email, company, status, score, industry, timezone, location, company_location, unsubscribed_at';
+const DISPATCH_BATCH_SIZE = 50;
+// The suppression list couldn't be read or Resend was rate limiting or down: the send goes back in
+// the queue instead of out unchecked or not at all
+const RETRY_MS = 15 * 60 * 1000;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const fetchCampaign = async (userId, campaignId) => {
+  const { data: campaign, error } = await supabase
+    .from(CAMPAIGNS_TABLE)
+    .select('*')
+    .eq('id', campaignId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !campaign) {
+    throw new Error('Campaign not found or access denied');
+  }
+
+  return campaign;
+};
+
+// audience_filter: { leadIds?, status?, minScore?, industries? }
+export const resolveAudience = async (userId, audienceFilter = {}) => {
+  let query = supabase
+    .from(LEADS_TABLE)
+    .select(LEAD_COLUMNS)
+    .eq('user_id', userId);
+
+  if (Array.isArray(audienceFilter.leadIds) && audienceFilter.leadIds.length > 0) {
+    query = query.in('id', audienceFilter.leadIds);
+  }
+
+  if (audienceFilter.status) {
+    query = query.in('status', Array.isArray(audienceFilter.status) ? audienceFilter.status : [audienceFilter.status]);
+  }
+
+  if (audienceFilter.minScore !== undefined && audienceFilter.minScore !== null) {
+    query = query.gte('score', audienceFilter.minScore);
+  }
+
+  if (Array.isArray(audienceFilter.industries) && audienceFilter.industries.length > 0) {
+    query = query.in('industry', audienceFilter.industries);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    throw new Error(`Failed to resolve campaign audience: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+export const checkLeadEligibility = (lead) => {
+  if (!lead.email || !EMAIL_REGEX.test(lead.email.trim())) {
+    return 'missing_email';
+  }
+  if (lead.unsubscribed_at || lead.status === 'unsubscribed') {
+    return 'unsubscribed';
+  }
+  return null;
+};
+
+// Safe to call repeatedly: send jobs are unique per (campaign, lead) and existing ones are left alone
+export const launchCampaign = async (userId, campaignId, options = {}) => {
+  if (!userId || !campaignId) {
+    throw new Error('Missing required fields: userId, campaignId');
+  }
+
+  const campaign = await fetchCampaign(userId, campaignId);
+
+  if (!LAUNCHABLE_STATUSES.includes(campaign.status)) {
+    throw new Error(`Campaign cannot be launched from status ${campaign.status}`);
+  }
+
+  if (!campaign.email_subject || (!campaign.email_html && !campaign.email_text)) {
+    throw new Error('Campaign is missing email content');
+  }
+
+  const sendWindow = campaign.send_window || DEFAULT_SEND_WINDOW;
+  validateSendWindow(sendWindow);
+
+  const audience = await resolveAudience(userId, campaign.audience_filter || {});
+  const skipped = [];
+  const eligible = [];
+
+  audience.forEach(lead => {
+    const reason = checkLeadEligibility(lead);
+    if (reason) {
+      skipped.push({ leadId: lead.id, reason });
+    } else {
+      eligible.push(lead);
+    }
+  });
+
+  if (eligible.length === 0) {
+    throw new Error('Campaign audience has no eligible leads');
+  }
+
+  const { data: existing, error: existingError } = await supabase
+    .from(SENDS_TABLE)
+    .select('lead_id')
+    .eq('campaign_id', campaignId);
+
+  if (existingError) {
+    throw new Error(`Failed to fetch existing send jobs: ${existingError.message}`);
+  }
+
+  const alreadyScheduled = new Set((existing || []).map(send => send.lead_id));
+  const newLeads = eligible.filter(lead => !alreadyScheduled.has(lead.id));
+
+  const startAt = campaign.start_date && new Date(campaign.start_date) > new Date()
+    ? new Date(campaign.start_date)
+    : new Date();
+  // Each lead is held until the campaign's send window opens in their own timezone
+  const schedule = scheduleInSendWindows(newLeads, {
+    startAt,
+    window: sendWindow,
+    dailyLimit: campaign.daily_send_limit || options.dailyLimit || DEFAULT_DAILY_LIMIT,
+    intervalSeconds: options.intervalSeconds || DEFAULT_SEND_INTERVAL_SECONDS,
+  });
+
+  if (newLeads.length > 0) {
+    const jobs = schedule.map(({ recipient, timeZone, sendAt }) => ({
+      campaign_id: campaignId,
+      lead_id: recipient.id,
+      user_id: userId,
+      status: 'scheduled',
+      scheduled_for: sendAt.toISOString(),
+      timezone: timeZone,
+      created_at: new Date().toISOString(),
+    }));
+
+    // ignoreDuplicates keeps a concurrent launch from creating a second job for the same lead
+    const { error: insertError } = await supabase
+      .from(SENDS_TABLE)
+      .upsert(jobs, { onConflict: 'campaign_id,lead_id', ignoreDuplicates: true });
+
+    if (insertError) {
+      throw new Error(`Failed to schedule campaign sends: ${insertError.message}`);
+    }
+  }
+
+  if (campaign.status === 'draft') {
+    const { error: statusError } = await supabase
+      .from(CAMPAIGNS_TABLE)
+      .update({
+        status: 'active',
+        launched_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', campaignId)
+      .eq('status', 'draft');
+
+    if (statusError) {
+      throw new Error(`Failed to activate campaign: ${statusError.message}`);
+    }
+  }
+
+  return {
+    campaignId,
+    status: 'active',
+    scheduled: newLeads.length,
+    alreadyScheduled: eligible.length - newLeads.length,
+    skipped,
+  };
+};
+
+// Claims a job by flipping scheduled -> sending; a job another worker already claimed is skipped
+const claimSend = async (sendId) => {
+  const { data, error } = await supabase
+    .from(SENDS_TABLE)
+    .update({ status: 'sending', updated_at: new Date().toISOString() })
+    .eq('id', sendId)
+    .eq('status', 'scheduled')
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim send job: ${error.message}`);
+  }
+
+  return Array.isArray(data) && data.length > 0;
+};
+
+const completeSend = async (sendId, updates) => {
+  const { error } = await supabase
+    .from(SENDS_TABLE)
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', sendId);
+
+  if (error) {
+    console.error('Failed to update send job:', error);
+  }
+};
+
+export const dispatchDueCampaignSends = async (options = {}) => {
+  const { now = new Date(), limit = DISPATCH_BATCH_SIZE } = options;
+
+  const { data: jobs, error } = await supabase
+    .from(SENDS_TABLE)
+    .select(`
+      id, campaign_id, lead_id, user_id, timezone,
+      campaign:${CAMPAIGNS_TABLE}!inner(id, status, email_subject, email_html, email_text, send_window, track_opens, track_clicks),
+      lead:${LEADS_TABLE}(${LEAD_COLUMNS})
+    `)
+    .eq('status', 'scheduled')
+    // Paused campaigns keep their jobs for when they're active again; filtering here rather than
+    // in the loop keeps a backlog of them from filling every batch
+    .eq('campaign.status', 'active')
+    .lte('scheduled_for', now.toISOString())
+    .order('scheduled_for', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch due send jobs: ${error.message}`);
+  }
+
+  const summary = { sent: 0, failed: 0, skipped: 0, deferred: 0 };
+
+  for (const job of jobs || []) {
+    // A late run or an edited window can leave a job due outside its window; hold it for the next one
+    const sendWindow = job.campaign.send_window || DEFAULT_SEND_WINDOW;
+    const timeZone = job.timezone || resolveLeadTimezone(job.lead || {});
+    if (!isWithinSendWindow(now, sendWindow, timeZone)) {
+      await supabase
+        .from(SENDS_TABLE)
+        .update({ scheduled_for: getNextSendTime(now, sendWindow, timeZone).toISOString() })
+        .eq('id', job.id)
+        .eq('status', 'scheduled');
+      summary.deferred++;
+      continue;
+    }
+
+    if (!await claimSend(job.id)) continue;
+
+    const reason = checkLeadEligibility(job.lead || {});
+    if (reason) {
+      await completeSend(job.id, { status: 'skipped', error: reason });
+      summary.skipped++;
+      continue;
+    }
+
+    const recipient = job.lead;
+    const email = {
+      subject: resendClient.personalizeSubject(job.campaign.email_subject, recipient),
+      html: job.campaign.email_html ? resendClient.personalizeHTML(job.campaign.email_html, recipient) : undefined,
+      text: job.campaign.email_text ? resendClient.personalizeText(job.campaign.email_text, recipient) : undefined,
+    };
+    // The job is claimed: whatever throws from here on must settle it, or it sits in 'sending'
+    // forever and the rest of the batch never goes out
+    let thread;
+    let result;
+    try {
+      thread = await prepareOutboundEmail(job.user_id, recipient.id, { subject: email.subject });
+
+      result = await resendClient.sendEmail({
+        to: recipient.email,
+        ...email,
+        replyTo: thread.replyTo || undefined,
+        headers: thread.headers,
+        tags: [{ name: 'campaign_id', value: job.campaign_id }],
+        tracking: {
+          messageId: thread.messageId,
+          leadId: recipient.id,
+          campaignId: job.campaign_id,
+          campaignSendId: job.id,
+          opens: job.campaign.track_opens,
+          clicks: job.campaign.track_clicks,
+        },
+      });
+    } catch (sendError) {
+      console.error(`Failed to send campaign job ${job.id}:`, sendError);
+      await completeSend(job.id, { status: 'failed', error: sendError.message });
+      summary.failed++;
+      continue;
+    }
+
+    if (result.success) {
+      // The email is out; a failure to thread it mustn't put the job back in the queue
+      try {
+        await recordOutboundEmail(thread.conversation, {
+          userId: job.user_id,
+          ...email,
+          messageId: thread.messageId,
+          providerMessageId: result.messageId,
+          campaignId: job.campaign_id,
+        });
+      } catch (recordError) {
+        console.error(`Failed to record campaign email for job ${job.id}:`, recordError);
+      }
+      await completeSend(job.id, {
+        status: 'sent',
+        sent_at: new Date().toISOString(),
+        provider_message_id: result.messageId,
+      });
+      summary.sent++;
+    } else if (result.code === 'RECIPIENT_SUPPRESSED') {
+      await completeSend(job.id, { status: 'skipped', error: 'suppressed' });
+      summary.skipped++;
+    } else if (result.retryable) {
+      await completeSend(job.id, {
+        status: 'scheduled',
+        scheduled_for: new Date(Date.now() + RETRY_MS).toISOString(),
+        error: result.error,
+      });
+      summary.deferred++;
+    } else {
+      await completeSend(job.id, { status: 'failed', error: result.error });
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export default launchCampaign;
@@ -1 +1,171 @@
-server/functions/optimizeTactics.js
\ No newline at end of file
+server/functions/optimizeTactics.js
+
+import supabase from '../lib/supabase';
+import promptTemplates from '../ai/promptTemplates';
+import tacticOptimizer, { getSegmentKeys, getArmKey } from '../ai/tacticOptimizer';
+
+const SENDS_TABLE = 'tactic_sends';
+const STATS_TABLE = 'tactic_arm_stats';
+const LEADS_TABLE = 'leads';
+const OUTCOMES = ['reply', 'meeting_booked'];
+
+const fetchLead = async (userId, leadId) => {
+  const { data: lead, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('id, industry, title, position')
+    .eq('id', leadId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error || !lead) {
+    throw new Error('Lead not found or access denied');
+  }
+
+  return lead;
+};
+
+// Stats are kept per rep, so one rep's sends never steer another's recommendations
+const incrementArmStats = async (userId, segmentKeys, tacticId, variant, counts) => {
+  for (const segmentKey of segmentKeys) {
+    const { error } = await supabase.rpc('increment_tactic_arm_stats', {
+      p_user_id: userId,
+      p_segment_key: segmentKey,
+      p_tactic_id: tacticId,
+      p_variant: variant,
+      p_sends: counts.sends || 0,
+      p_replies: counts.replies || 0,
+      p_meetings: counts.meetings || 0,
+    });
+
+    if (error) {
+      throw new Error(`Failed to update tactic stats: ${error.message}`);
+    }
+  }
+};
+
+export const recordTacticSend = async (userId, { leadId, tacticId, variant, generationId, messageId } = {}) => {
+  if (!userId || !leadId || !tacticId) {
+    throw new Error('Missing required fields: userId, leadId, tacticId');
+  }
+
+  await promptTemplates.ensureLoaded();
+  const lead = await fetchLead(userId, leadId);
+  const segmentKeys = getSegmentKeys(lead);
+  const armVariant = variant || promptTemplates.get(tacticId).version;
+
+  const { data: send, error } = await supabase
+    .from(SENDS_TABLE)
+    .insert([{
+      user_id: userId,
+      lead_id: leadId,
+      tactic_id: tacticId,
+      variant: armVariant,
+      segment_keys: segmentKeys,
+      generation_id: generationId || null,
+      message_id: messageId || null,
+      sent_at: new Date().toISOString(),
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to record tactic send: ${error.message}`);
+  }
+
+  await incrementArmStats(userId, segmentKeys, tacticId, armVariant, { sends: 1 });
+  return send;
+};
+
+// Credits the most recent send to this lead; each send earns a reply and a meeting at most once
+export const recordTacticOutcome = async (leadId, outcome) => {
+  if (!OUTCOMES.includes(outcome)) {
+    throw new Error(`Unknown tactic outcome: ${outcome}`);
+  }
+
+  const column = outcome === 'reply' ? 'replied_at' : 'meeting_booked_at';
+
+  const { data: send, error } = await supabase
+    .from(SENDS_TABLE)
+    .select('*')
+    .eq('lead_id', leadId)
+    .order('sent_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch tactic send: ${error.message}`);
+  }
+
+  if (!send || send[column]) {
+    return null;
+  }
+
+  const now = new Date().toISOString();
+  // Conditional on the column still being empty, so concurrent webhooks count an outcome once:
+  // only the caller whose update matched the row increments the arm
+  const markOutcome = async (field) => {
+    const { data, error: updateError } = await supabase
+      .from(SENDS_TABLE)
+      .update({ [field]: now })
+      .eq('id', send.id)
+      .is(field, null)
+      .select('id');
+
+    if (updateError) {
+      throw new Error(`Failed to record tactic outcome: ${updateError.message}`);
+    }
+
+    return Array.isArray(data) && data.length > 0;
+  };
+
+  if (!await markOutcome(column)) {
+    return null;
+  }
+
+  const updates = { [column]: now };
+  const counts = outcome === 'reply' ? { replies: 1 } : { meetings: 1 };
+  // A meeting without a recorded reply still counts as a reply
+  if (outcome === 'meeting_booked' && !send.replied_at && await markOutcome('replied_at')) {
+    updates.replied_at = now;
+    counts.replies = 1;
+  }
+
+  await incrementArmStats(send.user_id, send.segment_keys, send.tactic_id, send.variant, counts);
+  return { ...send, ...updates };
+};
+
+const fetchStats = async (userId, segmentKeys) => {
+  const { data, error } = await supabase
+    .from(STATS_TABLE)
+    .select('segment_key, tactic_id, variant, sends, replies, meetings')
+    .eq('user_id', userId)
+    .in('segment_key', segmentKeys);
+
+  if (error) {
+    throw new Error(`Failed to fetch tactic stats: ${error.message}`);
+  }
+
+  return (data || []).reduce((bySegment, row) => {
+    bySegment[row.segment_key] = bySegment[row.segment_key] || {};
+    bySegment[row.segment_key][getArmKey(row.tactic_id, row.variant)] = row;
+    return bySegment;
+  }, {});
+};
+
+// Every published version of every tactic is an arm, unless the caller narrows it down
+export const recommendTactic = async (userId, { leadId, lead: leadData, tacticIds } = {}) => {
+  await promptTemplates.ensureLoaded();
+  const lead = leadData || (leadId ? await fetchLead(userId, leadId) : {});
+  const segmentKeys = getSegmentKeys(lead);
+
+  const arms = promptTemplates.list()
+    .filter(template => !tacticIds || tacticIds.includes(template.id))
+    .flatMap(template => promptTemplates.getVersions(template.id)
+      .filter(version => version.status === 'published')
+      .map(version => ({ tacticId: template.id, variant: version.version, name: template.name })));
+
+  const stats = await fetchStats(userId, segmentKeys);
+  return tacticOptimizer.recommend(arms, segmentKeys, stats);
+};
+
+export default recommendTactic;
@@ -0,0 +1,242 @@
+server/functions/replyActions.js
+
+import process from 'process';
+import supabase from '../lib/supabase';
+import replyClassifier from '../ai/replyClassifier';
+import { parseReturnDate, extractReferral } from '../../app/utils/replyIntents';
+import { exitSequencesForLead, pauseSequencesForLead } from './sendFollowUp';
+import { recordTacticOutcome } from './optimizeTactics';
+import { findLeadByEmail, createLead } from './schedulingLink';
+
+const MESSAGES_TABLE = 'messages';
+const LEADS_TABLE = 'leads';
+const EVENTS_TABLE = 'lead_events';
+const SENDS_TABLE = 'campaign_sends';
+const NOTIFICATIONS_TABLE = 'notifications';
+const OBJECTION_TACTIC_ID = 'objection-handler';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// No return date in the auto-reply: try again in a week. Longer leaves are capped so a
+// misread year can't park a lead for good.
+const DEFAULT_OUT_OF_OFFICE_DAYS = 7;
+const MAX_OUT_OF_OFFICE_DAYS = 60;
+// Unsubscribing is permanent, so a model label only acts on its own when it's near certain;
+// anything less stops the sequences like a reply and asks the rep to confirm
+const AUTO_UNSUBSCRIBE_CONFIDENCE = 0.9;
+const EXCERPT_LENGTH = 280;
+
+const excerpt = text => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1)}…` : text);
+
+const recordLeadEvent = async (leadId, eventType, metadata, occurredAt = new Date().toISOString()) => {
+  const { error } = await supabase.from(EVENTS_TABLE).insert([{
+    lead_id: leadId,
+    event_type: eventType,
+    metadata,
+    occurred_at: occurredAt,
+  }]);
+
+  if (error) {
+    console.error(`Failed to record ${eventType} event:`, error);
+  }
+};
+
+const notifyRep = async (userId, { type, title, body, data }) => {
+  const { error } = await supabase
+    .from(NOTIFICATIONS_TABLE)
+    .insert([{ user_id: userId, type, title, body, data: { type, ...data }, created_at: new Date().toISOString() }]);
+
+  if (error) {
+    console.error('Failed to notify rep:', error);
+  }
+};
+
+// A real reply ends the lead's sequences and counts towards the tactic that got it
+const recordLeadReply = async (leadId, conversationId, message, intent) => {
+  await recordLeadEvent(leadId, 'reply', { conversation_id: conversationId, message_id: message.id, intent }, message.created_at);
+
+  await exitSequencesForLead(leadId, 'replied')
+    .catch(error => console.error('Failed to exit sequences on reply:', error));
+  await recordTacticOutcome(leadId, 'reply')
+    .catch(error => console.error('Failed to record tactic reply:', error));
+};
+
+// Not a reply: sequences and scheduled campaign emails wait until the day after they're back
+const handleOutOfOffice = async (leadId, message) => {
+  const receivedAt = new Date(message.created_at);
+  const returnDate = parseReturnDate(message.full_content || message.content, receivedAt);
+  const resumeAt = new Date(Math.min(
+    returnDate ? returnDate.getTime() + DAY_MS : receivedAt.getTime() + DEFAULT_OUT_OF_OFFICE_DAYS * DAY_MS,
+    receivedAt.getTime() + MAX_OUT_OF_OFFICE_DAYS * DAY_MS
+  ));
+
+  const paused = await pauseSequencesForLead(leadId, resumeAt);
+
+  const { error } = await supabase
+    .from(SENDS_TABLE)
+    .update({ scheduled_for: resumeAt.toISOString(), updated_at: new Date().toISOString() })
+    .eq('lead_id', leadId)
+    .eq('status', 'scheduled')
+    .lt('scheduled_for', resumeAt.toISOString());
+
+  if (error) {
+    console.error('Failed to hold campaign sends:', error);
+  }
+
+  await recordLeadEvent(leadId, 'out_of_office', {
+    message_id: message.id,
+    return_date: returnDate ? returnDate.toISOString().slice(0, 10) : null,
+    resume_at: resumeAt.toISOString(),
+  });
+
+  return { paused, returnDate: returnDate ? returnDate.toISOString().slice(0, 10) : null, resumeAt: resumeAt.toISOString() };
+};
+
+// Campaign dispatch and the sequence scheduler both skip leads with unsubscribed_at set
+const handleUnsubscribe = async (leadId, message) => {
+  const { error } = await supabase
+    .from(LEADS_TABLE)
+    .update({ unsubscribed_at: new Date().toISOString() })
+    .eq('id', leadId)
+    .is('unsubscribed_at', null);
+
+  if (error) {
+    throw new Error(`Failed to unsubscribe lead: ${error.message}`);
+  }
+
+  await recordLeadEvent(leadId, 'unsubscribe', { message_id: message.id, source: 'reply' });
+  await exitSequencesForLead(leadId, 'unsubscribed');
+  return {};
+};
+
+const isConfidentOptOut = classification => classification.source === 'rules'
+  || classification.confidence >= AUTO_UNSUBSCRIBE_CONFIDENCE;
+
+const flagPossibleOptOut = async (conversation, lead, message, classification) => {
+  await notifyRep(conversation.user_id, {
+    type: 'reply_possible_unsubscribe',
+    title: `${lead.name || message.from_email} may want to unsubscribe`,
+    body: excerpt(message.content),
+    data: { conversationId: conversation.id, messageId: message.id, leadId: lead.id, confidence: classification.confidence },
+  });
+
+  return { needsReview: true };
+};
+
+// The person they point to becomes a new lead for the same rep, linked back to this one
+const handleWrongPerson = async (conversation, lead, message) => {
+  const ownDomain = process.env.INBOUND_EMAIL_DOMAIN;
+  const referral = extractReferral(message.full_content || message.content, {
+    exclude: [message.from_email, lead.email, ownDomain && `@${ownDomain}`].filter(Boolean),
+  });
+
+  if (!referral) {
+    await notifyRep(conversation.user_id, {
+      type: 'reply_wrong_person',
+      title: `${lead.name || message.from_email} says they're the wrong person`,
+      body: excerpt(message.content),
+      data: { conversationId: conversation.id, messageId: message.id, leadId: lead.id },
+    });
+    return {};
+  }
+
+  const existing = await findLeadByEmail(conversation.user_id, referral.email);
+  const referralLead = existing || await createLead(conversation.user_id, {
+    name: referral.name || referral.email.split('@')[0],
+    email: referral.email,
+    company: lead.company,
+  }, 'referral');
+
+  if (!existing) {
+    await supabase.from(LEADS_TABLE).update({ referred_by_lead_id: lead.id }).eq('id', referralLead.id);
+  }
+
+  await recordLeadEvent(lead.id, 'referral', { message_id: message.id, referral_lead_id: referralLead.id, email: referral.email });
+  await notifyRep(conversation.user_id, {
+    type: 'reply_referral',
+    title: `${lead.name || message.from_email} referred you to ${referral.name || referral.email}`,
+    body: excerpt(message.content),
+    data: { conversationId: conversation.id, messageId: message.id, leadId: referralLead.id, referredBy: lead.id },
+  });
+
+  return { referralLeadId: referralLead.id, referralCreated: !existing };
+};
+
+// The objection-handler tactic comes pre-filled with what they said; the rep adds the product
+const handleObjection = async (conversation, lead, message) => {
+  const suggestedTactic = { tacticId: OBJECTION_TACTIC_ID, inputs: { objection: message.content.slice(0, 1000) } };
+
+  await notifyRep(conversation.user_id, {
+    type: 'reply_objection',
+    title: `Objection from ${lead.name || message.from_email}`,
+    body: excerpt(message.content),
+    data: { conversationId: conversation.id, messageId: message.id, leadId: lead.id, suggestedTactic },
+  });
+
+  return { suggestedTactic };
+};
+
+const fetchLead = async (leadId) => {
+  if (!leadId) return null;
+
+  const { data } = await supabase
+    .from(LEADS_TABLE)
+    .select('id, name, email, company')
+    .eq('id', leadId)
+    .maybeSingle();
+
+  return data;
+};
+
+// Classifies a stored inbound message and acts on it. Returns { intent, confidence, source, actions }.
+export const handleInboundReply = async (message, conversation, { autoSubmitted = 'no', classifier = replyClassifier } = {}) => {
+  const classification = await classifier.classify({
+    text: message.content,
+    subject: message.subject || '',
+    autoSubmitted,
+    quotedOnly: message.metadata?.quoted_only === true,
+  });
+  const { intent } = classification;
+  const lead = await fetchLead(conversation.lead_id);
+
+  let actions = {};
+  if (lead) {
+    try {
+      if (intent === 'out_of_office') {
+        actions = await handleOutOfOffice(lead.id, message);
+      } else if (intent === 'unsubscribe' && isConfidentOptOut(classification)) {
+        actions = await handleUnsubscribe(lead.id, message);
+      } else {
+        await recordLeadReply(lead.id, conversation.id, message, intent);
+        if (intent === 'unsubscribe') actions = await flagPossibleOptOut(conversation, lead, message, classification);
+        if (intent === 'wrong_person') actions = await handleWrongPerson(conversation, lead, message);
+        if (intent === 'objection') actions = await handleObjection(conversation, lead, message);
+      }
+    } catch (error) {
+      console.error(`Failed to act on ${intent} reply:`, error);
+      actions = { error: error.message };
+    }
+  }
+
+  const { error } = await supabase
+    .from(MESSAGES_TABLE)
+    .update({
+      intent,
+      intent_confidence: classification.confidence,
+      intent_source: classification.source,
+      metadata: {
+        ...(message.metadata || {}),
+        classification: { model: classification.model, scores: classification.scores, error: classification.error },
+        actions,
+        // The composer offers this tactic when the rep replies in the thread
+        ...(actions.suggestedTactic ? { suggested_tactic: actions.suggestedTactic } : {}),
+      },
+    })
+    .eq('id', message.id);
+
+  if (error) {
+    console.error('Failed to store reply classification:', error);
+  }
+
+  return { intent, confidence: classification.confidence, source: classification.source, actions };
+};
+
+export default handleInboundReply;
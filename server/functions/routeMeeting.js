@@ -0,0 +1,370 @@
+server/functions/routeMeeting.js
+
+import supabase from '../lib/supabase';
+import { getAvailability, getBookingSettings, checkSlot, bookMeeting } from './bookMeeting';
+import { findLeadByEmail, createLead, linkEventToLead, markLeadMeetingBooked } from './schedulingLink';
+import { rankCandidates, validateRoutingStrategy, summarizeRoutingFairness } from '../scheduling/meetingRouter';
+import { getZonedParts, zonedTimeToUtc, getLocalDay } from '../../app/utils/timezone';
+
+const POOLS_TABLE = 'booking_pools';
+const MEMBERS_TABLE = 'booking_pool_members';
+const DECISIONS_TABLE = 'routing_decisions';
+const CALENDAR_TABLE = 'calendar_events';
+const NOTIFICATIONS_TABLE = 'notifications';
+const SLUG_REGEX = /^[a-z0-9-]{3,64}$/;
+
+const createRoutingError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+const toMember = row => ({
+  userId: row.user_id,
+  weight: row.weight || 1,
+  dailyCap: row.daily_cap || null,
+  assignedCount: row.assigned_count || 0,
+  lastAssignedAt: row.last_assigned_at,
+  status: row.status,
+  // Invited reps get no meetings until they accept
+  active: row.active !== false && row.status === 'accepted',
+});
+
+const notifyInvitees = async (pool, ownerId, userIds) => {
+  if (userIds.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from(NOTIFICATIONS_TABLE)
+    .insert(userIds.map(userId => ({
+      user_id: userId,
+      type: 'booking_pool_invite',
+      title: 'You were invited to a booking pool',
+      body: pool.name,
+      data: { type: 'booking_pool_invite', poolId: pool.id, invitedBy: ownerId },
+      created_at: new Date().toISOString(),
+    })));
+
+  if (error) {
+    console.error('Failed to notify booking pool invitees:', error);
+  }
+};
+
+export const createBookingPool = async (ownerId, { name, slug, strategy = 'round_robin', members = [] } = {}) => {
+  if (!ownerId || !name || !slug) {
+    throw new Error('Missing required fields: ownerId, name, slug');
+  }
+  if (!SLUG_REGEX.test(slug)) {
+    throw new Error('Pool slug may only contain lowercase letters, numbers and dashes');
+  }
+  validateRoutingStrategy(strategy);
+  if (members.length === 0) {
+    throw new Error('A booking pool needs at least one rep');
+  }
+
+  const { data: pool, error } = await supabase
+    .from(POOLS_TABLE)
+    .insert([{ owner_id: ownerId, name, slug, strategy, created_at: new Date().toISOString() }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create booking pool: ${error.message}`);
+  }
+
+  // Everyone but the owner joins as an invite; pool membership shares their no-show data and
+  // lets the owner assign them conversations, so it needs their consent
+  const now = new Date().toISOString();
+  const { error: membersError } = await supabase
+    .from(MEMBERS_TABLE)
+    .insert(members.map(member => ({
+      pool_id: pool.id,
+      user_id: member.userId,
+      weight: member.weight || 1,
+      daily_cap: member.dailyCap || null,
+      active: true,
+      status: member.userId === ownerId ? 'accepted' : 'invited',
+      invited_at: now,
+      responded_at: member.userId === ownerId ? now : null,
+    })));
+
+  if (membersError) {
+    throw new Error(`Failed to add booking pool members: ${membersError.message}`);
+  }
+
+  await notifyInvitees(pool, ownerId, [...new Set(members.map(member => member.userId))].filter(id => id !== ownerId));
+
+  return pool;
+};
+
+export const listPoolInvites = async (userId) => {
+  const { data, error } = await supabase
+    .from(MEMBERS_TABLE)
+    .select(`pool_id, invited_at, pool:${POOLS_TABLE}(id, name, slug, owner_id)`)
+    .eq('user_id', userId)
+    .eq('status', 'invited')
+    .order('invited_at', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch booking pool invites: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+export const respondToPoolInvite = async (userId, poolId, accept) => {
+  const { data, error } = await supabase
+    .from(MEMBERS_TABLE)
+    .update({ status: accept ? 'accepted' : 'declined', responded_at: new Date().toISOString() })
+    .eq('pool_id', poolId)
+    .eq('user_id', userId)
+    .eq('status', 'invited')
+    .select('pool_id, status')
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to respond to booking pool invite: ${error.message}`);
+  }
+  if (!data) {
+    throw createRoutingError('Invite not found', 'INVITE_NOT_FOUND', 404);
+  }
+
+  return data;
+};
+
+const resolvePool = async (slug) => {
+  const { data: pool, error } = await supabase
+    .from(POOLS_TABLE)
+    .select(`*, members:${MEMBERS_TABLE}(*)`)
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to resolve booking pool: ${error.message}`);
+  }
+  if (!pool) {
+    throw createRoutingError('Booking page not found', 'POOL_NOT_FOUND', 404);
+  }
+
+  return { ...pool, members: (pool.members || []).map(toMember) };
+};
+
+export const getPoolDetails = async (slug) => {
+  const pool = await resolvePool(slug);
+  const durations = new Set();
+
+  for (const member of pool.members.filter(candidate => candidate.active)) {
+    const settings = await getBookingSettings(member.userId);
+    settings.durations.forEach(minutes => durations.add(minutes));
+  }
+
+  return { repName: pool.name, company: null, durations: [...durations].sort((a, b) => a - b) };
+};
+
+// A slot is offered when at least one active rep in the pool is free for it
+export const getPoolAvailability = async (slug, { from, to, durationMinutes } = {}) => {
+  const pool = await resolvePool(slug);
+  const slotsByStart = new Map();
+
+  for (const member of pool.members.filter(candidate => candidate.active)) {
+    try {
+      const { slots } = await getAvailability(member.userId, { from, to, durationMinutes });
+      slots.forEach(slot => slotsByStart.set(slot.start, slot));
+    } catch (error) {
+      // A rep who doesn't offer this meeting length simply contributes no slots
+      if (error.code !== 'INVALID_DURATION') throw error;
+    }
+  }
+
+  const slots = [...slotsByStart.values()].sort((a, b) => (a.start < b.start ? -1 : 1));
+  return { durationMinutes, slots };
+};
+
+const countMeetingsOnDay = async (userId, start, timeZone) => {
+  const local = getZonedParts(start, timeZone);
+  const dayStart = zonedTimeToUtc({ ...local, hour: 0, minute: 0 }, timeZone);
+  const dayEnd = zonedTimeToUtc({ ...getLocalDay(local, 1, timeZone), hour: 0, minute: 0 }, timeZone);
+
+  const { count, error } = await supabase
+    .from(CALENDAR_TABLE)
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .eq('status', 'scheduled')
+    .eq('event_type', 'meeting')
+    .gte('start_time', dayStart.toISOString())
+    .lt('start_time', dayEnd.toISOString());
+
+  if (error) {
+    throw new Error(`Failed to count meetings: ${error.message}`);
+  }
+
+  return count || 0;
+};
+
+const evaluateMembers = async (members, startTime, durationMinutes) => {
+  const checks = {};
+
+  for (const member of members.filter(candidate => candidate.active)) {
+    try {
+      const { available, settings } = await checkSlot(member.userId, startTime, durationMinutes);
+      checks[member.userId] = {
+        available,
+        meetingsToday: available ? await countMeetingsOnDay(member.userId, new Date(startTime), settings.timezone) : 0,
+      };
+    } catch (error) {
+      if (error.code !== 'INVALID_DURATION') throw error;
+      checks[member.userId] = { available: false };
+    }
+  }
+
+  return checks;
+};
+
+const logDecision = async (pool, decision) => {
+  const { error } = await supabase
+    .from(DECISIONS_TABLE)
+    .insert([{
+      pool_id: pool.id,
+      strategy: pool.strategy,
+      lead_id: decision.leadId || null,
+      owner_user_id: decision.ownerId || null,
+      chosen_user_id: decision.chosenUserId || null,
+      calendar_event_id: decision.eventId || null,
+      slot_start: decision.slotStart,
+      reason: decision.reason,
+      candidates: decision.evaluations,
+      created_at: new Date().toISOString(),
+    }]);
+
+  if (error) {
+    // The meeting is booked either way; a missing audit row is logged rather than surfaced to the prospect
+    console.error('Failed to log routing decision:', error);
+  }
+};
+
+const recordAssignment = async (pool, userId) => {
+  const { error } = await supabase.rpc('record_pool_assignment', {
+    p_pool_id: pool.id,
+    p_user_id: userId,
+  });
+
+  if (error) {
+    console.error('Failed to record pool assignment:', error);
+  }
+};
+
+export const bookPoolMeeting = async (slug, { startTime, durationMinutes, name, email, company, notes } = {}) => {
+  if (!name || !name.trim() || !email || !email.trim()) {
+    throw createRoutingError('Name and email are required', 'INVALID_ATTENDEES');
+  }
+
+  const pool = await resolvePool(slug);
+  const attendee = { name: name.trim(), email: email.trim().toLowerCase() };
+  const memberIds = pool.members.filter(member => member.status === 'accepted').map(member => member.userId);
+
+  // The lead's owner only matters for owner_first, but it's logged for every strategy
+  const existingLead = await findLeadByEmail(memberIds, attendee.email);
+  const ownerId = existingLead?.user_id || null;
+
+  const checks = await evaluateMembers(pool.members, startTime, durationMinutes);
+  const { ordered, evaluations } = rankCandidates(pool.members, { strategy: pool.strategy, ownerId, checks });
+
+  let event = null;
+  let chosenUserId = null;
+
+  // Walk the ranking; if someone else grabs a rep's slot between the check and the booking, try the next rep
+  for (const userId of ordered) {
+    try {
+      event = await bookMeeting(userId, {
+        startTime,
+        durationMinutes,
+        attendees: [attendee],
+        title: `${attendee.name} <> ${pool.name}`,
+        description: notes ? notes.toString().slice(0, 1000) : null,
+        // Another rep's lead stays theirs; only its owner's calendar event is linked to it
+        leadId: existingLead?.user_id === userId ? existingLead.id : undefined,
+      });
+      chosenUserId = userId;
+      break;
+    } catch (error) {
+      if (error.code !== 'SLOT_UNAVAILABLE') throw error;
+      const evaluation = evaluations.find(candidate => candidate.userId === userId);
+      if (evaluation) Object.assign(evaluation, { eligible: false, reason: 'lost_race' });
+    }
+  }
+
+  const reason = !chosenUserId ? 'no_eligible_rep'
+    : pool.strategy === 'owner_first' && chosenUserId === ownerId ? 'owner'
+      : pool.strategy;
+
+  await logDecision(pool, {
+    leadId: existingLead?.id,
+    ownerId,
+    chosenUserId,
+    eventId: event?.id,
+    slotStart: new Date(startTime).toISOString(),
+    reason,
+    evaluations,
+  });
+
+  if (!chosenUserId) {
+    throw createRoutingError('That time is no longer available', 'SLOT_UNAVAILABLE', 409);
+  }
+
+  await recordAssignment(pool, chosenUserId);
+
+  let lead = existingLead;
+  if (!lead) {
+    lead = await createLead(chosenUserId, { ...attendee, company }, 'booking_pool');
+    await linkEventToLead(event.id, lead.id);
+  }
+  await markLeadMeetingBooked(lead, event, 'booking_pool');
+
+  return {
+    eventId: event.id,
+    startTime: event.start_time,
+    endTime: event.end_time,
+    repName: pool.name,
+  };
+};
+
+// For managers: every decision in the range plus each rep's share against their weight
+export const getRoutingReport = async (ownerId, poolId, { from, to } = {}) => {
+  const { data: pool, error } = await supabase
+    .from(POOLS_TABLE)
+    .select(`*, members:${MEMBERS_TABLE}(*)`)
+    .eq('id', poolId)
+    .eq('owner_id', ownerId)
+    .maybeSingle();
+
+  if (error || !pool) {
+    throw new Error('Booking pool not found or access denied');
+  }
+
+  let query = supabase
+    .from(DECISIONS_TABLE)
+    .select('*')
+    .eq('pool_id', poolId)
+    .order('created_at', { ascending: false });
+
+  if (from) query = query.gte('created_at', new Date(from).toISOString());
+  if (to) query = query.lt('created_at', new Date(to).toISOString());
+
+  const { data: decisions, error: decisionsError } = await query;
+
+  if (decisionsError) {
+    throw new Error(`Failed to fetch routing decisions: ${decisionsError.message}`);
+  }
+
+  const members = (pool.members || []).map(toMember);
+  const summary = summarizeRoutingFairness(members, (decisions || []).map(decision => ({
+    chosenUserId: decision.chosen_user_id,
+    reason: decision.reason,
+  })));
+
+  return { pool: { id: pool.id, name: pool.name, strategy: pool.strategy }, summary, decisions: decisions || [] };
+};
+
+export default bookPoolMeeting;
@@ -0,0 +1,237 @@
+server/functions/schedulingLink.js
+
+import crypto from 'crypto';
+import process from 'process';
+import supabase from '../lib/supabase';
+import { getAvailability, getBookingSettings, bookMeeting } from './bookMeeting';
+import { exitSequencesForLead } from './sendFollowUp';
+import { recordTacticOutcome } from './optimizeTactics';
+
+const SETTINGS_TABLE = 'booking_settings';
+const CALENDAR_TABLE = 'calendar_events';
+const PROFILES_TABLE = 'profiles';
+const LEADS_TABLE = 'leads';
+const EVENTS_TABLE = 'lead_events';
+const MEETING_BOOKED_STATUS = 'meeting_booked';
+const SLUG_REGEX = /^[a-z0-9-]{6,64}$/;
+
+const createLinkError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+export const getSchedulingLinkUrl = (slug) => {
+  const base = process.env.PUBLIC_BOOKING_URL || `${process.env.SUPABASE_URL}/functions/v1/scheduling-link`;
+  return `${base}?slug=${encodeURIComponent(slug)}`;
+};
+
+// One link per rep; calling this again returns the existing link rather than rotating it
+export const getOrCreateSchedulingLink = async (userId) => {
+  if (!userId) {
+    throw new Error('Missing required field: userId');
+  }
+
+  const { data: existing, error } = await supabase
+    .from(SETTINGS_TABLE)
+    .select('link_slug')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch scheduling link: ${error.message}`);
+  }
+
+  if (existing?.link_slug) {
+    return { slug: existing.link_slug, url: getSchedulingLinkUrl(existing.link_slug) };
+  }
+
+  const slug = crypto.randomBytes(9).toString('base64url').toLowerCase().replace(/[^a-z0-9]/g, '').slice(0, 12);
+
+  const { error: upsertError } = await supabase
+    .from(SETTINGS_TABLE)
+    .upsert({ user_id: userId, link_slug: slug, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+
+  if (upsertError) {
+    throw new Error(`Failed to create scheduling link: ${upsertError.message}`);
+  }
+
+  return { slug, url: getSchedulingLinkUrl(slug) };
+};
+
+const resolveSlug = async (slug) => {
+  if (!slug || !SLUG_REGEX.test(slug)) {
+    throw createLinkError('Scheduling link not found', 'LINK_NOT_FOUND', 404);
+  }
+
+  const { data: settings, error } = await supabase
+    .from(SETTINGS_TABLE)
+    .select('user_id, link_enabled')
+    .eq('link_slug', slug)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to resolve scheduling link: ${error.message}`);
+  }
+
+  if (!settings || settings.link_enabled === false) {
+    throw createLinkError('Scheduling link not found', 'LINK_NOT_FOUND', 404);
+  }
+
+  const { data: profile } = await supabase
+    .from(PROFILES_TABLE)
+    .select('full_name, company')
+    .eq('id', settings.user_id)
+    .maybeSingle();
+
+  return {
+    userId: settings.user_id,
+    repName: profile?.full_name || 'your host',
+    company: profile?.company || null,
+  };
+};
+
+// Only what a prospect needs to see: no rep ids, event titles or busy times
+export const getLinkDetails = async (slug) => {
+  const { userId, repName, company } = await resolveSlug(slug);
+  const settings = await getBookingSettings(userId);
+
+  return { repName, company, timezone: settings.timezone, durations: settings.durations };
+};
+
+export const getLinkAvailability = async (slug, { from, to, durationMinutes } = {}) => {
+  const { userId } = await resolveSlug(slug);
+  return getAvailability(userId, { from, to, durationMinutes });
+};
+
+// userIds: one rep, or every rep in a booking pool
+export const findLeadByEmail = async (userIds, email) => {
+  const { data: matches, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('id, status, user_id')
+    .in('user_id', Array.isArray(userIds) ? userIds : [userIds])
+    // Case-insensitive exact match; escape ilike wildcards, since underscores are common in addresses
+    .ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+    .order('created_at', { ascending: true })
+    .limit(1);
+
+  if (error) {
+    throw new Error(`Failed to look up lead: ${error.message}`);
+  }
+
+  return matches && matches.length > 0 ? matches[0] : null;
+};
+
+export const createLead = async (userId, { name, email, company }, source = 'booking_link') => {
+  const { data: lead, error: insertError } = await supabase
+    .from(LEADS_TABLE)
+    .insert([{
+      user_id: userId,
+      name,
+      email,
+      company: company || null,
+      status: 'new',
+      source,
+      created_at: new Date().toISOString(),
+    }])
+    .select('id, status, user_id')
+    .single();
+
+  if (insertError) {
+    throw new Error(`Failed to create lead: ${insertError.message}`);
+  }
+
+  return lead;
+};
+
+export const linkEventToLead = async (eventId, leadId) => {
+  const { error } = await supabase
+    .from(CALENDAR_TABLE)
+    .update({ lead_id: leadId })
+    .eq('id', eventId);
+
+  if (error) {
+    throw new Error(`Failed to link meeting to lead: ${error.message}`);
+  }
+};
+
+export const markLeadMeetingBooked = async (lead, event, source = 'booking_link') => {
+  const { error } = await supabase
+    .from(LEADS_TABLE)
+    .update({ status: MEETING_BOOKED_STATUS })
+    .eq('id', lead.id);
+
+  if (error) {
+    throw new Error(`Failed to update lead status: ${error.message}`);
+  }
+
+  await supabase.from(EVENTS_TABLE).insert([{
+    lead_id: lead.id,
+    event_type: 'meeting_booked',
+    metadata: { calendar_event_id: event.id, source },
+    occurred_at: new Date().toISOString(),
+  }]);
+
+  // The booking already happened; attribution bookkeeping must not turn it into an error
+  await Promise.all([
+    exitSequencesForLead(lead.id, 'meeting_booked'),
+    recordTacticOutcome(lead.id, 'meeting_booked'),
+  ].map(promise => promise.catch(error => console.error('Post-booking update failed:', error))));
+};
+
+// A no-show rebooking from the emailed link closes the missed meeting out as rescheduled.
+// Only the rep's own no-shows qualify, so a stray rebook id in the URL can't touch anything else.
+const closeRebookedEvent = async (userId, rebookEventId, newEventId) => {
+  const { error } = await supabase
+    .from(CALENDAR_TABLE)
+    .update({ status: 'rescheduled', rescheduled_to_id: newEventId, updated_at: new Date().toISOString() })
+    .eq('id', rebookEventId)
+    .eq('user_id', userId)
+    .eq('status', 'no_show');
+
+  if (error) {
+    console.error('Failed to close rebooked meeting:', error);
+  }
+};
+
+export const bookFromLink = async (slug, { startTime, durationMinutes, name, email, company, notes, rebookEventId } = {}) => {
+  if (!name || !name.trim() || !email || !email.trim()) {
+    throw createLinkError('Name and email are required', 'INVALID_ATTENDEES');
+  }
+
+  const { userId, repName } = await resolveSlug(slug);
+  const attendee = { name: name.trim(), email: email.trim().toLowerCase() };
+  const existingLead = await findLeadByEmail(userId, attendee.email);
+
+  const event = await bookMeeting(userId, {
+    startTime,
+    durationMinutes,
+    attendees: [attendee],
+    title: `${attendee.name} <> ${repName}`,
+    description: notes ? notes.toString().slice(0, 1000) : null,
+    leadId: existingLead?.id,
+  });
+
+  // New prospects only become leads once they actually hold a slot
+  let lead = existingLead;
+  if (!lead) {
+    lead = await createLead(userId, { ...attendee, company });
+    await linkEventToLead(event.id, lead.id);
+  }
+
+  await markLeadMeetingBooked(lead, event);
+
+  if (rebookEventId) {
+    await closeRebookedEvent(userId, rebookEventId, event.id);
+  }
+
+  return {
+    eventId: event.id,
+    startTime: event.start_time,
+    endTime: event.end_time,
+    repName,
+  };
+};
+
+export default bookFromLink;
@@ -1 +1,180 @@
-server/functions/scoreLead.js
\ No newline at end of file
+server/functions/scoreLead.js
+
+import supabase from '../lib/supabase';
+import {
+  calculateLeadScore,
+  getScoreDistribution,
+  compareScoreDistributions,
+} from '../../app/utils/scoreCalc';
+import {
+  getActiveScoringModel,
+  getActiveTeamScoringModel,
+  getActivatableScoringModel,
+  getTeamMemberIds,
+  setActiveScoringModel,
+  recordActivation,
+} from './scoringModels';
+
+const LEADS_TABLE = 'leads';
+const LEAD_EVENTS_TABLE = 'lead_events';
+const SCORED_EVENT_TYPES = ['email_sent', 'email_open', 'email_click', 'reply', 'meeting_booked'];
+const RESCORE_PAGE_SIZE = 200;
+
+const fetchLeadEvents = async (leadIds) => {
+  const { data, error } = await supabase
+    .from(LEAD_EVENTS_TABLE)
+    .select('lead_id, event_type, occurred_at')
+    .in('lead_id', leadIds)
+    .in('event_type', SCORED_EVENT_TYPES);
+
+  if (error) {
+    throw new Error(`Failed to fetch lead events: ${error.message}`);
+  }
+
+  return (data || []).reduce((byLead, event) => {
+    (byLead[event.lead_id] = byLead[event.lead_id] || []).push(event);
+    return byLead;
+  }, {});
+};
+
+const persistScore = async (leadId, result) => {
+  const { error } = await supabase
+    .from(LEADS_TABLE)
+    .update({
+      score: result.score,
+      priority: result.priority,
+      score_breakdown: result.breakdown,
+      score_model_id: result.modelId,
+      score_model_version: result.modelVersion,
+      scored_at: result.scoredAt,
+    })
+    .eq('id', leadId);
+
+  if (error) {
+    throw new Error(`Failed to save score for lead ${leadId}: ${error.message}`);
+  }
+};
+
+export const scoreLeads = async (leadIds, options = {}) => {
+  const { model, persist = true } = options;
+
+  if (!Array.isArray(leadIds) || leadIds.length === 0) {
+    return [];
+  }
+
+  const { data: leads, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('*')
+    .in('id', leadIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch leads: ${error.message}`);
+  }
+
+  const eventsByLead = await fetchLeadEvents(leadIds);
+  const modelsByOwner = {};
+  const results = [];
+
+  for (const lead of leads || []) {
+    let leadModel = model;
+    if (!leadModel) {
+      if (!modelsByOwner[lead.user_id]) {
+        modelsByOwner[lead.user_id] = await getActiveScoringModel(lead.user_id);
+      }
+      leadModel = modelsByOwner[lead.user_id];
+    }
+
+    const result = calculateLeadScore(lead, eventsByLead[lead.id] || [], leadModel);
+
+    if (persist) {
+      await persistScore(lead.id, result);
+    }
+
+    results.push({ leadId: lead.id, ...result });
+  }
+
+  return results;
+};
+
+export const scoreLead = async (leadId, options = {}) => {
+  if (!leadId) {
+    throw new Error('Missing required field: leadId');
+  }
+
+  const [result] = await scoreLeads([leadId], options);
+  if (!result) {
+    throw new Error(`Lead ${leadId} not found`);
+  }
+
+  return result;
+};
+
+// userIds: one owner or a list of them, e.g. the team members a team model applies to
+export const rescoreAllLeads = async (userIds, model) => {
+  const owners = [].concat(userIds);
+  if (owners.length === 0) {
+    return null;
+  }
+
+  const beforeScores = [];
+  const afterScores = [];
+
+  for (let from = 0; ; from += RESCORE_PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from(LEADS_TABLE)
+      .select('id, score')
+      .in('user_id', owners)
+      .order('id', { ascending: true })
+      .range(from, from + RESCORE_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch leads for rescoring: ${error.message}`);
+    }
+
+    if (!page || page.length === 0) break;
+
+    page.forEach(lead => beforeScores.push(lead.score));
+
+    const results = await scoreLeads(page.map(lead => lead.id), { model });
+    results.forEach(result => afterScores.push(result.score));
+
+    if (page.length < RESCORE_PAGE_SIZE) break;
+  }
+
+  return compareScoreDistributions(
+    getScoreDistribution(beforeScores),
+    getScoreDistribution(afterScores)
+  );
+};
+
+// Switches the owner's (or, for a team model, the team's) active weight profile and re-scores
+// the leads it now applies to, returning the before/after score distributions for comparison.
+// Team members with a personal active model keep it, so their leads aren't touched.
+export const activateScoringModel = async (userId, modelId, options = {}) => {
+  const { rescore = true } = options;
+
+  if (!userId || !modelId) {
+    throw new Error('Missing required fields: userId, modelId');
+  }
+
+  const { team_id: teamId } = await getActivatableScoringModel(userId, modelId);
+  const previous = teamId ? await getActiveTeamScoringModel(teamId) : await getActiveScoringModel(userId);
+  const model = await setActiveScoringModel(userId, modelId);
+
+  let comparison = null;
+  if (rescore) {
+    let owners = [userId];
+    if (teamId) {
+      const memberIds = await getTeamMemberIds(teamId);
+      const effective = await Promise.all(memberIds.map(memberId => getActiveScoringModel(memberId)));
+      owners = memberIds.filter((memberId, index) => effective[index].id === model.id);
+    }
+    comparison = await rescoreAllLeads(owners, model);
+  }
+
+  await recordActivation(userId, { model, previous, comparison, teamId });
+
+  return { model, previous, comparison };
+};
+
+export default scoreLead;
@@ -0,0 +1,353 @@
+server/functions/scoringModels.js
+
+import supabase from '../lib/supabase';
+import {
+  DEFAULT_SCORING_MODEL,
+  buildScoringModel,
+  validateScoringWeights,
+  compareScoreDistributions,
+} from '../../app/utils/scoreCalc';
+
+const MODELS_TABLE = 'scoring_models';
+const ACTIVATIONS_TABLE = 'scoring_model_activations';
+const TEAMS_TABLE = 'scoring_teams';
+const PREFERENCES_TABLE = 'user_preferences';
+
+const fetchPreferences = async (userId) => {
+  const { data, error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .select('preferences')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch preferences: ${error.message}`);
+  }
+
+  return data?.preferences || {};
+};
+
+// A scoring team is a manager's set of shared models. Its owner manages them; reps opt in by
+// setting preferences.scoring_team_id, after which the team's active model scores their leads.
+const getTeamIds = async (userId) => {
+  const [{ data: owned, error }, preferences] = await Promise.all([
+    supabase.from(TEAMS_TABLE).select('id').eq('owner_id', userId),
+    fetchPreferences(userId),
+  ]);
+
+  if (error) {
+    throw new Error(`Failed to fetch scoring teams: ${error.message}`);
+  }
+
+  return [...new Set([...(owned || []).map(team => team.id), preferences.scoring_team_id].filter(Boolean))];
+};
+
+const assertTeamAccess = async (userId, teamId, { manage = false } = {}) => {
+  const { data: team, error } = await supabase
+    .from(TEAMS_TABLE)
+    .select('id, owner_id')
+    .eq('id', teamId)
+    .maybeSingle();
+
+  if (error || !team) {
+    throw new Error('Scoring team not found or access denied');
+  }
+
+  if (team.owner_id === userId) {
+    return team;
+  }
+
+  if (!manage && (await fetchPreferences(userId)).scoring_team_id === teamId) {
+    return team;
+  }
+
+  throw new Error('Scoring team not found or access denied');
+};
+
+export const createScoringTeam = async (userId, { name } = {}) => {
+  if (!userId || !name) {
+    throw new Error('Missing required fields: userId, name');
+  }
+
+  const { data: team, error } = await supabase
+    .from(TEAMS_TABLE)
+    .insert([{ owner_id: userId, name, created_at: new Date().toISOString() }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create scoring team: ${error.message}`);
+  }
+
+  return team;
+};
+
+// Joins the rep to a team, or leaves it with teamId null; other preferences are kept
+export const setScoringTeam = async (userId, teamId = null) => {
+  if (teamId) {
+    const { data: team, error } = await supabase
+      .from(TEAMS_TABLE)
+      .select('id')
+      .eq('id', teamId)
+      .maybeSingle();
+
+    if (error || !team) {
+      throw new Error('Scoring team not found or access denied');
+    }
+  }
+
+  const preferences = await fetchPreferences(userId);
+  const { error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .upsert({
+      user_id: userId,
+      preferences: { ...preferences, scoring_team_id: teamId },
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_id' });
+
+  if (error) {
+    throw new Error(`Failed to update scoring team: ${error.message}`);
+  }
+
+  return teamId;
+};
+
+// Everyone whose leads the team model scores: the owner and the reps who joined
+export const getTeamMemberIds = async (teamId) => {
+  const [{ data: team, error: teamError }, { data: members, error }] = await Promise.all([
+    supabase.from(TEAMS_TABLE).select('owner_id').eq('id', teamId).maybeSingle(),
+    supabase.from(PREFERENCES_TABLE).select('user_id').eq('preferences->>scoring_team_id', teamId),
+  ]);
+
+  if (teamError || error) {
+    throw new Error(`Failed to fetch team members: ${(teamError || error).message}`);
+  }
+
+  return [...new Set([team?.owner_id, ...(members || []).map(member => member.user_id)].filter(Boolean))];
+};
+
+const fetchPersonalActiveModel = async (userId) => {
+  const { data, error } = await supabase
+    .from(MODELS_TABLE)
+    .select('*')
+    .eq('user_id', userId)
+    .is('team_id', null)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch active scoring model: ${error.message}`);
+  }
+
+  return data;
+};
+
+export const getActiveTeamScoringModel = async (teamId) => {
+  const { data, error } = await supabase
+    .from(MODELS_TABLE)
+    .select('*')
+    .eq('team_id', teamId)
+    .eq('is_active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch active team scoring model: ${error.message}`);
+  }
+
+  return data ? buildScoringModel(data) : DEFAULT_SCORING_MODEL;
+};
+
+// A rep's own active model wins; otherwise the most recently activated model of one of their teams
+export const getActiveScoringModel = async (userId) => {
+  if (!userId) {
+    return DEFAULT_SCORING_MODEL;
+  }
+
+  const personal = await fetchPersonalActiveModel(userId);
+  if (personal) {
+    return buildScoringModel(personal);
+  }
+
+  const teamIds = await getTeamIds(userId);
+  if (teamIds.length === 0) {
+    return DEFAULT_SCORING_MODEL;
+  }
+
+  const { data, error } = await supabase
+    .from(MODELS_TABLE)
+    .select('*')
+    .in('team_id', teamIds)
+    .eq('is_active', true)
+    .order('activated_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch active team scoring model: ${error.message}`);
+  }
+
+  return data ? buildScoringModel(data) : DEFAULT_SCORING_MODEL;
+};
+
+// Without a teamId these are the owner's personal profiles, with one the team's
+export const listScoringModels = async (userId, { teamId = null } = {}) => {
+  let query = supabase
+    .from(MODELS_TABLE)
+    .select('id, team_id, name, version, weights, config, is_active, created_at, activated_at');
+
+  if (teamId) {
+    await assertTeamAccess(userId, teamId);
+    query = query.eq('team_id', teamId);
+  } else {
+    query = query.eq('user_id', userId).is('team_id', null);
+  }
+
+  const { data, error } = await query
+    .order('name', { ascending: true })
+    .order('version', { ascending: false });
+
+  if (error) {
+    throw new Error(`Failed to fetch scoring models: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+// Profiles are immutable once saved; editing one creates the next version under the same name.
+// Team profiles are saved by the team's owner.
+export const saveScoringModelVersion = async (userId, { name, weights = {}, config = {}, teamId = null }) => {
+  if (!userId || !name) {
+    throw new Error('Missing required fields: userId, name');
+  }
+
+  const validation = validateScoringWeights(weights);
+  if (!validation.isValid) {
+    throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+  }
+
+  // Fails fast on malformed config before anything is stored
+  buildScoringModel({ name, weights, config });
+
+  if (teamId) {
+    await assertTeamAccess(userId, teamId, { manage: true });
+  }
+
+  let latestQuery = supabase
+    .from(MODELS_TABLE)
+    .select('version')
+    .eq('name', name);
+  latestQuery = teamId ? latestQuery.eq('team_id', teamId) : latestQuery.eq('user_id', userId).is('team_id', null);
+
+  const { data: latest, error: latestError } = await latestQuery
+    .order('version', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (latestError) {
+    throw new Error(`Failed to fetch scoring model versions: ${latestError.message}`);
+  }
+
+  const { data: model, error } = await supabase
+    .from(MODELS_TABLE)
+    .insert([{
+      user_id: userId,
+      team_id: teamId,
+      name,
+      version: (latest?.version || 0) + 1,
+      weights,
+      config,
+      is_active: false,
+      created_at: new Date().toISOString(),
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to save scoring model: ${error.message}`);
+  }
+
+  return model;
+};
+
+// Returns the stored profile once the user may activate it: their own personal profile, or a
+// profile of a team they own
+export const getActivatableScoringModel = async (userId, modelId) => {
+  const { data: profile, error } = await supabase
+    .from(MODELS_TABLE)
+    .select('*')
+    .eq('id', modelId)
+    .maybeSingle();
+
+  if (error || !profile) {
+    throw new Error('Scoring model not found or access denied');
+  }
+
+  if (profile.team_id) {
+    await assertTeamAccess(userId, profile.team_id, { manage: true });
+  } else if (profile.user_id !== userId) {
+    throw new Error('Scoring model not found or access denied');
+  }
+
+  return profile;
+};
+
+// Deactivating the current model and activating the new one happen in one transaction
+export const setActiveScoringModel = async (userId, modelId) => {
+  await getActivatableScoringModel(userId, modelId);
+
+  const { data: activated, error } = await supabase.rpc('activate_scoring_model', { p_model_id: modelId });
+
+  if (error) {
+    throw new Error(`Failed to activate scoring model: ${error.message}`);
+  }
+
+  return buildScoringModel(activated);
+};
+
+export const recordActivation = async (userId, { model, previous, comparison, teamId = null }) => {
+  const { error } = await supabase
+    .from(ACTIVATIONS_TABLE)
+    .insert([{
+      user_id: userId,
+      team_id: teamId,
+      model_id: model.id,
+      model_version: model.version,
+      previous_model_id: previous.id === DEFAULT_SCORING_MODEL.id ? null : previous.id,
+      previous_model_version: previous.version,
+      before_distribution: comparison?.before || null,
+      after_distribution: comparison?.after || null,
+      activated_at: new Date().toISOString(),
+    }]);
+
+  if (error) {
+    console.error('Failed to record scoring model activation:', error);
+  }
+};
+
+export const getActivationHistory = async (userId, { teamId = null, limit = 20 } = {}) => {
+  let query = supabase
+    .from(ACTIVATIONS_TABLE)
+    .select('*');
+
+  if (teamId) {
+    await assertTeamAccess(userId, teamId);
+    query = query.eq('team_id', teamId);
+  } else {
+    query = query.eq('user_id', userId).is('team_id', null);
+  }
+
+  const { data, error } = await query
+    .order('activated_at', { ascending: false })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch scoring model history: ${error.message}`);
+  }
+
+  return (data || []).map(activation => ({
+    ...activation,
+    comparison: activation.before_distribution && activation.after_distribution
+      ? compareScoreDistributions(activation.before_distribution, activation.after_distribution)
+      : null,
+  }));
+};
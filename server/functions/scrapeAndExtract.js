@@ -0,0 +1,65 @@
+server/functions/scrapeAndExtract.js
+
+import supabase from '../lib/supabase';
+import apifyScraper from '../scraping/apifyScraper';
+import { filterRelevantRecords } from '../scraping/relevanceScorer';
+
+const PREFERENCES_TABLE = 'user_preferences';
+const MAX_INPUT_LENGTH = 20000;
+const MAX_PAGES = 10;
+
+const createScrapeError = (message, code, status = 400) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// The rep's ideal customer profile, saved as preferences.icp; null when they haven't set one
+const getSavedIcp = async (userId) => {
+  const { data, error } = await supabase
+    .from(PREFERENCES_TABLE)
+    .select('preferences')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch ideal customer profile: ${error.message}`);
+  }
+
+  return data?.preferences?.icp || null;
+};
+
+// Backs the app's useScraper hook: crawls the URLs in the pasted text (or reads the text itself
+// when there are none) and answers with the best record in the contact_info/entities shape.
+// With an ICP (passed in or saved) records that don't fit are dropped before the app sees them.
+export const scrapeAndExtract = async (userId, { text, context = '', icp } = {}, options = {}) => {
+  if (!text || typeof text !== 'string') {
+    throw createScrapeError('Input text is required for scraping', 'INVALID_INPUT');
+  }
+  if (text.length > MAX_INPUT_LENGTH) {
+    throw createScrapeError(`Input text must be at most ${MAX_INPUT_LENGTH} characters`, 'INVALID_INPUT');
+  }
+
+  const { scraper = apifyScraper } = options;
+  const result = await scraper.scrapeAndExtract({ text, context }, { maxPages: MAX_PAGES, limit: MAX_PAGES });
+
+  const profile = icp || await getSavedIcp(userId);
+  if (!profile) {
+    return result;
+  }
+
+  const { kept, dropped } = filterRelevantRecords(result.records, profile);
+  if (kept.length === 0) {
+    throw createScrapeError('None of the scraped records match your ideal customer profile', 'NO_RELEVANT_RECORDS', 422);
+  }
+
+  return {
+    ...kept[0],
+    context,
+    records: kept,
+    dropped: dropped.map(record => ({ source_url: record.source_url, title: record.title, relevance: record.relevance })),
+  };
+};
+
+export default scrapeAndExtract;
@@ -0,0 +1,176 @@
+server/functions/searchLeads.js
+
+import supabase from '../lib/supabase';
+import embedder, { leadToText } from '../ai/embedder';
+
+const LEADS_TABLE = 'leads';
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+const INDEX_PAGE_SIZE = 100;
+const PENDING_BATCH_SIZE = 100;
+
+const clampLimit = (limit) => Math.min(MAX_LIMIT, Math.max(1, parseInt(limit, 10) || DEFAULT_LIMIT));
+
+// Embeds leads whose profile text changed since they were last indexed
+export const indexLeads = async (leadIds, options = {}) => {
+  const { force = false } = options;
+
+  if (!Array.isArray(leadIds) || leadIds.length === 0) {
+    return { indexed: 0, skipped: 0 };
+  }
+
+  const { data: leads, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('*')
+    .in('id', leadIds);
+
+  if (error) {
+    throw new Error(`Failed to fetch leads for indexing: ${error.message}`);
+  }
+
+  const texts = (leads || []).map(leadToText);
+  const embeddings = await embedder.embedBatch(texts);
+  let indexed = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < (leads || []).length; i++) {
+    const lead = leads[i];
+    const { vector, contentHash, model } = embeddings[i];
+
+    if (!force && lead.embedding_hash === contentHash && lead.embedding_model === model) {
+      skipped++;
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from(LEADS_TABLE)
+      .update({
+        embedding: vector,
+        embedding_hash: contentHash,
+        embedding_model: model,
+        embedded_at: new Date().toISOString(),
+      })
+      .eq('id', lead.id);
+
+    if (updateError) {
+      throw new Error(`Failed to store embedding for lead ${lead.id}: ${updateError.message}`);
+    }
+
+    indexed++;
+  }
+
+  return { indexed, skipped };
+};
+
+export const indexAllLeads = async (userId, options = {}) => {
+  const totals = { indexed: 0, skipped: 0 };
+
+  for (let from = 0; ; from += INDEX_PAGE_SIZE) {
+    const { data: page, error } = await supabase
+      .from(LEADS_TABLE)
+      .select('id')
+      .eq('user_id', userId)
+      .order('id', { ascending: true })
+      .range(from, from + INDEX_PAGE_SIZE - 1);
+
+    if (error) {
+      throw new Error(`Failed to fetch leads for indexing: ${error.message}`);
+    }
+
+    if (!page || page.length === 0) break;
+
+    const result = await indexLeads(page.map(lead => lead.id), options);
+    totals.indexed += result.indexed;
+    totals.skipped += result.skipped;
+
+    if (page.length < INDEX_PAGE_SIZE) break;
+  }
+
+  return totals;
+};
+
+// Scheduler entry point: new leads and leads whose profile text changed have embedded_at
+// cleared (the latter by the leads_mark_for_reindex trigger) and are embedded here
+export const indexPendingLeads = async (options = {}) => {
+  const { limit = PENDING_BATCH_SIZE } = options;
+
+  const { data: pending, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('id')
+    .is('embedded_at', null)
+    .order('created_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch leads pending indexing: ${error.message}`);
+  }
+
+  // Forced: an unchanged hash would otherwise leave embedded_at null and the lead back in every batch
+  return indexLeads((pending || []).map(lead => lead.id), { force: true });
+};
+
+const matchLeads = async (vector, userId, filters = {}) => {
+  const { status, minScore, limit, excludeLeadId } = filters;
+
+  const { data, error } = await supabase.rpc('match_leads', {
+    query_embedding: vector,
+    embedding_model_id: embedder.backend.id,
+    owner_id: userId,
+    filter_status: status ? (Array.isArray(status) ? status : [status]) : null,
+    min_score: minScore ?? null,
+    exclude_lead_id: excludeLeadId || null,
+    match_count: clampLimit(limit),
+  });
+
+  if (error) {
+    throw new Error(`Failed to search leads: ${error.message}`);
+  }
+
+  return (data || []).map(lead => ({
+    ...lead,
+    similarity: Math.round(lead.similarity * 1000) / 1000,
+  }));
+};
+
+export const searchLeads = async (userId, { query, ...filters } = {}) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  if (!query || !query.trim()) {
+    throw new Error('Search query is required');
+  }
+
+  const { vector } = await embedder.embed(query);
+  return matchLeads(vector, userId, filters);
+};
+
+export const findSimilarLeads = async (userId, leadId, filters = {}) => {
+  if (!userId) {
+    throw new Error('User not authenticated');
+  }
+
+  const { data: lead, error } = await supabase
+    .from(LEADS_TABLE)
+    .select('*')
+    .eq('id', leadId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error || !lead) {
+    throw new Error('Lead not found or access denied');
+  }
+
+  // Reuse the stored vector when it came from the current backend, otherwise embed on the fly
+  let vector = lead.embedding_model === embedder.backend.id ? lead.embedding : null;
+  if (typeof vector === 'string') {
+    vector = JSON.parse(vector);
+  }
+  if (!vector) {
+    ({ vector } = await embedder.embedLead(lead));
+  }
+
+  return matchLeads(vector, userId, { ...filters, excludeLeadId: leadId });
+};
+
+export default searchLeads;
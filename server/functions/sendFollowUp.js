@@ -1 +1,669 @@
-server/functions/sendFollowUp.js
\ No newline at end of file
+server/functions/sendFollowUp.js
+
+import supabase from '../lib/supabase';
+import resendClient from '../../app/services/resendClient';
+import promptTemplates from '../ai/promptTemplates';
+import { generateText } from './generateText';
+import { recordTacticSend } from './optimizeTactics';
+import { prepareOutboundEmail, recordOutboundEmail } from './conversations';
+import {
+  DEFAULT_SEND_WINDOW,
+  validateSendWindow,
+  resolveLeadTimezone,
+  isWithinSendWindow,
+  getNextSendTime,
+} from '../scheduling/sendWindow';
+
+const SEQUENCES_TABLE = 'sequences';
+const ENROLLMENTS_TABLE = 'sequence_enrollments';
+const LEADS_TABLE = 'leads';
+const EVENTS_TABLE = 'lead_events';
+const PROFILES_TABLE = 'profiles';
+const NOTIFICATIONS_TABLE = 'notifications';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CLAIM_TTL_MS = 15 * 60 * 1000;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_STEP_ATTEMPTS = 3;
+const ADVANCE_BATCH_SIZE = 50;
+
+export const STEP_CHANNELS = ['email', 'linkedin', 'task'];
+
+// Checked against activity since the previous step ran; a step whose condition fails is skipped
+export const WAIT_CONDITIONS = ['always', 'not_opened', 'opened', 'not_clicked'];
+
+// Tactic inputs filled in from the lead and the rep at send time, so a step needn't supply them
+const LEAD_INPUT_FIELDS = ['companyName', 'industry', 'recipientRole', 'senderName', 'firstMessageSummary'];
+
+// Any of these since enrollment ends the sequence for that lead
+const EXIT_EVENTS = {
+  reply: 'replied',
+  meeting_booked: 'meeting_booked',
+  email_bounce: 'bounced',
+  unsubscribe: 'unsubscribed',
+};
+
+// Checked on save rather than when the step comes due, days later; expects the stored templates
+// to be loaded
+const validateStepTactic = (step, label) => {
+  let validation;
+  try {
+    validation = promptTemplates.validateInputs(step.tacticId, step.inputs || {}, step.templateVersion);
+  } catch (error) {
+    throw new Error(`${label}: ${error.message}`);
+  }
+
+  const missing = validation.missing.filter(name => !LEAD_INPUT_FIELDS.includes(name));
+  if (missing.length > 0) {
+    throw new Error(`${label}: tactic ${step.tacticId} needs inputs ${missing.join(', ')}`);
+  }
+  if (validation.errors.length > 0) {
+    throw new Error(`${label}: ${validation.errors.join(', ')}`);
+  }
+};
+
+export const validateSequenceSteps = (steps) => {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error('A sequence needs at least one step');
+  }
+
+  let previousDelay = -1;
+  // Later emails default to "Re: <first subject>", so the first email step needs one wherever it falls
+  const firstEmailIndex = steps.findIndex(step => step.channel === 'email');
+  steps.forEach((step, index) => {
+    const label = `Step ${index + 1}`;
+
+    if (!STEP_CHANNELS.includes(step.channel)) {
+      throw new Error(`${label}: channel must be one of ${STEP_CHANNELS.join(', ')}`);
+    }
+    if (typeof step.delayDays !== 'number' || step.delayDays < 0) {
+      throw new Error(`${label}: delayDays must be a non-negative number`);
+    }
+    if (step.delayDays < previousDelay) {
+      throw new Error(`${label}: steps must be ordered by delayDays`);
+    }
+    if (step.waitCondition && !WAIT_CONDITIONS.includes(step.waitCondition)) {
+      throw new Error(`${label}: waitCondition must be one of ${WAIT_CONDITIONS.join(', ')}`);
+    }
+    if (step.channel === 'email' && !step.tacticId && !step.html && !step.text) {
+      throw new Error(`${label}: email steps need html, text or a tacticId`);
+    }
+    if (index === firstEmailIndex && !step.subject) {
+      throw new Error(`${label}: the first email needs a subject`);
+    }
+    if (step.channel === 'email' && step.tacticId) {
+      validateStepTactic(step, label);
+    }
+
+    previousDelay = step.delayDays;
+  });
+
+  return true;
+};
+
+export const getExitReason = (lead = {}, events = []) => {
+  if (lead.unsubscribed_at) {
+    return 'unsubscribed';
+  }
+
+  const exitEvent = events.find(event => EXIT_EVENTS[event.event_type]);
+  return exitEvent ? EXIT_EVENTS[exitEvent.event_type] : null;
+};
+
+export const isWaitConditionMet = (condition = 'always', eventsSinceLastStep = []) => {
+  const has = type => eventsSinceLastStep.some(event => event.event_type === type);
+
+  switch (condition) {
+    case 'not_opened':
+      return !has('email_open');
+    case 'opened':
+      return has('email_open');
+    case 'not_clicked':
+      return !has('email_click');
+    default:
+      return true;
+  }
+};
+
+// Step delays count from the enrollment date, so "day 3" means three days after enrolling
+const getStepDueAt = (enrolledAt, step, now) => {
+  const dueAt = new Date(new Date(enrolledAt).getTime() + step.delayDays * DAY_MS);
+  return dueAt > now ? dueAt : now;
+};
+
+export const createSequence = async (userId, { name, steps, sendWindow, trackOpens = false, trackClicks = false } = {}) => {
+  if (!userId || !name) {
+    throw new Error('Missing required fields: userId, name');
+  }
+
+  await promptTemplates.ensureLoaded();
+  validateSequenceSteps(steps);
+  if (sendWindow) {
+    validateSendWindow(sendWindow);
+  }
+
+  const { data, error } = await supabase
+    .from(SEQUENCES_TABLE)
+    .insert([{
+      user_id: userId,
+      name,
+      steps,
+      send_window: sendWindow || null,
+      track_opens: Boolean(trackOpens),
+      track_clicks: Boolean(trackClicks),
+      status: 'active',
+      created_at: new Date().toISOString(),
+    }])
+    .select('*')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create sequence: ${error.message}`);
+  }
+
+  return data;
+};
+
+const fetchSequence = async (sequenceId) => {
+  const { data: sequence, error } = await supabase
+    .from(SEQUENCES_TABLE)
+    .select('*')
+    .eq('id', sequenceId)
+    .single();
+
+  if (error || !sequence) {
+    throw new Error(`Sequence ${sequenceId} not found`);
+  }
+
+  return sequence;
+};
+
+// Re-enrolling a lead that is already in the sequence is a no-op
+export const enrollLeads = async (userId, sequenceId, leadIds = []) => {
+  if (!userId || !sequenceId || leadIds.length === 0) {
+    throw new Error('Missing required fields: userId, sequenceId, leadIds');
+  }
+
+  const sequence = await fetchSequence(sequenceId);
+  if (sequence.user_id !== userId) {
+    throw new Error('Sequence not found or access denied');
+  }
+
+  const uniqueLeadIds = [...new Set(leadIds)];
+  const { data: ownedLeads, error: leadsError } = await supabase
+    .from(LEADS_TABLE)
+    .select('id')
+    .eq('user_id', userId)
+    .in('id', uniqueLeadIds);
+
+  if (leadsError) {
+    throw new Error(`Failed to verify leads: ${leadsError.message}`);
+  }
+  if ((ownedLeads || []).length !== uniqueLeadIds.length) {
+    throw new Error('One or more leads not found or access denied');
+  }
+
+  const now = new Date();
+  const enrollments = uniqueLeadIds.map(leadId => ({
+    sequence_id: sequenceId,
+    lead_id: leadId,
+    user_id: userId,
+    status: 'active',
+    current_step: 0,
+    attempts: 0,
+    enrolled_at: now.toISOString(),
+    next_run_at: getStepDueAt(now, sequence.steps[0], now).toISOString(),
+  }));
+
+  const { data, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .upsert(enrollments, { onConflict: 'sequence_id,lead_id', ignoreDuplicates: true })
+    .select('id, lead_id');
+
+  if (error) {
+    throw new Error(`Failed to enroll leads: ${error.message}`);
+  }
+
+  await supabase
+    .from(LEADS_TABLE)
+    .update({ sequence_status: 'active' })
+    .in('id', (data || []).map(enrollment => enrollment.lead_id));
+
+  return { enrolled: (data || []).length, alreadyEnrolled: uniqueLeadIds.length - (data || []).length };
+};
+
+const writeStepOutcome = async (enrollment, outcome) => {
+  const now = new Date().toISOString();
+
+  const { error: eventError } = await supabase
+    .from(EVENTS_TABLE)
+    .insert([{
+      lead_id: enrollment.lead_id,
+      event_type: 'sequence_step',
+      metadata: {
+        sequence_id: enrollment.sequence_id,
+        enrollment_id: enrollment.id,
+        ...outcome,
+      },
+      occurred_at: now,
+    }]);
+
+  if (eventError) {
+    console.error('Failed to record sequence step event:', eventError);
+  }
+
+  const leadUpdates = {
+    sequence_status: outcome.sequenceStatus || 'active',
+    last_sequence_outcome: { ...outcome, at: now },
+  };
+  if (outcome.status === 'sent') {
+    leadUpdates.last_contacted = now;
+  }
+
+  const { error: leadError } = await supabase
+    .from(LEADS_TABLE)
+    .update(leadUpdates)
+    .eq('id', enrollment.lead_id);
+
+  if (leadError) {
+    console.error('Failed to write sequence outcome to lead:', leadError);
+  }
+};
+
+// Called by the scheduler and by inbound handlers (reply, bounce, unsubscribe) as soon as they know
+export const exitEnrollment = async (enrollment, reason) => {
+  const { error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .update({
+      status: 'exited',
+      exit_reason: reason,
+      next_run_at: null,
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', enrollment.id)
+    .in('status', ['active', 'paused']);
+
+  if (error) {
+    throw new Error(`Failed to exit sequence enrollment: ${error.message}`);
+  }
+
+  await writeStepOutcome(enrollment, {
+    step: enrollment.current_step,
+    status: 'exited',
+    reason,
+    sequenceStatus: 'exited',
+  });
+};
+
+export const exitSequencesForLead = async (leadId, reason) => {
+  const { data, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .select('*')
+    .eq('lead_id', leadId)
+    .in('status', ['active', 'paused']);
+
+  if (error) {
+    throw new Error(`Failed to fetch sequence enrollments: ${error.message}`);
+  }
+
+  for (const enrollment of data || []) {
+    await exitEnrollment(enrollment, reason);
+  }
+
+  return (data || []).length;
+};
+
+// Out-of-office replies hold the lead's sequences until they're back; the scheduler resumes them
+export const pauseSequencesForLead = async (leadId, until, reason = 'out_of_office') => {
+  const { data, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .update({ status: 'paused', paused_until: new Date(until).toISOString(), pause_reason: reason })
+    .eq('lead_id', leadId)
+    .in('status', ['active', 'paused'])
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to pause sequence enrollments: ${error.message}`);
+  }
+
+  return (data || []).length;
+};
+
+// A resumed step runs no earlier than the return date, and no earlier than it was due anyway
+const resumePausedEnrollments = async (now) => {
+  const { data: paused, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .select('id, next_run_at, paused_until')
+    .eq('status', 'paused')
+    .lte('paused_until', now.toISOString())
+    .limit(ADVANCE_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(`Failed to fetch paused sequence enrollments: ${error.message}`);
+  }
+
+  for (const enrollment of paused || []) {
+    const dueAt = Math.max(new Date(enrollment.next_run_at || 0).getTime(), new Date(enrollment.paused_until).getTime());
+    await supabase
+      .from(ENROLLMENTS_TABLE)
+      .update({ status: 'active', paused_until: null, pause_reason: null, next_run_at: new Date(dueAt).toISOString() })
+      .eq('id', enrollment.id)
+      .eq('status', 'paused');
+  }
+
+  return (paused || []).length;
+};
+
+const fetchEventsSince = async (leadId, since) => {
+  const { data, error } = await supabase
+    .from(EVENTS_TABLE)
+    .select('event_type, occurred_at, metadata')
+    .eq('lead_id', leadId)
+    .gte('occurred_at', new Date(since).toISOString())
+    .order('occurred_at', { ascending: true });
+
+  if (error) {
+    throw new Error(`Failed to fetch lead events: ${error.message}`);
+  }
+
+  return data || [];
+};
+
+const fetchSender = async (userId) => {
+  const { data: profile } = await supabase
+    .from(PROFILES_TABLE)
+    .select('full_name')
+    .eq('id', userId)
+    .maybeSingle();
+
+  return profile;
+};
+
+// The tactic templates' own field names, filled from the lead and the rep; the step's inputs win
+const buildTacticInputs = async (enrollment, sequence, step, lead) => {
+  const firstEmail = sequence.steps.find(candidate => candidate.channel === 'email');
+  const sender = await fetchSender(enrollment.user_id);
+  const derived = {
+    companyName: lead.company,
+    industry: lead.industry,
+    recipientRole: lead.title || lead.position,
+    senderName: sender?.full_name,
+    firstMessageSummary: firstEmail?.subject,
+  };
+
+  return {
+    ...Object.fromEntries(Object.entries(derived).filter(([, value]) => value)),
+    ...(step.inputs || {}),
+  };
+};
+
+const buildEmailContent = async (enrollment, sequence, step, lead) => {
+  if (!step.tacticId) {
+    return {
+      html: step.html ? resendClient.personalizeHTML(step.html, lead) : undefined,
+      text: step.text ? resendClient.personalizeText(step.text, lead) : undefined,
+    };
+  }
+
+  const generation = await generateText(enrollment.user_id, {
+    tacticId: step.tacticId,
+    inputs: await buildTacticInputs(enrollment, sequence, step, lead),
+    templateVersion: step.templateVersion,
+    leadId: lead.id,
+  });
+
+  return { text: generation.text, generationId: generation.generationId, templateVersion: generation.templateVersion };
+};
+
+// LinkedIn notes and manual tasks can't be done for the rep, so they land in the rep's
+// notifications as a to-do
+const createStepTask = async (enrollment, sequence, step, lead) => {
+  const leadName = lead.name || lead.email || 'a lead';
+  const { error } = await supabase
+    .from(NOTIFICATIONS_TABLE)
+    .insert([{
+      user_id: enrollment.user_id,
+      type: 'sequence_task',
+      title: step.channel === 'linkedin' ? `Reach out to ${leadName} on LinkedIn` : `Follow up with ${leadName}`,
+      body: step.note || `Step ${enrollment.current_step + 1} of your sequence is due`,
+      data: {
+        type: 'sequence_task',
+        channel: step.channel,
+        lead_id: lead.id,
+        sequence_id: sequence.id,
+        enrollment_id: enrollment.id,
+        step: enrollment.current_step,
+      },
+      created_at: new Date().toISOString(),
+    }]);
+
+  if (error) {
+    throw new Error(`Failed to create sequence task: ${error.message}`);
+  }
+};
+
+const executeStep = async (enrollment, sequence, step, lead) => {
+  if (step.channel !== 'email') {
+    await createStepTask(enrollment, sequence, step, lead);
+    return { status: 'task_created', channel: step.channel, note: step.note || null };
+  }
+
+  if (!lead.email) {
+    return { status: 'failed', channel: 'email', error: 'Lead has no email address', retryable: false };
+  }
+
+  const firstEmail = sequence.steps.find(candidate => candidate.channel === 'email');
+  const subject = resendClient.personalizeSubject(step.subject || `Re: ${firstEmail.subject}`, lead);
+  const content = await buildEmailContent(enrollment, sequence, step, lead);
+  const thread = await prepareOutboundEmail(enrollment.user_id, lead.id, { subject });
+
+  const result = await resendClient.sendEmail({
+    to: lead.email,
+    subject,
+    html: content.html,
+    text: content.text,
+    replyTo: thread.replyTo || undefined,
+    headers: thread.headers,
+    tags: [
+      { name: 'sequence_id', value: sequence.id },
+      { name: 'sequence_step', value: String(enrollment.current_step) },
+    ],
+    tracking: {
+      messageId: thread.messageId,
+      leadId: lead.id,
+      sequenceId: sequence.id,
+      opens: sequence.track_opens,
+      clicks: sequence.track_clicks,
+    },
+  });
+
+  if (!result.success) {
+    // A bounced or complaining address stays suppressed; retrying can't help
+    return { status: 'failed', channel: 'email', error: result.error, retryable: result.code !== 'RECIPIENT_SUPPRESSED' };
+  }
+
+  await recordOutboundEmail(thread.conversation, {
+    userId: enrollment.user_id,
+    subject,
+    html: content.html,
+    text: content.text,
+    messageId: thread.messageId,
+    providerMessageId: result.messageId,
+    isAiGenerated: Boolean(step.tacticId),
+  });
+
+  await supabase.from(EVENTS_TABLE).insert([{
+    lead_id: lead.id,
+    event_type: 'email_sent',
+    metadata: { sequence_id: sequence.id, step: enrollment.current_step, provider_message_id: result.messageId },
+    occurred_at: new Date().toISOString(),
+  }]);
+
+  if (step.tacticId) {
+    await recordTacticSend(enrollment.user_id, {
+      leadId: lead.id,
+      tacticId: step.tacticId,
+      variant: content.templateVersion,
+      generationId: content.generationId,
+    }).catch(error => console.error('Failed to record tactic send:', error));
+  }
+
+  return { status: 'sent', channel: 'email', providerMessageId: result.messageId };
+};
+
+// Pushes next_run_at forward only if nobody else has, so concurrent schedulers never run a step twice
+const claimEnrollment = async (enrollment, now) => {
+  const { data, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .update({ next_run_at: new Date(now.getTime() + CLAIM_TTL_MS).toISOString() })
+    .eq('id', enrollment.id)
+    .eq('status', 'active')
+    .eq('next_run_at', enrollment.next_run_at)
+    .select('id');
+
+  if (error) {
+    throw new Error(`Failed to claim sequence enrollment: ${error.message}`);
+  }
+
+  return Array.isArray(data) && data.length > 0;
+};
+
+const advanceEnrollment = async (enrollment, sequence, now) => {
+  const { data: lead, error: leadError } = await supabase
+    .from(LEADS_TABLE)
+    .select('id, name, email, company, industry, title, position, status, timezone, location, company_location, unsubscribed_at')
+    .eq('id', enrollment.lead_id)
+    .single();
+
+  if (leadError || !lead) {
+    await exitEnrollment(enrollment, 'lead_missing');
+    return 'exited';
+  }
+
+  const events = await fetchEventsSince(lead.id, enrollment.enrolled_at);
+  const exitReason = getExitReason(lead, events);
+  if (exitReason) {
+    await exitEnrollment(enrollment, exitReason);
+    return 'exited';
+  }
+
+  const step = sequence.steps[enrollment.current_step];
+
+  // Emails wait for the recipient's local send window; the step stays current until then
+  const sendWindow = sequence.send_window || DEFAULT_SEND_WINDOW;
+  const timeZone = resolveLeadTimezone(lead);
+  if (step.channel === 'email' && !isWithinSendWindow(now, sendWindow, timeZone)) {
+    const { error: deferError } = await supabase
+      .from(ENROLLMENTS_TABLE)
+      .update({ next_run_at: getNextSendTime(now, sendWindow, timeZone).toISOString() })
+      .eq('id', enrollment.id);
+
+    if (deferError) {
+      throw new Error(`Failed to defer sequence step: ${deferError.message}`);
+    }
+    return 'deferred';
+  }
+  const sinceLastStep = enrollment.last_step_at
+    ? events.filter(event => new Date(event.occurred_at) >= new Date(enrollment.last_step_at))
+    : events;
+
+  let outcome;
+  if (!isWaitConditionMet(step.waitCondition, sinceLastStep)) {
+    outcome = { status: 'skipped', channel: step.channel, reason: `wait condition ${step.waitCondition} not met` };
+  } else {
+    try {
+      outcome = await executeStep(enrollment, sequence, step, lead);
+    } catch (error) {
+      // Bad template inputs fail the same way every time, so only transient errors are retried
+      outcome = { status: 'failed', channel: step.channel, error: error.message, retryable: error.status !== 400 };
+    }
+  }
+
+  const attempts = (enrollment.attempts || 0) + 1;
+  const retry = outcome.status === 'failed' && outcome.retryable && attempts < MAX_STEP_ATTEMPTS;
+  const nextIndex = enrollment.current_step + 1;
+  const nextStep = sequence.steps[nextIndex];
+
+  let updates;
+  if (retry) {
+    updates = { attempts, next_run_at: new Date(now.getTime() + RETRY_DELAY_MS).toISOString() };
+  } else if (nextStep) {
+    updates = {
+      current_step: nextIndex,
+      attempts: 0,
+      last_step_at: now.toISOString(),
+      next_run_at: getStepDueAt(enrollment.enrolled_at, nextStep, now).toISOString(),
+    };
+  } else {
+    updates = {
+      status: 'completed',
+      attempts: 0,
+      last_step_at: now.toISOString(),
+      next_run_at: null,
+      completed_at: now.toISOString(),
+    };
+  }
+
+  const { error: updateError } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .update(updates)
+    .eq('id', enrollment.id);
+
+  if (updateError) {
+    throw new Error(`Failed to advance sequence enrollment: ${updateError.message}`);
+  }
+
+  const { retryable, ...stepOutcome } = outcome;
+  await writeStepOutcome(enrollment, {
+    step: enrollment.current_step,
+    ...stepOutcome,
+    sequenceStatus: updates.status || 'active',
+  });
+
+  if (outcome.status === 'sent' && lead.status === 'new') {
+    await supabase.from(LEADS_TABLE).update({ status: 'contacted' }).eq('id', lead.id);
+  }
+
+  return outcome.status;
+};
+
+// Scheduler entry point: runs the due step of every active enrollment
+export const advanceSequences = async (options = {}) => {
+  const { now = new Date(), limit = ADVANCE_BATCH_SIZE } = options;
+
+  await resumePausedEnrollments(now);
+
+  const { data: enrollments, error } = await supabase
+    .from(ENROLLMENTS_TABLE)
+    .select(`*, sequence:${SEQUENCES_TABLE}!inner(id, status, steps, send_window, track_opens, track_clicks)`)
+    .eq('status', 'active')
+    // Paused sequences hold their enrollments in place until resumed; leaving them out of the
+    // query keeps them from filling every batch
+    .eq('sequence.status', 'active')
+    .lte('next_run_at', now.toISOString())
+    .order('next_run_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    throw new Error(`Failed to fetch due sequence enrollments: ${error.message}`);
+  }
+
+  const summary = { sent: 0, task_created: 0, skipped: 0, failed: 0, exited: 0, deferred: 0 };
+
+  for (const enrollment of enrollments || []) {
+    const { sequence, ...row } = enrollment;
+    if (!await claimEnrollment(row, now)) continue;
+
+    try {
+      const status = await advanceEnrollment(row, sequence, now);
+      summary[status] = (summary[status] || 0) + 1;
+    } catch (error) {
+      console.error(`Failed to advance enrollment ${row.id}:`, error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+};
+
+export default advanceSequences;
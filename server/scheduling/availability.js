@@ -0,0 +1,130 @@
+server/scheduling/availability.js
+
+// Free-slot computation for meeting booking. Pure: busy intervals come in as plain objects.
+
+import { isValidTimezone, getZonedParts, zonedTimeToUtc, getLocalDay } from '../../app/utils/timezone';
+
+const MINUTE_MS = 60 * 1000;
+const MAX_RANGE_DAYS = 62;
+
+// Weekday (0 = Sunday) -> list of [start, end] local "HH:MM" ranges
+export const DEFAULT_WORKING_HOURS = {
+  1: [['09:00', '17:00']],
+  2: [['09:00', '17:00']],
+  3: [['09:00', '17:00']],
+  4: [['09:00', '17:00']],
+  5: [['09:00', '17:00']],
+};
+
+export const DEFAULT_BOOKING_SETTINGS = {
+  timezone: 'UTC',
+  workingHours: DEFAULT_WORKING_HOURS,
+  bufferBeforeMinutes: 10,
+  bufferAfterMinutes: 10,
+  slotIntervalMinutes: 30,
+  minNoticeMinutes: 120,
+  durations: [15, 30, 45, 60],
+};
+
+const TIME_REGEX = /^([01]\d|2[0-4]):([0-5]\d)$/;
+
+const parseTime = (value) => {
+  const [, hour, minute] = value.match(TIME_REGEX);
+  return { hour: Number(hour), minute: Number(minute) };
+};
+
+export const validateBookingSettings = (settings = {}) => {
+  const resolved = { ...DEFAULT_BOOKING_SETTINGS, ...settings };
+
+  if (!isValidTimezone(resolved.timezone)) {
+    throw new Error(`Unknown timezone: ${resolved.timezone}`);
+  }
+
+  Object.entries(resolved.workingHours).forEach(([day, ranges]) => {
+    if (!/^[0-6]$/.test(day) || !Array.isArray(ranges)) {
+      throw new Error('Working hours must map weekdays 0-6 to lists of [start, end] ranges');
+    }
+    ranges.forEach(([start, end]) => {
+      if (!TIME_REGEX.test(start) || !TIME_REGEX.test(end) || start >= end) {
+        throw new Error(`Invalid working hours range ${start}-${end} on day ${day}`);
+      }
+    });
+  });
+
+  ['bufferBeforeMinutes', 'bufferAfterMinutes', 'minNoticeMinutes'].forEach(key => {
+    if (!Number.isInteger(resolved[key]) || resolved[key] < 0) {
+      throw new Error(`${key} must be a non-negative integer`);
+    }
+  });
+
+  if (!Number.isInteger(resolved.slotIntervalMinutes) || resolved.slotIntervalMinutes <= 0) {
+    throw new Error('slotIntervalMinutes must be a positive integer');
+  }
+
+  return resolved;
+};
+
+// busy: [{ start, end }]; the candidate is padded by the buffers before it is compared
+export const overlapsBusy = (start, end, busy, settings) => {
+  const paddedStart = start.getTime() - settings.bufferBeforeMinutes * MINUTE_MS;
+  const paddedEnd = end.getTime() + settings.bufferAfterMinutes * MINUTE_MS;
+
+  return busy.some(interval => (
+    new Date(interval.start).getTime() < paddedEnd && new Date(interval.end).getTime() > paddedStart
+  ));
+};
+
+const getWorkingRanges = (parts, settings) => (settings.workingHours[parts.weekday] || [])
+  .map(([start, end]) => ({
+    start: zonedTimeToUtc({ ...parts, ...parseTime(start) }, settings.timezone),
+    end: zonedTimeToUtc({ ...parts, ...parseTime(end) }, settings.timezone),
+  }));
+
+export const computeFreeSlots = ({
+  from,
+  to,
+  durationMinutes,
+  busy = [],
+  settings = {},
+  now = new Date(),
+}) => {
+  const resolved = { ...DEFAULT_BOOKING_SETTINGS, ...settings };
+  const rangeStart = new Date(from);
+  const rangeEnd = new Date(to);
+
+  if (!(rangeEnd > rangeStart)) {
+    throw new Error('Availability range end must be after its start');
+  }
+  if (!Number.isInteger(durationMinutes) || durationMinutes <= 0) {
+    throw new Error('durationMinutes must be a positive integer');
+  }
+
+  const earliest = new Date(Math.max(rangeStart.getTime(), now.getTime() + resolved.minNoticeMinutes * MINUTE_MS));
+  const local = getZonedParts(rangeStart, resolved.timezone);
+  const slots = [];
+
+  for (let offset = 0; offset <= MAX_RANGE_DAYS; offset++) {
+    const parts = getLocalDay(local, offset, resolved.timezone);
+    if (zonedTimeToUtc({ ...parts, hour: 0, minute: 0 }, resolved.timezone) >= rangeEnd) break;
+    const ranges = getWorkingRanges(parts, resolved);
+
+    ranges.forEach(range => {
+      // Slots start on the interval grid from the top of each working range
+      for (
+        let start = range.start.getTime();
+        start + durationMinutes * MINUTE_MS <= range.end.getTime();
+        start += resolved.slotIntervalMinutes * MINUTE_MS
+      ) {
+        const slotStart = new Date(start);
+        const slotEnd = new Date(start + durationMinutes * MINUTE_MS);
+
+        if (slotStart < earliest || slotEnd > rangeEnd) continue;
+        if (overlapsBusy(slotStart, slotEnd, busy, resolved)) continue;
+
+        slots.push({ start: slotStart.toISOString(), end: slotEnd.toISOString() });
+      }
+    });
+  }
+
+  return slots;
+};
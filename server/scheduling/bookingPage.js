@@ -0,0 +1,171 @@
+server/scheduling/bookingPage.js
+
+// Self-contained HTML page for a rep's public scheduling link. Slots are fetched from the same
+// endpoint as JSON and shown in the prospect's own timezone by the browser.
+
+const escapeHtml = (value = '') => value.toString()
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// rebook, start and duration come from a no-show rebooking email: the missed meeting to close out,
+// the offered time to preselect and the length it was offered at.
+export const renderBookingPage = ({ slug, repName, company, durations = [30], rebook = null, start = null, duration = null }) => {
+  // JSON.stringify alone would let "</script>" in a name close the script tag
+  const config = JSON.stringify({ slug, durations, rebook, start }).replace(/</g, '\\u003c');
+  const durationOptions = durations
+    .map(minutes => `<option value="${minutes}"${minutes === Number(duration) ? ' selected' : ''}>${minutes} minutes</option>`)
+    .join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Book a meeting with ${escapeHtml(repName)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; background: #f9fafb; color: #111827; }
+    main { max-width: 560px; margin: 40px auto; background: #fff; border-radius: 12px; padding: 24px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    .muted { color: #6b7280; font-size: 14px; }
+    .day { margin-top: 16px; font-weight: 600; }
+    .slots { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 8px; }
+    button.slot { border: 1px solid #3b82f6; color: #3b82f6; background: #fff; border-radius: 6px; padding: 8px 12px; cursor: pointer; }
+    button.slot.selected, button.primary { background: #3b82f6; color: #fff; }
+    button.primary { border: 0; border-radius: 6px; padding: 10px 16px; cursor: pointer; margin-top: 12px; }
+    input, select, textarea { width: 100%; box-sizing: border-box; padding: 8px; margin-top: 8px; border: 1px solid #d1d5db; border-radius: 6px; }
+    .error { color: #dc2626; margin-top: 12px; }
+    [hidden] { display: none; }
+  </style>
+</head>
+<body>
+  <main>
+    <h1>Book a meeting with ${escapeHtml(repName)}</h1>
+    ${company ? `<div class="muted">${escapeHtml(company)}</div>` : ''}
+    <label class="muted">Length <select id="duration">${durationOptions}</select></label>
+    <div id="slots"><p class="muted">Loading available times…</p></div>
+    <form id="details" hidden>
+      <p id="chosen" class="muted"></p>
+      <input id="name" placeholder="Your name" required maxlength="120">
+      <input id="email" type="email" placeholder="Work email" required maxlength="254">
+      <input id="company" placeholder="Company (optional)" maxlength="120">
+      <textarea id="notes" placeholder="Anything we should know? (optional)" maxlength="1000"></textarea>
+      <button class="primary" type="submit">Confirm booking</button>
+    </form>
+    <div id="error" class="error" hidden></div>
+  </main>
+  <script>
+    const config = ${config};
+    const endpoint = window.location.pathname;
+    let selected = null;
+
+    const post = async (body) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ slug: config.slug, ...body }),
+      });
+      const data = await response.json();
+      if (!response.ok || data.error) throw new Error(data.error || 'Request failed');
+      return data;
+    };
+
+    const showError = (message) => {
+      const el = document.getElementById('error');
+      el.textContent = message;
+      el.hidden = !message;
+    };
+
+    const loadSlots = async () => {
+      const container = document.getElementById('slots');
+      const durationMinutes = Number(document.getElementById('duration').value);
+      selected = null;
+      document.getElementById('details').hidden = true;
+      showError('');
+
+      try {
+        const { slots } = await post({ action: 'availability', durationMinutes });
+        if (slots.length === 0) {
+          container.innerHTML = '<p class="muted">No times available in the next two weeks.</p>';
+          return;
+        }
+
+        let preselect = null;
+        const byDay = slots.reduce((days, slot) => {
+          const day = new Date(slot.start).toLocaleDateString(undefined, { weekday: 'long', month: 'short', day: 'numeric' });
+          (days[day] = days[day] || []).push(slot);
+          return days;
+        }, {});
+
+        container.innerHTML = '';
+        Object.entries(byDay).forEach(([day, daySlots]) => {
+          const heading = document.createElement('div');
+          heading.className = 'day';
+          heading.textContent = day;
+          const row = document.createElement('div');
+          row.className = 'slots';
+          daySlots.forEach(slot => {
+            const button = document.createElement('button');
+            button.className = 'slot';
+            button.type = 'button';
+            button.textContent = new Date(slot.start).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+            button.onclick = () => {
+              document.querySelectorAll('button.slot').forEach(b => b.classList.remove('selected'));
+              button.classList.add('selected');
+              selected = slot;
+              document.getElementById('chosen').textContent = day + ' at ' + button.textContent;
+              document.getElementById('details').hidden = false;
+            };
+            if (config.start && new Date(slot.start).getTime() === new Date(config.start).getTime()) {
+              preselect = button;
+            }
+            row.appendChild(button);
+          });
+          container.appendChild(heading);
+          container.appendChild(row);
+        });
+
+        // Only the first load honours the emailed time; it may also have been taken since
+        if (preselect) preselect.click();
+        config.start = null;
+      } catch (error) {
+        container.innerHTML = '';
+        showError(error.message);
+      }
+    };
+
+    document.getElementById('duration').onchange = loadSlots;
+    document.getElementById('details').onsubmit = async (event) => {
+      event.preventDefault();
+      if (!selected) return;
+      showError('');
+
+      try {
+        const booking = await post({
+          action: 'book',
+          startTime: selected.start,
+          durationMinutes: Number(document.getElementById('duration').value),
+          name: document.getElementById('name').value,
+          email: document.getElementById('email').value,
+          company: document.getElementById('company').value,
+          notes: document.getElementById('notes').value,
+          rebookEventId: config.rebook || undefined,
+        });
+        const when = new Date(booking.startTime).toLocaleString(undefined, { dateStyle: 'full', timeStyle: 'short' });
+        document.querySelector('main').innerHTML = '<h1>You are booked</h1><p class="muted"></p>';
+        document.querySelector('main p').textContent = 'See you ' + when + '.';
+      } catch (error) {
+        showError(error.message);
+        loadSlots();
+      }
+    };
+
+    loadSlots();
+  </script>
+</body>
+</html>`;
+};
+
+export default renderBookingPage;
@@ -0,0 +1,87 @@
+server/scheduling/meetingRouter.js
+
+// Picks which rep in a booking pool gets a meeting. Pure: callers pass in member state,
+// availability and cap usage, and get back an ordered candidate list with the reasoning.
+
+export const ROUTING_STRATEGIES = ['round_robin', 'weighted', 'owner_first'];
+
+const byUserId = (a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0);
+
+const lastAssigned = member => (member.lastAssignedAt ? new Date(member.lastAssignedAt).getTime() : 0);
+
+// Least recently assigned goes first; reps who never had a meeting go before everyone
+const roundRobinOrder = members => [...members].sort((a, b) => (
+  lastAssigned(a) - lastAssigned(b) || byUserId(a, b)
+));
+
+// Deficit-style weighted round-robin: the rep furthest below their share of assignments goes first,
+// so a weight-2 rep ends up with twice the meetings of a weight-1 rep over time
+const weightedOrder = members => [...members].sort((a, b) => {
+  const loadA = (a.assignedCount || 0) / Math.max(a.weight || 1, 0.0001);
+  const loadB = (b.assignedCount || 0) / Math.max(b.weight || 1, 0.0001);
+  return loadA - loadB || lastAssigned(a) - lastAssigned(b) || byUserId(a, b);
+});
+
+export const validateRoutingStrategy = (strategy) => {
+  if (!ROUTING_STRATEGIES.includes(strategy)) {
+    throw new Error(`Routing strategy must be one of ${ROUTING_STRATEGIES.join(', ')}`);
+  }
+  return true;
+};
+
+// members: [{ userId, weight, dailyCap, assignedCount, lastAssignedAt, active }]
+// checks: { [userId]: { available: boolean, meetingsToday: number } }
+// Returns { ordered: [userId], evaluations: [{ userId, eligible, reason }] }
+export const rankCandidates = (members, { strategy, ownerId = null, checks = {} }) => {
+  validateRoutingStrategy(strategy);
+
+  const evaluations = members.map(member => {
+    const check = checks[member.userId] || {};
+    let reason = null;
+
+    if (member.active === false) {
+      reason = 'inactive';
+    } else if (!check.available) {
+      reason = 'unavailable';
+    } else if (member.dailyCap && (check.meetingsToday || 0) >= member.dailyCap) {
+      reason = 'daily_cap_reached';
+    }
+
+    return { userId: member.userId, eligible: !reason, reason: reason || 'eligible', meetingsToday: check.meetingsToday || 0 };
+  });
+
+  const eligibleIds = new Set(evaluations.filter(evaluation => evaluation.eligible).map(evaluation => evaluation.userId));
+  const eligible = members.filter(member => eligibleIds.has(member.userId));
+
+  let ordered = strategy === 'weighted' ? weightedOrder(eligible) : roundRobinOrder(eligible);
+
+  if (strategy === 'owner_first' && ownerId && eligibleIds.has(ownerId)) {
+    ordered = [
+      ...ordered.filter(member => member.userId === ownerId),
+      ...ordered.filter(member => member.userId !== ownerId),
+    ];
+  }
+
+  return { ordered: ordered.map(member => member.userId), evaluations };
+};
+
+// Share of meetings each rep received against the share their weight entitles them to
+export const summarizeRoutingFairness = (members, decisions) => {
+  const totalWeight = members.reduce((sum, member) => sum + (member.weight || 1), 0) || 1;
+  const totalAssigned = decisions.filter(decision => decision.chosenUserId).length;
+
+  return members.map(member => {
+    const assigned = decisions.filter(decision => decision.chosenUserId === member.userId).length;
+    const expectedShare = (member.weight || 1) / totalWeight;
+    const actualShare = totalAssigned > 0 ? assigned / totalAssigned : 0;
+
+    return {
+      userId: member.userId,
+      weight: member.weight || 1,
+      assigned,
+      ownerRouted: decisions.filter(decision => decision.chosenUserId === member.userId && decision.reason === 'owner').length,
+      expectedShare: Math.round(expectedShare * 1000) / 1000,
+      actualShare: Math.round(actualShare * 1000) / 1000,
+    };
+  });
+};
@@ -0,0 +1,255 @@
+server/scheduling/sendWindow.js
+
+// Send windows in the recipient's local time. Pure, so it runs unchanged in Node and in edge functions.
+
+import { isValidTimezone, getZonedParts, zonedTimeToUtc, getLocalDay } from '../../app/utils/timezone';
+
+export const DEFAULT_TIMEZONE = 'UTC';
+
+// days use Date#getDay numbering (0 = Sunday); hours are local, end exclusive
+export const DEFAULT_SEND_WINDOW = {
+  days: [1, 2, 3, 4, 5],
+  startHour: 9,
+  endHour: 17,
+  holidays: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_LOOKAHEAD_DAYS = 366;
+
+const CITY_TIMEZONES = [
+  ['new york', 'America/New_York'],
+  ['boston', 'America/New_York'],
+  ['miami', 'America/New_York'],
+  ['atlanta', 'America/New_York'],
+  ['toronto', 'America/Toronto'],
+  ['chicago', 'America/Chicago'],
+  ['austin', 'America/Chicago'],
+  ['dallas', 'America/Chicago'],
+  ['houston', 'America/Chicago'],
+  ['denver', 'America/Denver'],
+  ['phoenix', 'America/Phoenix'],
+  ['san francisco', 'America/Los_Angeles'],
+  ['los angeles', 'America/Los_Angeles'],
+  ['seattle', 'America/Los_Angeles'],
+  ['vancouver', 'America/Vancouver'],
+  ['london', 'Europe/London'],
+  ['dublin', 'Europe/Dublin'],
+  ['paris', 'Europe/Paris'],
+  ['berlin', 'Europe/Berlin'],
+  ['munich', 'Europe/Berlin'],
+  ['amsterdam', 'Europe/Amsterdam'],
+  ['madrid', 'Europe/Madrid'],
+  ['stockholm', 'Europe/Stockholm'],
+  ['bangalore', 'Asia/Kolkata'],
+  ['bengaluru', 'Asia/Kolkata'],
+  ['mumbai', 'Asia/Kolkata'],
+  ['singapore', 'Asia/Singapore'],
+  ['tokyo', 'Asia/Tokyo'],
+  ['sydney', 'Australia/Sydney'],
+  ['tbilisi', 'Asia/Tbilisi'],
+  ['melbourne', 'Australia/Melbourne'],
+];
+
+// US states and Canadian provinces
+const REGION_TIMEZONES = [
+  ['massachusetts', 'America/New_York'],
+  ['florida', 'America/New_York'],
+  ['pennsylvania', 'America/New_York'],
+  ['new jersey', 'America/New_York'],
+  ['virginia', 'America/New_York'],
+  ['north carolina', 'America/New_York'],
+  ['ohio', 'America/New_York'],
+  ['michigan', 'America/Detroit'],
+  ['illinois', 'America/Chicago'],
+  ['texas', 'America/Chicago'],
+  ['minnesota', 'America/Chicago'],
+  ['colorado', 'America/Denver'],
+  ['utah', 'America/Denver'],
+  ['arizona', 'America/Phoenix'],
+  ['california', 'America/Los_Angeles'],
+  ['oregon', 'America/Los_Angeles'],
+  ['ontario', 'America/Toronto'],
+  ['quebec', 'America/Toronto'],
+  ['british columbia', 'America/Vancouver'],
+];
+
+const COUNTRY_TIMEZONES = [
+  ['united kingdom', 'Europe/London'],
+  ['england', 'Europe/London'],
+  ['ireland', 'Europe/Dublin'],
+  ['france', 'Europe/Paris'],
+  ['germany', 'Europe/Berlin'],
+  ['netherlands', 'Europe/Amsterdam'],
+  ['spain', 'Europe/Madrid'],
+  ['sweden', 'Europe/Stockholm'],
+  ['india', 'Asia/Kolkata'],
+  ['japan', 'Asia/Tokyo'],
+  ['australia', 'Australia/Sydney'],
+  ['brazil', 'America/Sao_Paulo'],
+  ['mexico', 'America/Mexico_City'],
+  ['canada', 'America/Toronto'],
+  ['usa', 'America/New_York'],
+  ['united states', 'America/New_York'],
+];
+
+// Georgia is also a country and Washington also the capital, so the bare names decide nothing;
+// they only count with a qualifier. Checked before the lists above.
+const QUALIFIED_PLACE_TIMEZONES = [
+  [/\bwashington,?\s*d\.?\s?c\b/, 'America/New_York'],
+  [/\bwashington,?\s+(?:state|wa|usa|us|united states)\b/, 'America/Los_Angeles'],
+  [/\bgeorgia,?\s+(?:usa|us|united states)\b/, 'America/New_York'],
+];
+
+const US_STATE_CODES = {
+  NY: 'America/New_York', MA: 'America/New_York', FL: 'America/New_York', GA: 'America/New_York',
+  PA: 'America/New_York', NJ: 'America/New_York', VA: 'America/New_York', NC: 'America/New_York',
+  OH: 'America/New_York', MI: 'America/Detroit', IL: 'America/Chicago', TX: 'America/Chicago',
+  MN: 'America/Chicago', CO: 'America/Denver', UT: 'America/Denver', AZ: 'America/Phoenix',
+  CA: 'America/Los_Angeles', WA: 'America/Los_Angeles', OR: 'America/Los_Angeles', DC: 'America/New_York',
+};
+
+const containsPlace = (haystack, place) => new RegExp(`\\b${place}\\b`).test(haystack);
+
+const findPlace = (places, text) => places.find(([place]) => containsPlace(text, place))?.[1] || null;
+
+const zoneArea = (timeZone) => timeZone.split('/')[0];
+
+export const inferTimezoneFromLocation = (location) => {
+  if (!location) return null;
+
+  const original = location.toString();
+  const normalized = original.toLowerCase();
+  const qualified = QUALIFIED_PLACE_TIMEZONES.find(([pattern]) => pattern.test(normalized));
+  if (qualified) return qualified[1];
+
+  // What follows the city says which one is meant ("Paris, TX" is in Texas), so a state or
+  // province there decides before any city name. Codes are only trusted after a comma, as in
+  // "Austin, TX 78701", to avoid matching ordinary words.
+  const [, ...suffixes] = original.split(',').map(part => part.trim());
+  for (const suffix of suffixes) {
+    const stateCode = suffix.match(/^([A-Z]{2})(?:\s+\d{5}(?:-\d{4})?)?$/);
+    if (stateCode && US_STATE_CODES[stateCode[1]]) return US_STATE_CODES[stateCode[1]];
+
+    const region = findPlace(REGION_TIMEZONES, suffix.toLowerCase());
+    if (region) return region;
+  }
+
+  // A city only counts on the named country's continent: "London, Canada" isn't in England
+  const city = findPlace(CITY_TIMEZONES, normalized);
+  const country = findPlace(COUNTRY_TIMEZONES, suffixes.join(', ').toLowerCase());
+  if (city && (!country || zoneArea(city) === zoneArea(country))) return city;
+  if (country) return country;
+
+  return findPlace(REGION_TIMEZONES, normalized) || findPlace(COUNTRY_TIMEZONES, normalized);
+};
+
+// Explicit lead timezone wins, then the lead's own location, then the company's
+export const resolveLeadTimezone = (lead = {}, fallback = DEFAULT_TIMEZONE) => {
+  if (isValidTimezone(lead.timezone)) {
+    return lead.timezone;
+  }
+
+  const candidates = [
+    [lead.location, lead.city, lead.region, lead.country].filter(Boolean).join(', '),
+    lead.company_location,
+  ];
+
+  for (const candidate of candidates) {
+    const timeZone = inferTimezoneFromLocation(candidate);
+    if (timeZone) return timeZone;
+  }
+
+  return fallback;
+};
+
+export const validateSendWindow = (window = {}) => {
+  const { days, startHour, endHour, holidays } = { ...DEFAULT_SEND_WINDOW, ...window };
+
+  if (!Array.isArray(days) || days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error('Send window days must be a non-empty list of weekdays (0-6)');
+  }
+  if (!Number.isInteger(startHour) || !Number.isInteger(endHour) || startHour < 0 || endHour > 24 || startHour >= endHour) {
+    throw new Error('Send window hours must satisfy 0 <= startHour < endHour <= 24');
+  }
+  if (!Array.isArray(holidays) || holidays.some(day => !/^\d{4}-\d{2}-\d{2}$/.test(day))) {
+    throw new Error('Send window holidays must be YYYY-MM-DD dates');
+  }
+
+  return true;
+};
+
+const isSendDay = (parts, window) => (
+  window.days.includes(parts.weekday) && !window.holidays.includes(parts.dateKey)
+);
+
+export const isWithinSendWindow = (date, window = DEFAULT_SEND_WINDOW, timeZone = DEFAULT_TIMEZONE) => {
+  const resolved = { ...DEFAULT_SEND_WINDOW, ...window };
+  const parts = getZonedParts(date, timeZone);
+  return isSendDay(parts, resolved) && parts.hour >= resolved.startHour && parts.hour < resolved.endHour;
+};
+
+// Returns the window the send falls into: the current one if `from` is inside it, otherwise the next one
+export const getNextSendWindow = (from, window = DEFAULT_SEND_WINDOW, timeZone = DEFAULT_TIMEZONE) => {
+  const resolved = { ...DEFAULT_SEND_WINDOW, ...window };
+  const start = new Date(from);
+  const local = getZonedParts(start, timeZone);
+
+  for (let offset = 0; offset <= MAX_LOOKAHEAD_DAYS; offset++) {
+    const parts = getLocalDay(local, offset, timeZone);
+    if (!isSendDay(parts, resolved)) continue;
+
+    const opensAt = zonedTimeToUtc({ ...parts, hour: resolved.startHour, minute: 0 }, timeZone);
+    const closesAt = zonedTimeToUtc({ ...parts, hour: resolved.endHour, minute: 0 }, timeZone);
+
+    if (start < closesAt) {
+      return { opensAt, closesAt, sendAt: start > opensAt ? start : opensAt };
+    }
+  }
+
+  throw new Error('No send window available in the next year');
+};
+
+export const getNextSendTime = (from, window, timeZone) => getNextSendWindow(from, window, timeZone).sendAt;
+
+// Assigns each recipient a send time inside their own window, staggering sends that share a
+// window by intervalSeconds and capping the total per UTC day at dailyLimit
+export const scheduleInSendWindows = (recipients, options = {}) => {
+  const {
+    startAt = new Date(),
+    window = DEFAULT_SEND_WINDOW,
+    intervalSeconds = 90,
+    dailyLimit = Infinity,
+    fallbackTimezone = DEFAULT_TIMEZONE,
+  } = options;
+
+  const windowLoads = new Map();
+  const dayLoads = new Map();
+
+  return recipients.map(recipient => {
+    const timeZone = resolveLeadTimezone(recipient, fallbackTimezone);
+    let from = new Date(startAt);
+
+    for (;;) {
+      const { opensAt, closesAt, sendAt } = getNextSendWindow(from, window, timeZone);
+      const windowKey = `${timeZone}|${opensAt.toISOString()}`;
+      const slot = windowLoads.get(windowKey) || 0;
+      const candidate = new Date(Math.max(sendAt.getTime(), opensAt.getTime() + slot * intervalSeconds * 1000));
+      const dayKey = candidate.toISOString().slice(0, 10);
+
+      if (candidate >= closesAt) {
+        from = closesAt;
+        continue;
+      }
+
+      if ((dayLoads.get(dayKey) || 0) >= dailyLimit) {
+        from = new Date(Date.parse(`${dayKey}T00:00:00.000Z`) + DAY_MS);
+        continue;
+      }
+
+      windowLoads.set(windowKey, slot + 1);
+      dayLoads.set(dayKey, (dayLoads.get(dayKey) || 0) + 1);
+      return { recipient, timeZone, sendAt: candidate };
+    }
+  });
+};
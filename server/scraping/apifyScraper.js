@@ -1 +1,287 @@
-server/scraping/apifyScraper.js
\ No newline at end of file
+server/scraping/apifyScraper.js
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
+
+const APIFY_API_URL = 'https://api.apify.com/v2';
+const DEFAULT_ACTOR_ID = 'apify/website-content-crawler';
+const DATASET_PAGE_SIZE = 250;
+const RUN_POLL_INTERVAL = 5000;
+const RUN_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+const TERMINAL_RUN_STATUSES = ['SUCCEEDED', 'FAILED', 'ABORTED', 'TIMED-OUT'];
+
+const EMAIL_REGEX = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_REGEX = /\+?\d[\d\s().-]{7,}\d/g;
+const PRICE_REGEX = /(?:[$€£]\s?\d[\d,]*(?:\.\d{2})?|\d[\d,]*(?:\.\d{2})?\s?(?:USD|EUR|GBP))/g;
+const URL_REGEX = /https?:\/\/[^\s"'<>)]+/g;
+const DATE_REGEX = /\b(?:\d{4}-\d{2}-\d{2}|\d{1,2}\/\d{1,2}\/\d{2,4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\.? \d{1,2},? \d{4})\b/g;
+
+const unique = (values) => [...new Set(values.filter(Boolean).map(value => value.trim()))];
+
+const matchAll = (text, regex) => (text ? text.match(regex) || [] : []);
+
+// The phone pattern is loose enough to catch ISO dates and order numbers
+const isLikelyPhone = (value) => value.replace(/\D/g, '').length >= 9 && !/^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+
+export const htmlToText = (html = '') => html
+  .replace(/<script[\s\S]*?<\/script>/gi, ' ')
+  .replace(/<style[\s\S]*?<\/style>/gi, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const firstPresent = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+
+// Company actors report headcount as a number or a range such as "51-200"; the lower bound is kept
+const parseHeadcount = (value) => {
+  const parsed = parseInt(String(value ?? '').replace(/,/g, ''), 10);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+const toNameList = (values) => unique((Array.isArray(values) ? values : String(values || '').split(','))
+  .map(value => (typeof value === 'string' ? value : value?.name))
+  .filter(value => typeof value === 'string'));
+
+// Map one raw dataset item (whatever the actor emits) onto the shape
+// normalizeExtractedData in app/hooks/useScraper.js expects
+export const normalizeScrapedItem = (item = {}) => {
+  const text = item.text || item.markdown || (item.html ? htmlToText(item.html) : '') || item.description || '';
+  const emails = unique([...(item.emails || []), ...matchAll(text, EMAIL_REGEX)]);
+  const phones = unique([...(item.phones || []), ...matchAll(text, PHONE_REGEX).filter(isLikelyPhone)]);
+  const sourceUrl = item.url || item.loadedUrl || item.website || null;
+
+  return {
+    source_url: sourceUrl,
+    title: item.title || item.metadata?.title || '',
+    // People-profile actors report the person's role; the relevance scorer reads it for seniority
+    job_title: item.jobTitle || item.job_title || item.position || item.headline || '',
+    text,
+    contact_info: {
+      name: item.fullName || item.name || [item.firstName, item.lastName].filter(Boolean).join(' ') || '',
+      email: item.email || emails[0] || '',
+      phone: item.phone || phones[0] || '',
+      company: item.companyName || item.company || item.organization || '',
+    },
+    // Firmographics under the names the relevance scorer and getCompanySize read
+    industry: firstPresent(item.industry, item.companyIndustry, item.company_industry) || '',
+    employee_count: parseHeadcount(firstPresent(
+      item.employeeCount, item.employee_count, item.employeesCount, item.staffCount,
+      item.companySize, item.company_size, item.headcount,
+    )),
+    location: firstPresent(item.location, item.locationName, item.address?.full, item.addressLine) || '',
+    city: firstPresent(item.city, item.headquarter?.city, item.headquarters?.city, item.address?.city) || '',
+    region: firstPresent(item.region, item.state, item.headquarter?.geographicArea, item.address?.region) || '',
+    country: firstPresent(item.country, item.countryCode, item.headquarter?.country, item.address?.country) || '',
+    technologies: toNameList(firstPresent(item.technologies, item.techStack, item.tech_stack) || []),
+    entities: {
+      products: unique(item.products || []),
+      dates: unique(matchAll(text, DATE_REGEX)),
+      prices: unique(matchAll(text, PRICE_REGEX)),
+      urls: unique([...(item.urls || []), ...matchAll(text, URL_REGEX)]).filter(url => url !== sourceUrl),
+    },
+    emails,
+    phones,
+    scraped_at: item.crawl?.loadedTime || item.scrapedAt || new Date().toISOString(),
+  };
+};
+
+export class ApifyScraper {
+  constructor(options = {}) {
+    this.token = options.token || process.env.APIFY_TOKEN;
+    // live: call Apify; fixture: replay files from fixturesDir; record: call Apify and save to fixturesDir
+    this.mode = options.mode || process.env.SCRAPER_MODE || 'live';
+    this.fixturesDir = options.fixturesDir || process.env.APIFY_FIXTURES_DIR || path.join(process.cwd(), 'fixtures', 'apify');
+    this.pollInterval = options.pollInterval ?? RUN_POLL_INTERVAL;
+    this.runTimeout = options.runTimeout ?? RUN_TIMEOUT;
+  }
+
+  isFixtureMode() {
+    return this.mode === 'fixture';
+  }
+
+  async request(endpoint, options = {}) {
+    if (!this.token) {
+      throw new Error('Apify API token not configured');
+    }
+
+    const response = await fetch(`${APIFY_API_URL}${endpoint}`, {
+      ...options,
+      headers: {
+        'Authorization': `Bearer ${this.token}`,
+        'Content-Type': 'application/json',
+        ...options.headers
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Apify HTTP ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+  }
+
+  delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  // Apify accepts "username~actor" in URLs rather than "username/actor"
+  encodeActorId(actorId) {
+    return encodeURIComponent(actorId.replace('/', '~'));
+  }
+
+  async startRun(actorId, input = {}) {
+    const { data } = await this.request(`/acts/${this.encodeActorId(actorId)}/runs`, {
+      method: 'POST',
+      body: JSON.stringify(input)
+    });
+    return data;
+  }
+
+  async waitForRun(runId) {
+    const startedAt = Date.now();
+
+    while (Date.now() - startedAt < this.runTimeout) {
+      const { data: run } = await this.request(`/actor-runs/${runId}`);
+
+      if (TERMINAL_RUN_STATUSES.includes(run.status)) {
+        if (run.status !== 'SUCCEEDED') {
+          throw new Error(`Apify run ${runId} finished with status ${run.status}`);
+        }
+        return run;
+      }
+
+      await this.delay(this.pollInterval);
+    }
+
+    throw new Error(`Apify run ${runId} did not finish within ${Math.round(this.runTimeout / 1000)}s`);
+  }
+
+  async fetchDatasetItems(datasetId, options = {}) {
+    const { limit = Infinity, pageSize = DATASET_PAGE_SIZE } = options;
+    const items = [];
+
+    for (let offset = 0; items.length < limit; offset += pageSize) {
+      const pageLimit = Math.min(pageSize, limit - items.length);
+      const page = await this.request(
+        `/datasets/${datasetId}/items?clean=true&format=json&offset=${offset}&limit=${pageLimit}`
+      );
+
+      if (!Array.isArray(page) || page.length === 0) break;
+
+      items.push(...page);
+
+      if (page.length < pageLimit) break;
+    }
+
+    return items;
+  }
+
+  getFixtureKey(actorId, input) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(input || {})).digest('hex').substring(0, 12);
+    return { dir: path.join(this.fixturesDir, actorId.replace(/[/~]/g, '__')), hash };
+  }
+
+  // Looks for <actor>/<input-hash>.json first, then any saved .json/.html under the actor folder
+  async loadFixture(actorId, input) {
+    const { dir, hash } = this.getFixtureKey(actorId, input);
+
+    try {
+      const exact = await fs.readFile(path.join(dir, `${hash}.json`), 'utf8');
+      return JSON.parse(exact);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    let files;
+    try {
+      files = (await fs.readdir(dir)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`No fixtures found for actor ${actorId} in ${dir}`);
+      }
+      throw error;
+    }
+
+    const items = [];
+    for (const file of files) {
+      const content = await fs.readFile(path.join(dir, file), 'utf8');
+
+      if (file.endsWith('.json')) {
+        const parsed = JSON.parse(content);
+        items.push(...(Array.isArray(parsed) ? parsed : [parsed]));
+      } else if (file.endsWith('.html') || file.endsWith('.htm')) {
+        const title = content.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        items.push({
+          url: `fixture://${file}`,
+          title: title ? htmlToText(title[1]) : '',
+          html: content,
+          text: htmlToText(content)
+        });
+      }
+    }
+
+    return items;
+  }
+
+  async saveFixture(actorId, input, items) {
+    const { dir, hash } = this.getFixtureKey(actorId, input);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${hash}.json`), JSON.stringify(items, null, 2));
+  }
+
+  async runActor(actorId = DEFAULT_ACTOR_ID, input = {}, options = {}) {
+    if (this.isFixtureMode()) {
+      const items = await this.loadFixture(actorId, input);
+      return options.limit ? items.slice(0, options.limit) : items;
+    }
+
+    const run = await this.startRun(actorId, input);
+    const finishedRun = await this.waitForRun(run.id);
+    const items = await this.fetchDatasetItems(finishedRun.defaultDatasetId, options);
+
+    if (this.mode === 'record') {
+      try {
+        await this.saveFixture(actorId, input, items);
+      } catch (error) {
+        console.warn('Failed to record Apify fixture:', error.message);
+      }
+    }
+
+    return items;
+  }
+
+  async scrape(actorId, input, options = {}) {
+    const items = await this.runActor(actorId, input, options);
+    return items.map(normalizeScrapedItem);
+  }
+
+  // Server-side counterpart of the useScraper hook payload ({ text, context })
+  async scrapeAndExtract({ text, context = '' }, options = {}) {
+    if (!text) {
+      throw new Error('Input text is required for scraping');
+    }
+
+    const urls = unique(matchAll(text, URL_REGEX));
+    const records = urls.length > 0
+      ? await this.scrape(options.actorId || DEFAULT_ACTOR_ID, {
+        startUrls: urls.map(url => ({ url })),
+        maxCrawlPages: options.maxPages || urls.length,
+      }, options)
+      : [normalizeScrapedItem({ text })];
+
+    const [primary = normalizeScrapedItem({ text })] = records;
+
+    return {
+      ...primary,
+      context,
+      records,
+    };
+  }
+}
+
+export default new ApifyScraper();
@@ -1 +1,198 @@
-server/scraping/relevanceScorer.js
\ No newline at end of file
+server/scraping/relevanceScorer.js
+
+import { getCompanySize } from '../../app/utils/scoreCalc';
+
+const DEFAULT_THRESHOLD = 50;
+
+const DEFAULT_WEIGHTS = {
+  industry: 25,
+  headcount: 20,
+  tech: 20,
+  geography: 15,
+  seniority: 20,
+};
+
+const normalizeText = (value) => (value || '').toString().trim().toLowerCase();
+
+const toList = (value) => {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : [value]).map(normalizeText).filter(Boolean);
+};
+
+// Whole-word match so "ai" does not hit "retail" and "cto" does not hit "director"
+const containsTerm = (haystack, term) => {
+  if (!haystack || !term) return false;
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`(^|[^a-z0-9])${escaped}($|[^a-z0-9])`, 'i').test(haystack);
+};
+
+const recordText = (record) => normalizeText([
+  record.title,
+  record.description,
+  record.text,
+].filter(Boolean).join(' '));
+
+const matchIndustry = (record, industries) => {
+  const industryField = normalizeText(record.industry || record.company_industry);
+  const haystack = industryField || recordText(record);
+  const matches = industries.filter(industry => containsTerm(haystack, industry));
+
+  return {
+    matched: matches.length > 0,
+    detail: matches.length > 0
+      ? `Industry matches ${matches.join(', ')}`
+      : `Industry ${industryField ? `"${industryField}" ` : ''}not in ICP`,
+  };
+};
+
+const matchHeadcount = (record, bands) => {
+  const headcount = getCompanySize(record);
+
+  if (headcount === null) {
+    return { matched: false, unknown: true, detail: 'Headcount unknown' };
+  }
+
+  const band = bands.find(b => headcount >= (b.min ?? 0) && headcount <= (b.max ?? Infinity));
+  return {
+    matched: Boolean(band),
+    detail: band
+      ? `Headcount ${headcount} within ${band.min ?? 0}-${band.max ?? '∞'}`
+      : `Headcount ${headcount} outside target bands`,
+  };
+};
+
+const matchTech = (record, keywords) => {
+  const technologies = toList(record.technologies || record.tech_stack).join(' ');
+  const haystack = `${technologies} ${recordText(record)}`;
+  const matches = keywords.filter(keyword => containsTerm(haystack, keyword));
+
+  return {
+    matched: matches.length > 0,
+    // Partial credit: one hit out of five keywords is still a signal
+    ratio: keywords.length > 0 ? Math.min(1, matches.length / Math.min(keywords.length, 3)) : 0,
+    detail: matches.length > 0 ? `Mentions ${matches.join(', ')}` : 'No target technologies mentioned',
+  };
+};
+
+const matchGeography = (record, geographies) => {
+  const locationField = normalizeText([
+    record.location,
+    record.city,
+    record.region,
+    record.country,
+  ].filter(Boolean).join(' '));
+  const haystack = locationField || recordText(record);
+  const matches = geographies.filter(geo => containsTerm(haystack, geo));
+
+  return {
+    matched: matches.length > 0,
+    unknown: !locationField && matches.length === 0,
+    detail: matches.length > 0
+      ? `Located in ${matches.join(', ')}`
+      : locationField ? `Location "${locationField}" outside target geographies` : 'Location unknown',
+  };
+};
+
+// Person fields only: a scraped record's title is the page title, which recordText already
+// feeds to the industry and tech checks
+const matchSeniority = (record, titles) => {
+  const title = normalizeText(record.job_title || record.position || record.headline);
+  const matches = titles.filter(target => containsTerm(title, target));
+
+  return {
+    matched: matches.length > 0,
+    unknown: !title,
+    detail: matches.length > 0
+      ? `Title "${title}" matches ${matches.join(', ')}`
+      : title ? `Title "${title}" below target seniority` : 'Title unknown',
+  };
+};
+
+const CRITERIA = {
+  industry: { icpKey: 'industries', match: (record, icp) => matchIndustry(record, toList(icp.industries)) },
+  headcount: { icpKey: 'headcountBands', match: (record, icp) => matchHeadcount(record, icp.headcountBands) },
+  tech: { icpKey: 'techKeywords', match: (record, icp) => matchTech(record, toList(icp.techKeywords)) },
+  geography: { icpKey: 'geographies', match: (record, icp) => matchGeography(record, toList(icp.geographies)) },
+  seniority: { icpKey: 'seniorityTitles', match: (record, icp) => matchSeniority(record, toList(icp.seniorityTitles)) },
+};
+
+export const validateIcp = (icp = {}) => {
+  const errors = [];
+  const configured = Object.values(CRITERIA).filter(({ icpKey }) => {
+    const value = icp[icpKey];
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+  });
+
+  if (configured.length === 0) {
+    errors.push('ICP must define at least one of: industries, headcountBands, techKeywords, geographies, seniorityTitles');
+  }
+
+  if (icp.headcountBands && !Array.isArray(icp.headcountBands)) {
+    errors.push('headcountBands must be an array of { min, max }');
+  }
+
+  if (icp.threshold !== undefined && (typeof icp.threshold !== 'number' || icp.threshold < 0 || icp.threshold > 100)) {
+    errors.push('threshold must be a number between 0 and 100');
+  }
+
+  return { isValid: errors.length === 0, errors };
+};
+
+export const scoreRelevance = (record, icp = {}) => {
+  const validation = validateIcp(icp);
+  if (!validation.isValid) {
+    throw new Error(`Invalid ICP: ${validation.errors.join(', ')}`);
+  }
+
+  const weights = { ...DEFAULT_WEIGHTS, ...icp.weights };
+  const excluded = toList(icp.excludeKeywords).filter(keyword => containsTerm(recordText(record), keyword));
+  const reasons = [];
+  let earned = 0;
+  let possible = 0;
+
+  Object.entries(CRITERIA).forEach(([criterion, { icpKey, match }]) => {
+    const target = icp[icpKey];
+    if (!target || (Array.isArray(target) && target.length === 0)) return;
+
+    const weight = weights[criterion] || 0;
+    const result = match(record, icp);
+    // Missing data earns half credit so sparse records are not dropped outright
+    const credit = result.matched ? (result.ratio ?? 1) : (result.unknown ? 0.5 : 0);
+    const points = Math.round(weight * credit * 10) / 10;
+
+    earned += points;
+    possible += weight;
+    reasons.push({ criterion, matched: result.matched, points, maxPoints: weight, detail: result.detail });
+  });
+
+  const score = excluded.length > 0 || possible === 0 ? 0 : Math.round((earned / possible) * 100);
+  const threshold = icp.threshold ?? DEFAULT_THRESHOLD;
+
+  if (excluded.length > 0) {
+    reasons.push({ criterion: 'exclude', matched: true, points: 0, maxPoints: 0, detail: `Excluded keyword: ${excluded.join(', ')}` });
+  }
+
+  return {
+    score,
+    relevant: score >= threshold,
+    threshold,
+    reasons,
+  };
+};
+
+// Splits scraped records into those worth inserting into leads and those to drop
+export const filterRelevantRecords = (records = [], icp = {}) => {
+  const kept = [];
+  const dropped = [];
+
+  records.forEach(record => {
+    const relevance = scoreRelevance(record, icp);
+    (relevance.relevant ? kept : dropped).push({ ...record, relevance });
+  });
+
+  kept.sort((a, b) => b.relevance.score - a.relevance.score);
+
+  return { kept, dropped };
+};
+
+export default scoreRelevance;
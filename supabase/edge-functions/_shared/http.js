@@ -0,0 +1,61 @@
+supabase/edge-functions/_shared/http.js
+
+import supabase from '../../../server/lib/supabase.js';
+
+export const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+export const jsonResponse = (data, status = 200) => new Response(JSON.stringify(data), {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+});
+
+export const getRequestUser = async (req) => {
+  const token = req.headers.get('Authorization')?.replace('Bearer ', '');
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await supabase.auth.getUser(token);
+  if (error) {
+    return null;
+  }
+
+  return data.user;
+};
+
+// Wraps a handler so every edge function answers CORS preflight, requires a signed-in
+// user and reports failures as { error } the way the app's invoke() callers expect
+export const createHandler = (handler, options = {}) => async (req) => {
+  const { requireAuth = true } = options;
+
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders });
+  }
+
+  try {
+    const user = await getRequestUser(req);
+    if (requireAuth && !user) {
+      return jsonResponse({ error: 'User not authenticated' }, 401);
+    }
+
+    const body = req.method === 'GET' ? {} : await req.json().catch(() => ({}));
+    const data = await handler(body, { req, user });
+    return jsonResponse(data);
+  } catch (error) {
+    console.error('Edge function error:', error);
+    return jsonResponse({ error: error.message || 'Request failed' }, error.status || 400);
+  }
+};
+
+// Scheduled jobs have no user session; they authenticate with a shared secret instead
+export const assertCronRequest = (req) => {
+  const secret = Deno.env.get('CRON_SECRET');
+  if (!secret || req.headers.get('x-cron-secret') !== secret) {
+    const error = new Error('Invalid cron secret');
+    error.status = 401;
+    throw error;
+  }
+};
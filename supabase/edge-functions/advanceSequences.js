@@ -0,0 +1,11 @@
+supabase/edge-functions/advanceSequences.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, assertCronRequest } from './_shared/http.js';
+import { advanceSequences } from '../../server/functions/sendFollowUp.js';
+
+// Invoked on a schedule; runs the due step of every active sequence enrollment
+serve(createHandler(async (body, { req }) => {
+  assertCronRequest(req);
+  return advanceSequences({ limit: body.limit });
+}, { requireAuth: false }));
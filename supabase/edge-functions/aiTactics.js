@@ -0,0 +1,16 @@
+supabase/edge-functions/aiTactics.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import promptTemplates from '../../server/ai/promptTemplates.js';
+
+// GET or POST {} lists tactics; POST { tacticId, inputs, version? } previews a rendered prompt
+serve(createHandler(async (body) => {
+  await promptTemplates.ensureLoaded();
+
+  if (!body.tacticId) {
+    return { tactics: promptTemplates.listPublic() };
+  }
+
+  return promptTemplates.preview(body.tacticId, body.inputs || {}, { version: body.version });
+}));
@@ -1 +1,21 @@
-supabase/edge-functions/bookMeeting.js
\ No newline at end of file
+supabase/edge-functions/bookMeeting.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { getAvailability, bookMeeting } from '../../server/functions/bookMeeting.js';
+
+// POST { action: 'availability', from?, to?, durationMinutes? }
+// or { action: 'book', startTime, durationMinutes?, attendees, title?, description?, leadId? }.
+// Reps book on their own calendar here; prospects go through the public scheduling-link function.
+serve(createHandler(async (body, { user }) => {
+  const { action = 'availability', ...params } = body;
+
+  switch (action) {
+    case 'availability':
+      return getAvailability(user.id, params);
+    case 'book':
+      return bookMeeting(user.id, params);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}));
@@ -0,0 +1,28 @@
+supabase/edge-functions/caldav.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { handleCalDavRequest } from '../../server/functions/caldav.js';
+
+// Deployed as `caldav` with --no-verify-jwt: calendar apps authenticate with the Basic-auth app
+// password from sync-calendar's `caldav` action, not a Supabase session.
+const BASE_PATH = Deno.env.get('CALDAV_BASE_PATH') || '/functions/v1/caldav';
+
+serve(async (req) => {
+  const url = new URL(req.url);
+  const headers = {};
+  req.headers.forEach((value, name) => {
+    headers[name.toLowerCase()] = value;
+  });
+
+  // The platform may strip the /functions/v1 prefix before the request reaches us
+  const path = url.pathname.startsWith(BASE_PATH) ? url.pathname : url.pathname.replace(/^\/caldav/, BASE_PATH);
+
+  const response = await handleCalDavRequest({
+    method: req.method,
+    path,
+    headers,
+    body: ['GET', 'HEAD', 'OPTIONS', 'DELETE'].includes(req.method) ? '' : await req.text(),
+  }, { basePath: BASE_PATH });
+
+  return new Response(response.body || null, { status: response.status, headers: response.headers });
+});
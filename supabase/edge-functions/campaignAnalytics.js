@@ -0,0 +1,8 @@
+supabase/edge-functions/campaignAnalytics.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { getCampaignAnalytics } from '../../server/functions/emailTracking.js';
+
+// POST { campaignId } -> { sent, uniqueOpens, uniqueClicks, openRate, clickRate, clickToOpenRate, botEvents, topLinks, ... }
+serve(createHandler(async ({ campaignId }, { user }) => getCampaignAnalytics(user.id, campaignId)));
@@ -0,0 +1,11 @@
+supabase/edge-functions/dispatchCampaignSends.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, assertCronRequest } from './_shared/http.js';
+import { dispatchDueCampaignSends } from '../../server/functions/launchCampaign.js';
+
+// Invoked on a schedule; sends every campaign job that has come due
+serve(createHandler(async (body, { req }) => {
+  assertCronRequest(req);
+  return dispatchDueCampaignSends({ limit: body.limit });
+}, { requireAuth: false }));
@@ -0,0 +1,11 @@
+supabase/edge-functions/dispatchReminders.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, assertCronRequest } from './_shared/http.js';
+import { dispatchDueReminders } from '../../server/functions/dispatchReminders.js';
+
+// Invoked every minute; delivers every event reminder that has come due
+serve(createHandler(async (body, { req }) => {
+  assertCronRequest(req);
+  return dispatchDueReminders({ limit: body.limit });
+}, { requireAuth: false }));
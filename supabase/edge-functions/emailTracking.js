@@ -0,0 +1,51 @@
+supabase/edge-functions/emailTracking.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { recordTrackingEvent } from '../../server/functions/emailTracking.js';
+
+// Deployed as `email-tracking` with --no-verify-jwt; EMAIL_TRACKING_URL points at it.
+// GET ?e=open&t=<token> -> 1x1 GIF; GET ?e=click&t=<token> -> 302 to the signed link
+const PIXEL = Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), char => char.charCodeAt(0));
+const NO_STORE = 'no-store, no-cache, must-revalidate, private';
+
+const pixelResponse = () => new Response(PIXEL, {
+  headers: { 'Content-Type': 'image/gif', 'Cache-Control': NO_STORE },
+});
+
+const clientIp = req => (req.headers.get('x-forwarded-for') || '').split(',')[0].trim() || null;
+
+serve(async (req) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    return new Response('Method not allowed', { status: 405 });
+  }
+
+  const params = new URL(req.url).searchParams;
+  const type = params.get('e');
+  let result = null;
+
+  try {
+    result = await recordTrackingEvent({
+      type,
+      token: params.get('t'),
+      userAgent: req.headers.get('user-agent') || '',
+      ip: clientIp(req),
+      method: req.method,
+    });
+  } catch (error) {
+    // A tracking failure must never cost the recipient the image or the link
+    console.error('Email tracking error:', error);
+  }
+
+  if (type === 'open') {
+    return pixelResponse();
+  }
+
+  if (result?.url) {
+    return new Response(null, { status: 302, headers: { Location: result.url, 'Cache-Control': NO_STORE } });
+  }
+
+  return new Response('<!DOCTYPE html><title>Link expired</title><p>This link is not valid.</p>', {
+    status: 404,
+    headers: { 'Content-Type': 'text/html; charset=utf-8' },
+  });
+});
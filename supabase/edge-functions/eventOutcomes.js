@@ -0,0 +1,21 @@
+supabase/edge-functions/eventOutcomes.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { processNoShow, getNoShowReport } from '../../server/functions/eventOutcomes.js';
+
+// Deployed as `event-outcomes`.
+// POST { action: 'rebook', eventId } -> { sent, slots?, results? } after the app marks a no-show
+// POST { action: 'report', from?, to? } -> { from, to, overall, byRep, bySource }
+serve(createHandler(async (body, { user }) => {
+  const { action, ...params } = body;
+
+  switch (action) {
+    case 'rebook':
+      return processNoShow(user.id, params.eventId);
+    case 'report':
+      return getNoShowReport(user.id, params);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}));
@@ -0,0 +1,8 @@
+supabase/edge-functions/generateText.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import generateText from '../../server/functions/generateText.js';
+
+// POST { tacticId, inputs, templateVersion?, leadId?, options? }
+serve(createHandler(async (body, { user }) => generateText(user.id, body)));
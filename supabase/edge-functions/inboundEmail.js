@@ -0,0 +1,42 @@
+supabase/edge-functions/inboundEmail.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { jsonResponse } from './_shared/http.js';
+import { ingestInboundEmail } from '../../server/functions/inboundEmail.js';
+
+// Deployed as `inbound-email` with --no-verify-jwt; point the mail provider's inbound route at
+// .../functions/v1/inbound-email?secret=<INBOUND_EMAIL_SECRET> (or send it as x-webhook-secret).
+// Takes raw MIME (message/rfc822 or text/plain), provider JSON, or Inbound Parse form posts.
+const readPayload = async (req) => {
+  const contentType = (req.headers.get('content-type') || '').toLowerCase();
+
+  if (contentType.includes('application/json')) {
+    return req.json();
+  }
+  if (contentType.includes('multipart/form-data') || contentType.includes('application/x-www-form-urlencoded')) {
+    const form = await req.formData();
+    // Attachments arrive as files; only the text fields are needed
+    return Object.fromEntries([...form.entries()].filter(([, value]) => typeof value === 'string'));
+  }
+  return req.text();
+};
+
+serve(async (req) => {
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  const secret = Deno.env.get('INBOUND_EMAIL_SECRET');
+  const provided = req.headers.get('x-webhook-secret') || new URL(req.url).searchParams.get('secret');
+  if (!secret || provided !== secret) {
+    return jsonResponse({ error: 'Invalid webhook secret' }, 401);
+  }
+
+  try {
+    return jsonResponse(await ingestInboundEmail(await readPayload(req)));
+  } catch (error) {
+    console.error('Inbound email error:', error);
+    // 4xx tells the provider not to retry a message we'll never accept
+    return jsonResponse({ error: error.message || 'Request failed' }, error.status || 500);
+  }
+});
@@ -0,0 +1,37 @@
+supabase/edge-functions/inbox.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import {
+  listConversations,
+  listTeammates,
+  markConversationRead,
+  markConversationUnread,
+  snoozeConversation,
+  assignConversation,
+} from '../../server/functions/inbox.js';
+
+// POST { action: 'list', intent?, campaignId?, owner?, view?, unreadOnly?, before? } -> { conversations, counts, nextCursor }
+// POST { action: 'teammates' } -> [{ id, name, email }]
+// POST { action: 'read' | 'unread', conversationId } / { action: 'snooze', conversationId, until }
+// POST { action: 'assign', conversationId, assigneeId } -> conversation
+serve(createHandler(async (body, { user }) => {
+  const { action, conversationId, ...params } = body;
+
+  switch (action) {
+    case 'list':
+      return listConversations(user.id, params);
+    case 'teammates':
+      return listTeammates(user.id);
+    case 'read':
+      return markConversationRead(user.id, conversationId);
+    case 'unread':
+      return markConversationUnread(user.id, conversationId);
+    case 'snooze':
+      return snoozeConversation(user.id, conversationId, params.until ?? null);
+    case 'assign':
+      return assignConversation(user.id, conversationId, params.assigneeId ?? null);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}));
@@ -0,0 +1,11 @@
+supabase/edge-functions/indexLeads.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, assertCronRequest } from './_shared/http.js';
+import { indexPendingLeads } from '../../server/functions/searchLeads.js';
+
+// Invoked every five minutes; embeds new and edited leads so semantic search can find them
+serve(createHandler(async (body, { req }) => {
+  assertCronRequest(req);
+  return indexPendingLeads({ limit: body.limit });
+}, { requireAuth: false }));
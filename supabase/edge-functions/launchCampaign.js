@@ -0,0 +1,8 @@
+supabase/edge-functions/launchCampaign.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { launchCampaign } from '../../server/functions/launchCampaign.js';
+
+// POST { campaignId } -> { campaignId, status, scheduled, alreadyScheduled, skipped }
+serve(createHandler(async ({ campaignId }, { user }) => launchCampaign(user.id, campaignId)));
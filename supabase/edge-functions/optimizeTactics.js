@@ -0,0 +1,19 @@
+supabase/edge-functions/optimizeTactics.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { recommendTactic, recordTacticSend } from '../../server/functions/optimizeTactics.js';
+
+// POST { action: 'recommend', leadId?, tacticIds? } or { action: 'record-send', leadId, tacticId, variant?, generationId?, messageId? }
+serve(createHandler(async (body, { user }) => {
+  const { action = 'recommend', ...params } = body;
+
+  switch (action) {
+    case 'recommend':
+      return recommendTactic(user.id, params);
+    case 'record-send':
+      return recordTacticSend(user.id, params);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}));
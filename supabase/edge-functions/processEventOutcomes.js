@@ -0,0 +1,11 @@
+supabase/edge-functions/processEventOutcomes.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, assertCronRequest } from './_shared/http.js';
+import { processEventOutcomes } from '../../server/functions/eventOutcomes.js';
+
+// Invoked every 15 minutes; asks reps about demos that have ended and retries unsent rebooking emails
+serve(createHandler(async (body, { req }) => {
+  assertCronRequest(req);
+  return processEventOutcomes();
+}, { requireAuth: false }));
@@ -0,0 +1,22 @@
+supabase/edge-functions/resendWebhook.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { jsonResponse } from './_shared/http.js';
+import { handleResendWebhook } from '../../server/functions/emailWebhooks.js';
+
+// Deployed as `resend-webhook` with --no-verify-jwt; subscribe it in Resend to email.sent,
+// email.delivered, email.delivery_delayed, email.bounced and email.complained, and set
+// RESEND_WEBHOOK_SECRET to the endpoint's signing secret (whsec_...).
+serve(async (req) => {
+  if (req.method !== 'POST') {
+    return jsonResponse({ error: 'Method not allowed' }, 405);
+  }
+
+  try {
+    // The signature covers the raw body, so it's read as text and parsed after verification
+    return jsonResponse(await handleResendWebhook(await req.text(), req.headers));
+  } catch (error) {
+    console.error('Resend webhook error:', error);
+    return jsonResponse({ error: error.message || 'Request failed' }, error.status || 500);
+  }
+});
@@ -0,0 +1,62 @@
+supabase/edge-functions/schedulingLink.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, corsHeaders } from './_shared/http.js';
+import {
+  getOrCreateSchedulingLink,
+  getLinkDetails,
+  getLinkAvailability,
+  bookFromLink,
+} from '../../server/functions/schedulingLink.js';
+import { renderBookingPage } from '../../server/scheduling/bookingPage.js';
+
+// Public: deploy with --no-verify-jwt so prospects can open the link without a Supabase session.
+// POST { action: 'link' } (signed-in rep) -> { slug, url }
+// POST { slug, action: 'details' | 'availability' | 'book', ... } for the booking page
+const handleApi = createHandler(async (body, { user }) => {
+  const { action, slug, ...params } = body;
+
+  switch (action) {
+    case 'link':
+      if (!user) {
+        const error = new Error('User not authenticated');
+        error.status = 401;
+        throw error;
+      }
+      return getOrCreateSchedulingLink(user.id);
+    case 'details':
+      return getLinkDetails(slug);
+    case 'availability':
+      return getLinkAvailability(slug, params);
+    case 'book':
+      return bookFromLink(slug, params);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}, { requireAuth: false });
+
+const htmlResponse = (html, status = 200) => new Response(html, {
+  status,
+  headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' },
+});
+
+serve(async (req) => {
+  if (req.method !== 'GET') {
+    return handleApi(req);
+  }
+
+  const { searchParams } = new URL(req.url);
+  const slug = searchParams.get('slug');
+  try {
+    const details = await getLinkDetails(slug);
+    return htmlResponse(renderBookingPage({
+      slug,
+      ...details,
+      rebook: searchParams.get('rebook'),
+      start: searchParams.get('start'),
+      duration: searchParams.get('duration'),
+    }));
+  } catch (error) {
+    return htmlResponse('<!DOCTYPE html><title>Not found</title><p>This booking link is not available.</p>', error.status || 404);
+  }
+});
@@ -0,0 +1,9 @@
+supabase/edge-functions/scrapeAndExtract.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { scrapeAndExtract } from '../../server/functions/scrapeAndExtract.js';
+
+// POST { text, context?, icp? }: crawls the URLs in text and returns { contact_info, entities, records, dropped?, ... }.
+// Without icp the ideal customer profile saved in the caller's preferences filters the records.
+serve(createHandler(async (body, { user }) => scrapeAndExtract(user.id, body)));
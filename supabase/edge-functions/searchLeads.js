@@ -0,0 +1,17 @@
+supabase/edge-functions/searchLeads.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { searchLeads, findSimilarLeads } from '../../server/functions/searchLeads.js';
+
+// POST { query, status?, minScore?, limit? } for free-text search,
+// or { leadId, status?, minScore?, limit? } for "more like this"
+serve(createHandler(async (body, { user }) => {
+  const { leadId, query, ...filters } = body;
+
+  const leads = leadId
+    ? await findSimilarLeads(user.id, leadId, filters)
+    : await searchLeads(user.id, { query, ...filters });
+
+  return { leads };
+}));
@@ -0,0 +1,19 @@
+supabase/edge-functions/sequences.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler } from './_shared/http.js';
+import { createSequence, enrollLeads } from '../../server/functions/sendFollowUp.js';
+
+// POST { action: 'create', name, steps } or { action: 'enroll', sequenceId, leadIds }
+serve(createHandler(async (body, { user }) => {
+  const { action, ...params } = body;
+
+  switch (action) {
+    case 'create':
+      return createSequence(user.id, params);
+    case 'enroll':
+      return enrollLeads(user.id, params.sequenceId, params.leadIds);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}));
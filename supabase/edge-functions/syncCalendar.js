@@ -0,0 +1,82 @@
+supabase/edge-functions/syncCalendar.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, corsHeaders } from './_shared/http.js';
+import {
+  exportCalendar,
+  importCalendar,
+  importCalendarFromUrl,
+  getOrCreateFeedToken,
+  exportFeed,
+  sendEventInvite,
+} from '../../server/functions/calendarIcs.js';
+import { createCalDavToken } from '../../server/functions/caldav.js';
+
+// Deployed as `sync-calendar`. Deploy with --no-verify-jwt so calendar apps can poll the feed URL.
+// POST { action: 'export', from?, to?, eventIds? } -> { ics }
+// POST { action: 'import', ics } -> { created, updated, skipped }
+// POST { action: 'sync', provider: 'ics', credentials: { url } } -> { created, updated, skipped, count }
+// POST { action: 'feed' } -> { token, url }
+// POST { action: 'invite', eventId, method? } -> { uid, sequence, results }
+// POST { action: 'caldav' } -> { url, username, password } (a new password revokes the previous one)
+// GET ?token=... -> text/calendar feed
+const handleApi = createHandler(async (body, { user }) => {
+  if (!user) {
+    const error = new Error('User not authenticated');
+    error.status = 401;
+    throw error;
+  }
+
+  const { action, ...params } = body;
+
+  switch (action) {
+    case 'export':
+      return { ics: await exportCalendar(user.id, params) };
+    case 'import':
+      return importCalendar(user.id, params.ics);
+    case 'sync': {
+      if (params.provider !== 'ics') {
+        throw new Error(`Unsupported calendar provider: ${params.provider}`);
+      }
+      const summary = await importCalendarFromUrl(user.id, params.credentials?.url);
+      return { ...summary, count: summary.created + summary.updated };
+    }
+    case 'feed': {
+      const token = await getOrCreateFeedToken(user.id);
+      const url = new URL(Deno.env.get('SUPABASE_URL'));
+      url.pathname = '/functions/v1/sync-calendar';
+      url.searchParams.set('token', token);
+      return { token, url: url.toString() };
+    }
+    case 'invite':
+      return sendEventInvite(user.id, params.eventId, { method: params.method });
+    case 'caldav': {
+      const credentials = await createCalDavToken(user.id);
+      const url = new URL(Deno.env.get('SUPABASE_URL'));
+      url.pathname = '/functions/v1/caldav/';
+      return { url: url.toString(), ...credentials };
+    }
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}, { requireAuth: false });
+
+serve(async (req) => {
+  if (req.method !== 'GET') {
+    return handleApi(req);
+  }
+
+  const token = new URL(req.url).searchParams.get('token');
+  try {
+    const ics = await exportFeed(token);
+    return new Response(ics, {
+      headers: {
+        ...corsHeaders,
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="vopex.ics"',
+      },
+    });
+  } catch (error) {
+    return new Response('Calendar feed not found', { status: error.status || 500, headers: corsHeaders });
+  }
+});
@@ -0,0 +1,72 @@
+supabase/edge-functions/teamBooking.js
+
+import { serve } from 'https://deno.land/std@0.168.0/http/server.ts';
+import { createHandler, corsHeaders } from './_shared/http.js';
+import {
+  createBookingPool,
+  listPoolInvites,
+  respondToPoolInvite,
+  getPoolDetails,
+  getPoolAvailability,
+  bookPoolMeeting,
+  getRoutingReport,
+} from '../../server/functions/routeMeeting.js';
+import { renderBookingPage } from '../../server/scheduling/bookingPage.js';
+
+const requireUser = (user) => {
+  if (!user) {
+    const error = new Error('User not authenticated');
+    error.status = 401;
+    throw error;
+  }
+};
+
+// Public like scheduling-link: deploy with --no-verify-jwt.
+// Managers: POST { action: 'create-pool', name, slug, strategy, members } or { action: 'report', poolId, from?, to? }
+// Reps: POST { action: 'invites' } or { action: 'respond-invite', poolId, accept }
+// Prospects: GET ?slug=... for the page, POST { slug, action: 'details' | 'availability' | 'book', ... }
+const handleApi = createHandler(async (body, { user }) => {
+  const { action, slug, ...params } = body;
+
+  switch (action) {
+    case 'create-pool':
+      requireUser(user);
+      return createBookingPool(user.id, { slug, ...params });
+    case 'report':
+      requireUser(user);
+      return getRoutingReport(user.id, params.poolId, params);
+    case 'invites':
+      requireUser(user);
+      return listPoolInvites(user.id);
+    case 'respond-invite':
+      requireUser(user);
+      return respondToPoolInvite(user.id, params.poolId, params.accept === true);
+    case 'details':
+      return getPoolDetails(slug);
+    case 'availability':
+      return getPoolAvailability(slug, params);
+    case 'book':
+      return bookPoolMeeting(slug, params);
+    default:
+      throw new Error(`Unknown action: ${action}`);
+  }
+}, { requireAuth: false });
+
+serve(async (req) => {
+  if (req.method !== 'GET') {
+    return handleApi(req);
+  }
+
+  const slug = new URL(req.url).searchParams.get('slug');
+  try {
+    const details = await getPoolDetails(slug);
+    return new Response(renderBookingPage({ slug, ...details }), {
+      headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' },
+    });
+  } catch (error) {
+    return new Response('<!DOCTYPE html><title>Not found</title><p>This booking page is not available.</p>', {
+      status: error.status || 404,
+      headers: { ...corsHeaders, 'Content-Type': 'text/html; charset=utf-8' },
+    });
+  }
+});
@@ -1 +1,941 @@
-supabase/schema.sql
\ No newline at end of file
+supabase/schema.sql
+
+-- Lead scoring
+alter table leads add column if not exists score integer default 0;
+alter table leads add column if not exists priority text check (priority in ('low', 'medium', 'high'));
+alter table leads add column if not exists score_breakdown jsonb;
+alter table leads add column if not exists scored_at timestamptz;
+
+create table if not exists lead_events (
+  id uuid primary key default gen_random_uuid(),
+  lead_id uuid not null references leads(id) on delete cascade,
+  event_type text not null,
+  campaign_id uuid,
+  message_id uuid,
+  metadata jsonb default '{}'::jsonb,
+  occurred_at timestamptz not null default now()
+);
+
+create index if not exists lead_events_lead_id_idx on lead_events (lead_id, occurred_at desc);
+
+-- Scoring models: named weight profiles per owner or team, versioned and immutable once saved
+create table if not exists scoring_models (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  version integer not null,
+  weights jsonb not null default '{}'::jsonb,
+  config jsonb not null default '{}'::jsonb,
+  is_active boolean not null default false,
+  created_at timestamptz not null default now(),
+  activated_at timestamptz
+);
+
+create table if not exists scoring_model_activations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  model_id uuid not null references scoring_models(id) on delete cascade,
+  model_version integer not null,
+  previous_model_id uuid references scoring_models(id) on delete set null,
+  previous_model_version integer,
+  before_distribution jsonb,
+  after_distribution jsonb,
+  activated_at timestamptz not null default now()
+);
+
+alter table leads add column if not exists score_model_id text;
+alter table leads add column if not exists score_model_version integer;
+
+-- Scoring teams: a manager's shared models. Reps join by setting
+-- user_preferences.preferences.scoring_team_id; a model with a team_id scores the leads of the
+-- owner and every member without a personal active model.
+create table if not exists scoring_teams (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists scoring_teams_owner_idx on scoring_teams (owner_id);
+
+-- Versions and the one active model are counted per owner for personal models, per team for team ones
+alter table scoring_models add column if not exists team_id uuid references scoring_teams(id) on delete cascade;
+alter table scoring_model_activations add column if not exists team_id uuid references scoring_teams(id) on delete cascade;
+
+-- Per-owner constraints from before team models
+alter table scoring_models drop constraint if exists scoring_models_user_id_name_version_key;
+drop index if exists scoring_models_one_active_idx;
+
+create unique index if not exists scoring_models_user_version_idx
+  on scoring_models (user_id, name, version) where team_id is null;
+create unique index if not exists scoring_models_team_version_idx
+  on scoring_models (team_id, name, version) where team_id is not null;
+create unique index if not exists scoring_models_one_active_user_idx
+  on scoring_models (user_id) where is_active and team_id is null;
+create unique index if not exists scoring_models_one_active_team_idx
+  on scoring_models (team_id) where is_active and team_id is not null;
+
+-- Swaps the active model of the model's scope in one transaction, so a failure can't leave the
+-- owner or team with no active model; the advisory lock serializes activations per scope
+create or replace function activate_scoring_model(p_model_id uuid)
+returns scoring_models
+language plpgsql
+as $$
+declare
+  v_model scoring_models;
+begin
+  select * into v_model from scoring_models where id = p_model_id;
+  if not found then
+    raise exception 'SCORING_MODEL_NOT_FOUND';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext(coalesce(v_model.team_id, v_model.user_id)::text));
+
+  update scoring_models
+  set is_active = false
+  where is_active
+    and id <> p_model_id
+    and (
+      (v_model.team_id is null and team_id is null and user_id = v_model.user_id)
+      or (v_model.team_id is not null and team_id = v_model.team_id)
+    );
+
+  update scoring_models
+  set is_active = true, activated_at = now()
+  where id = p_model_id
+  returning * into v_model;
+
+  return v_model;
+end;
+$$;
+
+-- Semantic lead search
+create extension if not exists vector;
+
+alter table leads add column if not exists embedding vector(384);
+alter table leads add column if not exists embedding_hash text;
+alter table leads add column if not exists embedding_model text;
+alter table leads add column if not exists embedded_at timestamptz;
+
+create index if not exists leads_embedding_idx on leads using hnsw (embedding vector_cosine_ops);
+create index if not exists leads_pending_embedding_idx on leads (created_at) where embedded_at is null;
+
+-- Any change to the text a lead is embedded from queues it for the index-leads job. Read through
+-- jsonb so the profile columns a deployment doesn't have are simply null.
+create or replace function mark_lead_for_reindex()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_field text;
+begin
+  foreach v_field in array array['name', 'title', 'position', 'job_title', 'company', 'industry', 'location',
+    'company_description', 'description', 'notes'] loop
+    if to_jsonb(new) -> v_field is distinct from to_jsonb(old) -> v_field then
+      new.embedded_at := null;
+      exit;
+    end if;
+  end loop;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists leads_mark_for_reindex on leads;
+create trigger leads_mark_for_reindex
+  before update on leads
+  for each row execute function mark_lead_for_reindex();
+
+create or replace function match_leads(
+  query_embedding vector(384),
+  embedding_model_id text,
+  owner_id uuid,
+  filter_status text[] default null,
+  min_score integer default null,
+  exclude_lead_id uuid default null,
+  match_count integer default 20
+)
+returns table (
+  id uuid,
+  name text,
+  company text,
+  email text,
+  score integer,
+  status text,
+  created_at timestamptz,
+  similarity double precision
+)
+language sql stable
+as $$
+  select
+    l.id, l.name, l.company, l.email, l.score, l.status, l.created_at,
+    1 - (l.embedding <=> query_embedding) as similarity
+  from leads l
+  where l.embedding is not null
+    and l.embedding_model = embedding_model_id
+    and l.user_id = owner_id
+    and (filter_status is null or l.status = any(filter_status))
+    and (min_score is null or l.score >= min_score)
+    and (exclude_lead_id is null or l.id <> exclude_lead_id)
+  order by l.embedding <=> query_embedding
+  limit match_count;
+$$;
+
+-- Prompt template registry (overrides the built-ins in server/ai/promptTemplates.js)
+create table if not exists prompt_templates (
+  id text not null,
+  version integer not null,
+  name text not null,
+  description text,
+  template text not null,
+  input_fields jsonb not null default '[]'::jsonb,
+  status text not null default 'draft' check (status in ('draft', 'published', 'archived')),
+  created_at timestamptz not null default now(),
+  primary key (id, version)
+);
+
+-- Server-side text generation log
+create table if not exists ai_generations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  lead_id uuid references leads(id) on delete set null,
+  tactic_id text not null,
+  template_version integer,
+  model text,
+  status text not null check (status in ('success', 'failed')),
+  error_code text,
+  prompt_tokens integer,
+  completion_tokens integer,
+  fallback_used boolean default false,
+  created_at timestamptz not null default now()
+);
+
+-- Tactic optimizer (Thompson sampling over tactic/variant arms per segment)
+create table if not exists tactic_sends (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  lead_id uuid not null references leads(id) on delete cascade,
+  tactic_id text not null,
+  variant integer not null default 1,
+  segment_keys text[] not null,
+  generation_id uuid references ai_generations(id) on delete set null,
+  message_id uuid,
+  sent_at timestamptz not null default now(),
+  replied_at timestamptz,
+  meeting_booked_at timestamptz
+);
+
+create index if not exists tactic_sends_lead_idx on tactic_sends (lead_id, sent_at desc);
+
+-- Each rep's bandit learns from their own sends only
+create table if not exists tactic_arm_stats (
+  user_id uuid not null references auth.users(id) on delete cascade,
+  segment_key text not null,
+  tactic_id text not null,
+  variant integer not null,
+  sends integer not null default 0,
+  replies integer not null default 0,
+  meetings integer not null default 0,
+  updated_at timestamptz not null default now(),
+  primary key (user_id, segment_key, tactic_id, variant)
+);
+
+create or replace function increment_tactic_arm_stats(
+  p_user_id uuid,
+  p_segment_key text,
+  p_tactic_id text,
+  p_variant integer,
+  p_sends integer default 0,
+  p_replies integer default 0,
+  p_meetings integer default 0
+)
+returns void
+language sql
+as $$
+  insert into tactic_arm_stats (user_id, segment_key, tactic_id, variant, sends, replies, meetings)
+  values (p_user_id, p_segment_key, p_tactic_id, p_variant, p_sends, p_replies, p_meetings)
+  on conflict (user_id, segment_key, tactic_id, variant) do update set
+    sends = tactic_arm_stats.sends + excluded.sends,
+    replies = tactic_arm_stats.replies + excluded.replies,
+    meetings = tactic_arm_stats.meetings + excluded.meetings,
+    updated_at = now();
+$$;
+
+-- Campaign launch: audience and content live on the campaign, one send job per (campaign, lead)
+alter table campaigns add column if not exists audience_filter jsonb default '{}'::jsonb;
+alter table campaigns add column if not exists email_subject text;
+alter table campaigns add column if not exists email_html text;
+alter table campaigns add column if not exists email_text text;
+alter table campaigns add column if not exists daily_send_limit integer;
+alter table campaigns add column if not exists launched_at timestamptz;
+alter table leads add column if not exists unsubscribed_at timestamptz;
+
+create table if not exists campaign_sends (
+  id uuid primary key default gen_random_uuid(),
+  campaign_id uuid not null references campaigns(id) on delete cascade,
+  lead_id uuid not null references leads(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  status text not null default 'scheduled'
+    check (status in ('scheduled', 'sending', 'sent', 'failed', 'skipped')),
+  scheduled_for timestamptz not null,
+  sent_at timestamptz,
+  provider_message_id text,
+  error text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (campaign_id, lead_id)
+);
+
+create index if not exists campaign_sends_due_idx
+  on campaign_sends (scheduled_for) where status = 'scheduled';
+
+-- Outbound sequences: ordered steps (jsonb) with per-lead enrollments advanced by a scheduler
+create table if not exists sequences (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  steps jsonb not null default '[]'::jsonb,
+  status text not null default 'active' check (status in ('active', 'paused', 'archived')),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists sequence_enrollments (
+  id uuid primary key default gen_random_uuid(),
+  sequence_id uuid not null references sequences(id) on delete cascade,
+  lead_id uuid not null references leads(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  status text not null default 'active' check (status in ('active', 'completed', 'exited')),
+  current_step integer not null default 0,
+  attempts integer not null default 0,
+  exit_reason text,
+  enrolled_at timestamptz not null default now(),
+  last_step_at timestamptz,
+  next_run_at timestamptz,
+  completed_at timestamptz,
+  unique (sequence_id, lead_id)
+);
+
+create index if not exists sequence_enrollments_due_idx
+  on sequence_enrollments (next_run_at) where status = 'active';
+
+alter table leads add column if not exists sequence_status text;
+alter table leads add column if not exists last_sequence_outcome jsonb;
+
+-- Send windows: { days, startHour, endHour, holidays } in each recipient's local time
+alter table campaigns add column if not exists send_window jsonb;
+alter table sequences add column if not exists send_window jsonb;
+alter table campaign_sends add column if not exists timezone text;
+alter table leads add column if not exists timezone text;
+alter table leads add column if not exists location text;
+alter table leads add column if not exists company_location text;
+
+-- Meeting booking: per-rep working hours and buffers, and an atomic booking function
+create table if not exists booking_settings (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  timezone text not null default 'UTC',
+  working_hours jsonb,
+  buffer_before_minutes integer not null default 10,
+  buffer_after_minutes integer not null default 10,
+  slot_interval_minutes integer not null default 30,
+  min_notice_minutes integer not null default 120,
+  durations integer[] not null default '{15,30,45,60}',
+  updated_at timestamptz not null default now()
+);
+
+alter table calendar_events add column if not exists lead_id uuid references leads(id) on delete set null;
+
+-- Serializes bookings per rep with an advisory lock, so the overlap check and the insert can't race
+create or replace function book_meeting(
+  p_user_id uuid,
+  p_start timestamptz,
+  p_end timestamptz,
+  p_buffer_before integer,
+  p_buffer_after integer,
+  p_title text,
+  p_description text,
+  p_location text,
+  p_lead_id uuid,
+  p_attendees jsonb
+)
+returns calendar_events
+language plpgsql
+as $$
+declare
+  v_event calendar_events;
+begin
+  perform pg_advisory_xact_lock(hashtext(p_user_id::text));
+
+  if exists (
+    select 1 from calendar_events
+    where user_id = p_user_id
+      and status = 'scheduled'
+      and start_time < p_end + make_interval(mins => p_buffer_after)
+      and end_time > p_start - make_interval(mins => p_buffer_before)
+  ) then
+    raise exception 'SLOT_UNAVAILABLE';
+  end if;
+
+  insert into calendar_events (
+    user_id, title, description, location, start_time, end_time,
+    event_type, status, sync_status, lead_id, created_at, updated_at
+  )
+  values (
+    p_user_id, p_title, p_description, p_location, p_start, p_end,
+    'meeting', 'scheduled', 'pending', p_lead_id, now(), now()
+  )
+  returning * into v_event;
+
+  insert into event_attendees (event_id, email, name, status, created_at)
+  select v_event.id, attendee->>'email', attendee->>'name', 'accepted', now()
+  from jsonb_array_elements(p_attendees) as attendee;
+
+  return v_event;
+end;
+$$;
+
+-- Public scheduling links: one shareable slug per rep
+alter table booking_settings add column if not exists link_slug text unique;
+alter table booking_settings add column if not exists link_enabled boolean not null default true;
+alter table leads add column if not exists source text;
+
+-- Team booking pools: routed across reps, with every decision kept for fairness audits
+create table if not exists booking_pools (
+  id uuid primary key default gen_random_uuid(),
+  owner_id uuid not null references auth.users(id) on delete cascade,
+  name text not null,
+  slug text not null unique,
+  strategy text not null default 'round_robin'
+    check (strategy in ('round_robin', 'weighted', 'owner_first')),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists booking_pool_members (
+  pool_id uuid not null references booking_pools(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  weight numeric not null default 1 check (weight > 0),
+  daily_cap integer check (daily_cap > 0),
+  active boolean not null default true,
+  assigned_count integer not null default 0,
+  last_assigned_at timestamptz,
+  primary key (pool_id, user_id)
+);
+
+-- Reps other than the owner join a pool by accepting an invite; existing rows have to be accepted too
+alter table booking_pool_members add column if not exists status text not null default 'invited'
+  check (status in ('invited', 'accepted', 'declined'));
+alter table booking_pool_members add column if not exists invited_at timestamptz not null default now();
+alter table booking_pool_members add column if not exists responded_at timestamptz;
+update booking_pool_members m set status = 'accepted', responded_at = now()
+  from booking_pools p
+  where p.id = m.pool_id and p.owner_id = m.user_id and m.status = 'invited';
+
+create index if not exists booking_pool_members_user_idx on booking_pool_members (user_id, status);
+
+-- Counts a routed meeting towards round-robin; incremented in place so concurrent bookings both count
+create or replace function record_pool_assignment(p_pool_id uuid, p_user_id uuid)
+returns void
+language sql
+as $$
+  update booking_pool_members
+  set assigned_count = assigned_count + 1, last_assigned_at = now()
+  where pool_id = p_pool_id and user_id = p_user_id;
+$$;
+
+create table if not exists routing_decisions (
+  id uuid primary key default gen_random_uuid(),
+  pool_id uuid not null references booking_pools(id) on delete cascade,
+  strategy text not null,
+  lead_id uuid references leads(id) on delete set null,
+  owner_user_id uuid,
+  chosen_user_id uuid,
+  calendar_event_id uuid references calendar_events(id) on delete set null,
+  slot_start timestamptz not null,
+  reason text not null,
+  candidates jsonb not null default '[]'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists routing_decisions_pool_idx on routing_decisions (pool_id, created_at desc);
+
+-- iCalendar import/export: stable UIDs for imported events, organizer mapping and subscribable feeds
+alter table calendar_events add column if not exists ical_uid text;
+alter table calendar_events add column if not exists ical_sequence integer not null default 0;
+alter table calendar_events add column if not exists organizer_email text;
+alter table calendar_events add column if not exists organizer_name text;
+
+create unique index if not exists calendar_events_ical_uid_idx on calendar_events (user_id, ical_uid) where ical_uid is not null;
+
+create table if not exists calendar_feeds (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  token text not null unique,
+  created_at timestamptz not null default now()
+);
+
+-- Recurring series: one row per series, expanded on read. EXDATEs live on the series row and
+-- single-occurrence overrides are rows pointing back at it, keyed by the occurrence's original start.
+alter table calendar_events add column if not exists recurrence_exdates jsonb not null default '[]'::jsonb;
+alter table calendar_events add column if not exists recurrence_end timestamptz;
+alter table calendar_events add column if not exists recurrence_parent_id uuid references calendar_events(id) on delete cascade;
+alter table calendar_events add column if not exists recurrence_id timestamptz;
+
+create unique index if not exists calendar_events_override_idx
+  on calendar_events (recurrence_parent_id, recurrence_id) where recurrence_parent_id is not null;
+create index if not exists calendar_events_series_idx
+  on calendar_events (user_id, start_time) where recurring and recurrence_parent_id is null;
+
+-- CalDAV: per-rep app passwords (hashed), client-chosen resource names, and a change log per rep
+-- that sync-collection tokens point into. Overrides, attendees and reminders count as changes to
+-- their series' resource; reminder rows that only flip is_sent don't.
+create table if not exists caldav_tokens (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+alter table calendar_events add column if not exists caldav_name text;
+
+create unique index if not exists calendar_events_caldav_name_idx
+  on calendar_events (user_id, caldav_name) where caldav_name is not null;
+
+create table if not exists calendar_changes (
+  id bigserial primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  resource_name text not null,
+  change_type text not null check (change_type in ('upsert', 'delete')),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists calendar_changes_user_idx on calendar_changes (user_id, id);
+
+create or replace function record_calendar_change()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_event_id uuid;
+  v_event calendar_events;
+begin
+  if tg_table_name = 'calendar_events' then
+    if tg_op = 'DELETE' then
+      if old.recurrence_parent_id is null then
+        if not coalesce(old.is_recurring_instance, false) then
+          insert into calendar_changes (user_id, resource_name, change_type)
+          values (old.user_id, coalesce(old.caldav_name, old.id::text || '.ics'), 'delete');
+        end if;
+        return null;
+      end if;
+      v_event_id := old.recurrence_parent_id;
+    else
+      v_event_id := coalesce(new.recurrence_parent_id, new.id);
+    end if;
+  elsif tg_op = 'DELETE' then
+    v_event_id := old.event_id;
+  elsif tg_table_name = 'event_reminders' and tg_op = 'UPDATE'
+    and (new.reminder_time, new.reminder_type, new.message) is not distinct from (old.reminder_time, old.reminder_type, old.message) then
+    return null;
+  else
+    v_event_id := new.event_id;
+  end if;
+
+  select * into v_event from calendar_events where id = v_event_id;
+  if found and v_event.recurrence_parent_id is not null then
+    select * into v_event from calendar_events where id = v_event.recurrence_parent_id;
+  end if;
+
+  -- Nothing to record once the series itself is gone (cascaded deletes) or for legacy materialized instances
+  if found and not coalesce(v_event.is_recurring_instance, false) then
+    insert into calendar_changes (user_id, resource_name, change_type)
+    values (v_event.user_id, coalesce(v_event.caldav_name, v_event.id::text || '.ics'), 'upsert');
+  end if;
+
+  return null;
+end;
+$$;
+
+drop trigger if exists calendar_events_caldav_changes on calendar_events;
+create trigger calendar_events_caldav_changes
+  after insert or update or delete on calendar_events
+  for each row execute function record_calendar_change();
+
+drop trigger if exists event_attendees_caldav_changes on event_attendees;
+create trigger event_attendees_caldav_changes
+  after insert or update or delete on event_attendees
+  for each row execute function record_calendar_change();
+
+drop trigger if exists event_reminders_caldav_changes on event_reminders;
+create trigger event_reminders_caldav_changes
+  after insert or update or delete on event_reminders
+  for each row execute function record_calendar_change();
+
+-- Reminder delivery: a cron job sends due event_reminders by push, email or in-app notification
+-- (reminder_type is the channel; 'notification' means push) and logs every attempt
+alter table event_reminders add column if not exists status text not null default 'pending'
+  check (status in ('pending', 'sending', 'sent', 'failed', 'skipped'));
+alter table event_reminders add column if not exists attempts integer not null default 0;
+alter table event_reminders add column if not exists last_error text;
+alter table event_reminders add column if not exists sent_at timestamptz;
+
+update event_reminders set status = 'sent' where is_sent and status = 'pending';
+
+create index if not exists event_reminders_due_idx on event_reminders (reminder_time) where status = 'pending';
+
+create table if not exists push_tokens (
+  token text primary key,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  platform text,
+  created_at timestamptz not null default now(),
+  last_seen_at timestamptz not null default now()
+);
+
+create index if not exists push_tokens_user_idx on push_tokens (user_id);
+
+create table if not exists notifications (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  type text not null,
+  title text not null,
+  body text,
+  data jsonb not null default '{}'::jsonb,
+  read_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists notifications_user_idx on notifications (user_id, created_at desc);
+
+create table if not exists reminder_deliveries (
+  id uuid primary key default gen_random_uuid(),
+  reminder_id uuid not null references event_reminders(id) on delete cascade,
+  event_id uuid not null references calendar_events(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  channel text not null,
+  occurrence_start timestamptz not null,
+  status text not null check (status in ('sent', 'failed', 'skipped')),
+  provider_message_id text,
+  error text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists reminder_deliveries_reminder_idx on reminder_deliveries (reminder_id, created_at desc);
+
+-- Rescheduling shifts an event's reminders by the same amount, whichever path moved it (app, CalDAV,
+-- booking). Reminders that already went out are re-armed when their new time is still ahead.
+create or replace function replan_event_reminders()
+returns trigger
+language plpgsql
+as $$
+declare
+  v_shift interval := new.start_time - old.start_time;
+begin
+  if v_shift = interval '0' then
+    return null;
+  end if;
+
+  update event_reminders
+  set reminder_time = reminder_time + v_shift,
+      status = case when reminder_time + v_shift > now() then 'pending' else status end,
+      is_sent = case when reminder_time + v_shift > now() then false else is_sent end,
+      attempts = case when reminder_time + v_shift > now() then 0 else attempts end,
+      last_error = case when reminder_time + v_shift > now() then null else last_error end
+  where event_id = new.id
+    and status <> 'sending';
+
+  return null;
+end;
+$$;
+
+drop trigger if exists calendar_events_replan_reminders on calendar_events;
+create trigger calendar_events_replan_reminders
+  after update of start_time on calendar_events
+  for each row execute function replan_event_reminders();
+
+-- Meeting outcomes. calendar_events.status is one of scheduled, completed, no_show, rescheduled,
+-- cancelled or postponed; app/utils/eventLifecycle.js holds the allowed transitions.
+alter table calendar_events add column if not exists completion_notes text;
+alter table calendar_events add column if not exists completed_at timestamptz;
+alter table calendar_events add column if not exists no_show_at timestamptz;
+alter table calendar_events add column if not exists cancelled_at timestamptz;
+alter table calendar_events add column if not exists rescheduled_to_id uuid references calendar_events(id) on delete set null;
+alter table calendar_events add column if not exists outcome_prompted_at timestamptz;
+alter table calendar_events add column if not exists rebooking_sent_at timestamptz;
+
+create index if not exists calendar_events_outcome_due_idx
+  on calendar_events (end_time) where status = 'scheduled' and outcome_prompted_at is null;
+create index if not exists calendar_events_no_show_idx
+  on calendar_events (no_show_at) where status = 'no_show' and rebooking_sent_at is null;
+
+-- Email conversations with leads. Outbound mail carries the conversation's reply+<token> address and
+-- a Message-ID of ours, so replies thread back through the inbound-email webhook.
+create table if not exists conversations (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users(id) on delete cascade,
+  lead_id uuid references leads(id) on delete cascade,
+  subject text,
+  created_at timestamptz not null default now()
+);
+
+alter table conversations add column if not exists reply_token text;
+alter table conversations add column if not exists last_message_at timestamptz;
+
+create unique index if not exists conversations_reply_token_idx on conversations (reply_token) where reply_token is not null;
+create index if not exists conversations_lead_idx on conversations (lead_id, last_message_at desc);
+
+create table if not exists messages (
+  id uuid primary key default gen_random_uuid(),
+  conversation_id uuid not null references conversations(id) on delete cascade,
+  sender_id uuid references auth.users(id) on delete set null,
+  content text not null,
+  is_ai_generated boolean not null default false,
+  created_at timestamptz not null default now()
+);
+
+-- sender_id is null on inbound rows; content is the reply with quoted history and signature cut,
+-- full_content the body as received
+alter table messages add column if not exists direction text not null default 'outbound'
+  check (direction in ('inbound', 'outbound'));
+alter table messages add column if not exists channel text not null default 'app';
+alter table messages add column if not exists lead_id uuid references leads(id) on delete set null;
+alter table messages add column if not exists subject text;
+alter table messages add column if not exists from_email text;
+alter table messages add column if not exists full_content text;
+alter table messages add column if not exists email_message_id text;
+alter table messages add column if not exists in_reply_to text;
+alter table messages add column if not exists provider_message_id text;
+alter table messages add column if not exists metadata jsonb not null default '{}'::jsonb;
+
+create index if not exists messages_conversation_idx on messages (conversation_id, created_at);
+create unique index if not exists messages_email_message_id_idx
+  on messages (conversation_id, email_message_id) where email_message_id is not null;
+create index if not exists messages_email_lookup_idx on messages (email_message_id) where email_message_id is not null;
+
+-- Every inbound webhook delivery, including the ones that matched no conversation
+create table if not exists inbound_emails (
+  id uuid primary key default gen_random_uuid(),
+  email_message_id text,
+  from_email text,
+  to_emails text[] not null default '{}',
+  subject text,
+  status text not null check (status in ('matched', 'duplicate', 'unmatched', 'ignored', 'failed')),
+  matched_by text check (matched_by in ('reply_token', 'headers', 'sender')),
+  conversation_id uuid references conversations(id) on delete set null,
+  message_record_id uuid references messages(id) on delete set null,
+  error text,
+  received_at timestamptz not null default now()
+);
+
+create index if not exists inbound_emails_status_idx on inbound_emails (status, received_at desc);
+
+-- Reply classification: inbound messages carry the intent the classifier settled on
+-- (source 'rules', 'model' or 'fallback'); out-of-office replies pause the lead's enrollments
+alter table messages add column if not exists intent text
+  check (intent in ('interested', 'objection', 'out_of_office', 'unsubscribe', 'wrong_person', 'other'));
+alter table messages add column if not exists intent_confidence real;
+alter table messages add column if not exists intent_source text;
+
+create index if not exists messages_intent_idx on messages (intent, created_at desc) where intent is not null;
+
+alter table sequence_enrollments drop constraint if exists sequence_enrollments_status_check;
+alter table sequence_enrollments add constraint sequence_enrollments_status_check
+  check (status in ('active', 'paused', 'completed', 'exited'));
+alter table sequence_enrollments add column if not exists paused_until timestamptz;
+alter table sequence_enrollments add column if not exists pause_reason text;
+
+create index if not exists sequence_enrollments_paused_idx
+  on sequence_enrollments (paused_until) where status = 'paused';
+
+-- Leads created from a "talk to my colleague" reply point back at the lead who referred them
+alter table leads add column if not exists referred_by_lead_id uuid references leads(id) on delete set null;
+
+-- SDR inbox: per-conversation unread count, snooze and assignment. A trigger on messages keeps the
+-- list columns current; an inbound message un-snoozes its conversation.
+alter table conversations add column if not exists campaign_id uuid references campaigns(id) on delete set null;
+alter table conversations add column if not exists assigned_to uuid references auth.users(id) on delete set null;
+alter table conversations add column if not exists assigned_at timestamptz;
+alter table conversations add column if not exists snoozed_until timestamptz;
+alter table conversations add column if not exists unread_count integer not null default 0;
+alter table conversations add column if not exists last_read_at timestamptz;
+alter table conversations add column if not exists last_inbound_at timestamptz;
+alter table conversations add column if not exists last_intent text;
+alter table conversations add column if not exists last_message_preview text;
+
+create index if not exists conversations_inbox_idx on conversations (user_id, last_message_at desc);
+create index if not exists conversations_assigned_idx on conversations (assigned_to, last_message_at desc)
+  where assigned_to is not null;
+
+create or replace function update_conversation_inbox()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    update conversations set
+      last_message_at = greatest(coalesce(last_message_at, new.created_at), new.created_at),
+      last_message_preview = left(new.content, 200),
+      unread_count = unread_count + case when new.direction = 'inbound' then 1 else 0 end,
+      last_inbound_at = case when new.direction = 'inbound' then new.created_at else last_inbound_at end,
+      snoozed_until = case when new.direction = 'inbound' then null else snoozed_until end
+    where id = new.conversation_id;
+  elsif new.direction = 'inbound' and new.intent is distinct from old.intent then
+    -- Classification lands after the insert; only the latest reply sets the thread's intent
+    update conversations set last_intent = new.intent
+    where id = new.conversation_id and (last_inbound_at is null or last_inbound_at <= new.created_at);
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists messages_conversation_inbox on messages;
+create trigger messages_conversation_inbox
+  after insert or update of intent on messages
+  for each row execute function update_conversation_inbox();
+
+-- Open and click tracking: opt-in per campaign and sequence. Every hit on the email-tracking
+-- endpoint is kept; bot and scanner traffic is flagged and left out of the rollups.
+alter table campaigns add column if not exists track_opens boolean not null default false;
+alter table campaigns add column if not exists track_clicks boolean not null default false;
+alter table campaigns add column if not exists impressions integer not null default 0;
+alter table campaigns add column if not exists clicks integer not null default 0;
+alter table sequences add column if not exists track_opens boolean not null default false;
+alter table sequences add column if not exists track_clicks boolean not null default false;
+
+alter table campaign_sends add column if not exists opened_at timestamptz;
+alter table campaign_sends add column if not exists clicked_at timestamptz;
+alter table campaign_sends add column if not exists open_count integer not null default 0;
+alter table campaign_sends add column if not exists click_count integer not null default 0;
+
+create table if not exists email_events (
+  id uuid primary key default gen_random_uuid(),
+  event_type text not null check (event_type in ('open', 'click')),
+  email_message_id text not null,
+  lead_id uuid references leads(id) on delete cascade,
+  campaign_id uuid references campaigns(id) on delete set null,
+  campaign_send_id uuid references campaign_sends(id) on delete set null,
+  sequence_id uuid references sequences(id) on delete set null,
+  url text,
+  user_agent text,
+  ip_hash text,
+  is_bot boolean not null default false,
+  bot_reason text,
+  occurred_at timestamptz not null default now()
+);
+
+create index if not exists email_events_message_idx on email_events (email_message_id, event_type, occurred_at desc);
+create index if not exists email_events_campaign_idx on email_events (campaign_id, event_type) where campaign_id is not null;
+
+-- Records one hit and, for human traffic, bumps the send's counters and the campaign's unique
+-- opens (impressions) and clicks. A click counts as an open too, since images are often blocked.
+-- The first human open, and the first click on each link, also become lead_events for scoring
+-- and sequence conditions. Returns whether this was such a first.
+create or replace function record_email_event(
+  p_event_type text,
+  p_email_message_id text,
+  p_lead_id uuid,
+  p_campaign_id uuid,
+  p_campaign_send_id uuid,
+  p_sequence_id uuid,
+  p_url text,
+  p_user_agent text,
+  p_ip_hash text,
+  p_is_bot boolean,
+  p_bot_reason text
+)
+returns boolean
+language plpgsql
+as $$
+declare
+  v_first boolean := false;
+  v_opened_at timestamptz;
+  v_clicked_at timestamptz;
+begin
+  if not p_is_bot then
+    select not exists (
+      select 1 from email_events
+      where email_message_id = p_email_message_id
+        and event_type = p_event_type
+        and not is_bot
+        and (p_event_type = 'open' or url is not distinct from p_url)
+    ) into v_first;
+  end if;
+
+  insert into email_events (
+    event_type, email_message_id, lead_id, campaign_id, campaign_send_id, sequence_id,
+    url, user_agent, ip_hash, is_bot, bot_reason
+  )
+  values (
+    p_event_type, p_email_message_id, p_lead_id, p_campaign_id, p_campaign_send_id, p_sequence_id,
+    p_url, p_user_agent, p_ip_hash, p_is_bot, p_bot_reason
+  );
+
+  if p_is_bot then
+    return false;
+  end if;
+
+  if p_campaign_send_id is not null then
+    select opened_at, clicked_at into v_opened_at, v_clicked_at
+    from campaign_sends where id = p_campaign_send_id for update;
+
+    update campaign_sends set
+      opened_at = coalesce(opened_at, now()),
+      clicked_at = case when p_event_type = 'click' then coalesce(clicked_at, now()) else clicked_at end,
+      open_count = open_count + case when p_event_type = 'open' then 1 else 0 end,
+      click_count = click_count + case when p_event_type = 'click' then 1 else 0 end
+    where id = p_campaign_send_id;
+
+    update campaigns set
+      impressions = impressions + case when v_opened_at is null then 1 else 0 end,
+      clicks = clicks + case when p_event_type = 'click' and v_clicked_at is null then 1 else 0 end
+    where id = p_campaign_id and (v_opened_at is null or (p_event_type = 'click' and v_clicked_at is null));
+  end if;
+
+  if v_first and p_lead_id is not null then
+    insert into lead_events (lead_id, event_type, campaign_id, metadata)
+    values (
+      p_lead_id,
+      'email_' || p_event_type,
+      p_campaign_id,
+      jsonb_strip_nulls(jsonb_build_object('email_message_id', p_email_message_id, 'url', p_url, 'sequence_id', p_sequence_id))
+    );
+  end if;
+
+  return v_first;
+end;
+$$;
+
+-- Resend delivery webhooks: every signed delivery is logged once by its svix-id; delivery status
+-- lands on the sent message and campaign send. Hard bounces and complaints go on a global
+-- suppression list that sendEmail checks before every send.
+create table if not exists email_webhook_events (
+  svix_id text primary key,
+  type text not null,
+  provider_message_id text,
+  payload jsonb not null,
+  received_at timestamptz not null default now()
+);
+
+create index if not exists email_webhook_events_message_idx
+  on email_webhook_events (provider_message_id) where provider_message_id is not null;
+
+alter table messages add column if not exists delivery_status text
+  check (delivery_status in ('sent', 'delayed', 'delivered', 'bounced', 'complained'));
+alter table messages add column if not exists delivery_error text;
+alter table messages add column if not exists delivery_updated_at timestamptz;
+alter table campaign_sends add column if not exists delivery_status text
+  check (delivery_status in ('sent', 'delayed', 'delivered', 'bounced', 'complained'));
+alter table campaign_sends add column if not exists delivery_error text;
+alter table campaign_sends add column if not exists delivery_updated_at timestamptz;
+
+create index if not exists messages_provider_message_idx
+  on messages (provider_message_id) where provider_message_id is not null;
+create index if not exists campaign_sends_provider_message_idx
+  on campaign_sends (provider_message_id) where provider_message_id is not null;
+
+-- Addresses are stored lowercased
+create table if not exists email_suppressions (
+  email text primary key,
+  reason text not null check (reason in ('hard_bounce', 'complaint', 'manual')),
+  source text not null default 'resend_webhook',
+  provider_message_id text,
+  details jsonb,
+  suppressed_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);